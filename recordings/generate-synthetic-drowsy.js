@@ -0,0 +1,60 @@
+// Writes synthetic-drowsy.landmarks.json.gz, the example recording checked by
+// replay.test.js: 10 fps for 10 s with open eyes, eyes closed from 1 s to 4 s,
+// open again until 6 s and no face after that.
+//
+//   node recordings/generate-synthetic-drowsy.js
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { LEFT_EYE, RIGHT_EYE } from '../shared/drowsinessEngine.js';
+import { createLandmarkRecorder } from '../shared/landmarkRecording.js';
+
+const OUTPUT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'synthetic-drowsy.landmarks.json.gz');
+const FRAME_INTERVAL_MS = 100;
+const FRAME_COUNT = 100;
+const OPEN_EAR = 0.3;
+const CLOSED_EAR = 0.1;
+const EYE_WIDTH = 0.15;
+const IDENTITY_MATRIX = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// A face whose eyes both have the given eye aspect ratio
+const face = (ear) => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  const outline = [[0, 0], [0.33, -ear / 2], [0.66, -ear / 2], [1, 0], [0.66, ear / 2], [0.33, ear / 2]];
+  [[LEFT_EYE, 0.3], [RIGHT_EYE, 0.55]].forEach(([indices, left]) => {
+    indices.forEach((index, i) => {
+      landmarks[index] = { x: left + outline[i][0] * EYE_WIDTH, y: 0.4 + outline[i][1] * EYE_WIDTH, z: 0 };
+    });
+  });
+  // Irises in the middle of each eye
+  landmarks[473] = { x: 0.3 + EYE_WIDTH / 2, y: 0.4, z: 0 };
+  landmarks[468] = { x: 0.55 + EYE_WIDTH / 2, y: 0.4, z: 0 };
+  return landmarks;
+};
+
+const landmarksAt = (frame) => {
+  if (frame < 10) return face(OPEN_EAR);
+  if (frame < 40) return face(CLOSED_EAR);
+  if (frame < 60) return face(OPEN_EAR);
+  return null;
+};
+
+const recorder = createLandmarkRecorder({
+  metadata: { width: 640, height: 480, source: 'synthetic', description: 'Eyes closed for 3 s, then the driver leaves the view' },
+  engineOptions: { earThreshold: 0.25, alertDelayMs: 1500 }
+});
+for (let frame = 0; frame < FRAME_COUNT; frame++) {
+  recorder.addFrame({
+    timestamp: frame * FRAME_INTERVAL_MS,
+    landmarks: landmarksAt(frame),
+    transformationMatrix: IDENTITY_MATRIX
+  });
+}
+
+const recording = recorder.finish();
+// A fixed date keeps the output identical between runs
+recording.recordedAt = '2026-01-01T00:00:00.000Z';
+fs.writeFileSync(OUTPUT, zlib.gzipSync(JSON.stringify(recording), { level: 9 }));
+console.log(`Wrote ${OUTPUT}`);
@@ -0,0 +1,50 @@
+// Replays every labelled landmark recording in this directory (or in
+// RECORDINGS_DIR) through the engine and checks its alert timings.
+//
+// A recording `<name>.landmarks.json` or `<name>.landmarks.json.gz` is labelled
+// by `<name>.expected.json`:
+//   { "alerts": [{ "type"?, "reason", "severity"?, "at" }], "toleranceMs"?, "engineOptions"? }
+// engineOptions are applied on top of those saved in the recording.
+//
+// synthetic-drowsy.landmarks.json.gz is written by generate-synthetic-drowsy.js;
+// run it again after changing the recording format.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+import { parseRecording, replayRecording, compareAlertTimings } from '../shared/landmarkRecording.js';
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.dirname(fileURLToPath(import.meta.url));
+const RECORDING_PATTERN = /^(.+)\.landmarks\.json(\.gz)?$/;
+
+const readRecording = (filePath) => {
+  const raw = fs.readFileSync(filePath);
+  return parseRecording((filePath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+};
+
+const recordings = fs.readdirSync(RECORDINGS_DIR)
+  .map(file => file.match(RECORDING_PATTERN))
+  .filter(Boolean)
+  .sort((a, b) => a[0].localeCompare(b[0]));
+
+if (recordings.length === 0) {
+  test(`no landmark recordings in ${RECORDINGS_DIR}`, { skip: true }, () => {});
+}
+
+recordings.forEach(([file, name]) => {
+  const expectedPath = path.join(RECORDINGS_DIR, `${name}.expected.json`);
+  const labelled = fs.existsSync(expectedPath);
+
+  test(`${file} raises the expected alerts`, { skip: labelled ? false : `no ${name}.expected.json` }, () => {
+    const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+    const recording = readRecording(path.join(RECORDINGS_DIR, file));
+    const { events } = replayRecording(recording, {
+      engineOptions: { ...recording.engineOptions, ...expected.engineOptions }
+    });
+    const mismatches = compareAlertTimings(events, expected.alerts || [], { toleranceMs: expected.toleranceMs });
+    assert.deepEqual(mismatches, [], mismatches.join('\n'));
+  });
+});
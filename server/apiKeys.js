@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PREFIX = 'dsk_';
+const MAX_NAME_LENGTH = 100;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A key as the API shows it: never the secret or its hash
+const toPublic = (key) => ({
+  id: key.id,
+  name: key.name,
+  admin: key.admin,
+  source: key.source,
+  createdAt: key.createdAt,
+  revokedAt: key.revokedAt,
+  lastUsedAt: key.lastUsedAt
+});
+
+function readKeyFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  let keys;
+  try {
+    keys = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${filePath} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(keys) || keys.some(key => !key || typeof key.id !== 'string' || typeof key.hash !== 'string')) {
+    throw new Error(`${filePath} must contain a JSON array of keys with an id and a hash`);
+  }
+  return keys;
+}
+
+// The secret a request presents: `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Browsers cannot set headers on a WebSocket, so upgrades
+// may also pass it as the `api_key` query parameter.
+function requestCredential(req, { allowQuery = false } = {}) {
+  const authorization = req.headers.authorization;
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    return match ? match[1] : null;
+  }
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  if (allowQuery) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('api_key');
+  }
+  return null;
+}
+
+// API keys for clients of the API. Keys from the API_KEYS environment variable
+// (comma-separated) are admin keys that cannot be revoked through the API;
+// keys created through POST /api-keys are saved to the key file as SHA-256
+// hashes, so the file does not give away a working key. Authentication is on
+// as soon as there is one key that is not revoked.
+function createApiKeyStore({ filePath = null, env = process.env } = {}) {
+  // hash -> key
+  const keys = new Map();
+
+  const envSecrets = (env.API_KEYS || '').split(',').map(secret => secret.trim()).filter(Boolean);
+  envSecrets.forEach((secret, i) => {
+    keys.set(hashSecret(secret), {
+      id: `env-${i + 1}`,
+      name: `API_KEYS #${i + 1}`,
+      admin: true,
+      source: 'env',
+      hash: hashSecret(secret),
+      createdAt: null,
+      revokedAt: null,
+      lastUsedAt: null
+    });
+  });
+  if (filePath) {
+    readKeyFile(filePath).forEach(key => {
+      keys.set(key.hash, { ...key, admin: key.admin === true, source: 'api', lastUsedAt: null });
+    });
+  }
+
+  const saved = () => [...keys.values()].filter(key => key.source === 'api');
+
+  const save = () => {
+    if (!filePath) return;
+    const stored = saved().map(({ id, name, admin, hash, createdAt, revokedAt }) =>
+      ({ id, name, admin, hash, createdAt, revokedAt }));
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, `${JSON.stringify(stored, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const active = () => [...keys.values()].filter(key => key.revokedAt === null);
+
+  const enabled = () => active().length > 0;
+
+  // The key a secret belongs to, or null when it is unknown or revoked
+  const authenticate = (secret) => {
+    if (typeof secret !== 'string' || secret === '') return null;
+    const key = keys.get(hashSecret(secret));
+    if (!key || key.revokedAt !== null) return null;
+    key.lastUsedAt = new Date().toISOString();
+    return toPublic(key);
+  };
+
+  const list = () => [...keys.values()].map(toPublic);
+
+  const find = (id) => [...keys.values()].find(key => key.id === id);
+
+  // Creates a key from { name, admin? }. The first key is always an admin key,
+  // so whoever turns authentication on can still manage keys. Returns
+  // { key, secret } - the only time the secret is shown - or { error, status }.
+  const create = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { error: 'Body must be a JSON object', status: 400 };
+    }
+    const { name, admin = false } = body;
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`, status: 400 };
+    }
+    if (typeof admin !== 'boolean') {
+      return { error: 'admin must be true or false', status: 400 };
+    }
+
+    const secret = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      admin: admin || !enabled(),
+      source: 'api',
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null
+    };
+    keys.set(key.hash, key);
+    try {
+      save();
+    } catch (err) {
+      keys.delete(key.hash);
+      throw err;
+    }
+    return { key: toPublic(key), secret };
+  };
+
+  // Revokes a key for good; revoking it again changes nothing. Returns { key }
+  // or { error, status }.
+  const revoke = (id) => {
+    const key = find(id);
+    if (!key) return { error: 'API key not found', status: 404 };
+    if (key.source === 'env') {
+      return { error: 'Keys from the API_KEYS environment variable cannot be revoked here', status: 409 };
+    }
+    // Without an admin key nobody could manage keys, or with no key at all the
+    // API would silently become open again
+    if (key.admin && key.revokedAt === null && !active().some(other => other.admin && other !== key)) {
+      return { error: 'This is the last admin key. Create another admin key before revoking it', status: 409 };
+    }
+    if (key.revokedAt === null) {
+      key.revokedAt = new Date().toISOString();
+      save();
+    }
+    return { key: toPublic(key) };
+  };
+
+  return { enabled, authenticate, list, create, revoke };
+}
+
+module.exports = { createApiKeyStore, requestCredential };
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiKeyStore, requestCredential } = require('./apiKeys');
+
+const tempKeyFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'api-keys.json');
+};
+
+test('authentication is off until the first key, which is always an admin key', (t) => {
+  const filePath = tempKeyFile(t);
+  const keys = createApiKeyStore({ filePath, env: {} });
+  assert.equal(keys.enabled(), false);
+
+  const { key, secret } = keys.create({ name: 'setup laptop' });
+  assert.equal(keys.enabled(), true);
+  assert.equal(key.admin, true);
+  assert.match(secret, /^dsk_/);
+  assert.equal(keys.authenticate(secret).id, key.id);
+  assert.equal(keys.authenticate('dsk_wrong'), null);
+
+  const { key: device } = keys.create({ name: 'cab tablet' });
+  assert.equal(device.admin, false);
+
+  // Only hashes are saved, and a new store loads the same keys
+  const saved = fs.readFileSync(filePath, 'utf8');
+  assert.equal(saved.includes(secret), false);
+  const reloaded = createApiKeyStore({ filePath, env: {} });
+  assert.equal(reloaded.authenticate(secret).name, 'setup laptop');
+  assert.equal(reloaded.list().length, 2);
+  assert.equal('hash' in reloaded.list()[0], false);
+});
+
+test('revoked keys stop working and the last admin key cannot be revoked', (t) => {
+  const filePath = tempKeyFile(t);
+  const keys = createApiKeyStore({ filePath, env: {} });
+  const { key: admin } = keys.create({ name: 'admin' });
+  const { key: device, secret } = keys.create({ name: 'device' });
+
+  assert.equal(keys.revoke(admin.id).status, 409);
+  assert.ok(keys.revoke(device.id).key.revokedAt);
+  assert.equal(keys.authenticate(secret), null);
+  assert.equal(createApiKeyStore({ filePath, env: {} }).authenticate(secret), null);
+  assert.equal(keys.revoke('missing').status, 404);
+
+  const { key: second } = keys.create({ name: 'second admin', admin: true });
+  assert.ok(keys.revoke(admin.id).key.revokedAt);
+  assert.equal(keys.revoke(second.id).status, 409);
+});
+
+test('keys from API_KEYS are admin keys that cannot be revoked', () => {
+  const keys = createApiKeyStore({ env: { API_KEYS: 'first-key, second-key' } });
+  assert.equal(keys.enabled(), true);
+  assert.equal(keys.authenticate('second-key').id, 'env-2');
+  assert.equal(keys.authenticate('second-key').admin, true);
+  assert.equal(keys.revoke('env-1').status, 409);
+  assert.equal(keys.create({ name: 'device' }).key.admin, false);
+  assert.equal(keys.create({ name: '' }).status, 400);
+  assert.equal(keys.create({ name: 'device', admin: 'yes' }).status, 400);
+});
+
+test('reads the key from the Authorization or X-API-Key header', () => {
+  assert.equal(requestCredential({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.equal(requestCredential({ headers: { authorization: 'Basic abc' } }), null);
+  assert.equal(requestCredential({ headers: { 'x-api-key': 'abc' } }), 'abc');
+
+  const upgrade = { headers: {}, url: '/stream?api_key=abc' };
+  assert.equal(requestCredential(upgrade), null);
+  assert.equal(requestCredential(upgrade, { allowQuery: true }), 'abc');
+});
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// Runtime configuration of the API. Values come from the defaults below, then
+// the config file, then environment variables; PUT /config changes them while
+// the server runs and saves them to the config file.
+//
+// Engine settings are the defaults of new detection sessions (and of running
+// sessions that did not set their own). Web apps that sync from this server
+// use the same values, so a fleet device is set up in one place.
+const CONFIG_SCHEMA = {
+  port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT', restart: true },
+  numFaces: { type: 'integer', min: 1, max: 10, default: 1, env: 'NUM_FACES' },
+  minFaceDetectionConfidence: { type: 'number', min: 0, max: 1, default: 0.5, env: 'MIN_FACE_DETECTION_CONFIDENCE' },
+  minFacePresenceConfidence: { type: 'number', min: 0, max: 1, default: 0.5, env: 'MIN_FACE_PRESENCE_CONFIDENCE' },
+  minTrackingConfidence: { type: 'number', min: 0, max: 1, default: 0.5, env: 'MIN_TRACKING_CONFIDENCE' },
+  earThreshold: { type: 'number', min: 0.05, max: 0.5, default: 0.25, env: 'EAR_THRESHOLD', engine: true },
+  alertDelayMs: { type: 'integer', min: 100, max: 10000, default: 1500, env: 'ALERT_DELAY_MS', engine: true },
+  perclosWindowMs: { type: 'integer', min: 10000, max: 600000, default: 60000, env: 'PERCLOS_WINDOW_MS', engine: true },
+  perclosThreshold: { type: 'number', min: 0.01, max: 1, default: 0.15, env: 'PERCLOS_THRESHOLD', engine: true },
+  distractionDelayMs: { type: 'integer', min: 500, max: 10000, default: 2000, env: 'DISTRACTION_DELAY_MS', engine: true },
+  gazeZoneYawDeg: { type: 'number', min: 5, max: 90, default: 25, env: 'GAZE_ZONE_YAW_DEG', engine: true },
+  detectionMode: { type: 'enum', values: ['ear', 'cnn', 'fusion'], default: 'fusion', env: 'DETECTION_MODE', engine: true },
+  cnnWeight: { type: 'number', min: 0, max: 1, default: 0.6, env: 'CNN_WEIGHT', engine: true },
+  // Access and limits. corsOrigins is a comma-separated list of browser origins
+  // allowed to call the API, or * for any; a rate limit of 0 turns limiting off.
+  corsOrigins: { type: 'string', default: '*', env: 'CORS_ORIGINS' },
+  maxUploadBytes: { type: 'integer', min: 1024, max: 100 * 1024 * 1024, default: 10 * 1024 * 1024, env: 'MAX_UPLOAD_BYTES' },
+  maxImageDimension: { type: 'integer', min: 16, max: 16384, default: 4096, env: 'MAX_IMAGE_DIMENSION' },
+  rateLimitPerMinute: { type: 'integer', min: 0, max: 1000000, default: 1200, env: 'RATE_LIMIT_PER_MINUTE' },
+  // Web app only
+  soundEnabled: { type: 'boolean', default: true, env: 'SOUND_ENABLED' },
+  cameraSource: { type: 'enum', values: ['webcam', 'ip'], default: 'webcam', env: 'CAMERA_SOURCE' },
+  ipCameraUrl: { type: 'string', default: '', env: 'IP_CAMERA_URL' }
+};
+
+// Error message for an invalid value, or null
+function validateSetting(name, value) {
+  const rule = CONFIG_SCHEMA[name];
+  if (!rule) return `Unknown setting: ${name}`;
+
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const valid = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.type === 'number' || Number.isInteger(value)) &&
+        value >= rule.min && value <= rule.max;
+      return valid ? null : `${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `${name} must be one of: ${rule.values.join(', ')}`;
+    default:
+      return typeof value === 'string' ? null : `${name} must be a string`;
+  }
+}
+
+// The value of an environment variable in the type of its setting
+function parseEnvValue(name, raw) {
+  const rule = CONFIG_SCHEMA[name];
+  let value = raw;
+  if (rule.type === 'number' || rule.type === 'integer') {
+    value = raw.trim() === '' ? NaN : Number(raw);
+  } else if (rule.type === 'boolean') {
+    const lower = raw.toLowerCase();
+    if (['1', 'true', 'yes'].includes(lower)) value = true;
+    else if (['0', 'false', 'no'].includes(lower)) value = false;
+  }
+
+  const error = validateSetting(name, value);
+  if (error) throw new Error(`${rule.env}: ${error} (got "${raw}")`);
+  return value;
+}
+
+function readConfigFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+
+  let values;
+  try {
+    values = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${filePath} is not valid JSON: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+  for (const [name, value] of Object.entries(values)) {
+    const error = validateSetting(name, value);
+    if (error) throw new Error(`${filePath}: ${error}`);
+  }
+  return values;
+}
+
+// Loads the configuration and keeps it up to date. Invalid files or variables
+// throw at startup rather than running with a setting silently ignored.
+// `onChange(changed, values)` is called after every successful update with the
+// names of the settings that changed.
+function createConfigStore({ filePath = null, env = process.env, onChange = () => {} } = {}) {
+  const values = {};
+  // name -> 'default' | 'file' | 'env' | 'api'
+  const sources = {};
+  const fileValues = filePath ? readConfigFile(filePath) : {};
+  const startupValues = {};
+
+  for (const [name, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (rule.env && env[rule.env] !== undefined) {
+      values[name] = parseEnvValue(name, env[rule.env]);
+      sources[name] = 'env';
+    } else if (fileValues[name] !== undefined) {
+      values[name] = fileValues[name];
+      sources[name] = 'file';
+    } else {
+      values[name] = rule.default;
+      sources[name] = 'default';
+    }
+    startupValues[name] = values[name];
+  }
+
+  const get = () => ({ ...values });
+
+  // Settings that were changed but only take effect after a restart
+  const pendingRestart = () => Object.keys(CONFIG_SCHEMA)
+    .filter(name => CONFIG_SCHEMA[name].restart && values[name] !== startupValues[name]);
+
+  const describe = () => ({ values: get(), sources: { ...sources }, pendingRestart: pendingRestart() });
+
+  // Engine options for new detection sessions
+  const engineDefaults = () => Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+    .filter(name => CONFIG_SCHEMA[name].engine)
+    .map(name => [name, values[name]]));
+
+  // Saves the settings that differ from the environment and defaults
+  const save = (savedValues, savedSources) => {
+    if (!filePath) return;
+    const saved = Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+      .filter(name => savedSources[name] === 'file' || savedSources[name] === 'api')
+      .map(name => [name, savedValues[name]]));
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, `${JSON.stringify(saved, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Applies a partial update: { name: value, ... }, where null restores the
+  // default. Returns { changed } or { error, status } and changes nothing on error.
+  // Throws when the settings cannot be saved, and then keeps the previous ones.
+  const update = (changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { error: 'Body must be a JSON object of settings', status: 400 };
+    }
+
+    const next = {};
+    for (const [name, value] of Object.entries(changes)) {
+      if (!CONFIG_SCHEMA[name]) {
+        return { error: `Unknown setting: ${name}. Known: ${Object.keys(CONFIG_SCHEMA).join(', ')}`, status: 400 };
+      }
+      if (sources[name] === 'env') {
+        return { error: `${name} is set by the ${CONFIG_SCHEMA[name].env} environment variable`, status: 409 };
+      }
+      if (value !== null) {
+        const error = validateSetting(name, value);
+        if (error) return { error, status: 400 };
+      }
+      next[name] = value;
+    }
+
+    const changed = Object.keys(next).filter(name => {
+      const value = next[name] === null ? CONFIG_SCHEMA[name].default : next[name];
+      return value !== values[name];
+    });
+    const nextValues = { ...values };
+    const nextSources = { ...sources };
+    for (const [name, value] of Object.entries(next)) {
+      nextValues[name] = value === null ? CONFIG_SCHEMA[name].default : value;
+      nextSources[name] = value === null ? 'default' : 'api';
+    }
+    save(nextValues, nextSources);
+    Object.assign(values, nextValues);
+    Object.assign(sources, nextSources);
+    if (changed.length > 0) onChange(changed, get());
+    return { changed };
+  };
+
+  return { get, describe, engineDefaults, update };
+}
+
+module.exports = { createConfigStore, validateSetting, CONFIG_SCHEMA };
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfigStore, validateSetting } = require('./config');
+
+const tempConfigFile = (t, contents) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'config.json');
+  if (contents !== undefined) fs.writeFileSync(filePath, JSON.stringify(contents));
+  return filePath;
+};
+
+test('environment variables override the config file, which overrides defaults', (t) => {
+  const filePath = tempConfigFile(t, { earThreshold: 0.2, numFaces: 2 });
+  const config = createConfigStore({ filePath, env: { EAR_THRESHOLD: '0.3', SOUND_ENABLED: 'no' } });
+
+  const { values, sources } = config.describe();
+  assert.equal(values.earThreshold, 0.3);
+  assert.equal(values.numFaces, 2);
+  assert.equal(values.soundEnabled, false);
+  assert.equal(values.port, 3000);
+  assert.equal(sources.earThreshold, 'env');
+  assert.equal(sources.numFaces, 'file');
+  assert.equal(sources.port, 'default');
+  assert.deepEqual(config.engineDefaults(), {
+    earThreshold: 0.3,
+    alertDelayMs: 1500,
+    perclosWindowMs: 60000,
+    perclosThreshold: 0.15,
+    distractionDelayMs: 2000,
+    gazeZoneYawDeg: 25,
+    detectionMode: 'fusion',
+    cnnWeight: 0.6
+  });
+});
+
+test('invalid files and variables fail at startup', (t) => {
+  assert.throws(() => createConfigStore({ env: { NUM_FACES: 'two' } }), /NUM_FACES: numFaces must be an integer/);
+  assert.throws(() => createConfigStore({ env: { PORT: '' } }), /PORT/);
+  assert.throws(() => createConfigStore({ filePath: tempConfigFile(t, { earThreshold: 2 }), env: {} }), /earThreshold must be a number between/);
+  assert.throws(() => createConfigStore({ filePath: tempConfigFile(t, [1]), env: {} }), /JSON object/);
+  // A missing file is fine
+  assert.equal(createConfigStore({ filePath: tempConfigFile(t), env: {} }).get().numFaces, 1);
+});
+
+test('updates are validated, saved and reported', (t) => {
+  const filePath = tempConfigFile(t);
+  const changes = [];
+  const config = createConfigStore({ filePath, env: {}, onChange: (changed, values) => changes.push([changed, values.alertDelayMs]) });
+
+  assert.equal(config.update({ alertDelayMs: 'slow' }).status, 400);
+  assert.equal(config.update({ alertDelayMs: 2000, colour: 'red' }).status, 400);
+  // Nothing changes when part of an update is invalid
+  assert.equal(config.get().alertDelayMs, 1500);
+
+  assert.deepEqual(config.update({ alertDelayMs: 2000, cameraSource: 'webcam' }), { changed: ['alertDelayMs'] });
+  assert.deepEqual(changes, [[['alertDelayMs'], 2000]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { alertDelayMs: 2000, cameraSource: 'webcam' });
+  assert.equal(createConfigStore({ filePath, env: {} }).get().alertDelayMs, 2000);
+
+  // null restores the default and drops the setting from the file
+  config.update({ alertDelayMs: null });
+  assert.equal(config.get().alertDelayMs, 1500);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { cameraSource: 'webcam' });
+});
+
+test('an update that cannot be saved changes nothing', (t) => {
+  const filePath = tempConfigFile(t);
+  const changes = [];
+  const config = createConfigStore({ filePath, env: {}, onChange: (changed) => changes.push(changed) });
+  // A directory where the file should be makes the rename fail
+  fs.mkdirSync(filePath);
+
+  assert.throws(() => config.update({ alertDelayMs: 2000 }));
+  assert.equal(config.get().alertDelayMs, 1500);
+  assert.equal(config.describe().sources.alertDelayMs, 'default');
+  assert.deepEqual(changes, []);
+});
+
+test('settings from the environment cannot be changed at runtime', () => {
+  const config = createConfigStore({ env: { EAR_THRESHOLD: '0.2' } });
+  const result = config.update({ earThreshold: 0.3 });
+  assert.equal(result.status, 409);
+  assert.match(result.error, /EAR_THRESHOLD/);
+});
+
+test('a new port waits for a restart', () => {
+  const config = createConfigStore({ env: {} });
+  config.update({ port: 8080 });
+  assert.deepEqual(config.describe().pendingRestart, ['port']);
+  config.update({ port: 3000 });
+  assert.deepEqual(config.describe().pendingRestart, []);
+});
+
+test('validateSetting checks types and ranges', () => {
+  assert.equal(validateSetting('numFaces', 2), null);
+  assert.match(validateSetting('numFaces', 1.5), /integer/);
+  assert.match(validateSetting('cameraSource', 'usb'), /webcam, ip/);
+  assert.match(validateSetting('soundEnabled', 'yes'), /true or false/);
+  assert.match(validateSetting('ipCameraUrl', 5), /string/);
+});
@@ -0,0 +1,47 @@
+// Validation of the detection engine options clients may set per session
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const ENGINE_OPTION_RULES = {
+  detectionMode: { valid: (value) => ['ear', 'cnn', 'fusion'].includes(value), expected: "'ear', 'cnn' or 'fusion'" },
+  cnnWeight: { valid: (value) => typeof value === 'number' && value >= 0 && value <= 1, expected: 'a number between 0 and 1' },
+  earThreshold: { valid: isPositiveNumber, expected: 'a positive number' },
+  alertDelayMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  criticalDelayMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  perclosWindowMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  perclosThreshold: { valid: (value) => isPositiveNumber(value) && value <= 1, expected: 'a number between 0 and 1' },
+  perclosCriticalThreshold: { valid: (value) => isPositiveNumber(value) && value <= 1, expected: 'a number between 0 and 1' },
+  marThreshold: { valid: isPositiveNumber, expected: 'a positive number' },
+  yawnMinDurationMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  headNodAngleDeg: { valid: isPositiveNumber, expected: 'a positive number' },
+  headDownAngleDeg: { valid: isPositiveNumber, expected: 'a positive number' },
+  headDownMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  headDownCriticalMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  gazeZoneYawDeg: { valid: isPositiveNumber, expected: 'a positive number' },
+  gazeZoneUpDeg: { valid: isPositiveNumber, expected: 'a positive number' },
+  gazeZoneDownDeg: { valid: isPositiveNumber, expected: 'a positive number' },
+  distractionDelayMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  distractionCriticalMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  faceLostAlertMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  faceLostCriticalMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  cameraFaultMs: { valid: isPositiveNumber, expected: 'a positive number' },
+  reescalateWindowMs: { valid: isPositiveNumber, expected: 'a positive number' }
+};
+
+// Picks the known engine options out of a request body.
+// Returns { options } or { error } with a message for the first invalid value.
+function parseEngineOptions(body = {}) {
+  const options = {};
+
+  for (const [name, rule] of Object.entries(ENGINE_OPTION_RULES)) {
+    if (body[name] === undefined) continue;
+    if (!rule.valid(body[name])) {
+      return { error: `${name} must be ${rule.expected}` };
+    }
+    options[name] = body[name];
+  }
+
+  return { options };
+}
+
+module.exports = { parseEngineOptions, ENGINE_OPTION_RULES };
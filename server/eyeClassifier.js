@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// The web app's eye classifier (CNN) for the API, so sessions in the CNN and
+// fusion detection modes decide as the browser does. The model is the
+// TensorFlow.js layers model the web app loads from /model/model.json. It is
+// optional: without it every mode uses the EAR, in the API as in the browser.
+
+const CLASSIFIER_STATUS = {
+  MISSING: 'missing',
+  LOADING: 'loading',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+// Model artifacts of a layers model.json and its weight files. The pure
+// JavaScript TensorFlow.js cannot load from disk by itself.
+async function readLayersModel(modelPath) {
+  const modelJson = JSON.parse(await fs.promises.readFile(modelPath, 'utf8'));
+  const dir = path.dirname(modelPath);
+  const weightSpecs = [];
+  const weightFiles = [];
+  for (const group of modelJson.weightsManifest || []) {
+    weightSpecs.push(...group.weights);
+    for (const file of group.paths) {
+      weightFiles.push(await fs.promises.readFile(path.join(dir, file)));
+    }
+  }
+  const weights = Buffer.concat(weightFiles);
+  return {
+    modelTopology: modelJson.modelTopology,
+    weightSpecs,
+    weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+  };
+}
+
+function createEyeClassifier({ modelPath }) {
+  let status = CLASSIFIER_STATUS.MISSING;
+  let error = null;
+  let model = null;
+  let tf = null;
+  // Crop and classification helpers shared with the inference worker
+  let helpers = null;
+
+  // Resolves to true once the model is loaded; a missing model is not an error
+  const load = async () => {
+    if (!fs.existsSync(modelPath)) {
+      status = CLASSIFIER_STATUS.MISSING;
+      return false;
+    }
+    status = CLASSIFIER_STATUS.LOADING;
+    try {
+      tf = require('@tensorflow/tfjs');
+      helpers = await import('../shared/eyeClassifier.js');
+      model = await tf.loadLayersModel(tf.io.fromMemory(await readLayersModel(modelPath)));
+      status = CLASSIFIER_STATUS.READY;
+      error = null;
+    } catch (err) {
+      status = CLASSIFIER_STATUS.FAILED;
+      error = err.message;
+    }
+    return status === CLASSIFIER_STATUS.READY;
+  };
+
+  // { left, right } closed-eye probabilities of the face in a canvas, or null
+  // without a model
+  const classify = async (canvas, landmarks) => {
+    if (!model) return null;
+    const ctx = canvas.getContext('2d');
+    const crops = helpers.eyeBoxes(landmarks, canvas.width, canvas.height)
+      .map(box => ctx.getImageData(box.x, box.y, box.width, box.height));
+    return helpers.classifyEyes(tf, model, crops);
+  };
+
+  const describe = () => ({ status, modelPath, error });
+
+  return { load, classify, describe };
+}
+
+module.exports = { createEyeClassifier, CLASSIFIER_STATUS };
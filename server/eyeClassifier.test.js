@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const { createEyeClassifier, CLASSIFIER_STATUS } = require('./eyeClassifier');
+
+// A model of the classifier's shape whose output is sigmoid(mean brightness):
+// 0.5 for a black eye, 0.73 for a white one
+async function saveModel(dir) {
+  const model = tf.sequential({
+    layers: [
+      tf.layers.flatten({ inputShape: [24, 24, 1] }),
+      tf.layers.dense({ units: 1, activation: 'sigmoid' })
+    ]
+  });
+  model.setWeights([tf.fill([576, 1], 1 / 576), tf.zeros([1])]);
+  await model.save(tf.io.withSaveHandler(async (artifacts) => {
+    fs.writeFileSync(path.join(dir, 'weights.bin'), Buffer.from(artifacts.weightData));
+    fs.writeFileSync(path.join(dir, 'model.json'), JSON.stringify({
+      modelTopology: artifacts.modelTopology,
+      weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+    }));
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  model.dispose();
+}
+
+// Face landmarks with the left eye on the right half of the image and the
+// right eye on the left half
+function faceLandmarks() {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  const placeEye = (indices, centerX) => {
+    const offsets = [[-0.05, 0], [-0.02, -0.02], [0.02, -0.02], [0.05, 0], [0.02, 0.02], [-0.02, 0.02]];
+    indices.forEach((index, i) => {
+      landmarks[index] = { x: centerX + offsets[i][0], y: 0.4 + offsets[i][1], z: 0 };
+    });
+  };
+  placeEye([362, 385, 387, 263, 373, 380], 0.7);
+  placeEye([33, 160, 158, 133, 153, 144], 0.3);
+  return landmarks;
+}
+
+// A canvas whose right half is white and left half black
+function fakeCanvas(width, height) {
+  return {
+    width,
+    height,
+    getContext: () => ({
+      getImageData: (x, y, w, h) => {
+        const cropWidth = Math.round(w);
+        const cropHeight = Math.round(h);
+        const data = new Uint8ClampedArray(cropWidth * cropHeight * 4).fill(x >= width / 2 ? 255 : 0);
+        return { data, width: cropWidth, height: cropHeight };
+      }
+    })
+  };
+}
+
+test('classifies each eye with a layers model read from disk', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eye-classifier-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await saveModel(dir);
+
+  const classifier = createEyeClassifier({ modelPath: path.join(dir, 'model.json') });
+  assert.equal(await classifier.load(), true);
+  assert.equal(classifier.describe().status, CLASSIFIER_STATUS.READY);
+
+  const { left, right } = await classifier.classify(fakeCanvas(640, 480), faceLandmarks());
+  assert.ok(Math.abs(left - 1 / (1 + Math.exp(-1))) < 1e-3);
+  assert.ok(Math.abs(right - 0.5) < 1e-3);
+});
+
+test('reports a missing or broken model and classifies nothing', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eye-classifier-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const missing = createEyeClassifier({ modelPath: path.join(dir, 'model.json') });
+  assert.equal(await missing.load(), false);
+  assert.equal(missing.describe().status, CLASSIFIER_STATUS.MISSING);
+  assert.equal(await missing.classify(fakeCanvas(640, 480), faceLandmarks()), null);
+
+  fs.writeFileSync(path.join(dir, 'model.json'), '{ not json');
+  const broken = createEyeClassifier({ modelPath: path.join(dir, 'model.json') });
+  assert.equal(await broken.load(), false);
+  assert.equal(broken.describe().status, CLASSIFIER_STATUS.FAILED);
+  assert.match(broken.describe().error, /JSON/);
+});
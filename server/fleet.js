@@ -0,0 +1,354 @@
+const fs = require('fs');
+
+const VEHICLE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_EVENTS_PER_REPORT = 500;
+const MAX_ALERTS_PER_VEHICLE = 5000;
+const DEFAULT_OFFLINE_AFTER_MS = 30 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 5000;
+const DEFAULT_ALERT_LIMIT = 100;
+const MAX_ALERT_LIMIT = 1000;
+// The log is rewritten once it has this many lines, or twice as many as its
+// last rewrite if that is more
+const DEFAULT_COMPACT_LINES = 10000;
+
+const VEHICLE_STATUS = {
+  ACTIVE: 'active',
+  ALERTING: 'alerting',
+  OFFLINE: 'offline'
+};
+
+const ALERT_EVENT_TYPES = ['alert-raised', 'alert-escalated', 'alert-cleared'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isSeverity = (value) => value === 0 || value === 1 || value === 2;
+
+// { name, metadata } of a registration, or { error }
+function parseRegistration(body) {
+  if (!isObject(body)) return { error: 'Body must be a JSON object' };
+  const { name, metadata = {} } = body;
+  if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!isObject(metadata)) return { error: 'metadata must be an object' };
+  return { registration: { name: name && name.trim() ? name.trim() : null, metadata } };
+}
+
+// { state, events } of a report, or { error }. The state is the reporter's
+// summary of the engine state and is kept as sent.
+function parseReport(body) {
+  if (!isObject(body)) return { error: 'Body must be a JSON object' };
+  const { state = null, events = [] } = body;
+  if (state !== null && !isObject(state)) return { error: 'state must be an object' };
+  if (state !== null && state.severity !== undefined && !isSeverity(state.severity)) {
+    return { error: 'state.severity must be 0, 1 or 2' };
+  }
+  if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_REPORT) {
+    return { error: `events must be an array of at most ${MAX_EVENTS_PER_REPORT} alert events` };
+  }
+  for (const event of events) {
+    if (!isObject(event) || !ALERT_EVENT_TYPES.includes(event.type) ||
+      typeof event.reason !== 'string' || event.reason.length > 64 ||
+      !isSeverity(event.severity) || !Number.isFinite(event.timestamp)) {
+      return { error: `events must be { type: ${ALERT_EVENT_TYPES.join(' | ')}, reason, severity, timestamp }` };
+    }
+  }
+  return { report: { state, events } };
+}
+
+// Milliseconds since the epoch from a number or an ISO date, or NaN
+const parseTime = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+// Filters of GET /fleet/.../alerts from a query string, or { error }:
+// reason, minSeverity, from and to (ISO dates or epoch milliseconds), limit
+function parseAlertQuery(query) {
+  const filters = {};
+  if (query.reason !== undefined) filters.reason = String(query.reason);
+  if (query.minSeverity !== undefined) {
+    filters.minSeverity = Number(query.minSeverity);
+    if (!isSeverity(filters.minSeverity)) return { error: 'minSeverity must be 0, 1 or 2' };
+  }
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    filters[name] = parseTime(String(query[name]));
+    if (Number.isNaN(filters[name])) return { error: `${name} must be an ISO date or milliseconds since the epoch` };
+  }
+  filters.limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_ALERT_LIMIT;
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_ALERT_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_ALERT_LIMIT}` };
+  }
+  return { filters };
+}
+
+// The fleet hub: vehicles register, then push reports of their detector state
+// and alert events (see shared/fleetReporter.js). The hub keeps the latest
+// state of every vehicle and its alert history, and tells subscribers about
+// every change so dashboards update live.
+//
+// Registrations and alert events are appended to `logFile` as JSON lines and
+// replayed on startup, so the history survives a restart. Writes happen in the
+// background, in order; once the log has grown enough it is rewritten with
+// just the vehicles and the alerts the hub still holds. A vehicle counts as
+// offline when it has not reported for `offlineAfterMs`.
+function createFleetHub({
+  logFile = null,
+  offlineAfterMs = DEFAULT_OFFLINE_AFTER_MS,
+  sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+  compactLines = DEFAULT_COMPACT_LINES,
+  now = Date.now
+} = {}) {
+  // id -> { id, name, metadata, registeredAt, lastSeenAt, state, status, alerts }
+  const vehicles = new Map();
+  const listeners = new Set();
+  let alertSequence = 0;
+
+  const emit = (type, data) => listeners.forEach(listener => listener({ type, data }));
+
+  const statusOf = (vehicle, time) => {
+    if (vehicle.lastSeenAt === null || time - vehicle.lastSeenAt > offlineAfterMs) return VEHICLE_STATUS.OFFLINE;
+    return vehicle.state && vehicle.state.severity > 0 ? VEHICLE_STATUS.ALERTING : VEHICLE_STATUS.ACTIVE;
+  };
+
+  const iso = (time) => (time === null ? null : new Date(time).toISOString());
+
+  const describeAlert = (alert) => ({
+    id: alert.id,
+    vehicleId: alert.vehicleId,
+    reason: alert.reason,
+    severity: alert.severity,
+    raisedAt: iso(alert.raisedAt),
+    clearedAt: iso(alert.clearedAt),
+    durationMs: alert.clearedAt === null ? null : alert.clearedAt - alert.raisedAt
+  });
+
+  const describe = (vehicle) => ({
+    id: vehicle.id,
+    name: vehicle.name,
+    metadata: vehicle.metadata,
+    status: vehicle.status,
+    registeredAt: iso(vehicle.registeredAt),
+    lastSeenAt: iso(vehicle.lastSeenAt),
+    state: vehicle.state,
+    openAlerts: vehicle.alerts.filter(alert => alert.clearedAt === null).map(describeAlert),
+    alertCount: vehicle.alerts.length
+  });
+
+  // Log writes, one after the other
+  let writes = Promise.resolve();
+  let logLines = 0;
+  let compactAt = compactLines;
+
+  const enqueueWrite = (write) => {
+    writes = writes.then(write).catch(err => console.error(`Failed to write ${logFile}:`, err.message));
+  };
+
+  const toLines = (records) => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+  // Replaces the log with the registrations and alerts held in memory, once it
+  // has grown enough. Called after the records appended so far are applied.
+  const compactIfGrown = () => {
+    if (!logFile || logLines < compactAt) return;
+    const records = [];
+    vehicles.forEach(vehicle => {
+      records.push({ kind: 'vehicle', id: vehicle.id, name: vehicle.name, metadata: vehicle.metadata, at: vehicle.registeredAt });
+      vehicle.alerts.forEach(({ reason, severity, raisedAt, clearedAt }) => {
+        records.push({ kind: 'alert', vehicleId: vehicle.id, reason, severity, raisedAt, clearedAt });
+      });
+    });
+    logLines = records.length;
+    compactAt = Math.max(compactLines, 2 * records.length);
+    const text = toLines(records);
+    const tempFile = `${logFile}.tmp`;
+    enqueueWrite(async () => {
+      await fs.promises.writeFile(tempFile, text);
+      await fs.promises.rename(tempFile, logFile);
+    });
+  };
+
+  const append = (record) => {
+    if (!logFile) return;
+    const text = toLines([record]);
+    enqueueWrite(() => fs.promises.appendFile(logFile, text));
+    logLines++;
+  };
+
+  const applyRegistration = ({ id, name, metadata, at }) => {
+    const existing = vehicles.get(id);
+    if (existing) {
+      existing.name = name || existing.name;
+      existing.metadata = metadata;
+      return existing;
+    }
+    const vehicle = {
+      id,
+      name: name || id,
+      metadata,
+      registeredAt: at,
+      lastSeenAt: null,
+      state: null,
+      status: VEHICLE_STATUS.OFFLINE,
+      alerts: []
+    };
+    vehicles.set(id, vehicle);
+    return vehicle;
+  };
+
+  const addAlert = (vehicle, alert) => {
+    vehicle.alerts.push(alert);
+    if (vehicle.alerts.length > MAX_ALERTS_PER_VEHICLE) vehicle.alerts.shift();
+    return alert;
+  };
+
+  const findOpenAlert = (vehicle, reason) =>
+    vehicle.alerts.find(alert => alert.reason === reason && alert.clearedAt === null);
+
+  // Applies one alert event at hub time `at`; returns the alert it changed
+  const applyEvent = (vehicle, event, at) => {
+    if (event.type === 'alert-raised') {
+      return addAlert(vehicle, {
+        id: `${vehicle.id}-${++alertSequence}`,
+        vehicleId: vehicle.id,
+        reason: event.reason,
+        severity: event.severity,
+        raisedAt: at,
+        clearedAt: null
+      });
+    }
+    const open = findOpenAlert(vehicle, event.reason);
+    if (!open) return null;
+    if (event.type === 'alert-escalated') {
+      open.severity = event.severity;
+    } else {
+      open.clearedAt = at;
+    }
+    return open;
+  };
+
+  // Replays the log of an earlier run. Alerts left open by a vehicle that
+  // went away stay open until it reports them cleared.
+  if (logFile && fs.existsSync(logFile)) {
+    fs.readFileSync(logFile, 'utf8').split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      logLines++;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        console.error(`${logFile}:${i + 1}: skipping a line that is not JSON`);
+        return;
+      }
+      if (record.kind === 'vehicle') {
+        applyRegistration(record);
+      } else if (record.kind === 'event' && vehicles.has(record.vehicleId)) {
+        applyEvent(vehicles.get(record.vehicleId), record, record.at);
+      } else if (record.kind === 'alert' && vehicles.has(record.vehicleId)) {
+        // Written by a rewrite of the log
+        const { vehicleId, reason, severity, raisedAt, clearedAt } = record;
+        addAlert(vehicles.get(vehicleId), { id: `${vehicleId}-${++alertSequence}`, vehicleId, reason, severity, raisedAt, clearedAt });
+      }
+    });
+    compactIfGrown();
+  }
+
+  // Registers a vehicle or updates its name and metadata. Returns
+  // { vehicle, created } or { error, status }.
+  const register = (id, body) => {
+    if (!VEHICLE_ID_PATTERN.test(id)) {
+      return { error: 'Vehicle IDs are 1-64 letters, digits, dots, dashes or underscores', status: 400 };
+    }
+    const { registration, error } = parseRegistration(body);
+    if (error) return { error, status: 400 };
+
+    const created = !vehicles.has(id);
+    const record = { kind: 'vehicle', id, ...registration, at: now() };
+    append(record);
+    const vehicle = applyRegistration(record);
+    compactIfGrown();
+    emit('vehicle', describe(vehicle));
+    return { vehicle: describe(vehicle), created };
+  };
+
+  // A report of a registered vehicle. Returns { vehicle } or { error, status }.
+  const report = (id, body) => {
+    const vehicle = vehicles.get(id);
+    if (!vehicle) return { error: 'Vehicle not registered', status: 404 };
+    const { report: parsed, error } = parseReport(body);
+    if (error) return { error, status: 400 };
+
+    const receivedAt = now();
+    // Event times are on the device clock. The state is the device's latest,
+    // so an event's age is its distance from the state's timestamp; events
+    // that were held back while the hub was unreachable keep their real time.
+    const deviceNow = parsed.state && Number.isFinite(parsed.state.timestamp) ? parsed.state.timestamp : null;
+    const hubTime = (event) => (deviceNow !== null && event.timestamp <= deviceNow
+      ? receivedAt - (deviceNow - event.timestamp)
+      : receivedAt);
+
+    parsed.events.forEach(event => {
+      const at = hubTime(event);
+      append({ kind: 'event', vehicleId: id, type: event.type, reason: event.reason, severity: event.severity, at });
+      const alert = applyEvent(vehicle, event, at);
+      if (alert) emit('alert', describeAlert(alert));
+    });
+    compactIfGrown();
+
+    vehicle.lastSeenAt = receivedAt;
+    if (parsed.state) vehicle.state = parsed.state;
+    vehicle.status = statusOf(vehicle, receivedAt);
+    emit('vehicle', describe(vehicle));
+    return { vehicle: describe(vehicle) };
+  };
+
+  const list = () => [...vehicles.values()]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(describe);
+
+  const get = (id) => (vehicles.has(id) ? describe(vehicles.get(id)) : null);
+
+  // Alerts matching `filters` (see parseAlertQuery), newest first, of one
+  // vehicle or of the whole fleet
+  const queryAlerts = ({ vehicleId = null, reason, minSeverity, from, to, limit = DEFAULT_ALERT_LIMIT } = {}) => {
+    const source = vehicleId ? [vehicles.get(vehicleId)].filter(Boolean) : [...vehicles.values()];
+    return source
+      .flatMap(vehicle => vehicle.alerts)
+      .filter(alert => (reason === undefined || alert.reason === reason) &&
+        (minSeverity === undefined || alert.severity >= minSeverity) &&
+        (from === undefined || alert.raisedAt >= from) &&
+        (to === undefined || alert.raisedAt <= to))
+      .sort((a, b) => b.raisedAt - a.raisedAt)
+      .slice(0, limit)
+      .map(describeAlert);
+  };
+
+  // `listener({ type: 'vehicle' | 'alert', data })` on every change; returns
+  // the function that unsubscribes it
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Vehicles that stopped reporting go offline
+  const sweep = () => {
+    const time = now();
+    vehicles.forEach(vehicle => {
+      const status = statusOf(vehicle, time);
+      if (status !== vehicle.status) {
+        vehicle.status = status;
+        emit('vehicle', describe(vehicle));
+      }
+    });
+  };
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  // Resolves once the log writes so far are done
+  const close = () => {
+    clearInterval(timer);
+    listeners.clear();
+    return writes;
+  };
+
+  return { register, report, list, get, queryAlerts, subscribe, sweep, close };
+}
+
+module.exports = { createFleetHub, parseAlertQuery, VEHICLE_STATUS };
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFleetHub, parseAlertQuery, VEHICLE_STATUS } = require('./fleet');
+
+const tempLogFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fleet-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'fleet-log.jsonl');
+};
+
+const state = (timestamp, severity = 0) => ({ timestamp, faceDetected: true, ear: 0.3, perclos: 0.05, severity, alertReasons: [] });
+const event = (type, reason, severity, timestamp) => ({ type, reason, severity, timestamp });
+
+test('tracks vehicle status from reports and pushes every change', (t) => {
+  let time = 1000000;
+  const hub = createFleetHub({ offlineAfterMs: 30000, now: () => time });
+  t.after(hub.close);
+  const pushed = [];
+  hub.subscribe(message => pushed.push(message));
+
+  assert.equal(hub.register('VEH 1', {}).status, 400);
+  assert.equal(hub.report('VEH001', { state: state(0) }).status, 404);
+  const { vehicle, created } = hub.register('VEH001', { name: 'Truck 1' });
+  assert.equal(created, true);
+  assert.equal(vehicle.status, VEHICLE_STATUS.OFFLINE);
+
+  assert.equal(hub.report('VEH001', { state: state(5000) }).vehicle.status, VEHICLE_STATUS.ACTIVE);
+  const alerting = hub.report('VEH001', {
+    state: state(7000, 1),
+    events: [event('alert-raised', 'eyes-closed', 1, 6500)]
+  }).vehicle;
+  assert.equal(alerting.status, VEHICLE_STATUS.ALERTING);
+  assert.equal(alerting.state.ear, 0.3);
+  assert.equal(alerting.openAlerts[0].reason, 'eyes-closed');
+  // The event happened 500 ms before the report on the device clock
+  assert.equal(Date.parse(alerting.openAlerts[0].raisedAt), time - 500);
+
+  time += 31000;
+  hub.sweep();
+  assert.equal(hub.get('VEH001').status, VEHICLE_STATUS.OFFLINE);
+  assert.deepEqual(pushed.map(message => message.type),
+    ['vehicle', 'vehicle', 'alert', 'vehicle', 'vehicle']);
+  assert.equal(pushed[pushed.length - 1].data.status, VEHICLE_STATUS.OFFLINE);
+
+  assert.equal(hub.report('VEH001', { events: [{ type: 'alert-raised' }] }).status, 400);
+});
+
+test('keeps alert history across restarts and filters it', async (t) => {
+  const logFile = tempLogFile(t);
+  let time = Date.parse('2026-03-01T08:00:00Z');
+  const hub = createFleetHub({ logFile, now: () => time });
+  t.after(hub.close);
+
+  hub.register('VEH001', {});
+  hub.register('VEH002', {});
+  hub.report('VEH001', { state: state(1000, 1), events: [event('alert-raised', 'eyes-closed', 1, 1000)] });
+  time += 2000;
+  hub.report('VEH001', {
+    state: state(3000),
+    events: [event('alert-escalated', 'eyes-closed', 2, 2500), event('alert-cleared', 'eyes-closed', 0, 3000)]
+  });
+  time += 60000;
+  hub.report('VEH002', { state: state(500, 1), events: [event('alert-raised', 'distracted', 1, 500)] });
+  await hub.close();
+
+  const restarted = createFleetHub({ logFile, now: () => time });
+  t.after(restarted.close);
+  const [closed] = restarted.queryAlerts({ vehicleId: 'VEH001' });
+  assert.equal(closed.reason, 'eyes-closed');
+  assert.equal(closed.severity, 2);
+  assert.equal(closed.durationMs, 2000);
+  assert.equal(restarted.get('VEH001').status, VEHICLE_STATUS.OFFLINE);
+
+  assert.deepEqual(restarted.queryAlerts().map(alert => alert.vehicleId), ['VEH002', 'VEH001']);
+  assert.equal(restarted.queryAlerts({ minSeverity: 2 }).length, 1);
+  assert.equal(restarted.queryAlerts({ reason: 'distracted' })[0].vehicleId, 'VEH002');
+  assert.equal(restarted.queryAlerts({ from: Date.parse('2026-03-01T08:00:30Z') }).length, 1);
+  assert.equal(restarted.queryAlerts({ limit: 1 }).length, 1);
+});
+
+test('rewrites a grown log with only the alerts it keeps', async (t) => {
+  const logFile = tempLogFile(t);
+  let time = Date.parse('2026-03-01T08:00:00Z');
+  const hub = createFleetHub({ logFile, compactLines: 20, now: () => time });
+  t.after(hub.close);
+
+  hub.register('VEH001', { name: 'Truck 1' });
+  for (let i = 0; i < 12; i++) {
+    time += 1000;
+    hub.report('VEH001', {
+      events: [event('alert-raised', 'eyes-closed', 1, 0), event('alert-cleared', 'eyes-closed', 0, 0)]
+    });
+  }
+  hub.report('VEH001', { events: [event('alert-raised', 'distracted', 2, 0)] });
+  await hub.close();
+
+  // The registration and 10 reports of 2 events passed 20 lines, so the log
+  // was rewritten as the vehicle and its 10 alerts; 5 events followed
+  const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 16);
+  assert.equal(lines[0].kind, 'vehicle');
+  assert.equal(lines.filter(line => line.kind === 'alert').length, 10);
+
+  const restarted = createFleetHub({ logFile, now: () => time });
+  t.after(restarted.close);
+  assert.equal(restarted.get('VEH001').name, 'Truck 1');
+  assert.equal(restarted.get('VEH001').alertCount, 13);
+  assert.equal(restarted.get('VEH001').openAlerts[0].reason, 'distracted');
+  assert.equal(restarted.queryAlerts({ reason: 'eyes-closed' }).every(alert => alert.durationMs === 0), true);
+});
+
+test('parses alert filters from a query string', () => {
+  assert.deepEqual(parseAlertQuery({ minSeverity: '2', from: '2026-03-01T08:00:00Z', to: '1772352000000' }).filters, {
+    minSeverity: 2,
+    from: Date.parse('2026-03-01T08:00:00Z'),
+    to: 1772352000000,
+    limit: 100
+  });
+  assert.match(parseAlertQuery({ minSeverity: '5' }).error, /minSeverity/);
+  assert.match(parseAlertQuery({ from: 'yesterday' }).error, /from/);
+  assert.match(parseAlertQuery({ limit: '0' }).error, /limit/);
+});
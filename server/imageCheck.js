@@ -0,0 +1,94 @@
+// Image type and size from the first bytes of an upload, so files that are not
+// images, or images too large to decode on a small board, are turned away
+// before anything is decoded. The Content-Type a client sends is not trusted.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers, which hold the image size. C4 (Huffman tables),
+// C8 (reserved) and CC (arithmetic coding) share the range but are not frames.
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf &&
+  marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (isStartOfFrame(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function webpSize(buffer) {
+  if (buffer.length < 30) return null;
+  switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+// { type, width, height } of a JPEG, PNG or WebP image, where width and height
+// are null when the header is cut short or corrupt. Null for anything else.
+function inspectImage(buffer) {
+  let type = null;
+  let size = null;
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    type = 'image/jpeg';
+    size = jpegSize(buffer);
+  } else if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    type = 'image/png';
+    size = pngSize(buffer);
+  } else if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+    buffer.toString('latin1', 8, 12) === 'WEBP') {
+    type = 'image/webp';
+    size = webpSize(buffer);
+  }
+
+  if (!type) return null;
+  return { type, width: size ? size.width : null, height: size ? size.height : null };
+}
+
+// Types node-canvas can decode. WebP is recognised but refused, since canvas
+// builds usually lack WebP support and would fail at decoding.
+const DECODABLE_TYPES = ['image/jpeg', 'image/png'];
+
+// Why an image upload is refused, as { status, error }, or null to accept it
+function checkImage(buffer, { maxDimension }) {
+  const image = inspectImage(buffer);
+  if (!image || !DECODABLE_TYPES.includes(image.type)) {
+    return { status: 415, error: 'Unsupported image type. Send a JPEG or PNG image' };
+  }
+  if (!image.width || !image.height) {
+    return { status: 400, error: 'Image header is corrupt or truncated' };
+  }
+  if (image.width > maxDimension || image.height > maxDimension) {
+    return {
+      status: 413,
+      error: `Image is ${image.width}x${image.height}; images may be at most ${maxDimension} pixels on each side`
+    };
+  }
+  return null;
+}
+
+module.exports = { inspectImage, checkImage };
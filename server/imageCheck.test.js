@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { inspectImage, checkImage } = require('./imageCheck');
+
+// Minimal headers, enough to carry the type and size
+function jpegHeader(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+  const frame = Buffer.alloc(19);
+  frame.writeUInt16BE(0xffc0, 0);
+  frame.writeUInt16BE(17, 2);
+  frame[4] = 8;
+  frame.writeUInt16BE(height, 5);
+  frame.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, frame]);
+}
+
+function webpHeader(width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'latin1');
+  header.write('WEBPVP8X', 8, 'latin1');
+  header.writeUInt32LE(10, 16);
+  header.writeUIntLE(width - 1, 24, 3);
+  header.writeUIntLE(height - 1, 27, 3);
+  return header;
+}
+
+test('reads the type and size of JPEG, PNG and WebP images', () => {
+  // Despite its name the sample image is a JPEG: the extension is not trusted either
+  const sample = inspectImage(fs.readFileSync(path.join(__dirname, 'test_face.png')));
+  assert.equal(sample.type, 'image/jpeg');
+  assert.ok(sample.width > 0 && sample.height > 0);
+
+  const png = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+  png.write('IHDR', 12, 'latin1');
+  png.writeUInt32BE(800, 16);
+  png.writeUInt32BE(600, 20);
+  assert.deepEqual(inspectImage(png), { type: 'image/png', width: 800, height: 600 });
+
+  assert.deepEqual(inspectImage(jpegHeader(640, 480)), { type: 'image/jpeg', width: 640, height: 480 });
+  assert.deepEqual(inspectImage(webpHeader(1280, 720)), { type: 'image/webp', width: 1280, height: 720 });
+  assert.equal(inspectImage(Buffer.from('GIF89a')), null);
+  assert.equal(inspectImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+});
+
+test('refuses other types, oversized and truncated images', () => {
+  const limits = { maxDimension: 1920 };
+  assert.equal(checkImage(jpegHeader(1920, 1080), limits), null);
+  assert.equal(checkImage(Buffer.from('%PDF-1.7'), limits).status, 415);
+  assert.equal(checkImage(webpHeader(640, 480), limits).status, 415);
+  assert.equal(checkImage(jpegHeader(20000, 20000), limits).status, 413);
+  assert.equal(checkImage(jpegHeader(640, 480).subarray(0, 24), limits).status, 400);
+});
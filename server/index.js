@@ -1,79 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const { FilesetResolver, FaceLandmarker } = require('@mediapipe/tasks-vision');
 const { createCanvas, loadImage } = require('canvas');
-const fs = require('fs');
+const { createSessionStore } = require('./sessions');
+const { createSessionRouter } = require('./sessionRoutes');
+const { parseEngineOptions } = require('./engineOptions');
+const { attachStreamServer } = require('./stream');
+const { createJobQueue } = require('./jobs');
+const { recordingKind, openZipFrames, openVideoFrames, analyzeRecording } = require('./recordings');
+const { mqttConfigFromEnv, createMqttPublisher } = require('./mqttPublisher');
+const { createAlertOutputs, alertOutputsFromEnv } = require('./outputs');
+const { createWebhookRegistry, parseRegistration } = require('./webhooks');
+const { createConfigStore, CONFIG_SCHEMA } = require('./config');
+const { createModelLoader, MODEL_STATUS } = require('./modelLoader');
+const { createMetrics } = require('./metrics');
+const { createApiKeyStore, requestCredential } = require('./apiKeys');
+const { createRateLimiter } = require('./rateLimit');
+const { checkImage } = require('./imageCheck');
+const { createFleetHub, parseAlertQuery } = require('./fleet');
+const { createEyeClassifier, CLASSIFIER_STATUS } = require('./eyeClassifier');
+
+// The detection engine is shared with the React app, which ships it as an ES module
+const enginePromise = import('../shared/drowsinessEngine.js');
+const cameraHealthPromise = import('../shared/cameraHealth.js');
 
 const app = express();
-const port = 3000;
 
-app.use(cors());
+// Settings from config.json (or CONFIG_FILE) and environment variables,
+// changed at runtime through /config
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+const config = createConfigStore({ filePath: CONFIG_FILE, onChange: applyConfig });
+const port = config.get().port;
+
+// Prometheus metrics for /metrics; the model and sessions are read when scraped
+const metrics = createMetrics({
+  describeModel: () => faceModelLoader.describe(),
+  sessionCount: () => sessions.list().length
+});
+
+// MediaPipe assets are loaded from disk so the API works without a network connection.
+// Defaults are the WASM runtime of the installed package and the bundled face model.
+const MEDIAPIPE_WASM_DIR = process.env.MEDIAPIPE_WASM_DIR ||
+  path.join(path.dirname(require.resolve('@mediapipe/tasks-vision')), 'wasm');
+const FACE_MODEL_PATH = process.env.FACE_MODEL_PATH || path.join(__dirname, 'face_landmarker.task');
+// The eye classifier of the CNN and fusion detection modes is the web app's
+const EYE_CLASSIFIER_PATH = process.env.EYE_CLASSIFIER_PATH ||
+  path.join(__dirname, '..', 'public', 'model', 'model.json');
+
+// API keys from API_KEYS and api-keys.json (or API_KEYS_FILE), managed
+// through /api-keys. Without any key the API is open, as before.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json');
+const apiKeys = createApiKeyStore({ filePath: API_KEYS_FILE });
+if (!apiKeys.enabled()) {
+  console.warn("No API keys configured: any client on the network can use the API. Set API_KEYS or create a key with POST /api-keys");
+}
+const rateLimiter = createRateLimiter();
+
+// Browser origins allowed by the corsOrigins setting. Requests without an
+// Origin header do not come from a web page and are not restricted.
+function originAllowed(origin) {
+  const setting = config.get().corsOrigins.trim();
+  if (setting === '*' || !origin) return true;
+  return setting.split(',').map(allowed => allowed.trim()).includes(origin);
+}
+
+// Who is calling, as { key } (null while authentication is off), or why they
+// may not, as { status, error, retryAfterSeconds? }. Callers are rate limited
+// per key, or per address while authentication is off.
+function authorize(req, { allowQuery = false } = {}) {
+  let key = null;
+  if (apiKeys.enabled()) {
+    const secret = requestCredential(req, { allowQuery });
+    if (!secret) {
+      return { status: 401, error: 'API key required. Send it as "Authorization: Bearer <key>" or in an X-API-Key header' };
+    }
+    key = apiKeys.authenticate(secret);
+    if (!key) {
+      return { status: 401, error: 'Invalid or revoked API key' };
+    }
+  }
+
+  const client = key ? `key:${key.id}` : `address:${req.socket.remoteAddress}`;
+  const limit = rateLimiter.take(client, config.get().rateLimitPerMinute);
+  if (!limit.allowed) {
+    const retryAfterSeconds = Math.ceil(limit.retryAfterMs / 1000);
+    return { status: 429, error: `Too many requests. Retry in ${retryAfterSeconds} s`, retryAfterSeconds };
+  }
+  return { key };
+}
+
+// Probes and the web app's model files need no key
+const isPublicPath = (urlPath) => urlPath === '/healthz' || urlPath === '/readyz' || urlPath.startsWith('/mediapipe/');
+
+app.use(cors({
+  origin: (origin, callback) => callback(null, config.get().corsOrigins.trim() === '*' ? '*' : originAllowed(origin)),
+  exposedHeaders: ['Retry-After']
+}));
+app.use(metrics.middleware());
+app.use((req, res, next) => {
+  if (isPublicPath(req.path)) return next();
+  // EventSource cannot set headers either
+  const { key, status, error, retryAfterSeconds } = authorize(req, { allowQuery: req.path === '/fleet/events' });
+  if (error) {
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+    if (retryAfterSeconds) res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(status).json({ error });
+  }
+  req.apiKey = key;
+  next();
+});
 app.use(express.json());
 
-// Configure Multer for memory upload
-const upload = multer({ storage: multer.memoryStorage() });
+// Settings, webhooks and keys can only be changed with an admin key
+function requireAdmin(req, res, next) {
+  if (req.apiKey && !req.apiKey.admin) {
+    return res.status(403).json({ error: "This needs an admin API key" });
+  }
+  next();
+}
+
+// The same assets for web clients that point VITE_MEDIAPIPE_ASSET_PATH at this API
+app.use('/mediapipe/wasm', express.static(MEDIAPIPE_WASM_DIR));
+app.get('/mediapipe/face_landmarker.task', (req, res) => res.sendFile(FACE_MODEL_PATH));
+
+// Runs a multer middleware and answers its errors: 413 for a file over
+// `maxBytes`, 400 for any other malformed upload
+const acceptUpload = (middleware, maxBytes) => (req, res, next) => middleware(req, res, (err) => {
+  if (!err) return next();
+  if (!(err instanceof multer.MulterError)) return next(err);
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `File is larger than the limit of ${maxBytes} bytes` });
+  }
+  res.status(400).json({ error: `Invalid upload: ${err.message}` });
+});
+
+// Images are kept in memory, up to the maxUploadBytes setting
+const imageUpload = (req, res, next) => {
+  const { maxUploadBytes } = config.get();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes, files: 1, fields: 10, fieldSize: 64 * 1024 }
+  });
+  acceptUpload(upload.single('image'), maxUploadBytes)(req, res, next);
+};
+
+// Refuses an uploaded image that is not JPEG or PNG, or is larger than
+// maxImageDimension, going by its header and before it is decoded
+function checkImageUpload(req, res, next) {
+  if (!req.file) return next();
+  const problem = checkImage(req.file.buffer, { maxDimension: config.get().maxImageDimension });
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+  next();
+}
+
+// Recordings can be large, so they go to a temporary file instead of memory
+const MAX_RECORDING_BYTES = 2 * 1024 * 1024 * 1024;
+const recordingUpload = acceptUpload(
+  multer({ dest: os.tmpdir(), limits: { fileSize: MAX_RECORDING_BYTES, files: 1 } }).single('file'),
+  MAX_RECORDING_BYTES
+);
 
+let vision = null;
+let faceModel = null;
 let faceLandmarker = null;
 
-// Initialize MediaPipe FaceLandmarker
+const LANDMARKER_SETTINGS = ['numFaces', 'minFaceDetectionConfidence', 'minFacePresenceConfidence', 'minTrackingConfidence'];
+
+const landmarkerSettings = (values) =>
+  Object.fromEntries(LANDMARKER_SETTINGS.map(name => [name, values[name]]));
+
+// VIDEO mode landmarkers for recordings are created per job from the same files
+function createFaceLandmarker(runningMode) {
+  return FaceLandmarker.createFromOptions(vision, {
+    baseOptions: {
+      modelAssetBuffer: faceModel,
+      delegate: "CPU" // Use CPU for Node.js
+    },
+    runningMode,
+    outputFacialTransformationMatrixes: true,
+    ...landmarkerSettings(config.get())
+  });
+}
+
+// Initialize MediaPipe FaceLandmarker; rejects so the loader can retry
 async function initializeFaceLandmarker() {
-  try {
-    const vision = await FilesetResolver.forVisionTasks(
-      "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-    );
-    
-    faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
-      baseOptions: {
-        modelAssetPath: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-        delegate: "CPU" // Use CPU for Node.js
-      },
-      numFaces: 1,
-      runningMode: "IMAGE",
-      minFaceDetectionConfidence: 0.5,
-      minFacePresenceConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    });
-    
-    console.log("FaceLandmarker initialized successfully");
-  } catch (error) {
-    console.error("Error initializing FaceLandmarker:", error);
+  vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_DIR);
+  faceModel = new Uint8Array(fs.readFileSync(FACE_MODEL_PATH));
+  faceLandmarker = await createFaceLandmarker("IMAGE");
+}
+
+// Retried with backoff until it loads, or MODEL_INIT_MAX_ATTEMPTS times when set
+const modelMaxAttempts = Number(process.env.MODEL_INIT_MAX_ATTEMPTS);
+const faceModelLoader = createModelLoader({
+  name: 'FaceLandmarker',
+  load: initializeFaceLandmarker,
+  maxAttempts: Number.isInteger(modelMaxAttempts) && modelMaxAttempts > 0 ? modelMaxAttempts : Infinity
+});
+
+// 503 for requests that need the model, saying why it is not available
+function modelUnavailable(res) {
+  const model = faceModelLoader.describe();
+  if (model.nextAttemptAt) {
+    const seconds = Math.ceil((Date.parse(model.nextAttemptAt) - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(1, seconds)));
   }
+  return res.status(503).json({ error: model.reason, model });
 }
 
-// EAR Calculator
-const calculateEAR = (eye) => {
-  if (!eye || eye.length !== 6) return 0;
-  
-  const euclidean = (p1, p2) => {
-    return Math.sqrt(
-      Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)
-    );
-  };
-  
-  const A = euclidean(eye[1], eye[5]);
-  const B = euclidean(eye[2], eye[4]);
-  const C = euclidean(eye[0], eye[3]);
+const SESSION_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_RECORDING_FPS = 10;
+const MAX_RECORDING_FPS = 60;
+
+// Alerts and telemetry for fleet monitoring, enabled by setting MQTT_URL
+const mqttConfig = mqttConfigFromEnv();
+const mqttPublisher = mqttConfig ? createMqttPublisher(mqttConfig) : null;
+if (mqttPublisher) {
+  console.log(`Publishing alerts to ${mqttConfig.url} (${mqttConfig.topics.alerts})`);
+}
+
+// Serial, CAN and GPIO alert outputs, each enabled by its own variables
+const alertOutputs = createAlertOutputs(alertOutputsFromEnv());
+alertOutputs.adapters.forEach(adapter => console.log(`Alert output enabled: ${adapter.name}`));
+
+// HTTP callbacks for alert events, registered through /webhooks and kept in
+// webhooks.json (or WEBHOOKS_FILE) across restarts
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(__dirname, 'webhooks.json');
+const webhooks = createWebhookRegistry({ filePath: WEBHOOKS_FILE, vehicleId: process.env.VEHICLE_ID || os.hostname() });
+
+// Reports to a fleet hub, enabled by setting FLEET_HUB_URL
+let fleetReporter = null;
+if (process.env.FLEET_HUB_URL) {
+  import('../shared/fleetReporter.js').then(({ createFleetReporter }) => {
+    fleetReporter = createFleetReporter({
+      hubUrl: process.env.FLEET_HUB_URL,
+      vehicleId: process.env.VEHICLE_ID || os.hostname(),
+      apiKey: process.env.FLEET_API_KEY || '',
+      metadata: { client: 'node-api' }
+    });
+    console.log(`Reporting to the fleet hub at ${process.env.FLEET_HUB_URL}`);
+  });
+}
+
+const sessions = createSessionStore({
+  idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  onResult: (session, { state, events }) => {
+    metrics.recordEvents(events);
+    if (fleetReporter) fleetReporter.record(state, events);
+    if (mqttPublisher) mqttPublisher.recordEvents(session.id, state, events);
+    alertOutputs.recordState(session.id, state);
+    webhooks.dispatch(session.id, state, events);
+  }
+});
+const jobs = createJobQueue();
+
+faceModelLoader.start();
+
+const eyeClassifier = createEyeClassifier({ modelPath: EYE_CLASSIFIER_PATH });
+eyeClassifier.load().then(() => {
+  const { status, error } = eyeClassifier.describe();
+  if (status === CLASSIFIER_STATUS.READY) {
+    console.log(`Eye classifier loaded from ${EYE_CLASSIFIER_PATH}`);
+  } else if (status === CLASSIFIER_STATUS.FAILED) {
+    console.error(`Failed to load the eye classifier: ${error}; detection uses the EAR only`);
+  } else {
+    console.log(`No eye classifier at ${EYE_CLASSIFIER_PATH}; detection uses the EAR only`);
+  }
+});
+
+// Decode an image into a canvas MediaPipe can read
+async function decodeImage(imageBuffer) {
+  const image = await loadImage(imageBuffer);
   
-  const ear = (A + B) / (2.0 * C);
-  return ear;
-};
+  // Create a canvas and draw the image to pass to MediaPipe
+  // Note: MediaPipe Node API often accepts Canvas or Image objects
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return canvas;
+}
 
-const getEyeLandmarks = (landmarks, eyeIndices) => {
-  return eyeIndices.map(idx => landmarks[idx]);
-};
+// The first face of a detection result as an engine frame:
+// { landmarks, transformationMatrix }, both null when no face was found
+function toEngineFrame(results) {
+  if (!results.faceLandmarks || results.faceLandmarks.length === 0) {
+    return { landmarks: null, transformationMatrix: null };
+  }
 
-// Indices for eyes (same as client-side)
-const LEFT_EYE = [362, 385, 387, 263, 373, 380];
-const RIGHT_EYE = [33, 160, 158, 133, 153, 144];
-const EAR_THRESHOLD = 0.25;
+  return {
+    landmarks: results.faceLandmarks[0],
+    transformationMatrix: results.facialTransformationMatrixes
+      ? results.facialTransformationMatrixes[0]
+      : null
+  };
+}
 
-initializeFaceLandmarker();
+// Runs `detect` on a decoded image and returns the engine frame for it, with the
+// camera health sample of the image and the eye classifier's closed-eye
+// probabilities when it is loaded. `mode` labels the inference metrics.
+async function analyzeImage(imageBuffer, detect, mode) {
+  const canvas = await decodeImage(imageBuffer);
+  const { measureFrame } = await cameraHealthPromise;
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const started = performance.now();
+  const face = toEngineFrame(detect(canvas));
+  metrics.recordInference(mode, (performance.now() - started) / 1000, face.landmarks !== null);
+  let classifier = null;
+  if (face.landmarks) {
+    try {
+      classifier = await eyeClassifier.classify(canvas, face.landmarks);
+    } catch (err) {
+      // The frame still counts, decided by the EAR
+      console.error("Eye classification failed:", err.message);
+    }
+  }
+  return { ...face, classifier, camera: measureFrame(data, width, height) };
+}
+
+function detectFace(imageBuffer) {
+  return analyzeImage(imageBuffer, canvas => faceLandmarker.detect(canvas), 'image');
+}
 
 // API Endpoint
-app.post('/analyze', upload.single('image'), async (req, res) => {
+app.post('/analyze', imageUpload, checkImageUpload, async (req, res) => {
   if (!faceLandmarker) {
-    return res.status(503).json({ error: "Model not initialized yet" });
+    return modelUnavailable(res);
   }
 
   if (!req.file) {
@@ -81,43 +337,41 @@ app.post('/analyze', upload.single('image'), async (req, res) => {
   }
 
   try {
-    const imagebuffer = req.file.buffer;
-    const image = await loadImage(imagebuffer);
-    
-    // Create a canvas and draw the image to pass to MediaPipe
-    // Note: MediaPipe Node API often accepts Canvas or Image objects
-    const canvas = createCanvas(image.width, image.height);
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(image, 0, 0);
-
-    const results = faceLandmarker.detect(canvas);
-
-    if (results.faceLandmarks && results.faceLandmarks.length > 0) {
-      const landmarks = results.faceLandmarks[0];
-      
-      const leftEye = getEyeLandmarks(landmarks, LEFT_EYE);
-      const rightEye = getEyeLandmarks(landmarks, RIGHT_EYE);
-      
-      const leftEAR = calculateEAR(leftEye);
-      const rightEAR = calculateEAR(rightEye);
-      const avgEAR = (leftEAR + rightEAR) / 2.0;
-      
-      const isEyesClosed = avgEAR < EAR_THRESHOLD;
+    const face = await detectFace(req.file.buffer);
 
+    const { createDrowsinessEngine } = await enginePromise;
+    const engine = createDrowsinessEngine(config.engineDefaults());
+    const { state } = engine.processFrame({ timestamp: Date.now(), ...face });
+
+    if (state.faceDetected) {
       res.json({
         success: true,
-        ear: avgEAR,
-        isEyesClosed: isEyesClosed,
+        ear: state.ear,
+        isEyesClosed: state.eyesClosed,
         details: {
-          leftEAR,
-          rightEAR,
-          threshold: EAR_THRESHOLD
+          leftEAR: state.leftEAR,
+          rightEAR: state.rightEAR,
+          threshold: state.threshold,
+          // The mode that decided, and how closed each eye looked
+          detectionMode: state.closure.mode,
+          closure: state.closure,
+          // PERCLOS needs a stream of frames; use a session to get a value
+          perclos: state.perclos,
+          mar: state.mar,
+          marThreshold: state.marThreshold,
+          mouthOpen: state.mouthOpen,
+          yawnCount: state.yawnCount,
+          yawnRate: state.yawnRate,
+          headPose: state.headPose,
+          camera: state.camera
         }
       });
     } else {
       res.json({
         success: false,
-        error: "No face detected"
+        error: "No face detected",
+        // Tells a dark or covered camera apart from an empty seat
+        camera: state.camera
       });
     }
   } catch (err) {
@@ -126,6 +380,407 @@ app.post('/analyze', upload.single('image'), async (req, res) => {
   }
 });
 
-app.listen(port, () => {
+// Recording analysis: a dashcam video or a zip of ordered frames, processed as a
+// background job. Returns 202 with the job; poll GET /analysis-jobs/:id for
+// progress and the timeline.
+app.post('/analysis-jobs', recordingUpload, async (req, res) => {
+  const removeUpload = () => (req.file ? fs.promises.unlink(req.file.path).catch(() => {}) : Promise.resolve());
+
+  if (!faceLandmarker) {
+    removeUpload();
+    return modelUnavailable(res);
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: "No recording provided. Upload a video or a zip of frames as 'file'" });
+  }
+
+  const kind = recordingKind(req.file);
+  if (!kind) {
+    removeUpload();
+    return res.status(400).json({ error: "Unsupported recording. Upload a video file or a zip of JPEG/PNG frames" });
+  }
+
+  const fps = req.body.fps !== undefined ? Number(req.body.fps) : DEFAULT_RECORDING_FPS;
+  if (!Number.isFinite(fps) || fps <= 0 || fps > MAX_RECORDING_FPS) {
+    removeUpload();
+    return res.status(400).json({ error: `fps must be a number between 0 and ${MAX_RECORDING_FPS}` });
+  }
+
+  // Engine options arrive as a JSON string in the multipart body
+  let options = {};
+  if (req.body.options !== undefined) {
+    let body;
+    try {
+      body = JSON.parse(req.body.options);
+    } catch {
+      removeUpload();
+      return res.status(400).json({ error: "options must be a JSON object" });
+    }
+    const parsed = parseEngineOptions(body);
+    if (parsed.error) {
+      removeUpload();
+      return res.status(400).json({ error: parsed.error });
+    }
+    options = parsed.options;
+  }
+
+  const { createDrowsinessEngine } = await enginePromise;
+  const filePath = req.file.path;
+
+  const job = jobs.create(async ({ signal, reportProgress }) => {
+    const landmarker = await createFaceLandmarker("VIDEO");
+    try {
+      // Frames in a zip may be as large as an uploaded image
+      const source = kind === 'zip'
+        ? await openZipFrames(filePath, { maxEntryBytes: config.get().maxUploadBytes })
+        : openVideoFrames(filePath, { fps, signal });
+      return await analyzeRecording({
+        source,
+        fps,
+        engine: createDrowsinessEngine({ ...config.engineDefaults(), ...options }),
+        // The same type and size checks as uploaded images
+        checkFrame: (image) => {
+          const problem = checkImage(image, { maxDimension: config.get().maxImageDimension });
+          return problem && problem.error;
+        },
+        detectFrame: (image, timestamp) =>
+          analyzeImage(image, canvas => landmarker.detectForVideo(canvas, timestamp), 'video'),
+        reportProgress,
+        signal
+      });
+    } finally {
+      landmarker.close();
+    }
+  }, {
+    metadata: { fileName: req.file.originalname, kind, fps },
+    cleanup: removeUpload
+  });
+
+  res.status(202).location(`/analysis-jobs/${job.id}`).json(jobs.describe(job));
+});
+
+app.get('/analysis-jobs', (req, res) => {
+  res.json(jobs.list().map(job => jobs.describe(job)));
+});
+
+app.get('/analysis-jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(jobs.describe(job, { includeResult: true }));
+});
+
+// Cancels a queued or running job, or deletes a finished one
+app.delete('/analysis-jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  jobs.cancel(job);
+  res.json(jobs.describe(job));
+});
+
+// Detection sessions: stateful frame streams with closure tracking and alerts
+app.use('/sessions', createSessionRouter({
+  sessions,
+  createEngine: async (options) => {
+    const { createDrowsinessEngine } = await enginePromise;
+    return createDrowsinessEngine({ ...config.engineDefaults(), ...options });
+  },
+  imageUpload: [imageUpload, checkImageUpload],
+  detectFace,
+  modelReady: () => faceLandmarker !== null,
+  modelUnavailable
+}));
+
+// Webhooks: HTTP callbacks for alert events, signed with a per-webhook secret
+app.post('/webhooks', requireAdmin, (req, res) => {
+  const { webhook, error } = parseRegistration(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const registered = webhooks.register(webhook);
+    res.status(201).location(`/webhooks/${registered.id}`).json(webhooks.describe(registered, { includeSecret: true }));
+  } catch (err) {
+    console.error("Failed to save webhook:", err);
+    res.status(500).json({ error: "Failed to save webhook", details: err.message });
+  }
+});
+
+app.get('/webhooks', (req, res) => {
+  res.json(webhooks.list().map(webhook => webhooks.describe(webhook)));
+});
+
+app.get('/webhooks/:id', (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  res.json(webhooks.describe(webhook));
+});
+
+app.delete('/webhooks/:id', requireAdmin, (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  try {
+    webhooks.remove(webhook.id);
+  } catch (err) {
+    // Removed until the next restart
+    console.error("Failed to save webhooks:", err);
+    return res.status(500).json({ error: "Failed to save webhooks", details: err.message });
+  }
+  res.json(webhooks.describe(webhook));
+});
+
+// Delivery log of a webhook, newest first; ?status=failed shows only failures
+app.get('/webhooks/:id/deliveries', (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  const { status = null } = req.query;
+  if (status !== null && !['pending', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: "status must be pending, delivered or failed" });
+  }
+  res.json(webhooks.listDeliveries({ webhookId: webhook.id, status }));
+});
+
+// Runtime configuration. PUT takes any subset of the settings; null restores a
+// default. Changes apply immediately, except those listed in pendingRestart.
+app.get('/config', (req, res) => {
+  res.json(config.describe());
+});
+
+app.put('/config', requireAdmin, (req, res) => {
+  try {
+    const { changed, error, status } = config.update(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ ...config.describe(), changed });
+  } catch (err) {
+    console.error("Failed to save configuration:", err);
+    res.status(500).json({ error: "Failed to save configuration", details: err.message });
+  }
+});
+
+// Applies changed settings to the running server: the face landmarker options,
+// and the engine defaults of sessions that did not choose their own
+function applyConfig(changed, values) {
+  if (faceLandmarker && changed.some(name => LANDMARKER_SETTINGS.includes(name))) {
+    faceLandmarker.setOptions(landmarkerSettings(values))
+      .catch(err => console.error("Failed to apply landmarker settings:", err));
+  }
+
+  const engineChanges = changed.filter(name => CONFIG_SCHEMA[name].engine);
+  if (engineChanges.length === 0) return;
+  sessions.list().forEach(session => {
+    const options = engineChanges
+      .filter(name => session.options[name] === undefined)
+      .map(name => [name, values[name]]);
+    if (options.length > 0) session.engine.configure(Object.fromEntries(options));
+  });
+}
+
+// API keys. Secrets are only shown in the response that creates them; revoked
+// keys stay listed with their revokedAt time.
+app.get('/api-keys', requireAdmin, (req, res) => {
+  res.json(apiKeys.list());
+});
+
+app.post('/api-keys', requireAdmin, (req, res) => {
+  try {
+    const { key, secret, error, status } = apiKeys.create(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).location(`/api-keys/${key.id}`).json({ ...key, secret });
+  } catch (err) {
+    console.error("Failed to save API key:", err);
+    res.status(500).json({ error: "Failed to save API key", details: err.message });
+  }
+});
+
+app.delete('/api-keys/:id', requireAdmin, (req, res) => {
+  try {
+    const { key, error, status } = apiKeys.revoke(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(key);
+  } catch (err) {
+    console.error("Failed to save API key revocation:", err);
+    res.status(500).json({ error: "Failed to save API key revocation", details: err.message });
+  }
+});
+
+// Fleet hub mode (FLEET_HUB=1): vehicles register and report their detector
+// state and alert events; dashboards follow them through /fleet/events.
+// Registrations and alerts are kept in FLEET_LOG_FILE across restarts.
+const FLEET_LOG_FILE = process.env.FLEET_LOG_FILE || path.join(__dirname, 'fleet-log.jsonl');
+const fleet = ['1', 'true', 'yes'].includes((process.env.FLEET_HUB || '').toLowerCase())
+  ? createFleetHub({ logFile: FLEET_LOG_FILE })
+  : null;
+const FLEET_HEARTBEAT_INTERVAL_MS = 25000;
+const FLEET_FEED_SIZE = 50;
+
+if (fleet) {
+  console.log(`Fleet hub enabled, keeping history in ${FLEET_LOG_FILE}`);
+
+  app.put('/fleet/vehicles/:id', (req, res) => {
+    try {
+      const { vehicle, created, error, status } = fleet.register(req.params.id, req.body);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      res.status(created ? 201 : 200).json(vehicle);
+    } catch (err) {
+      console.error("Failed to register vehicle:", err);
+      res.status(500).json({ error: "Failed to register vehicle", details: err.message });
+    }
+  });
+
+  app.post('/fleet/vehicles/:id/reports', (req, res) => {
+    try {
+      const { vehicle, error, status } = fleet.report(req.params.id, req.body);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      res.json({ status: vehicle.status });
+    } catch (err) {
+      console.error("Failed to record fleet report:", err);
+      res.status(500).json({ error: "Failed to record fleet report", details: err.message });
+    }
+  });
+
+  app.get('/fleet/vehicles', (req, res) => {
+    res.json(fleet.list());
+  });
+
+  app.get('/fleet/vehicles/:id', (req, res) => {
+    const vehicle = fleet.get(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ error: "Vehicle not found" });
+    }
+    res.json(vehicle);
+  });
+
+  // Alert history, newest first: ?reason=eyes-closed&minSeverity=2&from=...&to=...&limit=100
+  app.get('/fleet/vehicles/:id/alerts', (req, res) => {
+    if (!fleet.get(req.params.id)) {
+      return res.status(404).json({ error: "Vehicle not found" });
+    }
+    const { filters, error } = parseAlertQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(fleet.queryAlerts({ ...filters, vehicleId: req.params.id }));
+  });
+
+  app.get('/fleet/alerts', (req, res) => {
+    const { filters, error } = parseAlertQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(fleet.queryAlerts(filters));
+  });
+
+  // Server-sent events: a 'snapshot' of every vehicle and the latest alerts,
+  // then 'vehicle' and 'alert' events as they change
+  app.get('/fleet/events', (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', { vehicles: fleet.list(), alerts: fleet.queryAlerts({ limit: FLEET_FEED_SIZE }) });
+    const unsubscribe = fleet.subscribe(({ type, data }) => send(type, data));
+    // Comments keep proxies from closing a quiet connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), FLEET_HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+}
+
+// Liveness and readiness probes. /healthz fails only once the model has given
+// up loading, when a restart is the fix; /readyz fails until the model is
+// loaded, so a load balancer keeps traffic away from an instance that would
+// answer 503.
+app.get('/healthz', (req, res) => {
+  const model = faceModelLoader.describe();
+  const healthy = model.status !== MODEL_STATUS.FAILED;
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'failed',
+    uptimeSeconds: Math.round(process.uptime()),
+    model,
+    // Optional, so it never fails the probes
+    eyeClassifier: eyeClassifier.describe()
+  });
+});
+
+app.get('/readyz', (req, res) => {
+  const model = faceModelLoader.describe();
+  const ready = model.status === MODEL_STATUS.READY;
+  res.status(ready ? 200 : 503).json({ ready, reason: model.reason, model, eyeClassifier: eyeClassifier.describe() });
+});
+
+// Prometheus metrics in the text exposition format
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.contentType).send(await metrics.render());
+  } catch (err) {
+    console.error("Failed to collect metrics:", err);
+    res.status(500).json({ error: "Failed to collect metrics", details: err.message });
+  }
+});
+
+const server = app.listen(port, () => {
   console.log(`Drowsiness Detection API running at http://localhost:${port}`);
 });
+
+// Live frame streams over WebSocket, one detection session per connection
+enginePromise.then(({ createDrowsinessEngine }) => {
+  attachStreamServer(server, {
+    path: '/stream',
+    sessions,
+    createEngine: () => createDrowsinessEngine(config.engineDefaults()),
+    detectFace,
+    // Browsers cannot set headers on a WebSocket, so the key may be in the URL
+    admit: (req) => {
+      if (!originAllowed(req.headers.origin)) {
+        return { status: 403, error: 'Origin not allowed' };
+      }
+      const { error, status } = authorize(req, { allowQuery: true });
+      return error ? { status, error } : null;
+    },
+    checkFrame: (image) => {
+      const { maxUploadBytes, maxImageDimension } = config.get();
+      if (image.length > maxUploadBytes) {
+        return `Frame is larger than the limit of ${maxUploadBytes} bytes`;
+      }
+      const problem = checkImage(image, { maxDimension: maxImageDimension });
+      return problem ? problem.error : null;
+    },
+    unavailableReason: () => faceModelLoader.describe().reason
+  });
+  console.log(`Frame streaming available at ws://localhost:${port}/stream`);
+});
+
+// Sends the last fleet report, lets the MQTT broker know the device went
+// offline, turns alert outputs off and finishes writing the fleet log on a
+// normal shutdown
+const shutdown = async () => {
+  if (fleetReporter) await fleetReporter.stop().catch(() => {});
+  if (fleet) await fleet.close();
+  if (mqttPublisher) await mqttPublisher.close().catch(() => {});
+  await alertOutputs.close();
+  process.exit(0);
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Background jobs for long-running work such as recording analysis. Jobs run one
+// at a time in submission order, since each one keeps the CPU busy on its own.
+// A job is `queued`, `running`, `completed`, `failed` or `cancelled`; finished
+// jobs are kept for an hour so clients can fetch the result.
+function createJobQueue({ retentionMs = JOB_RETENTION_MS } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let running = null;
+
+  const isFinished = (job) => job.finishedAt !== null;
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && job.finishedAt < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const settle = (job, status) => {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.run = null;
+    Promise.resolve(job.cleanup()).catch(err => console.error(`Job ${job.id} cleanup failed:`, err));
+  };
+
+  const runNext = async () => {
+    if (running || queue.length === 0) return;
+    const job = queue.shift();
+    running = job;
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    try {
+      job.result = await job.run({
+        signal: job.controller.signal,
+        reportProgress: (progress) => {
+          job.progress = progress;
+        }
+      });
+      settle(job, 'completed');
+    } catch (err) {
+      job.error = err.message;
+      settle(job, job.controller.signal.aborted ? 'cancelled' : 'failed');
+      if (!job.controller.signal.aborted) {
+        console.error(`Job ${job.id} failed:`, err);
+      }
+    } finally {
+      running = null;
+      runNext();
+    }
+  };
+
+  // `run({ signal, reportProgress })` does the work; `cleanup` runs once the job
+  // is finished or cancelled, whether or not it started
+  const create = (run, { metadata = {}, cleanup = () => {} } = {}) => {
+    prune();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      metadata,
+      progress: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      run,
+      cleanup
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    runNext();
+    return job;
+  };
+
+  const get = (id) => {
+    prune();
+    return jobs.get(id) || null;
+  };
+
+  const list = () => {
+    prune();
+    return [...jobs.values()];
+  };
+
+  // Stops a queued or running job; a finished job is removed
+  const cancel = (job) => {
+    if (job.status === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      job.error = 'Cancelled';
+      settle(job, 'cancelled');
+    } else if (job.status === 'running') {
+      job.controller.abort(new Error('Cancelled'));
+    } else {
+      jobs.delete(job.id);
+    }
+  };
+
+  const describe = (job, { includeResult = false } = {}) => ({
+    id: job.id,
+    status: job.status,
+    ...job.metadata,
+    progress: job.progress,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    ...(includeResult ? { result: job.result } : {})
+  });
+
+  return { create, get, list, cancel, describe };
+}
+
+module.exports = { createJobQueue };
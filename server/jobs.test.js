@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('./jobs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A job that runs until release() is called, or until it is aborted
+function blockingJob() {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const run = async ({ signal, reportProgress }) => {
+    reportProgress({ processedFrames: 1, totalFrames: 2 });
+    await Promise.race([
+      done,
+      new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+    ]);
+    return { frames: 2 };
+  };
+  return { run, release: () => release() };
+}
+
+test('runs jobs one at a time and reports progress, results and failures', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const jobs = createJobQueue();
+  const first = blockingJob();
+  const cleaned = [];
+  const running = jobs.create(first.run, { metadata: { fileName: 'a.zip' }, cleanup: () => cleaned.push('a') });
+  const failing = jobs.create(async () => {
+    throw new Error('bad frame');
+  }, { cleanup: () => cleaned.push('b') });
+
+  assert.equal(running.status, 'running');
+  assert.deepEqual(jobs.describe(running).progress, { processedFrames: 1, totalFrames: 2 });
+  assert.equal(jobs.describe(running).fileName, 'a.zip');
+  assert.equal(jobs.describe(failing).status, 'queued');
+  assert.equal(jobs.describe(failing).queuePosition, 1);
+
+  first.release();
+  await sleep(10);
+
+  assert.equal(running.status, 'completed');
+  assert.deepEqual(jobs.describe(running, { includeResult: true }).result, { frames: 2 });
+  assert.equal(failing.status, 'failed');
+  assert.equal(failing.error, 'bad frame');
+  assert.deepEqual(cleaned, ['a', 'b']);
+  assert.equal(jobs.list().length, 2);
+});
+
+test('cancels queued and running jobs, deletes finished ones and drops them after the retention time', async () => {
+  const jobs = createJobQueue({ retentionMs: 20 });
+  const running = blockingJob();
+  const cleaned = [];
+  const first = jobs.create(running.run, { cleanup: () => cleaned.push('first') });
+  const second = jobs.create(async () => 'never', { cleanup: () => cleaned.push('second') });
+
+  jobs.cancel(second);
+  assert.equal(second.status, 'cancelled');
+  assert.deepEqual(cleaned, ['second']);
+
+  jobs.cancel(first);
+  await sleep(0);
+  assert.equal(first.status, 'cancelled');
+  assert.equal(first.error, 'Cancelled');
+  assert.deepEqual(cleaned, ['second', 'first']);
+
+  jobs.cancel(first);
+  assert.equal(jobs.get(first.id), null);
+
+  await sleep(30);
+  assert.equal(jobs.get(second.id), null);
+  assert.deepEqual(jobs.list(), []);
+});
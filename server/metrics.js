@@ -0,0 +1,128 @@
+const client = require('prom-client');
+
+// Frames the face-detected ratio is computed over
+const FACE_RATIO_WINDOW = 1000;
+
+// Inference takes tens of milliseconds on a desktop CPU and up to seconds on
+// a small board
+const INFERENCE_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Prometheus metrics of the API, served as text at /metrics. Besides the
+// process metrics of prom-client (memory, CPU, event loop lag) it counts
+// requests, inferences and alerts. `describeModel()` is the model loader's
+// describe() and `sessionCount()` the number of open detection sessions; both
+// are read when Prometheus scrapes.
+function createMetrics({ describeModel = () => null, sessionCount = () => 0 } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+  const registers = [registry];
+
+  const requests = new client.Counter({
+    name: 'drowsiness_http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers
+  });
+
+  const inference = new client.Histogram({
+    name: 'drowsiness_inference_duration_seconds',
+    help: 'Face landmark detection time per frame',
+    labelNames: ['mode'],
+    buckets: INFERENCE_BUCKETS,
+    registers
+  });
+
+  const frames = new client.Counter({
+    name: 'drowsiness_frames_analyzed_total',
+    help: 'Frames run through face detection, by whether a face was found',
+    labelNames: ['face'],
+    registers
+  });
+
+  // Ring buffer of the latest detections, 1 for a face and 0 for none
+  const recentFaces = [];
+  let recentIndex = 0;
+
+  new client.Gauge({
+    name: 'drowsiness_face_detected_ratio',
+    help: `Share of the last ${FACE_RATIO_WINDOW} analyzed frames in which a face was found`,
+    registers,
+    // NaN until a frame is analyzed, rather than a ratio of 0 that looks like no face
+    collect() {
+      if (recentFaces.length === 0) {
+        this.set(NaN);
+        return;
+      }
+      this.set(recentFaces.reduce((sum, face) => sum + face, 0) / recentFaces.length);
+    }
+  });
+
+  const alerts = new client.Counter({
+    name: 'drowsiness_alerts_total',
+    help: 'Alerts of detection sessions reaching a severity (raised or escalated), by reason',
+    labelNames: ['reason', 'severity'],
+    registers
+  });
+
+  new client.Gauge({
+    name: 'drowsiness_sessions_active',
+    help: 'Open detection sessions, including stream connections',
+    registers,
+    collect() {
+      this.set(sessionCount());
+    }
+  });
+
+  new client.Gauge({
+    name: 'drowsiness_model_ready',
+    help: '1 when the face landmark model is loaded, 0 otherwise',
+    registers,
+    collect() {
+      const model = describeModel();
+      this.set(model && model.status === 'ready' ? 1 : 0);
+    }
+  });
+
+  new client.Gauge({
+    name: 'drowsiness_model_load_attempts',
+    help: 'Attempts made to load the face landmark model',
+    registers,
+    collect() {
+      const model = describeModel();
+      this.set(model ? model.attempts : 0);
+    }
+  });
+
+  // Express middleware counting every request once it is answered. Routes are
+  // the route patterns (/sessions/:id), so ids do not create new series.
+  const middleware = () => (req, res, next) => {
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'other';
+      requests.inc({ method: req.method, route, status: String(res.statusCode) });
+    });
+    next();
+  };
+
+  // One face detection: `mode` is 'image' or 'video', `seconds` how long it took
+  const recordInference = (mode, seconds, faceFound) => {
+    inference.observe({ mode }, seconds);
+    frames.inc({ face: faceFound ? 'detected' : 'missing' });
+    recentFaces[recentIndex] = faceFound ? 1 : 0;
+    recentIndex = (recentIndex + 1) % FACE_RATIO_WINDOW;
+  };
+
+  // Engine events of a processed frame
+  const recordEvents = (events) => {
+    events.forEach(event => {
+      if (event.type === 'alert-raised' || event.type === 'alert-escalated') {
+        alerts.inc({ reason: event.reason, severity: String(event.severity) });
+      }
+    });
+  };
+
+  const render = () => registry.metrics();
+
+  return { middleware, recordInference, recordEvents, render, contentType: registry.contentType };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createMetrics } = require('./metrics');
+
+// The value of a series in the text exposition, or undefined
+function sample(text, series) {
+  const line = text.split('\n').find(row => row.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('counts inferences, face detection and alerts', async () => {
+  const metrics = createMetrics({
+    describeModel: () => ({ status: 'ready', attempts: 2 }),
+    sessionCount: () => 3
+  });
+
+  metrics.recordInference('image', 0.03, true);
+  metrics.recordInference('image', 0.2, true);
+  metrics.recordInference('video', 0.04, false);
+  metrics.recordInference('image', 0.02, false);
+  metrics.recordEvents([
+    { type: 'alert-raised', reason: 'eyes-closed', severity: 1 },
+    { type: 'alert-escalated', reason: 'eyes-closed', severity: 2 },
+    { type: 'alert-cleared', reason: 'eyes-closed', severity: 0 },
+    { type: 'alert-raised', reason: 'yawning', severity: 1 }
+  ]);
+
+  const text = await metrics.render();
+  assert.equal(sample(text, 'drowsiness_inference_duration_seconds_count{mode="image"}'), 3);
+  assert.equal(sample(text, 'drowsiness_inference_duration_seconds_bucket{le="0.05",mode="image"}'), 2);
+  assert.equal(sample(text, 'drowsiness_frames_analyzed_total{face="detected"}'), 2);
+  assert.equal(sample(text, 'drowsiness_frames_analyzed_total{face="missing"}'), 2);
+  assert.equal(sample(text, 'drowsiness_face_detected_ratio'), 0.5);
+  assert.equal(sample(text, 'drowsiness_alerts_total{reason="eyes-closed",severity="1"}'), 1);
+  assert.equal(sample(text, 'drowsiness_alerts_total{reason="eyes-closed",severity="2"}'), 1);
+  assert.equal(sample(text, 'drowsiness_alerts_total{reason="yawning",severity="1"}'), 1);
+  assert.equal(sample(text, 'drowsiness_sessions_active'), 3);
+  assert.equal(sample(text, 'drowsiness_model_ready'), 1);
+  assert.equal(sample(text, 'drowsiness_model_load_attempts'), 2);
+  assert.ok(sample(text, 'process_resident_memory_bytes') > 0);
+  assert.ok(sample(text, 'nodejs_heap_size_used_bytes') > 0);
+});
+
+test('counts requests by route pattern and status', async (t) => {
+  const metrics = createMetrics();
+  const app = express();
+  app.use(metrics.middleware());
+  app.get('/sessions/:id', (req, res) => res.status(404).json({ error: 'Session not found' }));
+  app.get('/metrics', async (req, res) => res.set('Content-Type', metrics.contentType).send(await metrics.render()));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await fetch(`${base}/sessions/a`);
+  await fetch(`${base}/sessions/b`);
+  await fetch(`${base}/nowhere`);
+
+  const response = await fetch(`${base}/metrics`);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  const text = await response.text();
+  assert.equal(sample(text, 'drowsiness_http_requests_total{method="GET",route="/sessions/:id",status="404"}'), 2);
+  assert.equal(sample(text, 'drowsiness_http_requests_total{method="GET",route="other",status="404"}'), 1);
+  // No frame analyzed yet, so no ratio
+  assert.ok(Number.isNaN(sample(text, 'drowsiness_face_detected_ratio')));
+  assert.equal(sample(text, 'drowsiness_model_ready'), 0);
+});
@@ -0,0 +1,103 @@
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 1000;
+
+const MODEL_STATUS = {
+  LOADING: 'loading',
+  READY: 'ready',
+  // The last attempt failed and another one is scheduled
+  RETRYING: 'retrying',
+  // Every attempt failed; only a restart loads the model now
+  FAILED: 'failed'
+};
+
+// Delay before retry `attempt` (1 = first retry): 1s, 2s, 4s, ... up to the maximum
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+
+// Loads a model in the background and retries with exponential backoff when
+// loading fails, so a slow disk or a missing file at boot does not leave the API
+// down until someone restarts it. `load()` returns a promise and rejects on
+// failure. `maxAttempts` defaults to retrying for as long as the server runs.
+function createModelLoader({
+  name = 'model',
+  load,
+  maxAttempts = Infinity,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  log = console
+}) {
+  let status = MODEL_STATUS.LOADING;
+  let attempts = 0;
+  let lastError = null;
+  let nextAttemptAt = null;
+  let readySince = null;
+  let timer = null;
+  let stopped = false;
+
+  const attempt = async () => {
+    timer = null;
+    nextAttemptAt = null;
+    attempts++;
+    try {
+      await load();
+      if (stopped) return;
+      status = MODEL_STATUS.READY;
+      readySince = Date.now();
+      log.log(`${name} loaded${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+    } catch (err) {
+      if (stopped) return;
+      lastError = { message: err.message, at: Date.now() };
+      if (attempts >= maxAttempts) {
+        status = MODEL_STATUS.FAILED;
+        log.error(`Failed to load ${name} (attempt ${attempts}), giving up:`, err);
+        return;
+      }
+      const delay = backoffDelay(attempts, baseDelayMs, maxDelayMs);
+      status = MODEL_STATUS.RETRYING;
+      nextAttemptAt = Date.now() + delay;
+      log.error(`Failed to load ${name} (attempt ${attempts}), retrying in ${delay} ms:`, err);
+      timer = setTimeout(attempt, delay);
+      timer.unref();
+    }
+  };
+
+  // Starts loading; the returned promise settles after the first attempt
+  const start = () => attempt();
+
+  const isReady = () => status === MODEL_STATUS.READY;
+
+  // Why the model cannot be used, or null when it can
+  const reason = () => {
+    switch (status) {
+      case MODEL_STATUS.READY:
+        return null;
+      case MODEL_STATUS.LOADING:
+        return 'Model not initialized yet';
+      case MODEL_STATUS.RETRYING:
+        return `Model failed to load (attempt ${attempts}): ${lastError.message}. Retrying`;
+      default:
+        return `Model failed to load after ${attempts} attempts: ${lastError.message}`;
+    }
+  };
+
+  const describe = () => ({
+    name,
+    status,
+    reason: reason(),
+    attempts,
+    maxAttempts: Number.isFinite(maxAttempts) ? maxAttempts : null,
+    lastError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null,
+    nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null,
+    readySince: readySince ? new Date(readySince).toISOString() : null
+  });
+
+  // Cancels a scheduled retry
+  const stop = () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  return { start, isReady, describe, stop };
+}
+
+module.exports = { createModelLoader, MODEL_STATUS };
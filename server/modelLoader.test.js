@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelLoader, MODEL_STATUS } = require('./modelLoader');
+
+const quiet = { log: () => {}, error: () => {} };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A load function that fails `failures` times before it succeeds
+function flakyLoad(failures) {
+  let calls = 0;
+  const load = async () => {
+    calls++;
+    if (calls <= failures) throw new Error(`disk not ready (${calls})`);
+  };
+  return { load, calls: () => calls };
+}
+
+test('retries a failing load with backoff until it succeeds', async (t) => {
+  const { load, calls } = flakyLoad(2);
+  const loader = createModelLoader({ load, baseDelayMs: 20, log: quiet });
+  t.after(loader.stop);
+
+  assert.equal(loader.describe().status, MODEL_STATUS.LOADING);
+  assert.equal(loader.describe().reason, 'Model not initialized yet');
+
+  await loader.start();
+  const retrying = loader.describe();
+  assert.equal(retrying.status, MODEL_STATUS.RETRYING);
+  assert.equal(retrying.attempts, 1);
+  assert.equal(retrying.lastError.message, 'disk not ready (1)');
+  assert.match(retrying.reason, /attempt 1\): disk not ready \(1\)/);
+  assert.ok(Date.parse(retrying.nextAttemptAt) > Date.now());
+
+  // Retries after 20 and 40 ms
+  await sleep(150);
+  const ready = loader.describe();
+  assert.equal(calls(), 3);
+  assert.equal(ready.status, MODEL_STATUS.READY);
+  assert.equal(ready.reason, null);
+  assert.equal(ready.nextAttemptAt, null);
+  assert.ok(ready.readySince);
+  assert.equal(loader.isReady(), true);
+});
+
+test('gives up after maxAttempts', async (t) => {
+  const { load, calls } = flakyLoad(Infinity);
+  const loader = createModelLoader({ load, maxAttempts: 2, baseDelayMs: 10, log: quiet });
+  t.after(loader.stop);
+
+  await loader.start();
+  await sleep(80);
+
+  const failed = loader.describe();
+  assert.equal(calls(), 2);
+  assert.equal(failed.status, MODEL_STATUS.FAILED);
+  assert.equal(failed.maxAttempts, 2);
+  assert.equal(failed.nextAttemptAt, null);
+  assert.equal(failed.reason, 'Model failed to load after 2 attempts: disk not ready (2)');
+  assert.equal(loader.isReady(), false);
+});
+
+test('stop cancels a scheduled retry', async () => {
+  const { load, calls } = flakyLoad(Infinity);
+  const loader = createModelLoader({ load, baseDelayMs: 20, log: quiet });
+
+  await loader.start();
+  loader.stop();
+  await sleep(60);
+  assert.equal(calls(), 1);
+});
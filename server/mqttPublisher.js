@@ -0,0 +1,185 @@
+const os = require('os');
+const mqtt = require('mqtt');
+
+const DEFAULT_TELEMETRY_INTERVAL_MS = 5000;
+const DEFAULT_MAX_BUFFERED_MESSAGES = 1000;
+const DEFAULT_RECONNECT_PERIOD_MS = 5000;
+
+const isQos = (value) => value === 0 || value === 1 || value === 2;
+
+// Publisher settings from MQTT_* environment variables, or null when MQTT_URL
+// is not set and publishing is disabled
+function mqttConfigFromEnv(env = process.env) {
+  if (!env.MQTT_URL) return null;
+
+  const vehicleId = env.VEHICLE_ID || os.hostname();
+  const topicPrefix = env.MQTT_TOPIC_PREFIX || `vehicle/${vehicleId}/drowsiness`;
+  const qos = env.MQTT_QOS !== undefined ? Number(env.MQTT_QOS) : 1;
+  if (!isQos(qos)) {
+    throw new Error(`MQTT_QOS must be 0, 1 or 2 (got "${env.MQTT_QOS}")`);
+  }
+  const telemetryIntervalMs = env.MQTT_TELEMETRY_INTERVAL_MS !== undefined
+    ? Number(env.MQTT_TELEMETRY_INTERVAL_MS)
+    : DEFAULT_TELEMETRY_INTERVAL_MS;
+  if (!Number.isFinite(telemetryIntervalMs) || telemetryIntervalMs < 0) {
+    throw new Error('MQTT_TELEMETRY_INTERVAL_MS must be a number of milliseconds (0 disables telemetry)');
+  }
+
+  return {
+    url: env.MQTT_URL,
+    vehicleId,
+    clientId: env.MQTT_CLIENT_ID || `drowsiness-${vehicleId}`,
+    username: env.MQTT_USERNAME,
+    password: env.MQTT_PASSWORD,
+    qos,
+    telemetryIntervalMs,
+    topics: {
+      alerts: env.MQTT_ALERT_TOPIC || `${topicPrefix}/alerts`,
+      telemetry: env.MQTT_TELEMETRY_TOPIC || `${topicPrefix}/telemetry`,
+      status: env.MQTT_STATUS_TOPIC || `${topicPrefix}/status`
+    }
+  };
+}
+
+// Publishes alert events as they happen and the latest state of each active
+// session as periodic telemetry. Messages published while the broker is
+// unreachable are buffered (oldest dropped first) and sent after reconnecting;
+// QoS 1/2 messages in flight when the connection drops are resent by the client.
+// The broker publishes a retained "offline" status if the connection is lost.
+function createMqttPublisher({
+  url,
+  vehicleId,
+  clientId,
+  username,
+  password,
+  qos = 1,
+  topics,
+  telemetryIntervalMs = DEFAULT_TELEMETRY_INTERVAL_MS,
+  maxBufferedMessages = DEFAULT_MAX_BUFFERED_MESSAGES,
+  reconnectPeriodMs = DEFAULT_RECONNECT_PERIOD_MS,
+  now = Date.now
+}) {
+  const status = (online) => JSON.stringify({ vehicle_id: vehicleId, status: online ? 'online' : 'offline', timestamp: now() });
+
+  const client = mqtt.connect(url, {
+    clientId,
+    username,
+    password,
+    reconnectPeriod: reconnectPeriodMs,
+    // Offline messages are kept in our own bounded buffer instead
+    queueQoSZero: false,
+    will: { topic: topics.status, payload: status(false), qos, retain: true }
+  });
+
+  const buffer = [];
+  const telemetryEnabled = telemetryIntervalMs > 0;
+  // sessionId -> latest state not yet sent as telemetry
+  const pendingTelemetry = new Map();
+  let droppedMessages = 0;
+  let publishedMessages = 0;
+  let closed = false;
+  // Connection errors are logged once per outage, not on every reconnect attempt
+  let errorReported = false;
+
+  const send = ({ topic, payload }) => {
+    client.publish(topic, payload, { qos }, (err) => {
+      if (err) {
+        if (!closed) console.error(`MQTT publish to ${topic} failed:`, err.message);
+      } else {
+        publishedMessages++;
+      }
+    });
+  };
+
+  const publish = (topic, message) => {
+    const entry = { topic, payload: JSON.stringify(message) };
+    if (client.connected) {
+      send(entry);
+      return;
+    }
+    buffer.push(entry);
+    if (buffer.length > maxBufferedMessages) {
+      buffer.shift();
+      droppedMessages++;
+    }
+  };
+
+  client.on('connect', () => {
+    errorReported = false;
+    client.publish(topics.status, status(true), { qos, retain: true });
+    buffer.splice(0).forEach(send);
+  });
+  client.on('error', (err) => {
+    if (errorReported) return;
+    errorReported = true;
+    console.error(`MQTT error (buffering messages until reconnected): ${err.message}`);
+  });
+
+  const telemetryPayload = (sessionId, state) => ({
+    vehicle_id: vehicleId,
+    session_id: sessionId,
+    timestamp: state.timestamp,
+    face_detected: state.faceDetected,
+    face_missing_ms: state.faceMissingMs,
+    camera_status: state.camera ? state.camera.status : null,
+    ear: state.faceDetected ? state.ear : null,
+    eyes_closed: state.faceDetected ? state.eyesClosed : null,
+    closed_duration_ms: state.closedDurationMs,
+    perclos: state.perclos,
+    yawn_count: state.yawnCount,
+    severity: state.severity,
+    alert: state.severity > 0
+  });
+
+  // Alert events of one processed frame (or acknowledgement) of a session
+  const recordEvents = (sessionId, state, events) => {
+    if (telemetryEnabled) pendingTelemetry.set(sessionId, state);
+    events
+      .filter(event => event.type.startsWith('alert-'))
+      .forEach(event => {
+        publish(topics.alerts, {
+          vehicle_id: vehicleId,
+          session_id: sessionId,
+          timestamp: event.timestamp,
+          event: event.type,
+          reason: event.reason,
+          severity: event.severity,
+          ear: state.faceDetected ? state.ear : null,
+          alert: state.severity > 0
+        });
+      });
+  };
+
+  // Sessions without new frames since the last tick send nothing
+  const publishTelemetry = () => {
+    pendingTelemetry.forEach((state, sessionId) => {
+      publish(topics.telemetry, telemetryPayload(sessionId, state));
+    });
+    pendingTelemetry.clear();
+  };
+
+  const timer = telemetryEnabled ? setInterval(publishTelemetry, telemetryIntervalMs) : null;
+  if (timer) timer.unref();
+
+  const getStats = () => ({
+    connected: client.connected,
+    bufferedMessages: buffer.length,
+    droppedMessages,
+    publishedMessages
+  });
+
+  // Publishes "offline" before disconnecting, since a clean disconnect
+  // does not trigger the last will
+  const close = async () => {
+    if (timer) clearInterval(timer);
+    if (client.connected) {
+      await client.publishAsync(topics.status, status(false), { qos, retain: true }).catch(() => {});
+    }
+    closed = true;
+    await client.endAsync();
+  };
+
+  return { recordEvents, publishTelemetry, getStats, close, client };
+}
+
+module.exports = { mqttConfigFromEnv, createMqttPublisher };
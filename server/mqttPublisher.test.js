@@ -0,0 +1,176 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const mqtt = require('mqtt');
+const { Aedes } = require('aedes');
+const { mqttConfigFromEnv, createMqttPublisher } = require('./mqttPublisher');
+
+// Separate topics per test, since status messages are retained by the broker
+const topicsFor = (name) => ({ alerts: `${name}/alerts`, telemetry: `${name}/telemetry`, status: `${name}/status` });
+
+const state = (overrides = {}) => ({
+  timestamp: 1000,
+  faceDetected: true,
+  ear: 0.12,
+  eyesClosed: true,
+  closedDurationMs: 2500,
+  perclos: 0.4,
+  yawnCount: 1,
+  severity: 1,
+  ...overrides
+});
+const raised = { type: 'alert-raised', reason: 'eyes-closed', severity: 1, timestamp: 1000 };
+
+// An in-process broker on a free local port
+async function startBroker(port = 0) {
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  server.listen(port, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    port: server.address().port,
+    stop: () => new Promise(resolve => broker.close(() => server.close(() => resolve())))
+  };
+}
+
+// Collects the parsed messages of a topic
+async function subscribe(url, topic) {
+  const client = await mqtt.connectAsync(url, { reconnectPeriod: 100 });
+  await client.subscribeAsync(topic, { qos: 1 });
+  const messages = [];
+  const waiters = [];
+  client.on('message', (received, payload, packet) => {
+    if (received !== topic) return;
+    messages.push({ ...JSON.parse(payload.toString()), retained: packet.retain });
+    waiters.splice(0).forEach(waiter => waiter());
+  });
+  const waitFor = async (count) => {
+    while (messages.length < count) {
+      await new Promise(resolve => waiters.push(resolve));
+    }
+    return messages;
+  };
+  return { messages, waitFor, close: () => client.endAsync() };
+}
+
+let broker;
+before(async () => {
+  broker = await startBroker();
+});
+after(() => broker.stop());
+
+test('publishes alert events and pending telemetry', async () => {
+  const topics = topicsFor('events');
+  const alerts = await subscribe(broker.url, topics.alerts);
+  const telemetry = await subscribe(broker.url, topics.telemetry);
+  // Ticks are triggered by hand instead of by the interval
+  const publisher = createMqttPublisher({ url: broker.url, vehicleId: 'VEH001', clientId: 'veh-alerts', topics, telemetryIntervalMs: 60000 });
+  await once(publisher.client, 'connect');
+
+  publisher.recordEvents('session-1', state(), [raised, { type: 'eyes-closing', timestamp: 1000 }]);
+  const [alert] = await alerts.waitFor(1);
+  assert.deepEqual(alert, {
+    vehicle_id: 'VEH001',
+    session_id: 'session-1',
+    timestamp: 1000,
+    event: 'alert-raised',
+    reason: 'eyes-closed',
+    severity: 1,
+    ear: 0.12,
+    alert: true,
+    retained: false
+  });
+
+  publisher.publishTelemetry();
+  // Nothing new since the last tick
+  publisher.publishTelemetry();
+  const [sample] = await telemetry.waitFor(1);
+  assert.equal(sample.session_id, 'session-1');
+  assert.equal(sample.perclos, 0.4);
+  assert.equal(sample.alert, true);
+
+  await publisher.close();
+  assert.equal(telemetry.messages.length, 1);
+  assert.equal(alerts.messages.length, 1);
+  await alerts.close();
+  await telemetry.close();
+});
+
+test('keeps no telemetry when it is turned off', async () => {
+  const topics = topicsFor('no-telemetry');
+  const alerts = await subscribe(broker.url, topics.alerts);
+  const telemetry = await subscribe(broker.url, topics.telemetry);
+  const publisher = createMqttPublisher({ url: broker.url, vehicleId: 'VEH001', clientId: 'veh-no-telemetry', topics, telemetryIntervalMs: 0 });
+  await once(publisher.client, 'connect');
+
+  publisher.recordEvents('session-1', state(), [raised]);
+  publisher.publishTelemetry();
+  await alerts.waitFor(1);
+
+  await publisher.close();
+  assert.equal(telemetry.messages.length, 0);
+  await alerts.close();
+  await telemetry.close();
+});
+
+test('buffers messages while the broker is unreachable and sends them after connecting', async () => {
+  // Reserve a port, then leave it closed until the messages are buffered
+  const reserved = await startBroker();
+  const { port, url } = reserved;
+  await reserved.stop();
+  const topics = topicsFor('offline');
+
+  const publisher = createMqttPublisher({
+    url, vehicleId: 'VEH001', clientId: 'veh-offline', topics, telemetryIntervalMs: 0, maxBufferedMessages: 2, reconnectPeriodMs: 50
+  });
+  publisher.recordEvents('session-1', state(), [{ ...raised, timestamp: 1 }]);
+  publisher.recordEvents('session-1', state(), [{ ...raised, timestamp: 2 }]);
+  publisher.recordEvents('session-1', state(), [{ ...raised, timestamp: 3 }]);
+  assert.equal(publisher.getStats().bufferedMessages, 2);
+  assert.equal(publisher.getStats().droppedMessages, 1);
+
+  const restarted = await startBroker(port);
+  const alerts = await subscribe(url, topics.alerts);
+  await once(publisher.client, 'connect');
+  const received = await alerts.waitFor(2);
+  assert.deepEqual(received.map(message => message.timestamp), [2, 3]);
+  assert.equal(publisher.getStats().bufferedMessages, 0);
+
+  await publisher.close();
+  await alerts.close();
+  await restarted.stop();
+});
+
+test('the broker publishes the offline last will when the connection drops', async () => {
+  const topics = topicsFor('will');
+  const status = await subscribe(broker.url, topics.status);
+  const publisher = createMqttPublisher({ url: broker.url, vehicleId: 'VEH001', clientId: 'veh-will', topics, telemetryIntervalMs: 0, reconnectPeriodMs: 0 });
+  await once(publisher.client, 'connect');
+  assert.equal((await status.waitFor(1))[0].status, 'online');
+
+  // Drop the connection without a DISCONNECT packet
+  publisher.client.stream.destroy();
+  const [, offline] = await status.waitFor(2);
+  assert.equal(offline.status, 'offline');
+  assert.equal(offline.vehicle_id, 'VEH001');
+
+  await publisher.close();
+  await status.close();
+});
+
+test('config comes from the environment and is off without MQTT_URL', () => {
+  assert.equal(mqttConfigFromEnv({}), null);
+
+  const config = mqttConfigFromEnv({ MQTT_URL: 'mqtt://broker:1883', VEHICLE_ID: 'VEH001', MQTT_QOS: '2' });
+  assert.equal(config.qos, 2);
+  assert.equal(config.clientId, 'drowsiness-VEH001');
+  assert.deepEqual(config.topics, {
+    alerts: 'vehicle/VEH001/drowsiness/alerts',
+    telemetry: 'vehicle/VEH001/drowsiness/telemetry',
+    status: 'vehicle/VEH001/drowsiness/status'
+  });
+
+  assert.throws(() => mqttConfigFromEnv({ MQTT_URL: 'mqtt://broker', MQTT_QOS: '3' }), /MQTT_QOS/);
+});
@@ -0,0 +1,90 @@
+const { execFile } = require('child_process');
+
+const MAX_STANDARD_ID = 0x7ff;
+const MAX_EXTENDED_ID = 0x1fffffff;
+const MAX_DATA_BYTES = 8;
+
+// Byte 0 marks a drowsiness message, byte 1 is the severity (0 normal, 1 warning, 2 critical)
+const DEFAULT_PAYLOAD = [0x01, 'severity', 0, 0, 0, 0, 0, 0];
+
+const clampByte = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+// Values that can be placed in a payload byte
+const PAYLOAD_FIELDS = {
+  severity: (output) => output.severity,
+  alert: (output) => (output.severity > 0 ? 1 : 0),
+  // Percent of the PERCLOS window with closed eyes
+  perclos: (output) => (output.state && output.state.perclos !== null ? output.state.perclos * 100 : 0),
+  // EAR x 100, 0 without a face
+  ear: (output) => (output.state && output.state.faceDetected ? output.state.ear * 100 : 0),
+  // Current eye closure in 100 ms steps
+  closed: (output) => (output.state ? output.state.closedDurationMs / 100 : 0)
+};
+
+// "0x01,severity,0,0" -> [1, 'severity', 0, 0]
+function parseCanPayload(layout) {
+  const bytes = layout.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    if (PAYLOAD_FIELDS[part]) return part;
+    const value = Number(part);
+    if (!Number.isInteger(value) || value < 0 || value > 255) {
+      throw new Error(`CAN payload byte "${part}" must be 0-255 or one of: ${Object.keys(PAYLOAD_FIELDS).join(', ')}`);
+    }
+    return value;
+  });
+  if (bytes.length === 0 || bytes.length > MAX_DATA_BYTES) {
+    throw new Error(`CAN payload must have 1 to ${MAX_DATA_BYTES} bytes`);
+  }
+  return bytes;
+}
+
+function parseCanId(value, extended) {
+  const id = Number(value);
+  const max = extended ? MAX_EXTENDED_ID : MAX_STANDARD_ID;
+  if (!Number.isInteger(id) || id < 0 || id > max) {
+    throw new Error(`CAN ID ${value} must be between 0 and 0x${max.toString(16)}`);
+  }
+  return id;
+}
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+// A frame in can-utils notation: "123#0102000000000000" (8-digit ID when extended)
+function encodeCanFrame({ id, extended = false, payload = DEFAULT_PAYLOAD }, output) {
+  const data = payload.map(byte => clampByte(typeof byte === 'string' ? PAYLOAD_FIELDS[byte](output) : byte));
+  return `${hex(id, extended ? 8 : 3)}#${data.map(byte => hex(byte, 2)).join('')}`;
+}
+
+// Sends the alert state as a CAN frame on a SocketCAN interface whenever it
+// changes, and every `intervalMs` when set (many ECUs expect cyclic messages).
+// Frames are sent with `cansend` from can-utils.
+function createCanOutput({ interfaceName, id, extended = false, payload = DEFAULT_PAYLOAD, intervalMs = 0, cansendPath = 'cansend' }) {
+  let latest = null;
+  let errorReported = false;
+
+  const send = (output) => new Promise(resolve => {
+    const frame = encodeCanFrame({ id, extended, payload }, output);
+    execFile(cansendPath, [interfaceName, frame], (err) => {
+      if (err && !errorReported) {
+        console.error(`CAN output: cansend ${interfaceName} ${frame} failed: ${err.message.trim()}`);
+      }
+      errorReported = Boolean(err);
+      resolve();
+    });
+  });
+
+  const timer = intervalMs > 0 ? setInterval(() => latest && send(latest), intervalMs) : null;
+  if (timer) timer.unref();
+
+  const apply = (output) => {
+    latest = output;
+    return send(output);
+  };
+
+  const close = () => {
+    if (timer) clearInterval(timer);
+  };
+
+  return { name: 'can', apply, close };
+}
+
+module.exports = { createCanOutput, encodeCanFrame, parseCanPayload, parseCanId, DEFAULT_PAYLOAD };
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { once } = require('events');
+const { createCanOutput, encodeCanFrame, parseCanPayload, parseCanId } = require('./can');
+
+const output = (severity, state = {}) => ({
+  severity,
+  state: { faceDetected: true, ear: 0.18, perclos: 0.35, closedDurationMs: 1520, ...state }
+});
+
+test('encodes the default frame as ID 0x123 with the severity in byte 1', () => {
+  assert.equal(encodeCanFrame({ id: 0x123 }, output(2)), '123#0102000000000000');
+});
+
+test('payload layouts mix constant bytes and state fields', () => {
+  const payload = parseCanPayload('0xA5, alert, severity, perclos, ear, closed');
+  assert.deepEqual(payload, [0xa5, 'alert', 'severity', 'perclos', 'ear', 'closed']);
+  assert.equal(encodeCanFrame({ id: 0x18fef100, extended: true, payload }, output(1)), '18FEF100#A5010123120F');
+  // No face: EAR 0; values are clamped to a byte
+  assert.equal(encodeCanFrame({ id: 1, payload }, output(0, { faceDetected: false, closedDurationMs: 60000 })), '001#A500002300FF');
+});
+
+test('rejects invalid layouts and IDs', () => {
+  assert.throws(() => parseCanPayload('1,2,3,4,5,6,7,8,9'), /1 to 8 bytes/);
+  assert.throws(() => parseCanPayload('0x100'), /0-255/);
+  assert.throws(() => parseCanPayload('speed'), /severity/);
+  assert.throws(() => parseCanId('0x800', false), /0x7ff/);
+  assert.equal(parseCanId('0x800', true), 0x800);
+});
+
+test('sends frames with cansend', async (t) => {
+  // A stand-in for cansend that logs its arguments
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cansend-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const log = path.join(dir, 'frames.log');
+  const cansendPath = path.join(dir, 'cansend');
+  fs.writeFileSync(cansendPath, `#!/bin/sh\necho "$@" >> "${log}"\n`, { mode: 0o755 });
+
+  const can = createCanOutput({ interfaceName: 'vcan0', id: 0x123, cansendPath });
+  await can.apply(output(1));
+  await can.apply(output(0));
+  can.close();
+
+  assert.equal(fs.readFileSync(log, 'utf8'), 'vcan0 123#0101000000000000\nvcan0 123#0100000000000000\n');
+});
+
+// Needs can-utils and a virtual CAN interface:
+//   sudo modprobe vcan && sudo ip link add dev vcan0 type vcan && sudo ip link set up vcan0
+const hasVcan = fs.existsSync('/sys/class/net/vcan0') && spawnSync('candump', ['--help']).error === undefined;
+
+test('frames arrive on a vcan interface', { skip: !hasVcan && 'needs vcan0 and can-utils' }, async (t) => {
+  const candump = spawn('candump', ['-L', '-n', '1', 'vcan0,123:7FF']);
+  t.after(() => candump.kill());
+  // Give candump a moment to bind the socket
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  const can = createCanOutput({ interfaceName: 'vcan0', id: 0x123 });
+  await can.apply(output(2));
+  can.close();
+
+  const [line] = await once(candump.stdout, 'data');
+  assert.match(line.toString(), /vcan0 123#0102000000000000/);
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const EXPORT_WAIT_MS = 50;
+const EXPORT_ATTEMPTS = 20;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A line driven through the legacy sysfs interface (/sys/class/gpio). The pin is
+// exported on first use; udev may need a moment to set up its files.
+function createSysfsLine({ pin, sysfsRoot }) {
+  const pinDir = path.join(sysfsRoot, `gpio${pin}`);
+  let ready = null;
+
+  const setup = async () => {
+    if (!fs.existsSync(pinDir)) {
+      await fs.promises.writeFile(path.join(sysfsRoot, 'export'), String(pin));
+    }
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await fs.promises.writeFile(path.join(pinDir, 'direction'), 'out');
+        return;
+      } catch (err) {
+        if (attempt === EXPORT_ATTEMPTS) throw err;
+        await delay(EXPORT_WAIT_MS);
+      }
+    }
+  };
+
+  const set = async (value) => {
+    if (!ready) ready = setup().catch(err => {
+      ready = null;
+      throw err;
+    });
+    await ready;
+    await fs.promises.writeFile(path.join(pinDir, 'value'), value ? '1' : '0');
+  };
+
+  return { set, close: () => {} };
+}
+
+// A line on a GPIO character device (/dev/gpiochipN), driven by `gpioset` from
+// libgpiod v2 in interactive mode: it requests the line once and holds it,
+// reading `set` commands from stdin. It is restarted if it exits.
+function createChardevLine({ chip, pin, gpiosetPath }) {
+  let holder = null;
+
+  const start = async (level) => {
+    const current = spawn(gpiosetPath, ['--interactive', '-c', chip, `${pin}=${level}`], { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    current.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    current.stdin.on('error', () => {});
+    current.once('exit', (code) => {
+      if (holder === current) holder = null;
+      if (code) console.error(`GPIO output: gpioset exited with code ${code}: ${stderr.trim()}`);
+    });
+    await new Promise((resolve, reject) => {
+      current.once('spawn', resolve);
+      current.once('error', reject);
+    });
+    holder = current;
+  };
+
+  const set = async (value) => {
+    const level = value ? 1 : 0;
+    if (holder) {
+      holder.stdin.write(`set ${pin}=${level}\n`);
+    } else {
+      await start(level);
+    }
+  };
+
+  const close = () => {
+    if (holder) holder.stdin.end('exit\n');
+    holder = null;
+  };
+
+  return { set, close };
+}
+
+// Drives a buzzer or warning lamp: on while the alert severity is at least
+// `minSeverity`, off otherwise. `activeLow` inverts the output level.
+function createGpioOutput({
+  mode = 'sysfs',
+  pin,
+  chip = 'gpiochip0',
+  minSeverity = 1,
+  activeLow = false,
+  sysfsRoot = '/sys/class/gpio',
+  gpiosetPath = 'gpioset'
+}) {
+  const line = mode === 'chardev'
+    ? createChardevLine({ chip, pin, gpiosetPath })
+    : createSysfsLine({ pin, sysfsRoot });
+  let on = null;
+
+  const drive = async (next) => {
+    if (next === on) return;
+    on = next;
+    try {
+      await line.set(next !== activeLow);
+    } catch (err) {
+      // Try again on the next update
+      on = null;
+      throw err;
+    }
+  };
+
+  const apply = ({ severity }) => drive(severity >= minSeverity);
+
+  // Leaves the buzzer off when the server stops
+  const close = async () => {
+    await drive(false).catch(() => {});
+    line.close();
+  };
+
+  return { name: 'gpio', apply, close };
+}
+
+module.exports = { createGpioOutput };
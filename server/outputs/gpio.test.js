@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGpioOutput } = require('./gpio');
+
+// A stand-in for /sys/class/gpio with pin 18 already exported
+function fakeSysfs(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gpio-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'gpio18'));
+  const read = (file) => fs.readFileSync(path.join(root, 'gpio18', file), 'utf8');
+  return { root, value: () => read('value'), direction: () => read('direction') };
+}
+
+test('sysfs: the pin is high while the severity reaches the minimum', async (t) => {
+  const sysfs = fakeSysfs(t);
+  const gpio = createGpioOutput({ pin: 18, sysfsRoot: sysfs.root, minSeverity: 2 });
+
+  await gpio.apply({ severity: 1 });
+  assert.equal(sysfs.direction(), 'out');
+  assert.equal(sysfs.value(), '0');
+
+  await gpio.apply({ severity: 2 });
+  assert.equal(sysfs.value(), '1');
+
+  await gpio.close();
+  assert.equal(sysfs.value(), '0');
+});
+
+test('sysfs: activeLow inverts the level', async (t) => {
+  const sysfs = fakeSysfs(t);
+  const gpio = createGpioOutput({ pin: 18, sysfsRoot: sysfs.root, activeLow: true });
+
+  await gpio.apply({ severity: 1 });
+  assert.equal(sysfs.value(), '0');
+  await gpio.apply({ severity: 0 });
+  assert.equal(sysfs.value(), '1');
+});
+
+test('chardev: one gpioset process receives each new value', async (t) => {
+  // A stand-in for gpioset that logs its arguments and the commands it reads
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpioset-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const log = path.join(dir, 'calls.log');
+  const gpiosetPath = path.join(dir, 'gpioset');
+  fs.writeFileSync(gpiosetPath, `#!/bin/sh\necho "$@" >> "${log}"\nwhile read command; do echo "$command" >> "${log}"; done\n`, { mode: 0o755 });
+
+  const gpio = createGpioOutput({ mode: 'chardev', chip: 'gpiochip1', pin: 7, gpiosetPath });
+  await gpio.apply({ severity: 1 });
+  await gpio.apply({ severity: 2 });
+  await gpio.apply({ severity: 0 });
+  await gpio.close();
+
+  // Wait for the stand-in to read everything
+  const expected = '--interactive -c gpiochip1 7=1\nset 7=0\nexit\n';
+  const deadline = Date.now() + 2000;
+  while (Date.now() < deadline && !(fs.existsSync(log) && fs.readFileSync(log, 'utf8') === expected)) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.equal(fs.readFileSync(log, 'utf8'), expected);
+});
@@ -0,0 +1,186 @@
+const { createSerialOutput } = require('./serial');
+const { createCanOutput, parseCanPayload, parseCanId, DEFAULT_PAYLOAD } = require('./can');
+const { createGpioOutput } = require('./gpio');
+
+const DEFAULT_STALE_AFTER_MS = 10000;
+
+// Drives alert outputs (serial, CAN, GPIO, ...) from the detection state of the
+// active sessions. The combined alert state is every alert reason active in any
+// session, at its highest severity. Adapters get it whenever it changes:
+//
+//   adapter.apply({ severity, reasons, changes, state })
+//
+// `reasons` maps each active reason to its severity, `changes` lists what changed
+// ({ type: 'raised' | 'escalated' | 'cleared', reason, severity, timestamp }) and
+// `state` is the engine state of the latest frame. A session that sends no frames
+// for `staleAfterMs` no longer counts, so a closed stream doesn't hold an alert.
+//
+// Applies to one adapter never overlap, so a CAN frame or GPIO level cannot
+// overtake an earlier one. Outputs that arrive while an adapter is busy are
+// merged: it then gets the latest state with all the changes it missed.
+function createAlertOutputs(adapters, { staleAfterMs = DEFAULT_STALE_AFTER_MS, now = Date.now } = {}) {
+  // sessionId -> { alerts: Map(reason -> severity), updatedAt }
+  const sessions = new Map();
+  let reasons = new Map();
+  let latestState = null;
+  // adapter -> { running: promise of its applies, pending: output waiting for them }
+  const queues = new Map(adapters.map(adapter => [adapter, { running: null, pending: null }]));
+
+  const deliver = (adapter, output) => {
+    const queue = queues.get(adapter);
+    queue.pending = queue.pending
+      ? { ...output, changes: [...queue.pending.changes, ...output.changes] }
+      : output;
+    if (!queue.running) {
+      queue.running = (async () => {
+        while (queue.pending) {
+          const next = queue.pending;
+          queue.pending = null;
+          try {
+            await adapter.apply(next);
+          } catch (err) {
+            console.error(`Alert output ${adapter.name} failed:`, err.message);
+          }
+        }
+        queue.running = null;
+      })();
+    }
+    return queue.running;
+  };
+
+  const combine = () => {
+    const combined = new Map();
+    sessions.forEach(({ alerts }) => {
+      alerts.forEach((severity, reason) => {
+        combined.set(reason, Math.max(severity, combined.get(reason) || 0));
+      });
+    });
+    return combined;
+  };
+
+  const diff = (previous, next, timestamp) => {
+    const changes = [];
+    next.forEach((severity, reason) => {
+      if (!previous.has(reason)) {
+        changes.push({ type: 'raised', reason, severity, timestamp });
+      } else if (severity > previous.get(reason)) {
+        changes.push({ type: 'escalated', reason, severity, timestamp });
+      }
+    });
+    previous.forEach((severity, reason) => {
+      if (!next.has(reason)) changes.push({ type: 'cleared', reason, severity: 0, timestamp });
+    });
+    return changes;
+  };
+
+  const update = (timestamp) => {
+    const next = combine();
+    const changes = diff(reasons, next, timestamp);
+    reasons = next;
+    if (changes.length === 0) return Promise.resolve();
+
+    const output = {
+      severity: Math.max(0, ...reasons.values()),
+      reasons: Object.fromEntries(reasons),
+      changes,
+      state: latestState
+    };
+    return Promise.all(adapters.map(adapter => deliver(adapter, output)));
+  };
+
+  // Engine state after a processed frame or acknowledgement of a session
+  const recordState = (sessionId, state) => {
+    latestState = state;
+    sessions.set(sessionId, {
+      alerts: new Map(state.alerts.map(alert => [alert.reason, alert.severity])),
+      updatedAt: now()
+    });
+    return update(state.timestamp);
+  };
+
+  const sweep = () => {
+    const cutoff = now() - staleAfterMs;
+    let removed = false;
+    for (const [id, session] of sessions) {
+      if (session.updatedAt < cutoff) {
+        sessions.delete(id);
+        removed = true;
+      }
+    }
+    return removed ? update(now()) : Promise.resolve();
+  };
+
+  const timer = setInterval(sweep, Math.max(1000, staleAfterMs / 2));
+  timer.unref();
+
+  const close = async () => {
+    clearInterval(timer);
+    await Promise.all([...queues.values()].map(queue => queue.running));
+    await Promise.all(adapters.map(adapter => Promise.resolve(adapter.close()).catch(() => {})));
+  };
+
+  return { recordState, sweep, close, adapters };
+}
+
+const readNumber = (env, name, fallback) => {
+  if (env[name] === undefined) return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value)) throw new Error(`${name} must be a number (got "${env[name]}")`);
+  return value;
+};
+
+const readFlag = (env, name) => ['1', 'true', 'yes'].includes((env[name] || '').toLowerCase());
+
+// Adapters enabled by environment variables: SERIAL_PORT, CAN_INTERFACE and GPIO_PIN
+function alertOutputsFromEnv(env = process.env) {
+  const adapters = [];
+
+  if (env.SERIAL_PORT) {
+    const formats = {};
+    if (env.SERIAL_ALERT_FORMAT) {
+      formats.raised = env.SERIAL_ALERT_FORMAT;
+      formats.escalated = env.SERIAL_ALERT_FORMAT;
+    }
+    if (env.SERIAL_CLEAR_FORMAT) formats.cleared = env.SERIAL_CLEAR_FORMAT;
+    adapters.push(createSerialOutput({
+      path: env.SERIAL_PORT,
+      baudRate: readNumber(env, 'SERIAL_BAUD_RATE', 9600),
+      formats
+    }));
+  }
+
+  if (env.CAN_INTERFACE) {
+    const extended = readFlag(env, 'CAN_EXTENDED_ID');
+    adapters.push(createCanOutput({
+      interfaceName: env.CAN_INTERFACE,
+      id: parseCanId(env.CAN_ID || '0x123', extended),
+      extended,
+      payload: env.CAN_PAYLOAD ? parseCanPayload(env.CAN_PAYLOAD) : DEFAULT_PAYLOAD,
+      intervalMs: readNumber(env, 'CAN_INTERVAL_MS', 0),
+      cansendPath: env.CANSEND_PATH || 'cansend'
+    }));
+  }
+
+  if (env.GPIO_PIN) {
+    const mode = env.GPIO_MODE || 'sysfs';
+    if (mode !== 'sysfs' && mode !== 'chardev') {
+      throw new Error(`GPIO_MODE must be "sysfs" or "chardev" (got "${mode}")`);
+    }
+    const pin = readNumber(env, 'GPIO_PIN');
+    if (!Number.isInteger(pin) || pin < 0) {
+      throw new Error(`GPIO_PIN must be a pin or line number (got "${env.GPIO_PIN}")`);
+    }
+    adapters.push(createGpioOutput({
+      mode,
+      pin,
+      chip: env.GPIO_CHIP || 'gpiochip0',
+      minSeverity: readNumber(env, 'GPIO_MIN_SEVERITY', 1),
+      activeLow: readFlag(env, 'GPIO_ACTIVE_LOW'),
+      gpiosetPath: env.GPIOSET_PATH || 'gpioset'
+    }));
+  }
+
+  return adapters;
+}
+
+module.exports = { createAlertOutputs, alertOutputsFromEnv };
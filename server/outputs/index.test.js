@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertOutputs, alertOutputsFromEnv } = require('./index');
+
+// An adapter that records what it is given
+const recorder = () => {
+  const applied = [];
+  return { name: 'recorder', applied, apply: (output) => applied.push(output), close: () => {} };
+};
+
+const state = (timestamp, alerts) => ({ timestamp, alerts: alerts.map(([reason, severity]) => ({ reason, severity })) });
+
+test('adapters get alert changes, not every frame', async (t) => {
+  const adapter = recorder();
+  const outputs = createAlertOutputs([adapter]);
+  t.after(() => outputs.close());
+
+  await outputs.recordState('a', state(0, []));
+  await outputs.recordState('a', state(100, [['eyes-closed', 1]]));
+  await outputs.recordState('a', state(200, [['eyes-closed', 1]]));
+  await outputs.recordState('a', state(300, [['eyes-closed', 2], ['perclos', 1]]));
+  await outputs.recordState('a', state(400, []));
+
+  assert.deepEqual(adapter.applied.map(output => output.changes), [
+    [{ type: 'raised', reason: 'eyes-closed', severity: 1, timestamp: 100 }],
+    [
+      { type: 'escalated', reason: 'eyes-closed', severity: 2, timestamp: 300 },
+      { type: 'raised', reason: 'perclos', severity: 1, timestamp: 300 }
+    ],
+    [
+      { type: 'cleared', reason: 'eyes-closed', severity: 0, timestamp: 400 },
+      { type: 'cleared', reason: 'perclos', severity: 0, timestamp: 400 }
+    ]
+  ]);
+  assert.deepEqual(adapter.applied.map(output => output.severity), [1, 2, 0]);
+  assert.deepEqual(adapter.applied[1].reasons, { 'eyes-closed': 2, perclos: 1 });
+});
+
+test('alerts of all sessions are combined, and stale sessions are dropped', async (t) => {
+  let now = 0;
+  const adapter = recorder();
+  const outputs = createAlertOutputs([adapter], { staleAfterMs: 1000, now: () => now });
+  t.after(() => outputs.close());
+
+  await outputs.recordState('a', state(0, [['eyes-closed', 2]]));
+  await outputs.recordState('b', state(0, [['eyes-closed', 1]]));
+  assert.equal(adapter.applied.length, 1);
+
+  now = 800;
+  await outputs.recordState('b', state(800, []));
+  // Session a still has the alert
+  assert.equal(adapter.applied.length, 1);
+
+  now = 1500;
+  await outputs.sweep();
+  assert.deepEqual(adapter.applied[1].changes, [{ type: 'cleared', reason: 'eyes-closed', severity: 0, timestamp: 1500 }]);
+});
+
+test('a failing adapter does not stop the others', async (t) => {
+  const adapter = recorder();
+  const failing = { name: 'failing', apply: () => Promise.reject(new Error('unplugged')), close: () => {} };
+  const outputs = createAlertOutputs([failing, adapter]);
+  t.after(() => outputs.close());
+
+  const errors = t.mock.method(console, 'error', () => {});
+  await outputs.recordState('a', state(0, [['head-nod', 2]]));
+  assert.equal(adapter.applied.length, 1);
+  assert.match(errors.mock.calls[0].arguments.join(' '), /failing failed: unplugged/);
+});
+
+test('applies to an adapter run one at a time, catching up with the latest state', async (t) => {
+  const applied = [];
+  let running = 0;
+  let overlapped = false;
+  let release;
+  const slow = {
+    name: 'slow',
+    apply: async (output) => {
+      overlapped = overlapped || running > 0;
+      running++;
+      applied.push(output);
+      await new Promise(resolve => {
+        release = resolve;
+      });
+      running--;
+    },
+    close: () => {}
+  };
+  const outputs = createAlertOutputs([slow]);
+  t.after(() => outputs.close());
+
+  const first = outputs.recordState('a', state(0, [['eyes-closed', 1]]));
+  outputs.recordState('a', state(100, [['eyes-closed', 2]]));
+  const last = outputs.recordState('a', state(200, [['eyes-closed', 2], ['distracted', 1]]));
+  assert.equal(applied.length, 1);
+
+  release();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(applied.length, 2);
+  assert.equal(applied[1].state.timestamp, 200);
+  assert.deepEqual(applied[1].reasons, { 'eyes-closed': 2, distracted: 1 });
+  assert.deepEqual(applied[1].changes.map(change => `${change.type} ${change.reason}`),
+    ['escalated eyes-closed', 'raised distracted']);
+
+  release();
+  await Promise.all([first, last]);
+  assert.equal(overlapped, false);
+});
+
+test('adapters are enabled by environment variables', () => {
+  assert.deepEqual(alertOutputsFromEnv({}), []);
+
+  const adapters = alertOutputsFromEnv({ SERIAL_PORT: '/dev/ttyUSB0', CAN_INTERFACE: 'can0', GPIO_PIN: '18' });
+  assert.deepEqual(adapters.map(adapter => adapter.name), ['serial', 'can', 'gpio']);
+  adapters.forEach(adapter => adapter.close());
+
+  assert.throws(() => alertOutputsFromEnv({ CAN_INTERFACE: 'can0', CAN_PAYLOAD: '1,speed' }), /CAN payload/);
+  assert.throws(() => alertOutputsFromEnv({ GPIO_PIN: '18', GPIO_MODE: 'i2c' }), /GPIO_MODE/);
+});
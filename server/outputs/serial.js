@@ -0,0 +1,60 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+// One line per alert change, as in the integration guide; {reason}, {severity}
+// and {timestamp} are filled in
+const DEFAULT_FORMATS = {
+  raised: 'DROWSY:{reason}',
+  escalated: 'DROWSY:{reason}',
+  cleared: 'CLEAR:{reason}'
+};
+
+const formatLine = (template, change) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (change[key] !== undefined ? String(change[key]) : match));
+
+// Writes alert lines to a serial port (a UART, a USB adapter or a pty). The port
+// is put into raw mode at the given baud rate with stty, so line endings are sent
+// as is, and reopened on the next message if a write fails (e.g. USB unplugged).
+function createSerialOutput({ path, baudRate = 9600, formats = {}, lineEnding = '\n' }) {
+  const templates = { ...DEFAULT_FORMATS, ...formats };
+
+  const configure = () => new Promise(resolve => {
+    execFile('stty', ['-F', path, String(baudRate), 'raw', '-echo'], (err) => {
+      if (err) console.warn(`Serial output: could not configure ${path} (${err.message.trim()})`);
+      resolve();
+    });
+  });
+
+  let stream = null;
+  // Resolves once the port is configured and open; reset when a write fails
+  let opening = null;
+
+  const open = () => {
+    const current = fs.createWriteStream(path, { flags: fs.constants.O_WRONLY | fs.constants.O_NOCTTY });
+    current.on('error', (err) => {
+      console.error(`Serial output: ${path}: ${err.message}`);
+      if (stream === current) {
+        stream = null;
+        opening = null;
+      }
+    });
+    stream = current;
+  };
+
+  const apply = async ({ changes }) => {
+    if (!opening) opening = configure().then(open);
+    await opening;
+    changes.forEach(change => stream && stream.write(formatLine(templates[change.type], change) + lineEnding));
+  };
+
+  const close = () => new Promise(resolve => {
+    if (!stream) return resolve();
+    stream.end(resolve);
+    stream = null;
+    opening = null;
+  });
+
+  return { name: 'serial', apply, close };
+}
+
+module.exports = { createSerialOutput, DEFAULT_FORMATS };
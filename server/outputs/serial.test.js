@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('child_process');
+const { once } = require('events');
+const { createSerialOutput } = require('./serial');
+
+// Opens a pseudo-terminal, prints the path of its serial end and copies
+// everything written to it to stdout
+const PTY_RELAY = `
+import os, pty, sys
+master, port = pty.openpty()
+print(os.ttyname(port), flush=True)
+while True:
+    data = os.read(master, 1024)
+    if not data:
+        break
+    sys.stdout.buffer.write(data)
+    sys.stdout.buffer.flush()
+`;
+
+const hasPty = process.platform === 'linux' && spawnSync('python3', ['--version']).status === 0;
+
+async function openPty(t) {
+  const relay = spawn('python3', ['-c', PTY_RELAY]);
+  t.after(() => relay.kill());
+  let received = '';
+  relay.stdout.on('data', chunk => {
+    received += chunk;
+  });
+  const waitFor = async (text) => {
+    while (!received.includes(text)) {
+      await once(relay.stdout, 'data');
+    }
+  };
+
+  // The first line is the path of the port
+  await waitFor('\n');
+  const portPath = received.slice(0, received.indexOf('\n'));
+  const start = portPath.length + 1;
+  return {
+    path: portPath,
+    readUntil: async (text) => {
+      await waitFor(text);
+      return received.slice(start);
+    }
+  };
+}
+
+const change = (type, reason, severity) => ({ type, reason, severity, timestamp: 1000 });
+
+test('writes one line per alert change to a pty', { skip: !hasPty && 'needs Linux and python3' }, async (t) => {
+  const pty = await openPty(t);
+  const output = createSerialOutput({ path: pty.path, baudRate: 9600 });
+
+  await output.apply({ changes: [change('raised', 'eyes-closed', 1)] });
+  await output.apply({ changes: [change('escalated', 'eyes-closed', 2), change('raised', 'perclos', 1)] });
+  await output.apply({ changes: [change('cleared', 'eyes-closed', 0)] });
+
+  // Raw mode: no \r is added before the newlines
+  assert.equal(await pty.readUntil('CLEAR:eyes-closed\n'),
+    'DROWSY:eyes-closed\nDROWSY:eyes-closed\nDROWSY:perclos\nCLEAR:eyes-closed\n');
+
+  await output.close();
+});
+
+test('uses custom line formats', { skip: !hasPty && 'needs Linux and python3' }, async (t) => {
+  const pty = await openPty(t);
+  const output = createSerialOutput({ path: pty.path, formats: { raised: 'ALERT {severity} {reason} @{timestamp}' }, lineEnding: '\r\n' });
+
+  await output.apply({ changes: [change('raised', 'head-nod', 2)] });
+  assert.equal(await pty.readUntil('\r\n'), 'ALERT 2 head-nod @1000\r\n');
+
+  await output.close();
+});
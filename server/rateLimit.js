@@ -0,0 +1,51 @@
+// How often buckets of clients that went quiet are removed
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// A client may use up this much of its minute at once
+const BURST_SECONDS = 10;
+
+// Per-client token buckets. A client gets `perMinute` requests a minute and
+// may send up to ten seconds' worth at once, so a device streaming frames at a
+// steady rate is never limited by a short hiccup. The limit is passed to every
+// call, so a change to the configuration applies at once.
+function createRateLimiter({ now = Date.now } = {}) {
+  // client id -> { tokens, updatedAt }
+  const buckets = new Map();
+  let lastSweep = now();
+
+  // Drops the buckets that have filled up again; a new one starts full anyway
+  const sweep = (time, capacity, perMs) => {
+    for (const [client, bucket] of buckets) {
+      if (bucket.tokens + (time - bucket.updatedAt) * perMs >= capacity) {
+        buckets.delete(client);
+      }
+    }
+    lastSweep = time;
+  };
+
+  // Takes one request from the client's bucket. Returns { allowed, remaining }
+  // and, when refused, retryAfterMs until the next request is allowed.
+  // A limit of 0 turns limiting off.
+  const take = (client, perMinute) => {
+    if (!perMinute) return { allowed: true, remaining: Infinity };
+
+    const time = now();
+    const capacity = Math.max(1, Math.ceil(perMinute * BURST_SECONDS / 60));
+    const perMs = perMinute / 60000;
+    if (time - lastSweep >= SWEEP_INTERVAL_MS) sweep(time, capacity, perMs);
+
+    const bucket = buckets.get(client) || { tokens: capacity, updatedAt: time };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * perMs);
+    bucket.updatedAt = time;
+    buckets.set(client, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / perMs) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+  };
+
+  return { take, size: () => buckets.size };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimit');
+
+test('allows a burst of ten seconds of requests, then the steady rate', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ now: () => time });
+
+  // 60 a minute: a burst of 10, then one a second
+  for (let i = 0; i < 10; i++) {
+    assert.equal(limiter.take('device', 60).allowed, true);
+  }
+  const refused = limiter.take('device', 60);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterMs, 1000);
+
+  // Other clients have their own bucket
+  assert.equal(limiter.take('other', 60).allowed, true);
+
+  time += 1000;
+  assert.equal(limiter.take('device', 60).allowed, true);
+  assert.equal(limiter.take('device', 60).allowed, false);
+});
+
+test('a limit of 0 turns limiting off and idle clients are forgotten', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ now: () => time });
+  for (let i = 0; i < 100; i++) {
+    assert.equal(limiter.take('device', 0).allowed, true);
+  }
+
+  limiter.take('a', 60);
+  limiter.take('b', 60);
+  assert.equal(limiter.size(), 2);
+  time += 2 * 60 * 1000;
+  limiter.take('c', 60);
+  assert.equal(limiter.size(), 1);
+});
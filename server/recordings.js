@@ -0,0 +1,172 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const yauzl = require('yauzl');
+const { createTimelineBuilder } = require('./timeline');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v'];
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+// Largest image a zip entry may unpack to, so a small zip cannot fill the memory
+const DEFAULT_MAX_ENTRY_BYTES = 10 * 1024 * 1024;
+
+// 'zip', 'video' or null for an uploaded recording
+function recordingKind({ originalname, mimetype }) {
+  const extension = path.extname(originalname || '').toLowerCase();
+  if (extension === '.zip' || mimetype === 'application/zip') return 'zip';
+  if (VIDEO_EXTENSIONS.includes(extension) || (mimetype || '').startsWith('video/')) return 'video';
+  return null;
+}
+
+const openZip = (filePath) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zipfile) => (err ? reject(err) : resolve(zipfile)));
+});
+
+const listZipEntries = (zipfile) => new Promise((resolve, reject) => {
+  const entries = [];
+  zipfile.on('entry', entry => {
+    entries.push(entry);
+    zipfile.readEntry();
+  });
+  zipfile.on('end', () => resolve(entries));
+  zipfile.on('error', reject);
+  zipfile.readEntry();
+});
+
+const entryTooLarge = (entry, maxBytes) =>
+  new Error(`${entry.fileName} unpacks to more than ${maxBytes} bytes`);
+
+// Stops reading once the entry passes maxBytes, whatever its header claims
+const readZipEntry = (zipfile, entry, maxBytes) => new Promise((resolve, reject) => {
+  if (entry.uncompressedSize > maxBytes) return reject(entryTooLarge(entry, maxBytes));
+  zipfile.openReadStream(entry, (err, stream) => {
+    if (err) return reject(err);
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(entryTooLarge(entry, maxBytes));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+});
+
+// Images in a zip archive, in natural file name order (frame_2 before frame_10).
+// An image that unpacks to more than maxEntryBytes fails the read.
+async function openZipFrames(filePath, { maxEntryBytes = DEFAULT_MAX_ENTRY_BYTES } = {}) {
+  const zipfile = await openZip(filePath);
+  let entries;
+  try {
+    entries = (await listZipEntries(zipfile))
+      .filter(entry => IMAGE_EXTENSIONS.includes(path.extname(entry.fileName).toLowerCase()))
+      .sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true }));
+  } catch (err) {
+    zipfile.close();
+    throw err;
+  }
+
+  return {
+    total: entries.length,
+    async *frames() {
+      try {
+        for (const entry of entries) {
+          yield await readZipEntry(zipfile, entry, maxEntryBytes);
+        }
+      } finally {
+        zipfile.close();
+      }
+    }
+  };
+}
+
+const parseDurationSeconds = (text) => {
+  const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(text);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+};
+
+// Video frames decoded by ffmpeg at a fixed rate, as JPEG images.
+// `total` is filled in once ffmpeg has read the video duration.
+function openVideoFrames(filePath, { fps, signal }) {
+  const source = {
+    total: null,
+    async *frames() {
+      const ffmpeg = spawn(FFMPEG_PATH, [
+        '-hide_banner', '-nostdin',
+        '-i', filePath,
+        '-vf', `fps=${fps}`,
+        '-f', 'image2pipe', '-vcodec', 'mjpeg', '-q:v', '3',
+        'pipe:1'
+      ], { signal });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+        if (source.total === null) {
+          const seconds = parseDurationSeconds(stderr);
+          if (seconds !== null) source.total = Math.ceil(seconds * fps);
+        }
+      });
+      // Settles once; an error such as a missing ffmpeg binary is reported after the output ends
+      const exited = new Promise(resolve => {
+        ffmpeg.on('error', error => resolve({ error }));
+        ffmpeg.on('close', code => resolve({ code }));
+      });
+
+      try {
+        // ffmpeg writes the JPEGs back to back; each one ends with the EOI marker
+        let buffer = Buffer.alloc(0);
+        for await (const chunk of ffmpeg.stdout) {
+          buffer = Buffer.concat([buffer, chunk]);
+          let end;
+          while ((end = buffer.indexOf(JPEG_END, 2)) !== -1) {
+            yield buffer.subarray(0, end + JPEG_END.length);
+            buffer = buffer.subarray(end + JPEG_END.length);
+          }
+        }
+
+        const { code, error } = await exited;
+        if (error && error.code === 'ENOENT') {
+          throw new Error(`ffmpeg was not found at "${FFMPEG_PATH}". Install it or set FFMPEG_PATH.`);
+        }
+        if (error) throw error;
+        if (code !== 0) {
+          throw new Error(`ffmpeg failed (exit code ${code}): ${stderr.trim().split('\n').pop()}`);
+        }
+      } finally {
+        // The caller stopped reading early
+        if (ffmpeg.exitCode === null && ffmpeg.signalCode === null) ffmpeg.kill();
+      }
+    }
+  };
+  return source;
+}
+
+// Runs every frame of a recording through a fresh engine and returns its timeline.
+// Frame timestamps are derived from the frame rate, starting at 0. `checkFrame`
+// returns why an image must not be decoded, or null; such a frame fails the run.
+async function analyzeRecording({ source, fps, engine, detectFrame, checkFrame = () => null, reportProgress, signal }) {
+  const timeline = createTimelineBuilder();
+  let processedFrames = 0;
+
+  for await (const image of source.frames()) {
+    signal.throwIfAborted();
+    const problem = checkFrame(image);
+    if (problem) throw new Error(`Frame ${processedFrames + 1}: ${problem}`);
+    const timestamp = Math.round(processedFrames * 1000 / fps);
+    const face = await detectFrame(image, timestamp);
+    const { state, events } = engine.processFrame({ timestamp, ...face });
+    timeline.add(timestamp, state, events);
+    processedFrames++;
+    reportProgress({ processedFrames, totalFrames: source.total });
+  }
+
+  return timeline.finish();
+}
+
+module.exports = { recordingKind, openZipFrames, openVideoFrames, analyzeRecording };
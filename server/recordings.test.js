@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { recordingKind, openZipFrames, analyzeRecording } = require('./recordings');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A zip archive of deflated files, from { name: Buffer }
+function makeZip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, data] of Object.entries(files)) {
+    const fileName = Buffer.from(name);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    local.push(header, fileName, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, fileName);
+
+    offset += header.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, directory, end]);
+}
+
+function writeZip(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'frames.zip');
+  fs.writeFileSync(filePath, makeZip(files));
+  return filePath;
+}
+
+const collect = async (source) => {
+  const frames = [];
+  for await (const frame of source.frames()) frames.push(frame.toString());
+  return frames;
+};
+
+test('tells zips and videos apart by name or type', () => {
+  assert.equal(recordingKind({ originalname: 'trip.ZIP' }), 'zip');
+  assert.equal(recordingKind({ originalname: 'frames', mimetype: 'application/zip' }), 'zip');
+  assert.equal(recordingKind({ originalname: 'trip.mkv' }), 'video');
+  assert.equal(recordingKind({ originalname: 'clip', mimetype: 'video/mp4' }), 'video');
+  assert.equal(recordingKind({ originalname: 'notes.txt', mimetype: 'text/plain' }), null);
+});
+
+test('reads the images of a zip in natural file name order', async (t) => {
+  const filePath = writeZip(t, {
+    'frame_10.jpg': Buffer.from('ten'),
+    'notes.txt': Buffer.from('skipped'),
+    'frame_2.PNG': Buffer.from('two'),
+    'frame_1.jpeg': Buffer.from('one')
+  });
+
+  const source = await openZipFrames(filePath);
+  assert.equal(source.total, 3);
+  assert.deepEqual(await collect(source), ['one', 'two', 'ten']);
+});
+
+test('refuses a zip entry that unpacks to more than the limit', async (t) => {
+  const filePath = writeZip(t, {
+    'frame_1.jpg': Buffer.from('one'),
+    'frame_2.jpg': Buffer.alloc(64 * 1024)
+  });
+
+  const source = await openZipFrames(filePath, { maxEntryBytes: 1024 });
+  await assert.rejects(collect(source), /frame_2\.jpg unpacks to more than 1024 bytes/);
+});
+
+test('runs every frame through the engine with timestamps from the frame rate', async () => {
+  const source = {
+    total: 3,
+    async *frames() {
+      yield* ['a', 'b', 'c'];
+    }
+  };
+  const seen = [];
+  const progress = [];
+  const engine = {
+    processFrame: (frame) => {
+      seen.push(frame);
+      return { state: { faceDetected: true, eyesClosed: false, ear: 0.3, alertActive: false }, events: [] };
+    }
+  };
+
+  await analyzeRecording({
+    source,
+    fps: 10,
+    engine,
+    detectFrame: async (image, timestamp) => ({ image, detectedAt: timestamp }),
+    reportProgress: (value) => progress.push(value),
+    signal: new AbortController().signal
+  });
+
+  assert.deepEqual(seen.map(frame => [frame.timestamp, frame.image]), [[0, 'a'], [100, 'b'], [200, 'c']]);
+  assert.deepEqual(progress[2], { processedFrames: 3, totalFrames: 3 });
+});
+
+test('fails the run at the first frame the check refuses', async () => {
+  const source = {
+    total: 2,
+    async *frames() {
+      yield* ['small', 'huge'];
+    }
+  };
+  const detected = [];
+
+  await assert.rejects(analyzeRecording({
+    source,
+    fps: 10,
+    engine: { processFrame: () => ({ state: { faceDetected: false }, events: [] }) },
+    checkFrame: (image) => (image === 'huge' ? 'Image is larger than 4096x4096 pixels' : null),
+    detectFrame: async (image) => detected.push(image),
+    reportProgress: () => {},
+    signal: new AbortController().signal
+  }), /^Error: Frame 2: Image is larger than 4096x4096 pixels$/);
+  assert.deepEqual(detected, ['small']);
+});
@@ -0,0 +1,94 @@
+const express = require('express');
+const { parseEngineOptions } = require('./engineOptions');
+
+// Detection sessions over HTTP: stateful frame streams with closure tracking
+// and alerts, mounted at /sessions.
+//
+// `createEngine(options)` resolves to an engine with the session's options on
+// top of the server defaults. Frames go through the `imageUpload` middlewares,
+// then `detectFace(image)`; while `modelReady()` is false, `modelUnavailable(res)`
+// answers instead. Results and acknowledgements reach the store's onResult,
+// which dispatches their events.
+function createSessionRouter({ sessions, createEngine, imageUpload, detectFace, modelReady, modelUnavailable }) {
+  const router = express.Router();
+
+  router.post('/', async (req, res) => {
+    const { options, error } = parseEngineOptions(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const session = sessions.create(await createEngine(options), options);
+    res.status(201).json(sessions.describe(session));
+  });
+
+  router.get('/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json(sessions.describe(session));
+  });
+
+  router.post('/:id/frames', imageUpload, async (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (!modelReady()) {
+      return modelUnavailable(res);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "No image file provided" });
+    }
+
+    const timestamp = req.body.timestamp !== undefined ? Number(req.body.timestamp) : Date.now();
+    if (!Number.isFinite(timestamp)) {
+      return res.status(400).json({ error: "timestamp must be a number of milliseconds" });
+    }
+
+    try {
+      const face = await detectFace(req.file.buffer);
+      const { state, events } = sessions.processFrame(session, { timestamp, ...face });
+
+      res.json({
+        sessionId: session.id,
+        frame: session.frameCount,
+        state,
+        events
+      });
+    } catch (err) {
+      if (err instanceof RangeError) {
+        return res.status(409).json({ error: err.message });
+      }
+      console.error("Processing error:", err);
+      res.status(500).json({ error: "Failed to process image", details: err.message });
+    }
+  });
+
+  // The driver confirmed they are awake: clears the active alerts
+  router.post('/:id/acknowledge', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const { state, events } = sessions.acknowledge(session);
+    res.json({ state, events });
+  });
+
+  router.delete('/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const summary = sessions.describe(session);
+    sessions.remove(session.id);
+    res.json(summary);
+  });
+
+  return router;
+}
+
+module.exports = { createSessionRouter };
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createSessionStore } = require('./sessions');
+const { createSessionRouter } = require('./sessionRoutes');
+
+const NO_FACE = { landmarks: null, transformationMatrix: null };
+
+// Stands in for multer: every request carries an image
+const fakeUpload = (req, res, next) => {
+  req.file = { buffer: Buffer.from('frame') };
+  next();
+};
+
+const results = [];
+let sessions;
+let server;
+let baseUrl;
+
+before(async () => {
+  const { createDrowsinessEngine } = await import('../shared/drowsinessEngine.js');
+  sessions = createSessionStore({ idleTimeoutMs: 60000, onResult: (session, result) => results.push(result) });
+  const app = express();
+  app.use(express.json());
+  app.use('/sessions', createSessionRouter({
+    sessions,
+    createEngine: async (options) => createDrowsinessEngine(options),
+    imageUpload: [fakeUpload],
+    detectFace: async () => NO_FACE,
+    modelReady: () => true,
+    modelUnavailable: (res) => res.status(503).json({ error: 'Model not loaded' })
+  }));
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}/sessions`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  sessions.close();
+});
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('acknowledging clears the active alerts and reports them like a frame', async () => {
+  const created = await post('', {});
+  assert.equal(created.status, 201);
+  const id = created.body.id;
+
+  await post(`/${id}/frames`, { timestamp: 0 });
+  const missing = await post(`/${id}/frames`, { timestamp: 3000 });
+  assert.deepEqual(missing.body.events.map(event => [event.type, event.reason]), [['alert-raised', 'driver-not-visible']]);
+
+  results.length = 0;
+  const acknowledged = await post(`/${id}/acknowledge`);
+  assert.equal(acknowledged.status, 200);
+  assert.deepEqual(acknowledged.body.events.map(event => [event.type, event.reason]), [['alert-cleared', 'driver-not-visible']]);
+  assert.equal(acknowledged.body.state.alertActive, false);
+  assert.deepEqual(results, [acknowledged.body]);
+  assert.equal(sessions.get(id).alerts[0].clearedAt, 3000);
+});
+
+test('acknowledging an unknown session is a 404', async () => {
+  const { status, body } = await post('/no-such-session/acknowledge');
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Session not found');
+});
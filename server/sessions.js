@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+const MAX_ALERT_HISTORY = 100;
+
+// In-memory store of detection sessions. Each session wraps its own engine so
+// a client can stream frames and get the same closure/alert state as the UI.
+// `onResult(session, { state, events })` is called after every processed frame
+// and acknowledgement, e.g. to publish alerts.
+function createSessionStore({ idleTimeoutMs, sweepIntervalMs = 30000, onResult = () => {}, now = Date.now }) {
+  const sessions = new Map();
+
+  const touch = (session) => {
+    session.lastActivity = now();
+  };
+
+  const findOpenAlert = (session, reason) =>
+    session.alerts.find(alert => alert.reason === reason && alert.clearedAt === null);
+
+  const recordEvents = (session, events) => {
+    events.forEach(event => {
+      if (event.type === 'alert-raised') {
+        session.alerts.push({
+          reason: event.reason,
+          severity: event.severity,
+          raisedAt: event.timestamp,
+          clearedAt: null,
+          duration: null
+        });
+        if (session.alerts.length > MAX_ALERT_HISTORY) {
+          session.alerts.shift();
+        }
+      } else if (event.type === 'alert-escalated') {
+        const open = findOpenAlert(session, event.reason);
+        if (open) open.severity = event.severity;
+      } else if (event.type === 'alert-cleared') {
+        const open = findOpenAlert(session, event.reason);
+        if (open) {
+          open.clearedAt = event.timestamp;
+          open.duration = event.timestamp - open.raisedAt;
+        }
+      }
+    });
+  };
+
+  // options are the engine options the client chose for this session; server
+  // defaults do not override them
+  const create = (engine, options = {}) => {
+    const createdAt = now();
+    const session = {
+      id: crypto.randomUUID(),
+      engine,
+      options: { ...options },
+      createdAt,
+      lastActivity: createdAt,
+      frameCount: 0,
+      alerts: []
+    };
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  const get = (id) => {
+    const session = sessions.get(id);
+    if (session) touch(session);
+    return session || null;
+  };
+
+  const processFrame = (session, frame) => {
+    const lastTimestamp = session.engine.getState().timestamp;
+    if (lastTimestamp !== null && frame.timestamp < lastTimestamp) {
+      throw new RangeError(`Frame timestamp ${frame.timestamp} is older than the previous frame (${lastTimestamp})`);
+    }
+
+    const result = session.engine.processFrame(frame);
+    session.frameCount++;
+    recordEvents(session, result.events);
+    touch(session);
+    onResult(session, result);
+    return result;
+  };
+
+  const acknowledge = (session) => {
+    const result = session.engine.acknowledge();
+    recordEvents(session, result.events);
+    touch(session);
+    onResult(session, result);
+    return result;
+  };
+
+  const configure = (session, options) => {
+    session.options = { ...session.options, ...options };
+    return session.engine.configure(options);
+  };
+
+  const remove = (id) => sessions.delete(id);
+
+  const describe = (session) => ({
+    id: session.id,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    expiresAt: session.lastActivity + idleTimeoutMs,
+    frameCount: session.frameCount,
+    state: session.engine.getState(),
+    alerts: session.alerts
+  });
+
+  const sweep = () => {
+    const cutoff = now() - idleTimeoutMs;
+    for (const [id, session] of sessions) {
+      if (session.lastActivity < cutoff) {
+        sessions.delete(id);
+      }
+    }
+  };
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    create,
+    get,
+    processFrame,
+    acknowledge,
+    configure,
+    remove,
+    describe,
+    sweep,
+    list: () => [...sessions.values()],
+    size: () => sessions.size,
+    close: () => clearInterval(timer)
+  };
+}
+
+module.exports = { createSessionStore };
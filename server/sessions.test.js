@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionStore } = require('./sessions');
+
+// An engine that reports the events it is given for each frame
+function fakeEngine() {
+  let timestamp = null;
+  return {
+    processFrame: (frame) => {
+      timestamp = frame.timestamp;
+      return { state: { timestamp }, events: frame.events || [] };
+    },
+    acknowledge: () => ({ state: { timestamp }, events: [] }),
+    configure: () => ({ state: { timestamp }, events: [] }),
+    getState: () => ({ timestamp })
+  };
+}
+
+const raised = (reason, timestamp) => ({ type: 'alert-raised', reason, severity: 1, timestamp });
+
+test('expires sessions after the idle timeout, counting any use as activity', (t) => {
+  let time = 1000;
+  const store = createSessionStore({ idleTimeoutMs: 5000, now: () => time });
+  t.after(store.close);
+
+  const idle = store.create(fakeEngine());
+  const busy = store.create(fakeEngine(), { earThreshold: 0.2 });
+  assert.equal(store.describe(idle).expiresAt, 6000);
+  assert.deepEqual(busy.options, { earThreshold: 0.2 });
+
+  time = 4000;
+  store.processFrame(busy, { timestamp: 0 });
+  time = 7000;
+  store.sweep();
+  assert.equal(store.get(idle.id), null);
+  assert.equal(store.get(busy.id), busy);
+  assert.equal(store.describe(busy).lastActivity, 7000);
+
+  assert.equal(store.remove(busy.id), true);
+  assert.equal(store.get(busy.id), null);
+  assert.equal(store.size(), 0);
+});
+
+test('records alerts, keeping the last 100, and reports every result', (t) => {
+  const results = [];
+  const store = createSessionStore({ idleTimeoutMs: 5000, onResult: (session, result) => results.push(result) });
+  t.after(store.close);
+  const session = store.create(fakeEngine());
+
+  store.processFrame(session, { timestamp: 0, events: [raised('eyes-closed', 0)] });
+  store.processFrame(session, {
+    timestamp: 500,
+    events: [
+      { type: 'alert-escalated', reason: 'eyes-closed', severity: 2, timestamp: 400 },
+      { type: 'alert-cleared', reason: 'eyes-closed', severity: 0, timestamp: 500 }
+    ]
+  });
+  assert.deepEqual(session.alerts, [{ reason: 'eyes-closed', severity: 2, raisedAt: 0, clearedAt: 500, duration: 500 }]);
+
+  for (let i = 1; i <= 120; i++) {
+    store.processFrame(session, { timestamp: 1000 + i, events: [raised(`reason-${i}`, 1000 + i)] });
+  }
+  assert.equal(session.alerts.length, 100);
+  assert.equal(session.alerts[0].reason, 'reason-21');
+  assert.equal(session.frameCount, 122);
+
+  store.acknowledge(session);
+  assert.equal(results.length, 123);
+});
+
+test('refuses frames older than the previous one', (t) => {
+  const store = createSessionStore({ idleTimeoutMs: 5000 });
+  t.after(store.close);
+  const session = store.create(fakeEngine());
+
+  store.processFrame(session, { timestamp: 1000 });
+  store.processFrame(session, { timestamp: 1000 });
+  assert.throws(() => store.processFrame(session, { timestamp: 999 }), {
+    name: 'RangeError',
+    message: 'Frame timestamp 999 is older than the previous frame (1000)'
+  });
+  assert.equal(session.frameCount, 2);
+});
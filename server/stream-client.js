@@ -0,0 +1,135 @@
+// Streams a folder of images through the /stream WebSocket endpoint at a fixed
+// frame rate and prints each result, for testing the server without a camera.
+//
+//   node stream-client.js <folder> [--url ws://localhost:3000/stream] [--fps 10] [--api-key <key>]
+//
+// The API key can also be set with the API_KEY environment variable.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const SEVERITY_NAMES = ['normal', 'warning', 'critical'];
+// How long to wait for the last results once every frame has been sent
+const DRAIN_TIMEOUT_MS = 5000;
+// Skip frames locally instead of piling them up in the socket buffer
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: { type: 'string', default: 'ws://localhost:3000/stream' },
+    fps: { type: 'string', default: '10' },
+    'api-key': { type: 'string', default: process.env.API_KEY || '' }
+  }
+});
+
+const folder = positionals[0];
+const fps = Number(values.fps);
+if (!folder || !Number.isFinite(fps) || fps <= 0) {
+  console.error('Usage: node stream-client.js <folder> [--url ws://localhost:3000/stream] [--fps 10] [--api-key <key>]');
+  process.exit(1);
+}
+
+const files = fs.readdirSync(folder)
+  .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+  .sort();
+if (files.length === 0) {
+  console.error(`No images found in ${folder}`);
+  process.exit(1);
+}
+
+const frameIntervalMs = 1000 / fps;
+// timestamp -> file name, to label results
+const sentFrames = new Map();
+let lastTimestamp = null;
+let results = 0;
+let skipped = 0;
+let droppedFrames = 0;
+let alerts = 0;
+let finished = false;
+
+const apiKey = values['api-key'];
+const ws = new WebSocket(values.url, apiKey ? { headers: { Authorization: `Bearer ${apiKey}` } } : {});
+
+const finish = () => {
+  if (finished) return;
+  finished = true;
+  console.log(`\nSent ${sentFrames.size} of ${files.length} frames, ${results} results, ` +
+    `${droppedFrames} dropped by the server, ${skipped} skipped locally, ${alerts} alerts raised`);
+  ws.close();
+};
+
+const streamFrames = () => {
+  const startedAt = Date.now();
+  let index = 0;
+
+  const timer = setInterval(() => {
+    if (index >= files.length) {
+      clearInterval(timer);
+      setTimeout(finish, DRAIN_TIMEOUT_MS).unref();
+      return;
+    }
+
+    const file = files[index];
+    const timestamp = startedAt + Math.round(index * frameIntervalMs);
+    index++;
+
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      skipped++;
+      return;
+    }
+    sentFrames.set(timestamp, file);
+    lastTimestamp = timestamp;
+    ws.send(JSON.stringify({ type: 'frame', timestamp }));
+    ws.send(fs.readFileSync(path.join(folder, file)));
+  }, frameIntervalMs);
+};
+
+const describeEvents = (events) => events
+  .filter(event => event.type.startsWith('alert-') || event.type === 'yawn-detected')
+  .map(event => (event.reason ? `${event.type} ${event.reason}` : event.type))
+  .join(', ');
+
+ws.on('message', (data) => {
+  const message = JSON.parse(data.toString());
+
+  if (message.type === 'ready') {
+    console.log(`Session ${message.sessionId}: streaming ${files.length} frames at ${fps} fps`);
+    streamFrames();
+  } else if (message.type === 'result') {
+    results++;
+    droppedFrames = message.droppedFrames;
+    alerts += message.events.filter(event => event.type === 'alert-raised').length;
+
+    const { state } = message;
+    const summary = state.faceDetected
+      ? `EAR ${state.ear.toFixed(3)}  closed ${(state.closedDurationMs / 1000).toFixed(1)}s`
+      : `no face${state.camera && state.camera.status !== 'ok' ? ` (camera ${state.camera.status})` : ''}`;
+    const events = describeEvents(message.events);
+    console.log(`#${message.frame}  ${sentFrames.get(message.timestamp)}  ${summary}  ` +
+      `${SEVERITY_NAMES[state.severity]}${events ? `  [${events}]` : ''}`);
+
+    if (message.timestamp === lastTimestamp && sentFrames.size + skipped === files.length) {
+      finish();
+    }
+  } else if (message.type === 'error') {
+    const file = message.timestamp !== undefined ? `${sentFrames.get(message.timestamp)}: ` : '';
+    console.error(`Error: ${file}${message.error}`);
+  }
+});
+
+ws.on('close', (code, reason) => {
+  if (code !== 1000 && code !== 1005) {
+    console.error(`Connection closed (${code}${reason.length ? `: ${reason}` : ''})`);
+    process.exitCode = 1;
+  }
+  process.exit();
+});
+
+ws.on('error', (err) => {
+  console.error(`Connection failed: ${err.message}`);
+  process.exit(1);
+});
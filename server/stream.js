@@ -0,0 +1,192 @@
+const { WebSocketServer } = require('ws');
+const { parseEngineOptions } = require('./engineOptions');
+
+// Outgoing bytes a client may leave unread before new frames are dropped
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const MAX_FRAME_BYTES = 5 * 1024 * 1024;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// WebSocket streaming of JPEG frames. Each connection gets its own detection
+// session, so it can also be inspected through GET /sessions/:id.
+//
+// Client -> server:
+//   binary                                  a JPEG frame, timestamped on arrival
+//   { type: 'frame', timestamp }            sets the timestamp of the next binary frame
+//   { type: 'configure', options }          engine options, as for POST /sessions
+//   { type: 'acknowledge' }                 the driver confirmed they are awake
+// Server -> client:
+//   { type: 'ready', sessionId, state }
+//   { type: 'configured', options }
+//   { type: 'result', frame, timestamp, state, events, droppedFrames }
+//   { type: 'events', events, state }       alert changes not caused by a frame
+//   { type: 'error', error, timestamp? }     timestamp is set when a frame failed
+//
+// Backpressure: one frame is processed at a time and only the newest waiting
+// frame is kept, so a client sending faster than detection runs gets results
+// for the latest frames instead of a growing delay. Frames are also dropped
+// while the client is not reading its results.
+// `admit(req)` decides on each upgrade request and returns { status, error } to
+// refuse it, `checkFrame(image)` returns why a frame is refused, and
+// `unavailableReason()` says why the model cannot be used; each is null otherwise.
+function attachStreamServer(server, {
+  path,
+  sessions,
+  createEngine,
+  detectFace,
+  admit,
+  checkFrame,
+  unavailableReason,
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS
+}) {
+  const wss = new WebSocketServer({
+    server,
+    path,
+    maxPayload: MAX_FRAME_BYTES,
+    // A refused client gets a plain HTTP error instead of a WebSocket
+    verifyClient: ({ req }, done) => {
+      const refusal = admit(req);
+      if (refusal) done(false, refusal.status, refusal.error);
+      else done(true);
+    }
+  });
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  wss.on('connection', (ws) => {
+    const reason = unavailableReason();
+    if (reason) {
+      send(ws, { type: 'error', error: reason });
+      // Close reasons are limited to 123 bytes, so the details are in the message
+      ws.close(1013, 'Model not available');
+      return;
+    }
+
+    const session = sessions.create(createEngine());
+    let nextTimestamp = null;
+    let pending = null;
+    let processing = false;
+    let droppedFrames = 0;
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+      // Keeps the session from expiring while the connection is idle but open
+      sessions.get(session.id);
+    });
+
+    const processPending = async () => {
+      if (processing || !pending) return;
+      processing = true;
+      const frame = pending;
+      pending = null;
+
+      try {
+        const face = await detectFace(frame.image);
+        const { state, events } = sessions.processFrame(session, { timestamp: frame.timestamp, ...face });
+        send(ws, {
+          type: 'result',
+          frame: session.frameCount,
+          timestamp: frame.timestamp,
+          state,
+          events,
+          droppedFrames
+        });
+      } catch (err) {
+        if (!(err instanceof RangeError)) {
+          console.error("Stream processing error:", err);
+        }
+        send(ws, { type: 'error', error: err.message, timestamp: frame.timestamp });
+      } finally {
+        processing = false;
+      }
+      processPending();
+    };
+
+    const handleControl = (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        send(ws, { type: 'error', error: 'Control messages must be JSON' });
+        return;
+      }
+
+      if (message.type === 'frame') {
+        if (!Number.isFinite(message.timestamp)) {
+          send(ws, { type: 'error', error: 'timestamp must be a number of milliseconds' });
+          return;
+        }
+        nextTimestamp = message.timestamp;
+      } else if (message.type === 'configure') {
+        const { options, error } = parseEngineOptions(message.options || {});
+        if (error) {
+          send(ws, { type: 'error', error });
+          return;
+        }
+        sessions.configure(session, options);
+        send(ws, { type: 'configured', options });
+      } else if (message.type === 'acknowledge') {
+        const { state, events } = sessions.acknowledge(session);
+        send(ws, { type: 'events', events, state });
+      } else {
+        send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+      }
+    };
+
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        handleControl(data.toString());
+        return;
+      }
+
+      const timestamp = nextTimestamp !== null ? nextTimestamp : Date.now();
+      nextTimestamp = null;
+
+      const problem = checkFrame(data);
+      if (problem) {
+        send(ws, { type: 'error', error: problem, timestamp });
+        return;
+      }
+
+      // The client is not reading its results: skip detection until it catches up
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        droppedFrames++;
+        return;
+      }
+      // A frame still waiting for detection is replaced by the newer one
+      if (pending) droppedFrames++;
+
+      pending = { image: data, timestamp };
+      processPending();
+    });
+
+    ws.on('close', () => {
+      pending = null;
+      sessions.remove(session.id);
+    });
+
+    send(ws, { type: 'ready', sessionId: session.id, state: session.engine.getState() });
+  });
+
+  // Drop connections whose client stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, heartbeatIntervalMs);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = { attachStreamServer };
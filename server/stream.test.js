@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createSessionStore } = require('./sessions');
+const { attachStreamServer } = require('./stream');
+
+const NO_FACE = { landmarks: null, transformationMatrix: null };
+
+// detectFace for the stream; while blocked, calls wait until the test releases them
+const detector = {
+  calls: [],
+  blocked: false,
+  waiting: [],
+  detectFace(image) {
+    detector.calls.push(image.toString());
+    if (!detector.blocked) return Promise.resolve(NO_FACE);
+    return new Promise(resolve => detector.waiting.push(() => resolve(NO_FACE)));
+  },
+  release() {
+    detector.blocked = false;
+    detector.waiting.splice(0).forEach(resolve => resolve());
+  }
+};
+
+let server;
+let wss;
+let sessions;
+let url;
+
+before(async () => {
+  const { createDrowsinessEngine } = await import('../shared/drowsinessEngine.js');
+  sessions = createSessionStore({ idleTimeoutMs: 60000 });
+  server = http.createServer();
+  wss = attachStreamServer(server, {
+    path: '/stream',
+    sessions,
+    createEngine: () => createDrowsinessEngine(),
+    detectFace: (image) => detector.detectFace(image),
+    admit: (req) => (req.url.includes('api_key=wrong') ? { status: 401, error: 'Invalid API key' } : null),
+    checkFrame: (image) => (image.toString() === 'not an image' ? 'Unsupported image type' : null),
+    unavailableReason: () => null,
+    heartbeatIntervalMs: 50
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `ws://127.0.0.1:${server.address().port}/stream`;
+});
+
+after(async () => {
+  wss.clients.forEach(ws => ws.terminate());
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+  sessions.close();
+});
+
+// Resolves once `condition()` holds, checking after every turn of the event loop
+async function until(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// A client that collects the server's messages
+async function connect(options) {
+  const ws = new WebSocket(url, options);
+  const messages = [];
+  const waiters = [];
+  ws.on('message', data => {
+    messages.push(JSON.parse(data.toString()));
+    waiters.splice(0).forEach(waiter => waiter());
+  });
+  const next = async (type) => {
+    for (;;) {
+      const index = messages.findIndex(message => message.type === type);
+      if (index !== -1) return messages.splice(index, 1)[0];
+      await new Promise(resolve => waiters.push(resolve));
+    }
+  };
+  const ready = await next('ready');
+  const control = (message) => ws.send(JSON.stringify(message));
+  // The server handles messages in order, so once it answers this one it has
+  // seen everything sent before
+  const sync = async () => {
+    control({ type: 'configure', options: {} });
+    await next('configured');
+  };
+  return { ws, ready, next, control, sync, close: () => ws.close() };
+}
+
+test('gives each connection its own session and removes it on close', async () => {
+  const first = await connect();
+  const second = await connect();
+  assert.notEqual(first.ready.sessionId, second.ready.sessionId);
+
+  first.control({ type: 'frame', timestamp: 1000 });
+  first.ws.send(Buffer.from('frame'));
+  const result = await first.next('result');
+  assert.equal(result.frame, 1);
+  assert.equal(result.timestamp, 1000);
+  assert.equal(result.state.faceDetected, false);
+  assert.equal(sessions.get(first.ready.sessionId).frameCount, 1);
+  assert.equal(sessions.get(second.ready.sessionId).frameCount, 0);
+
+  // Out-of-order frames and bad input are reported without closing the stream
+  first.control({ type: 'frame', timestamp: 500 });
+  first.ws.send(Buffer.from('frame'));
+  assert.match((await first.next('error')).error, /older than the previous frame/);
+  first.ws.send(Buffer.from('not an image'));
+  assert.equal((await first.next('error')).error, 'Unsupported image type');
+  first.control({ type: 'configure', options: { earThreshold: -1 } });
+  assert.match((await first.next('error')).error, /earThreshold/);
+
+  first.control({ type: 'acknowledge' });
+  const acknowledged = await first.next('events');
+  assert.deepEqual(acknowledged.events, []);
+  assert.equal(acknowledged.state.alertActive, false);
+
+  first.close();
+  second.close();
+  await until(() => sessions.size() === 0);
+});
+
+test('keeps only the newest frame while detection is busy', async () => {
+  const client = await connect();
+  detector.calls = [];
+  detector.blocked = true;
+
+  client.control({ type: 'frame', timestamp: 1 });
+  client.ws.send(Buffer.from('one'));
+  client.control({ type: 'frame', timestamp: 2 });
+  client.ws.send(Buffer.from('two'));
+  client.control({ type: 'frame', timestamp: 3 });
+  client.ws.send(Buffer.from('three'));
+  await client.sync();
+  detector.release();
+
+  const first = await client.next('result');
+  const last = await client.next('result');
+  assert.equal(first.timestamp, 1);
+  assert.equal(last.timestamp, 3);
+  assert.equal(last.droppedFrames, 1);
+  assert.deepEqual(detector.calls, ['one', 'three']);
+
+  client.close();
+  await once(client.ws, 'close');
+});
+
+test('drops frames while the client is not reading its results', async () => {
+  const connected = once(wss, 'connection');
+  const client = await connect();
+  const [serverSocket] = await connected;
+  let buffered = 2 * 1024 * 1024;
+  Object.defineProperty(serverSocket, 'bufferedAmount', { get: () => buffered });
+
+  client.control({ type: 'frame', timestamp: 1 });
+  client.ws.send(Buffer.from('unread'));
+  await client.sync();
+  buffered = 0;
+  client.control({ type: 'frame', timestamp: 2 });
+  client.ws.send(Buffer.from('read'));
+
+  const result = await client.next('result');
+  assert.equal(result.timestamp, 2);
+  assert.equal(result.frame, 1);
+  assert.equal(result.droppedFrames, 1);
+
+  client.close();
+  await once(client.ws, 'close');
+});
+
+test('closes connections that stop answering pings, and refuses unauthorized ones', async () => {
+  const alive = await connect();
+  const silent = await connect({ autoPong: false });
+
+  const [code] = await once(silent.ws, 'close');
+  assert.equal(code, 1006);
+  await until(() => sessions.size() === 1);
+  assert.notEqual(sessions.get(alive.ready.sessionId), null);
+  assert.equal(alive.ws.readyState, WebSocket.OPEN);
+
+  const refused = new WebSocket(`${url}?api_key=wrong`);
+  // Aborting the handshake reports an error on the client
+  refused.on('error', () => {});
+  const [, response] = await once(refused, 'unexpected-response');
+  assert.equal(response.statusCode, 401);
+  refused.terminate();
+
+  alive.close();
+  await once(alive.ws, 'close');
+});
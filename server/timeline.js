@@ -0,0 +1,107 @@
+// Builds the drowsiness timeline of a recorded video from the engine output of
+// each frame: EAR per frame, eye closure intervals, alert intervals and summary
+// stats. Timestamps are milliseconds from the start of the recording.
+
+const SEVERITY_NORMAL = 0;
+
+function createTimelineBuilder() {
+  const frames = [];
+  const closures = [];
+  const alerts = [];
+  // reason -> open alert interval
+  const openAlerts = new Map();
+  let openClosure = null;
+  let yawnCount = 0;
+
+  const closeClosure = (timestamp) => {
+    openClosure.end = timestamp;
+    openClosure.durationMs = timestamp - openClosure.start;
+    closures.push(openClosure);
+    openClosure = null;
+  };
+
+  const closeAlert = (reason, timestamp) => {
+    const alert = openAlerts.get(reason);
+    openAlerts.delete(reason);
+    alert.end = timestamp;
+    alert.durationMs = timestamp - alert.start;
+  };
+
+  const add = (timestamp, state, events) => {
+    frames.push({
+      timestamp,
+      faceDetected: state.faceDetected,
+      ear: state.faceDetected ? state.ear : null,
+      eyesClosed: state.faceDetected ? state.eyesClosed : null,
+      severity: state.severity
+    });
+
+    // A closure ends when the eyes open or the face is lost
+    const closed = state.faceDetected && state.eyesClosed;
+    if (closed && !openClosure) {
+      openClosure = { start: timestamp, end: null, durationMs: null, minEar: state.ear };
+    } else if (closed) {
+      openClosure.minEar = Math.min(openClosure.minEar, state.ear);
+    } else if (openClosure) {
+      closeClosure(timestamp);
+    }
+
+    events.forEach(event => {
+      if (event.type === 'alert-raised') {
+        const alert = { reason: event.reason, severity: event.severity, start: timestamp, end: null, durationMs: null };
+        alerts.push(alert);
+        openAlerts.set(event.reason, alert);
+      } else if (event.type === 'alert-escalated' && openAlerts.has(event.reason)) {
+        const alert = openAlerts.get(event.reason);
+        alert.severity = Math.max(alert.severity, event.severity);
+      } else if (event.type === 'alert-cleared' && openAlerts.has(event.reason)) {
+        closeAlert(event.reason, timestamp);
+      } else if (event.type === 'yawn-detected') {
+        yawnCount++;
+      }
+    });
+  };
+
+  // Intervals still open at the end of the recording end with its last frame
+  const finish = () => {
+    const end = frames.length > 0 ? frames[frames.length - 1].timestamp : 0;
+    if (openClosure) closeClosure(end);
+    [...openAlerts.keys()].forEach(reason => closeAlert(reason, end));
+
+    const start = frames.length > 0 ? frames[0].timestamp : 0;
+    const durationMs = end - start;
+    const withFace = frames.filter(frame => frame.faceDetected);
+    const totalClosedMs = closures.reduce((sum, closure) => sum + closure.durationMs, 0);
+    const alertsByReason = {};
+    alerts.forEach(alert => {
+      alertsByReason[alert.reason] = (alertsByReason[alert.reason] || 0) + 1;
+    });
+
+    return {
+      frames,
+      closures,
+      alerts,
+      summary: {
+        frameCount: frames.length,
+        durationMs,
+        faceDetectedRatio: frames.length > 0 ? withFace.length / frames.length : 0,
+        meanEar: withFace.length > 0
+          ? withFace.reduce((sum, frame) => sum + frame.ear, 0) / withFace.length
+          : null,
+        closureCount: closures.length,
+        totalClosedMs,
+        longestClosureMs: closures.reduce((longest, closure) => Math.max(longest, closure.durationMs), 0),
+        // Share of the recording spent with closed eyes (PERCLOS over the whole video)
+        perclos: durationMs > 0 ? totalClosedMs / durationMs : null,
+        yawnCount,
+        alertCount: alerts.length,
+        alertsByReason,
+        maxSeverity: alerts.reduce((max, alert) => Math.max(max, alert.severity), SEVERITY_NORMAL)
+      }
+    };
+  };
+
+  return { add, finish };
+}
+
+module.exports = { createTimelineBuilder };
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTimelineBuilder } = require('./timeline');
+
+const open = { faceDetected: true, ear: 0.3, eyesClosed: false, severity: 0 };
+const closed = (ear = 0.1, severity = 0) => ({ faceDetected: true, ear, eyesClosed: true, severity });
+const noFace = { faceDetected: false, ear: 0, eyesClosed: false, severity: 0 };
+
+test('records EAR per frame and nothing for frames without a face', () => {
+  const timeline = createTimelineBuilder();
+  timeline.add(0, open, []);
+  timeline.add(100, noFace, []);
+  const { frames, summary } = timeline.finish();
+
+  assert.deepEqual(frames.map(frame => frame.ear), [0.3, null]);
+  assert.equal(summary.faceDetectedRatio, 0.5);
+  assert.equal(summary.meanEar, 0.3);
+});
+
+test('closure intervals run from the first closed frame to the next open one', () => {
+  const timeline = createTimelineBuilder();
+  timeline.add(0, open, []);
+  timeline.add(100, closed(0.12), []);
+  timeline.add(200, closed(0.08), []);
+  timeline.add(300, open, []);
+  timeline.add(400, closed(), []);
+  timeline.add(500, noFace, []);
+  const { closures, summary } = timeline.finish();
+
+  assert.deepEqual(closures, [
+    { start: 100, end: 300, durationMs: 200, minEar: 0.08 },
+    { start: 400, end: 500, durationMs: 100, minEar: 0.1 }
+  ]);
+  assert.equal(summary.closureCount, 2);
+  assert.equal(summary.totalClosedMs, 300);
+  assert.equal(summary.longestClosureMs, 200);
+  assert.equal(summary.perclos, 300 / 500);
+});
+
+test('alert intervals keep the highest severity and are counted by reason', () => {
+  const timeline = createTimelineBuilder();
+  timeline.add(0, closed(), [{ type: 'alert-raised', reason: 'eyes-closed', severity: 1 }]);
+  timeline.add(100, closed(0.1, 2), [{ type: 'alert-escalated', reason: 'eyes-closed', severity: 2 }]);
+  timeline.add(200, open, [{ type: 'alert-cleared', reason: 'eyes-closed' }, { type: 'yawn-detected' }]);
+  const { alerts, summary } = timeline.finish();
+
+  assert.deepEqual(alerts, [{ reason: 'eyes-closed', severity: 2, start: 0, end: 200, durationMs: 200 }]);
+  assert.deepEqual(summary.alertsByReason, { 'eyes-closed': 1 });
+  assert.equal(summary.maxSeverity, 2);
+  assert.equal(summary.yawnCount, 1);
+});
+
+test('intervals still open end with the last frame', () => {
+  const timeline = createTimelineBuilder();
+  timeline.add(0, closed(), [{ type: 'alert-raised', reason: 'perclos', severity: 1 }]);
+  timeline.add(1000, closed(), []);
+  const { closures, alerts } = timeline.finish();
+
+  assert.equal(closures[0].end, 1000);
+  assert.equal(alerts[0].end, 1000);
+  assert.equal(alerts[0].durationMs, 1000);
+});
+
+test('summarises recordings with more intervals than a function takes arguments', () => {
+  const timeline = createTimelineBuilder();
+  const count = 200000;
+  for (let i = 0; i < count; i++) {
+    timeline.add(i * 200, closed(0.1, 1), i === count - 1 ? [{ type: 'alert-raised', reason: 'eyes-closed', severity: 2 }] : []);
+    timeline.add(i * 200 + 100, open, []);
+  }
+  const { summary } = timeline.finish();
+
+  assert.equal(summary.closureCount, count);
+  assert.equal(summary.longestClosureMs, 100);
+  assert.equal(summary.maxSeverity, 2);
+});
+
+test('an empty recording has an empty summary', () => {
+  const { summary } = createTimelineBuilder().finish();
+  assert.equal(summary.frameCount, 0);
+  assert.equal(summary.meanEar, null);
+  assert.equal(summary.perclos, null);
+  assert.equal(summary.maxSeverity, 0);
+});
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Engine events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['alert-raised', 'alert-cleared', 'face-lost'];
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_LOG_SIZE = 500;
+
+// Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the webhook
+// secret, sent as `X-Webhook-Signature: sha256=<hex>`. Including the timestamp
+// lets receivers reject replayed requests.
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Delay before retry `attempt` (1 = first retry): 1s, 2s, 4s, ... up to the maximum
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+
+// Server errors, rate limiting, timeouts and network failures are worth retrying;
+// other client errors mean the request itself is wrong
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+// { webhook } or { error } for a registration request body
+function parseRegistration(body) {
+  const { url, events, secret } = body || {};
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Unknown event type: ${unknown.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return { error: 'secret must be a string of at least 16 characters' };
+  }
+
+  return { webhook: { url: parsed.href, events: [...new Set(events)], secret } };
+}
+
+function readWebhookFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  let webhooks;
+  try {
+    webhooks = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${filePath} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(webhooks) || webhooks.some(webhook => !webhook || typeof webhook.id !== 'string' ||
+    typeof webhook.url !== 'string' || !Array.isArray(webhook.events) || typeof webhook.secret !== 'string')) {
+    throw new Error(`${filePath} must contain a JSON array of webhooks with an id, url, events and secret`);
+  }
+  return webhooks;
+}
+
+// Webhook registrations and their deliveries. Registrations are saved to
+// `filePath`, secrets included since every delivery is signed with them, so the
+// file is only readable by its owner. Every matching engine event becomes one
+// delivery, POSTed as JSON and retried with exponential backoff until it
+// succeeds, fails permanently or runs out of attempts. The newest deliveries
+// are kept in memory, in a log for debugging.
+function createWebhookRegistry({
+  filePath = null,
+  vehicleId = null,
+  fetch = globalThis.fetch,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  logSize = DEFAULT_LOG_SIZE
+} = {}) {
+  const webhooks = new Map();
+  const deliveries = [];
+  const timers = new Set();
+
+  if (filePath) {
+    readWebhookFile(filePath).forEach(({ id, url, events, secret, createdAt }) => {
+      webhooks.set(id, { id, url, events, secret, createdAt });
+    });
+  }
+
+  const save = () => {
+    if (!filePath) return;
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, `${JSON.stringify([...webhooks.values()], null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Throws when the registration cannot be saved, and then keeps nothing
+  const register = ({ url, events, secret }) => {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: Date.now()
+    };
+    webhooks.set(webhook.id, webhook);
+    try {
+      save();
+    } catch (err) {
+      webhooks.delete(webhook.id);
+      throw err;
+    }
+    return webhook;
+  };
+
+  const get = (id) => webhooks.get(id) || null;
+
+  const list = () => [...webhooks.values()];
+
+  // Pending retries of a removed webhook are not sent
+  const remove = (id) => {
+    const removed = webhooks.delete(id);
+    if (removed) save();
+    return removed;
+  };
+
+  // The secret is only returned when the webhook is created
+  const describe = (webhook, { includeSecret = false } = {}) => ({
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    createdAt: webhook.createdAt,
+    ...(includeSecret ? { secret: webhook.secret } : {})
+  });
+
+  const schedule = (fn, ms) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timer.unref();
+    timers.add(timer);
+  };
+
+  const attempt = async (delivery) => {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.error = 'Webhook was removed';
+      return;
+    }
+
+    const timestamp = Date.now();
+    const startedAt = performance.now();
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'drowsiness-detector-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = response.status;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (err.cause && err.cause.message) || err.message;
+    }
+
+    delivery.attempts.push({ at: timestamp, status, error, durationMs: Math.round(performance.now() - startedAt) });
+    delivery.error = error;
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (isRetryable(status) && delivery.attempts.length < maxAttempts) {
+      const delay = backoffDelay(delivery.attempts.length, baseDelayMs, maxDelayMs);
+      delivery.nextAttemptAt = Date.now() + delay;
+      schedule(() => attempt(delivery), delay);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+  };
+
+  const deliver = (webhook, payload) => {
+    const delivery = {
+      id: payload.id,
+      webhookId: webhook.id,
+      event: payload.type,
+      status: 'pending',
+      createdAt: payload.createdAt,
+      nextAttemptAt: payload.createdAt,
+      error: null,
+      attempts: [],
+      body: JSON.stringify(payload)
+    };
+    deliveries.push(delivery);
+    if (deliveries.length > logSize) deliveries.shift();
+    return attempt(delivery);
+  };
+
+  // Engine events of one processed frame (or acknowledgement) of a session.
+  // Resolves once the first attempt of every delivery has finished.
+  const dispatch = (sessionId, state, events) => {
+    const attempts = [];
+    events
+      .filter(event => WEBHOOK_EVENTS.includes(event.type))
+      .forEach(event => {
+        webhooks.forEach(webhook => {
+          if (!webhook.events.includes(event.type)) return;
+          attempts.push(deliver(webhook, {
+            id: crypto.randomUUID(),
+            type: event.type,
+            createdAt: Date.now(),
+            vehicleId,
+            sessionId,
+            event,
+            state: {
+              timestamp: state.timestamp,
+              faceDetected: state.faceDetected,
+              ear: state.faceDetected ? state.ear : null,
+              closedDurationMs: state.closedDurationMs,
+              perclos: state.perclos,
+              severity: state.severity,
+              alertReasons: state.alertReasons
+            }
+          }));
+        });
+      });
+    return Promise.all(attempts);
+  };
+
+  const describeDelivery = (delivery) => ({
+    id: delivery.id,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    status: delivery.status,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt,
+    error: delivery.error,
+    attempts: delivery.attempts,
+    payload: JSON.parse(delivery.body)
+  });
+
+  // Newest first, optionally only those of one webhook
+  const listDeliveries = ({ webhookId = null, status = null } = {}) => deliveries
+    .filter(delivery => (webhookId === null || delivery.webhookId === webhookId) &&
+      (status === null || delivery.status === status))
+    .reverse()
+    .map(describeDelivery);
+
+  const close = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return { register, get, list, remove, describe, dispatch, listDeliveries, close };
+}
+
+module.exports = { createWebhookRegistry, parseRegistration, signPayload, WEBHOOK_EVENTS };
@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const { createWebhookRegistry, parseRegistration, signPayload } = require('./webhooks');
+
+const state = {
+  timestamp: 5000,
+  faceDetected: true,
+  ear: 0.11,
+  closedDurationMs: 2200,
+  perclos: 0.3,
+  severity: 1,
+  alertReasons: ['eyes-closed']
+};
+const raised = { type: 'alert-raised', reason: 'eyes-closed', severity: 1, timestamp: 5000 };
+
+// A receiver that answers with the given status codes in turn (200 once they run out)
+async function startReceiver(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+const waitUntil = async (condition) => {
+  const deadline = Date.now() + 2000;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('delivers subscribed events with a verifiable signature', async (t) => {
+  const receiver = await startReceiver(t);
+  const webhooks = createWebhookRegistry({ vehicleId: 'VEH001' });
+  t.after(() => webhooks.close());
+  const webhook = webhooks.register({ url: receiver.url, events: ['alert-raised'], secret: 'a'.repeat(32) });
+
+  await webhooks.dispatch('session-1', state, [raised, { type: 'eyes-closing', timestamp: 5000 }]);
+  assert.equal(receiver.requests.length, 1);
+
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(headers['x-webhook-event'], 'alert-raised');
+  assert.equal(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.type, 'alert-raised');
+  assert.equal(payload.vehicleId, 'VEH001');
+  assert.equal(payload.sessionId, 'session-1');
+  assert.deepEqual(payload.event, raised);
+  assert.equal(payload.state.ear, 0.11);
+  assert.equal(payload.id, headers['x-webhook-id']);
+
+  const [delivery] = webhooks.listDeliveries({ webhookId: webhook.id });
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts[0].status, 200);
+});
+
+test('only sends the event types a webhook chose', async (t) => {
+  const receiver = await startReceiver(t);
+  const webhooks = createWebhookRegistry();
+  t.after(() => webhooks.close());
+  webhooks.register({ url: receiver.url, events: ['face-lost', 'alert-cleared'] });
+
+  await webhooks.dispatch('session-1', state, [raised]);
+  await webhooks.dispatch('session-1', state, [{ type: 'face-lost', timestamp: 6000 }]);
+  assert.deepEqual(receiver.requests.map(request => request.headers['x-webhook-event']), ['face-lost']);
+});
+
+test('retries server errors with exponential backoff', async (t) => {
+  const receiver = await startReceiver(t, [500, 503]);
+  const webhooks = createWebhookRegistry({ baseDelayMs: 20 });
+  t.after(() => webhooks.close());
+  const webhook = webhooks.register({ url: receiver.url, events: ['alert-raised'] });
+
+  await webhooks.dispatch('session-1', state, [raised]);
+  const [pending] = webhooks.listDeliveries();
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.error, 'HTTP 500');
+
+  await waitUntil(() => webhooks.listDeliveries()[0].status !== 'pending');
+  const [delivery] = webhooks.listDeliveries({ webhookId: webhook.id });
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [500, 503, 200]);
+  // 20 ms, then 40 ms
+  assert.ok(delivery.attempts[2].at - delivery.attempts[0].at >= 60);
+  // Every attempt sends the same delivery
+  assert.equal(new Set(receiver.requests.map(request => request.headers['x-webhook-id'])).size, 1);
+});
+
+test('gives up on client errors and after the last attempt', async (t) => {
+  const receiver = await startReceiver(t, [400, 500, 500, 500]);
+  const webhooks = createWebhookRegistry({ baseDelayMs: 5, maxAttempts: 3 });
+  t.after(() => webhooks.close());
+  webhooks.register({ url: receiver.url, events: ['alert-raised'] });
+
+  await webhooks.dispatch('session-1', state, [raised]);
+  assert.equal(webhooks.listDeliveries()[0].status, 'failed');
+
+  await webhooks.dispatch('session-1', state, [raised]);
+  await waitUntil(() => webhooks.listDeliveries()[0].status !== 'pending');
+  const [delivery] = webhooks.listDeliveries({ status: 'failed' });
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+  assert.equal(delivery.error, 'HTTP 500');
+});
+
+test('records network errors in the delivery log', async (t) => {
+  const webhooks = createWebhookRegistry({ maxAttempts: 1 });
+  t.after(() => webhooks.close());
+  // A port that was just closed
+  const server = http.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  webhooks.register({ url: `http://127.0.0.1:${port}/hook`, events: ['alert-raised'] });
+
+  await webhooks.dispatch('session-1', state, [raised]);
+  const [delivery] = webhooks.listDeliveries();
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts[0].status, null);
+  assert.match(delivery.error, /ECONNREFUSED/);
+});
+
+test('keeps registrations in the webhook file across restarts', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'webhooks.json');
+
+  const registry = createWebhookRegistry({ filePath });
+  const kept = registry.register({ url: 'http://127.0.0.1/kept', events: ['alert-raised'] });
+  const removed = registry.register({ url: 'http://127.0.0.1/removed', events: ['face-lost'] });
+  registry.remove(removed.id);
+  assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+
+  const restarted = createWebhookRegistry({ filePath });
+  assert.deepEqual(restarted.list(), [kept]);
+
+  fs.writeFileSync(filePath, '{"id": 1}');
+  assert.throws(() => createWebhookRegistry({ filePath }), /must contain a JSON array of webhooks/);
+});
+
+test('validates registrations', () => {
+  assert.match(parseRegistration({ url: 'ftp://example.com', events: ['alert-raised'] }).error, /http/);
+  assert.match(parseRegistration({ url: 'https://example.com' }).error, /events/);
+  assert.match(parseRegistration({ url: 'https://example.com', events: ['eyes-open'] }).error, /Unknown event type: eyes-open/);
+  assert.match(parseRegistration({ url: 'https://example.com', events: ['face-lost'], secret: 'short' }).error, /secret/);
+
+  const { webhook } = parseRegistration({ url: 'https://example.com/hook', events: ['face-lost', 'face-lost'] });
+  assert.deepEqual(webhook, { url: 'https://example.com/hook', events: ['face-lost'], secret: undefined });
+});
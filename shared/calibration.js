@@ -0,0 +1,41 @@
+// Personal EAR threshold from open-eye and closed-eye calibration samples.
+
+// Thresholds outside this range point at bad samples rather than unusual eyes
+export const CALIBRATION_LIMITS = {
+  minThreshold: 0.1,
+  maxThreshold: 0.4,
+  minSamples: 10
+};
+
+export const summarize = (samples) => {
+  const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  const variance = samples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / samples.length;
+  return { mean, std: Math.sqrt(variance), count: samples.length };
+};
+
+// Places the threshold where both distributions are the same number of standard
+// deviations away, so the noisier state gets the wider margin.
+// Returns { threshold, open, closed } or { error } when the samples cannot be used.
+export const computeCalibratedThreshold = (openSamples, closedSamples) => {
+  if (openSamples.length < CALIBRATION_LIMITS.minSamples || closedSamples.length < CALIBRATION_LIMITS.minSamples) {
+    return { error: 'Not enough samples. Keep your face in view of the camera and try again.' };
+  }
+
+  const open = summarize(openSamples);
+  const closed = summarize(closedSamples);
+
+  if (open.mean <= closed.mean) {
+    return { error: 'Open and closed eyes looked the same. Make sure your eyes are fully closed in the second step.' };
+  }
+
+  const spread = open.std + closed.std;
+  const threshold = spread > 0
+    ? (closed.mean * open.std + open.mean * closed.std) / spread
+    : (open.mean + closed.mean) / 2;
+
+  if (threshold < CALIBRATION_LIMITS.minThreshold || threshold > CALIBRATION_LIMITS.maxThreshold) {
+    return { error: `Calibrated threshold ${threshold.toFixed(2)} is out of range. Check the lighting and camera angle and try again.` };
+  }
+
+  return { threshold, open, closed };
+};
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, computeCalibratedThreshold } from './calibration.js';
+
+const around = (center, spread, count = 20) =>
+  Array.from({ length: count }, (_, i) => center + (i % 2 === 0 ? spread : -spread));
+
+test('summarize returns mean and standard deviation', () => {
+  const { mean, std, count } = summarize([1, 3]);
+  assert.equal(mean, 2);
+  assert.equal(std, 1);
+  assert.equal(count, 2);
+});
+
+test('equal spreads put the threshold halfway between the means', () => {
+  const { threshold } = computeCalibratedThreshold(around(0.3, 0.01), around(0.1, 0.01));
+  assert.ok(Math.abs(threshold - 0.2) < 1e-9);
+});
+
+test('the threshold moves away from the noisier distribution', () => {
+  const { threshold } = computeCalibratedThreshold(around(0.3, 0.03), around(0.1, 0.01));
+  assert.ok(Math.abs(threshold - 0.15) < 1e-9);
+});
+
+test('narrow eyes get a lower threshold than the default', () => {
+  const { threshold } = computeCalibratedThreshold(around(0.21, 0.01), around(0.09, 0.01));
+  assert.ok(threshold < 0.25);
+});
+
+test('too few samples are rejected', () => {
+  const result = computeCalibratedThreshold(around(0.3, 0.01, 3), around(0.1, 0.01));
+  assert.match(result.error, /Not enough samples/);
+});
+
+test('closed samples that are not lower than open samples are rejected', () => {
+  const result = computeCalibratedThreshold(around(0.25, 0.01), around(0.26, 0.01));
+  assert.match(result.error, /looked the same/);
+});
+
+test('thresholds outside the plausible range are rejected', () => {
+  const result = computeCalibratedThreshold(around(0.9, 0.01), around(0.7, 0.01));
+  assert.match(result.error, /out of range/);
+});
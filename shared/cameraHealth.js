@@ -0,0 +1,93 @@
+// Camera health from the pixels of each frame: a lens that is covered, a black
+// image and a feed that stopped updating all look like "no face" to the face
+// landmarker, so they are told apart here.
+
+export const CAMERA_STATUS = {
+  OK: 'ok',
+  DARK: 'dark',
+  UNIFORM: 'uniform',
+  FROZEN: 'frozen'
+};
+
+export const DEFAULT_CAMERA_THRESHOLDS = {
+  // Mean luminance (0-255) below which the image counts as black
+  darkBrightness: 15,
+  // Luminance standard deviation below which the image has no detail
+  // (a hand or tape over the lens, a fogged or blinded sensor)
+  minContrast: 8,
+  // Mean change of the cell luminances between two frames below which the
+  // image did not change at all. Sensor noise alone moves a live camera above it.
+  frozenDifference: 0.05
+};
+
+// The image is summarised as a GRID x GRID grid of mean luminances, sampled
+// from at most SAMPLES x SAMPLES pixels so large images stay cheap
+const GRID = 8;
+const SAMPLES = 64;
+
+// Brightness, contrast and a coarse luminance grid of an RGBA image (canvas
+// ImageData layout). Returns null for an empty image.
+export const measureFrame = (data, width, height) => {
+  if (!data || width <= 0 || height <= 0) return null;
+
+  const columns = Math.min(width, SAMPLES);
+  const rows = Math.min(height, SAMPLES);
+  const sums = new Array(GRID * GRID).fill(0);
+  const counts = new Array(GRID * GRID).fill(0);
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let row = 0; row < rows; row++) {
+    const y = Math.floor((row + 0.5) * height / rows);
+    for (let column = 0; column < columns; column++) {
+      const x = Math.floor((column + 0.5) * width / columns);
+      const i = (y * width + x) * 4;
+      const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      const cell = Math.floor(row * GRID / rows) * GRID + Math.floor(column * GRID / columns);
+      sums[cell] += luminance;
+      counts[cell]++;
+      sum += luminance;
+      sumSquares += luminance * luminance;
+    }
+  }
+
+  const count = rows * columns;
+  const brightness = sum / count;
+  return {
+    brightness,
+    contrast: Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness)),
+    cells: sums.map((cellSum, i) => (counts[i] > 0 ? cellSum / counts[i] : 0))
+  };
+};
+
+// Mean absolute difference between the luminance grids of two frames
+const difference = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / a.length;
+};
+
+// Classifies each frame from its measureFrame sample. Frozen needs the previous
+// frame; a dark or uniform image is reported as such even when it also repeats.
+export const createCameraMonitor = (thresholds = {}) => {
+  const config = { ...DEFAULT_CAMERA_THRESHOLDS, ...thresholds };
+  let previous = null;
+
+  const update = (sample) => {
+    const last = previous;
+    previous = sample;
+
+    if (sample.brightness < config.darkBrightness) return CAMERA_STATUS.DARK;
+    if (sample.contrast < config.minContrast) return CAMERA_STATUS.UNIFORM;
+    if (last && difference(sample.cells, last.cells) < config.frozenDifference) return CAMERA_STATUS.FROZEN;
+    return CAMERA_STATUS.OK;
+  };
+
+  const reset = () => {
+    previous = null;
+  };
+
+  return { update, reset };
+};
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureFrame, createCameraMonitor, CAMERA_STATUS } from './cameraHealth.js';
+
+// RGBA pixels of a width x height image, each pixel grey at pixel(x, y)
+const image = (width, height, pixel) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data.fill(pixel(x, y), i, i + 3);
+      data[i + 3] = 255;
+    }
+  }
+  return measureFrame(data, width, height);
+};
+
+const checkerboard = () => image(32, 32, (x, y) => ((x + y) % 2 === 0 ? 200 : 40));
+// A detailed image that changes with `shift`
+const scene = (shift) => image(32, 32, (x, y) => 60 + ((x * 5 + y * 3 + shift) % 120));
+
+test('measureFrame reports brightness and contrast', () => {
+  const grey = image(20, 10, () => 100);
+  assert.ok(Math.abs(grey.brightness - 100) < 1e-9);
+  assert.ok(grey.contrast < 1e-6);
+  assert.equal(grey.cells.length, 64);
+
+  const board = checkerboard();
+  assert.ok(Math.abs(board.brightness - 120) < 1e-9);
+  assert.ok(Math.abs(board.contrast - 80) < 1e-6);
+});
+
+test('measureFrame samples large images', () => {
+  const frame = image(1280, 720, (x) => (x < 640 ? 0 : 255));
+  assert.ok(Math.abs(frame.brightness - 127.5) < 1e-9);
+  assert.equal(frame.cells[0], 0);
+  assert.equal(frame.cells[7], 255);
+  assert.equal(measureFrame(new Uint8ClampedArray(0), 0, 0), null);
+});
+
+test('classifies black, featureless and frozen frames', () => {
+  const monitor = createCameraMonitor();
+  assert.equal(monitor.update(scene(0)), CAMERA_STATUS.OK);
+  assert.equal(monitor.update(scene(7)), CAMERA_STATUS.OK);
+  assert.equal(monitor.update(scene(7)), CAMERA_STATUS.FROZEN);
+  assert.equal(monitor.update(image(32, 32, () => 5)), CAMERA_STATUS.DARK);
+  assert.equal(monitor.update(image(32, 32, () => 90)), CAMERA_STATUS.UNIFORM);
+
+  monitor.reset();
+  assert.equal(monitor.update(scene(7)), CAMERA_STATUS.OK);
+});
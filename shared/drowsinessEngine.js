@@ -0,0 +1,474 @@
+// Framework-free drowsiness engine shared by the React client and the Node API.
+// Feed it face landmark frames with timestamps; it times eye closures from those
+// timestamps (not frame counts, so the frame rate does not matter) and reports
+// typed state changes so both sides give the same answer.
+
+import { createPerclosTracker } from './perclos.js';
+import { calculateMAR, createYawnTracker } from './yawn.js';
+import { getHeadPose, createHeadPoseTracker } from './headPose.js';
+import { estimateGaze, createGazeTracker } from './gaze.js';
+import { CAMERA_STATUS, createCameraMonitor } from './cameraHealth.js';
+import { DETECTION_MODES, DEFAULT_CNN_WEIGHT, measureClosure } from './eyeClosure.js';
+
+// MediaPipe face mesh indices for the six EAR points of each eye
+export const LEFT_EYE = [362, 385, 387, 263, 373, 380];
+export const RIGHT_EYE = [33, 160, 158, 133, 153, 144];
+
+export const DEFAULT_ENGINE_OPTIONS = {
+  earThreshold: 0.25,
+  // How closed eyes are decided: 'ear', 'cnn' or 'fusion' of both, with the
+  // CNN's share of the fusion. The CNN modes use the EAR while no classifier
+  // output comes with the frames.
+  detectionMode: DETECTION_MODES.FUSION,
+  cnnWeight: DEFAULT_CNN_WEIGHT,
+  alertDelayMs: 1500,
+  criticalDelayMs: 3000,
+  perclosWindowMs: 60000,
+  perclosThreshold: 0.15,
+  perclosCriticalThreshold: 0.3,
+  marThreshold: 0.6,
+  yawnMinDurationMs: 1500,
+  yawnRateWindowMs: 10 * 60 * 1000,
+  headNodAngleDeg: 15,
+  headNodDropMs: 700,
+  headNodRecoveryMs: 1500,
+  nodAlertHoldMs: 3000,
+  headDownAngleDeg: 20,
+  headDownMs: 2000,
+  headDownCriticalMs: 4000,
+  headPoseBaselineMs: 10000,
+  // Eyes off road: the forward zone around the driver's usual gaze, in degrees
+  gazeZoneYawDeg: 25,
+  gazeZoneUpDeg: 15,
+  gazeZoneDownDeg: 20,
+  distractionDelayMs: 2000,
+  distractionCriticalMs: 4000,
+  gazeBaselineMs: 30000,
+  // Driver out of view, and camera showing a black, featureless or frozen image
+  faceLostAlertMs: 3000,
+  faceLostCriticalMs: 6000,
+  cameraFaultMs: 2000,
+  reescalateWindowMs: 60000
+};
+
+export const ENGINE_EVENTS = {
+  EYES_OPEN: 'eyes-open',
+  EYES_CLOSING: 'eyes-closing',
+  ALERT_RAISED: 'alert-raised',
+  ALERT_ESCALATED: 'alert-escalated',
+  ALERT_CLEARED: 'alert-cleared',
+  FACE_LOST: 'face-lost',
+  YAWN_DETECTED: 'yawn-detected'
+};
+
+// Why an alert is active; several reasons can be active at once
+export const ALERT_REASONS = {
+  EYES_CLOSED: 'eyes-closed',
+  PERCLOS: 'perclos',
+  HEAD_NOD: 'head-nod',
+  HEAD_DOWN: 'head-down',
+  // Not drowsiness: the driver looked away from the road for too long
+  DISTRACTED: 'distracted',
+  // No face in view: the driver slumped out of frame or left the seat
+  DRIVER_NOT_VISIBLE: 'driver-not-visible',
+  // The camera is covered, black or frozen, so the driver is not monitored
+  CAMERA_FAULT: 'camera-fault'
+};
+
+// Alert severity, as used on the CAN bus: 0 = normal, 1 = warning, 2 = critical
+export const SEVERITY = {
+  NORMAL: 0,
+  WARNING: 1,
+  CRITICAL: 2
+};
+
+// Eye Aspect Ratio Calculator
+export const calculateEAR = (eye) => {
+  if (!eye || eye.length !== 6) return 0;
+
+  const euclidean = (p1, p2) => {
+    return Math.sqrt(
+      Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)
+    );
+  };
+
+  const A = euclidean(eye[1], eye[5]);
+  const B = euclidean(eye[2], eye[4]);
+  const C = euclidean(eye[0], eye[3]);
+
+  const ear = (A + B) / (2.0 * C);
+  return ear;
+};
+
+export const getEyeLandmarks = (landmarks, eyeIndices) => {
+  return eyeIndices.map(idx => landmarks[idx]);
+};
+
+export const measureEyes = (landmarks) => {
+  const leftEye = getEyeLandmarks(landmarks, LEFT_EYE);
+  const rightEye = getEyeLandmarks(landmarks, RIGHT_EYE);
+  const leftEAR = calculateEAR(leftEye);
+  const rightEAR = calculateEAR(rightEye);
+
+  return {
+    leftEye,
+    rightEye,
+    leftEAR,
+    rightEAR,
+    ear: (leftEAR + rightEAR) / 2.0
+  };
+};
+
+// Status values the engine moves between; every change is reported as an event
+const STATUS_EVENTS = {
+  open: ENGINE_EVENTS.EYES_OPEN,
+  closing: ENGINE_EVENTS.EYES_CLOSING,
+  'no-face': ENGINE_EVENTS.FACE_LOST
+};
+
+export const createDrowsinessEngine = (options = {}) => {
+  let config = { ...DEFAULT_ENGINE_OPTIONS, ...options };
+  let status = null;
+  let closedSince = null;
+  // reason -> { severity, raisedAt }
+  let activeAlerts = new Map();
+  let metrics = { ear: 0, leftEAR: 0, rightEAR: 0, mar: 0 };
+  let faceDetected = false;
+  let eyesClosed = false;
+  // measureClosure() result of the last frame with a face
+  let closure = null;
+  let lastTimestamp = null;
+  // A PERCLOS alert the driver acknowledged stays quiet until the ratio recovers
+  let perclosArmed = true;
+  let headPose = null;
+  let relativePitch = null;
+  let lastNodAt = null;
+  let lastAcknowledgedAt = null;
+  const perclos = createPerclosTracker({ windowMs: config.perclosWindowMs });
+  const yawns = createYawnTracker({
+    marThreshold: config.marThreshold,
+    minDurationMs: config.yawnMinDurationMs,
+    rateWindowMs: config.yawnRateWindowMs
+  });
+  const headPoseOptions = () => ({
+    nodAngleDeg: config.headNodAngleDeg,
+    nodDropMs: config.headNodDropMs,
+    nodRecoveryMs: config.headNodRecoveryMs,
+    headDownAngleDeg: config.headDownAngleDeg,
+    headDownMs: config.headDownMs,
+    baselineTimeConstantMs: config.headPoseBaselineMs
+  });
+  const headTracker = createHeadPoseTracker(headPoseOptions());
+  const gazeOptions = () => ({
+    zoneYawDeg: config.gazeZoneYawDeg,
+    zoneUpDeg: config.gazeZoneUpDeg,
+    zoneDownDeg: config.gazeZoneDownDeg,
+    baselineTimeConstantMs: config.gazeBaselineMs
+  });
+  const gazeTracker = createGazeTracker(gazeOptions());
+  // { relativeYaw, relativePitch, lookingAway, awayDurationMs } of the last frame
+  let gaze = null;
+  let faceLostSince = null;
+  const cameraMonitor = createCameraMonitor();
+  // { status, brightness, contrast } of the last frame that came with a camera sample
+  let camera = null;
+  let cameraFaultSince = null;
+
+  const getState = () => {
+    const yawnState = yawns.getState();
+    return {
+      timestamp: lastTimestamp,
+      faceDetected,
+      ear: metrics.ear,
+      leftEAR: metrics.leftEAR,
+      rightEAR: metrics.rightEAR,
+      threshold: config.earThreshold,
+      detectionMode: config.detectionMode,
+      closure,
+      eyesClosed,
+      closedSince,
+      closedDurationMs: closedSince === null ? 0 : lastTimestamp - closedSince,
+      alertDelayMs: config.alertDelayMs,
+      perclos: perclos.value(),
+      perclosWindowMs: config.perclosWindowMs,
+      perclosThreshold: config.perclosThreshold,
+      mar: metrics.mar,
+      marThreshold: config.marThreshold,
+      mouthOpen: yawnState.mouthOpen,
+      yawnCount: yawnState.count,
+      yawnRate: yawnState.recentCount,
+      yawnRateWindowMs: config.yawnRateWindowMs,
+      headPose,
+      relativePitch,
+      gaze: gaze && gaze.relativeYaw !== null ? { yaw: gaze.relativeYaw, pitch: gaze.relativePitch } : null,
+      lookingAway: gaze ? gaze.lookingAway : false,
+      awayDurationMs: gaze ? gaze.awayDurationMs : 0,
+      distractionDelayMs: config.distractionDelayMs,
+      faceMissingMs: faceLostSince === null ? 0 : lastTimestamp - faceLostSince,
+      faceLostAlertMs: config.faceLostAlertMs,
+      camera: camera && {
+        ...camera,
+        faultDurationMs: cameraFaultSince === null ? 0 : lastTimestamp - cameraFaultSince
+      },
+      alertActive: activeAlerts.size > 0,
+      alertReasons: [...activeAlerts.keys()],
+      alerts: [...activeAlerts].map(([reason, alert]) => ({ reason, ...alert })),
+      severity: Math.max(SEVERITY.NORMAL, ...[...activeAlerts.values()].map(alert => alert.severity))
+    };
+  };
+
+  const setStatus = (next, events, timestamp) => {
+    if (status === next) return;
+    status = next;
+    events.push({ type: STATUS_EVENTS[next], timestamp });
+  };
+
+  // Raises the alert for a reason, or escalates it when it is already active
+  // with a lower severity. An alert that returns soon after the driver
+  // acknowledged one starts out critical.
+  const raiseAlert = (reason, severity, events, timestamp, details = {}) => {
+    const active = activeAlerts.get(reason);
+    if (active) {
+      if (severity > active.severity) {
+        active.severity = severity;
+        events.push({ type: ENGINE_EVENTS.ALERT_ESCALATED, reason, severity, timestamp, ...details });
+      }
+      return;
+    }
+
+    const repeated = lastAcknowledgedAt !== null
+      && timestamp - lastAcknowledgedAt <= config.reescalateWindowMs;
+    const level = repeated ? SEVERITY.CRITICAL : severity;
+    activeAlerts.set(reason, { severity: level, raisedAt: timestamp });
+    events.push({ type: ENGINE_EVENTS.ALERT_RAISED, reason, severity: level, repeated, timestamp, ...details });
+  };
+
+  const clearAlert = (reason, events, timestamp) => {
+    if (!activeAlerts.has(reason)) return;
+    activeAlerts.delete(reason);
+    events.push({ type: ENGINE_EVENTS.ALERT_CLEARED, reason, timestamp });
+  };
+
+  const updatePerclos = (events, timestamp) => {
+    const value = perclos.value();
+    if (value === null || !perclos.isReliable()) return;
+
+    if (value >= config.perclosThreshold) {
+      if (perclosArmed) {
+        const severity = value >= config.perclosCriticalThreshold ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+        raiseAlert(ALERT_REASONS.PERCLOS, severity, events, timestamp, { perclos: value });
+      }
+    } else {
+      perclosArmed = true;
+      clearAlert(ALERT_REASONS.PERCLOS, events, timestamp);
+    }
+  };
+
+  const updateHeadPose = (events, timestamp, pose) => {
+    headPose = pose;
+    const result = headTracker.update(timestamp, pose);
+    relativePitch = result.relativePitch;
+
+    if (result.nod) {
+      // Nodding again while the first nod is still on screen is critical
+      const severity = activeAlerts.has(ALERT_REASONS.HEAD_NOD) ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+      lastNodAt = timestamp;
+      raiseAlert(ALERT_REASONS.HEAD_NOD, severity, events, timestamp, { pitch: pose.pitch });
+    } else if (lastNodAt !== null && timestamp - lastNodAt >= config.nodAlertHoldMs) {
+      lastNodAt = null;
+      clearAlert(ALERT_REASONS.HEAD_NOD, events, timestamp);
+    }
+
+    if (result.headDown) {
+      const severity = result.downDurationMs >= config.headDownCriticalMs ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+      raiseAlert(ALERT_REASONS.HEAD_DOWN, severity, events, timestamp, { relativePitch });
+    } else {
+      clearAlert(ALERT_REASONS.HEAD_DOWN, events, timestamp);
+    }
+  };
+
+  // estimate is null when the gaze could not be measured this frame
+  const updateGaze = (events, timestamp, estimate) => {
+    gaze = gazeTracker.update(timestamp, estimate);
+
+    if (gaze.awayDurationMs >= config.distractionDelayMs) {
+      const severity = gaze.awayDurationMs >= config.distractionCriticalMs ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+      raiseAlert(ALERT_REASONS.DISTRACTED, severity, events, timestamp, {
+        yaw: gaze.relativeYaw,
+        pitch: gaze.relativePitch
+      });
+    } else {
+      clearAlert(ALERT_REASONS.DISTRACTED, events, timestamp);
+    }
+  };
+
+  const updateFaceLost = (events, timestamp, found) => {
+    if (found) {
+      faceLostSince = null;
+      clearAlert(ALERT_REASONS.DRIVER_NOT_VISIBLE, events, timestamp);
+      return;
+    }
+
+    if (faceLostSince === null) faceLostSince = timestamp;
+    const missingFor = timestamp - faceLostSince;
+    if (missingFor >= config.faceLostAlertMs) {
+      const severity = missingFor >= config.faceLostCriticalMs ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+      raiseAlert(ALERT_REASONS.DRIVER_NOT_VISIBLE, severity, events, timestamp, { missingSince: faceLostSince });
+    }
+  };
+
+  // sample is the measureFrame() result of the image; without one the camera
+  // state stays as it was
+  const updateCamera = (events, timestamp, sample) => {
+    if (!sample) return;
+
+    const status = cameraMonitor.update(sample);
+    camera = { status, brightness: sample.brightness, contrast: sample.contrast };
+    if (status === CAMERA_STATUS.OK) {
+      cameraFaultSince = null;
+      clearAlert(ALERT_REASONS.CAMERA_FAULT, events, timestamp);
+      return;
+    }
+
+    if (cameraFaultSince === null) cameraFaultSince = timestamp;
+    if (timestamp - cameraFaultSince >= config.cameraFaultMs) {
+      raiseAlert(ALERT_REASONS.CAMERA_FAULT, SEVERITY.WARNING, events, timestamp, { problem: status });
+    }
+  };
+
+  // frame: { timestamp, landmarks, classifier?, eyesClosed?, transformationMatrix?, camera? }
+  // landmarks is the face mesh of the tracked face, or null when no face was found.
+  // classifier is { left, right }, the eye classifier's (CNN) probability that
+  // each eye is closed. eyesClosed is its decision as recorded before there
+  // were probabilities, and counts as a probability of 0 or 1.
+  // transformationMatrix is the facial transformation matrix used for head pose.
+  // camera is the measureFrame() sample of the image, for camera fault detection.
+  const processFrame = (frame) => {
+    const { timestamp, landmarks } = frame;
+    const events = [];
+    lastTimestamp = timestamp;
+    updateCamera(events, timestamp, frame.camera);
+
+    if (!landmarks || landmarks.length === 0) {
+      faceDetected = false;
+      eyesClosed = false;
+      closure = null;
+      closedSince = null;
+      metrics = { ear: 0, leftEAR: 0, rightEAR: 0, mar: 0 };
+      perclos.add(timestamp, null);
+      yawns.update(timestamp, null);
+      // An eyes-closed alert stays on until the eyes are seen open again: a
+      // driver who slumps out of view has not woken up
+      updateHeadPose(events, timestamp, null);
+      updateGaze(events, timestamp, null);
+      updateFaceLost(events, timestamp, false);
+      setStatus('no-face', events, timestamp);
+      return { state: getState(), events };
+    }
+
+    updateFaceLost(events, timestamp, true);
+    const { ear, leftEAR, rightEAR } = measureEyes(landmarks);
+    const mar = calculateMAR(landmarks);
+    metrics = { ear, leftEAR, rightEAR, mar };
+    faceDetected = true;
+    const vote = typeof frame.eyesClosed === 'boolean' ? Number(frame.eyesClosed) : null;
+    closure = measureClosure({
+      leftEAR,
+      rightEAR,
+      earThreshold: config.earThreshold,
+      classifier: frame.classifier || (vote === null ? null : { left: vote, right: vote }),
+      mode: config.detectionMode,
+      cnnWeight: config.cnnWeight
+    });
+    eyesClosed = closure.closed;
+    perclos.add(timestamp, eyesClosed);
+
+    if (eyesClosed) {
+      if (closedSince === null) closedSince = timestamp;
+      setStatus('closing', events, timestamp);
+
+      const closedFor = timestamp - closedSince;
+      if (closedFor >= config.alertDelayMs) {
+        const severity = closedFor >= config.criticalDelayMs ? SEVERITY.CRITICAL : SEVERITY.WARNING;
+        raiseAlert(ALERT_REASONS.EYES_CLOSED, severity, events, timestamp, { ear, closedSince });
+      }
+    } else {
+      closedSince = null;
+      clearAlert(ALERT_REASONS.EYES_CLOSED, events, timestamp);
+      setStatus('open', events, timestamp);
+    }
+
+    updatePerclos(events, timestamp);
+    const pose = getHeadPose(frame.transformationMatrix);
+    updateHeadPose(events, timestamp, pose);
+    // Closed eyes say nothing about where the driver is looking
+    updateGaze(events, timestamp, eyesClosed ? null : estimateGaze(landmarks, pose));
+
+    const yawn = yawns.update(timestamp, mar);
+    if (yawn) {
+      events.push({ type: ENGINE_EVENTS.YAWN_DETECTED, timestamp, startedAt: yawn.startedAt, mar });
+    }
+
+    return { state: getState(), events };
+  };
+
+  // Driver confirmed they are awake: drop every alert and start counting again
+  const acknowledge = (timestamp = lastTimestamp) => {
+    const events = [];
+    closedSince = null;
+    // Conditions that are still there are timed again from now
+    if (faceLostSince !== null) faceLostSince = timestamp;
+    if (cameraFaultSince !== null) cameraFaultSince = timestamp;
+    if (activeAlerts.has(ALERT_REASONS.PERCLOS)) perclosArmed = false;
+    if (activeAlerts.size > 0) lastAcknowledgedAt = timestamp;
+    lastNodAt = null;
+    [...activeAlerts.keys()].forEach(reason => clearAlert(reason, events, timestamp));
+    return { state: getState(), events };
+  };
+
+  const configure = (changes) => {
+    config = { ...config, ...changes };
+    perclos.setWindow(config.perclosWindowMs);
+    yawns.configure({
+      marThreshold: config.marThreshold,
+      minDurationMs: config.yawnMinDurationMs,
+      rateWindowMs: config.yawnRateWindowMs
+    });
+    headTracker.configure(headPoseOptions());
+    gazeTracker.configure(gazeOptions());
+    return getState();
+  };
+
+  const reset = () => {
+    status = null;
+    closedSince = null;
+    activeAlerts = new Map();
+    metrics = { ear: 0, leftEAR: 0, rightEAR: 0, mar: 0 };
+    faceDetected = false;
+    eyesClosed = false;
+    closure = null;
+    lastTimestamp = null;
+    perclosArmed = true;
+    headPose = null;
+    relativePitch = null;
+    lastNodAt = null;
+    lastAcknowledgedAt = null;
+    gaze = null;
+    faceLostSince = null;
+    camera = null;
+    cameraFaultSince = null;
+    perclos.reset();
+    headTracker.reset();
+    gazeTracker.reset();
+    cameraMonitor.reset();
+    yawns.reset();
+  };
+
+  return {
+    processFrame,
+    acknowledge,
+    configure,
+    reset,
+    getState
+  };
+};
@@ -0,0 +1,405 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LEFT_EYE,
+  RIGHT_EYE,
+  ENGINE_EVENTS,
+  ALERT_REASONS,
+  SEVERITY,
+  calculateEAR,
+  measureEyes,
+  createDrowsinessEngine
+} from './drowsinessEngine.js';
+import { MOUTH } from './yawn.js';
+import { measureFrame } from './cameraHealth.js';
+
+// Builds a 478-point face mesh whose eyes both have the requested EAR
+const makeLandmarks = (ear) => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  const half = ear / 2;
+  const placeEye = (indices, offsetX) => {
+    const points = [
+      { x: offsetX, y: 0.5 },
+      { x: offsetX + 0.33, y: 0.5 - half },
+      { x: offsetX + 0.66, y: 0.5 - half },
+      { x: offsetX + 1, y: 0.5 },
+      { x: offsetX + 0.66, y: 0.5 + half },
+      { x: offsetX + 0.33, y: 0.5 + half }
+    ];
+    indices.forEach((idx, i) => {
+      landmarks[idx] = { ...points[i], z: 0 };
+    });
+  };
+  placeEye(LEFT_EYE, 0);
+  placeEye(RIGHT_EYE, 2);
+  return landmarks;
+};
+
+const withMouth = (landmarks, mar) => {
+  const face = [...landmarks];
+  face[MOUTH.corners[0]] = { x: 0.4, y: 0.7, z: 0 };
+  face[MOUTH.corners[1]] = { x: 0.6, y: 0.7, z: 0 };
+  MOUTH.vertical.forEach(([upper, lower]) => {
+    face[upper] = { x: 0.5, y: 0.7 - mar * 0.1, z: 0 };
+    face[lower] = { x: 0.5, y: 0.7 + mar * 0.1, z: 0 };
+  });
+  return face;
+};
+
+const OPEN = makeLandmarks(0.3);
+const CLOSED = makeLandmarks(0.1);
+
+// The same mesh with both irises `horizontal` half eye widths from the eye centre
+const lookingAt = (landmarks, horizontal) => {
+  const face = [...landmarks];
+  face[473] = { x: 0.5 + horizontal * 0.5, y: 0.5, z: 0 };
+  face[468] = { x: 2.5 + horizontal * 0.5, y: 0.5, z: 0 };
+  return face;
+};
+const FORWARD = lookingAt(OPEN, 0);
+const ASIDE = lookingAt(OPEN, 1);
+
+const run = (engine, frames, frameMs = 33) => {
+  const events = [];
+  let state = null;
+  frames.forEach((frame, i) => {
+    const result = engine.processFrame({ timestamp: i * frameMs, ...frame });
+    events.push(...result.events.map(e => e.type));
+    state = result.state;
+  });
+  return { events, state };
+};
+
+const repeat = (frame, count) => Array.from({ length: count }, () => frame);
+
+test('calculateEAR returns 0 for malformed input', () => {
+  assert.equal(calculateEAR(null), 0);
+  assert.equal(calculateEAR([{ x: 0, y: 0 }]), 0);
+});
+
+test('measureEyes computes the EAR of both eyes', () => {
+  const { leftEAR, rightEAR, ear } = measureEyes(makeLandmarks(0.28));
+  assert.ok(Math.abs(leftEAR - 0.28) < 1e-9);
+  assert.ok(Math.abs(rightEAR - 0.28) < 1e-9);
+  assert.ok(Math.abs(ear - 0.28) < 1e-9);
+});
+
+test('open eyes emit a single eyes-open event', () => {
+  const engine = createDrowsinessEngine();
+  const { events, state } = run(engine, repeat({ landmarks: OPEN }, 10));
+  assert.deepEqual(events, [ENGINE_EVENTS.EYES_OPEN]);
+  assert.equal(state.eyesClosed, false);
+  assert.equal(state.closedDurationMs, 0);
+});
+
+test('alert is raised once the eyes stay closed for alertDelayMs', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 200 });
+  const { events, state } = run(engine, [
+    { landmarks: OPEN },
+    ...repeat({ landmarks: CLOSED }, 7)
+  ], 50);
+  assert.deepEqual(events, [
+    ENGINE_EVENTS.EYES_OPEN,
+    ENGINE_EVENTS.EYES_CLOSING,
+    ENGINE_EVENTS.ALERT_RAISED
+  ]);
+  assert.equal(state.closedSince, 50);
+  assert.equal(state.closedDurationMs, 300);
+  assert.equal(state.alertActive, true);
+});
+
+test('opening the eyes clears the alert', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 66 });
+  const { events, state } = run(engine, [
+    ...repeat({ landmarks: CLOSED }, 3),
+    { landmarks: OPEN }
+  ]);
+  assert.deepEqual(events, [
+    ENGINE_EVENTS.EYES_CLOSING,
+    ENGINE_EVENTS.ALERT_RAISED,
+    ENGINE_EVENTS.ALERT_CLEARED,
+    ENGINE_EVENTS.EYES_OPEN
+  ]);
+  assert.equal(state.alertActive, false);
+});
+
+test('short closures do not raise an alert', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 99 });
+  const { events } = run(engine, [
+    ...repeat({ landmarks: CLOSED }, 3),
+    { landmarks: OPEN },
+    ...repeat({ landmarks: CLOSED }, 3)
+  ]);
+  assert.ok(!events.includes(ENGINE_EVENTS.ALERT_RAISED));
+});
+
+test('alert timing does not depend on the frame rate', () => {
+  const alertTimes = [12, 30].map(fps => {
+    const engine = createDrowsinessEngine({ alertDelayMs: 1500 });
+    const frameMs = 1000 / fps;
+    for (let i = 0; i < fps * 3; i++) {
+      const { events } = engine.processFrame({ timestamp: i * frameMs, landmarks: CLOSED });
+      if (events.some(e => e.type === ENGINE_EVENTS.ALERT_RAISED)) return i * frameMs;
+    }
+    return null;
+  });
+  alertTimes.forEach(time => assert.ok(time >= 1500 && time < 1600));
+});
+
+test('losing the face resets the closure timer but keeps the alert on', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 33 });
+  const { events, state } = run(engine, [
+    ...repeat({ landmarks: CLOSED }, 2),
+    { landmarks: null },
+    { landmarks: [] }
+  ]);
+  assert.deepEqual(events, [
+    ENGINE_EVENTS.EYES_CLOSING,
+    ENGINE_EVENTS.ALERT_RAISED,
+    ENGINE_EVENTS.FACE_LOST
+  ]);
+  assert.equal(state.faceDetected, false);
+  assert.equal(state.closedSince, null);
+  assert.deepEqual(state.alertReasons, [ALERT_REASONS.EYES_CLOSED]);
+
+  // Cleared once the eyes are seen open again
+  const { events: back } = engine.processFrame({ timestamp: 200, landmarks: OPEN });
+  assert.deepEqual(back.map(e => [e.type, e.reason]), [
+    [ENGINE_EVENTS.ALERT_CLEARED, ALERT_REASONS.EYES_CLOSED],
+    [ENGINE_EVENTS.EYES_OPEN, undefined]
+  ]);
+});
+
+test('an external classifier decision overrides the EAR threshold', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 33 });
+  const { state } = run(engine, repeat({ landmarks: OPEN, eyesClosed: true }, 2));
+  assert.equal(state.eyesClosed, true);
+  assert.equal(state.alertActive, true);
+});
+
+test('the detection mode decides how classifier probabilities count', () => {
+  const frame = { landmarks: OPEN, classifier: { left: 0.8, right: 0.9 } };
+  const ear = createDrowsinessEngine({ detectionMode: 'ear' }).processFrame({ timestamp: 0, ...frame }).state;
+  assert.equal(ear.eyesClosed, false);
+  assert.equal(ear.closure.mode, 'ear');
+
+  const cnn = createDrowsinessEngine({ detectionMode: 'cnn' }).processFrame({ timestamp: 0, ...frame }).state;
+  assert.equal(cnn.eyesClosed, true);
+  assert.equal(cnn.closure.confidence, 0.8);
+
+  const fusion = createDrowsinessEngine({ detectionMode: 'fusion', cnnWeight: 0.3 });
+  assert.equal(fusion.processFrame({ timestamp: 0, ...frame }).state.eyesClosed, false);
+  fusion.configure({ cnnWeight: 0.9 });
+  const { state } = fusion.processFrame({ timestamp: 33, ...frame });
+  assert.equal(state.eyesClosed, true);
+  assert.equal(state.detectionMode, 'fusion');
+});
+
+test('configure changes the threshold used for later frames', () => {
+  const engine = createDrowsinessEngine();
+  const landmarks = makeLandmarks(0.27);
+  assert.equal(engine.processFrame({ timestamp: 0, landmarks }).state.eyesClosed, false);
+  engine.configure({ earThreshold: 0.3 });
+  assert.equal(engine.processFrame({ timestamp: 33, landmarks }).state.eyesClosed, true);
+});
+
+test('acknowledge clears an active alert and restarts the closure timer', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 33 });
+  run(engine, repeat({ landmarks: CLOSED }, 3));
+  const { events, state } = engine.acknowledge();
+  assert.deepEqual(events.map(e => e.type), [ENGINE_EVENTS.ALERT_CLEARED]);
+  assert.equal(state.alertActive, false);
+  assert.equal(state.closedDurationMs, 0);
+});
+
+test('alert events carry the reason that raised them', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 33 });
+  const results = [0, 33].map(timestamp => engine.processFrame({ timestamp, landmarks: CLOSED }));
+  const raised = results[1].events.find(e => e.type === ENGINE_EVENTS.ALERT_RAISED);
+  assert.equal(raised.reason, ALERT_REASONS.EYES_CLOSED);
+  assert.deepEqual(results[1].state.alertReasons, [ALERT_REASONS.EYES_CLOSED]);
+});
+
+test('frequent short closures raise a PERCLOS alert', () => {
+  const engine = createDrowsinessEngine({ perclosWindowMs: 1000, perclosThreshold: 0.3 });
+  // Two closed frames out of every five: 40% closed, never long enough for the closure alert
+  const cycle = [CLOSED, CLOSED, OPEN, OPEN, OPEN].map(landmarks => ({ landmarks }));
+  const frames = Array.from({ length: 4 }, () => cycle).flat();
+  const { state } = run(engine, frames, 100);
+  assert.ok(state.perclos >= 0.3);
+  assert.deepEqual(state.alertReasons, [ALERT_REASONS.PERCLOS]);
+});
+
+test('an acknowledged PERCLOS alert stays quiet until the ratio recovers', () => {
+  const engine = createDrowsinessEngine({ perclosWindowMs: 1000, perclosThreshold: 0.3, alertDelayMs: 10000 });
+  run(engine, repeat({ landmarks: CLOSED }, 10), 100);
+  assert.equal(engine.getState().alertActive, true);
+  engine.acknowledge();
+  const { state } = engine.processFrame({ timestamp: 1000, landmarks: CLOSED });
+  assert.equal(state.alertActive, false);
+});
+
+test('a sustained wide mouth opening is reported as a yawn', () => {
+  const engine = createDrowsinessEngine({ yawnMinDurationMs: 1000 });
+  const yawning = withMouth(OPEN, 0.8);
+  const { events, state } = run(engine, repeat({ landmarks: yawning }, 15), 100);
+  assert.equal(events.filter(type => type === ENGINE_EVENTS.YAWN_DETECTED).length, 1);
+  assert.equal(state.yawnCount, 1);
+  assert.equal(state.yawnRate, 1);
+  assert.equal(state.mouthOpen, true);
+  assert.ok(Math.abs(state.mar - 0.8) < 1e-9);
+});
+
+const pitchMatrix = (degrees) => {
+  const r = (degrees * Math.PI) / 180;
+  return [1, 0, 0, 0, 0, Math.cos(r), Math.sin(r), 0, 0, -Math.sin(r), Math.cos(r), 0, 0, 0, 0, 1];
+};
+
+test('nodding off raises a head-nod alert that clears after the hold time', () => {
+  const engine = createDrowsinessEngine({ nodAlertHoldMs: 1000 });
+  const frames = [0, 0, 25, 2, 2, 2, 2, 2].map(pitch => ({ landmarks: OPEN, transformationMatrix: pitchMatrix(pitch) }));
+  const results = frames.map((frame, i) => engine.processFrame({ timestamp: i * 300, ...frame }));
+  assert.deepEqual(results[3].state.alertReasons, [ALERT_REASONS.HEAD_NOD]);
+  assert.ok(results[3].events.some(e => e.type === ENGINE_EVENTS.ALERT_RAISED && e.reason === ALERT_REASONS.HEAD_NOD));
+  assert.equal(results[7].state.alertActive, false);
+});
+
+test('a head that drops out of view raises a head-down alert', () => {
+  const engine = createDrowsinessEngine({ headDownMs: 1000 });
+  const { state } = run(engine, [
+    { landmarks: OPEN, transformationMatrix: pitchMatrix(0) },
+    { landmarks: OPEN, transformationMatrix: pitchMatrix(25) },
+    ...repeat({ landmarks: null }, 5)
+  ], 300);
+  assert.equal(state.faceDetected, false);
+  assert.deepEqual(state.alertReasons, [ALERT_REASONS.HEAD_DOWN]);
+});
+
+test('a long closure starts as a warning and escalates to critical', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 200, criticalDelayMs: 500 });
+  const results = repeat({ landmarks: CLOSED }, 7).map((frame, i) =>
+    engine.processFrame({ timestamp: i * 100, ...frame }));
+  const alertEvents = results.flatMap(r => r.events).filter(e => e.reason === ALERT_REASONS.EYES_CLOSED);
+  assert.deepEqual(alertEvents.map(e => [e.type, e.severity]), [
+    [ENGINE_EVENTS.ALERT_RAISED, SEVERITY.WARNING],
+    [ENGINE_EVENTS.ALERT_ESCALATED, SEVERITY.CRITICAL]
+  ]);
+  assert.equal(results[2].state.severity, SEVERITY.WARNING);
+  assert.equal(results[6].state.severity, SEVERITY.CRITICAL);
+});
+
+test('severity is normal without an alert', () => {
+  const engine = createDrowsinessEngine();
+  const { state } = engine.processFrame({ timestamp: 0, landmarks: OPEN });
+  assert.equal(state.severity, SEVERITY.NORMAL);
+  assert.deepEqual(state.alerts, []);
+});
+
+test('an alert that returns soon after being acknowledged is critical', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 200, criticalDelayMs: 5000, reescalateWindowMs: 10000 });
+  run(engine, repeat({ landmarks: CLOSED }, 4), 100);
+  engine.acknowledge();
+  const later = [400, 500, 600, 700].map(timestamp => engine.processFrame({ timestamp, landmarks: CLOSED }));
+  const raised = later.flatMap(r => r.events).find(e => e.type === ENGINE_EVENTS.ALERT_RAISED);
+  assert.equal(raised.severity, SEVERITY.CRITICAL);
+  assert.equal(raised.repeated, true);
+});
+
+test('an alert long after the last acknowledgement starts as a warning again', () => {
+  const engine = createDrowsinessEngine({ alertDelayMs: 200, criticalDelayMs: 5000, reescalateWindowMs: 1000 });
+  run(engine, repeat({ landmarks: CLOSED }, 4), 100);
+  engine.acknowledge();
+  const later = [5000, 5100, 5200].map(timestamp => engine.processFrame({ timestamp, landmarks: CLOSED }));
+  const raised = later.flatMap(r => r.events).find(e => e.type === ENGINE_EVENTS.ALERT_RAISED);
+  assert.equal(raised.severity, SEVERITY.WARNING);
+});
+
+test('looking away from the road raises a distraction alert that escalates and clears', () => {
+  const engine = createDrowsinessEngine({ distractionDelayMs: 1000, distractionCriticalMs: 2000 });
+  const frames = [FORWARD, ...repeat(ASIDE, 10), FORWARD].map(landmarks => ({ landmarks }));
+  const results = frames.map((frame, i) => engine.processFrame({ timestamp: i * 250, ...frame }));
+  const distraction = results.flatMap(r => r.events).filter(e => e.reason === ALERT_REASONS.DISTRACTED);
+
+  assert.deepEqual(distraction.map(e => [e.type, e.severity, e.timestamp]), [
+    [ENGINE_EVENTS.ALERT_RAISED, SEVERITY.WARNING, 1250],
+    [ENGINE_EVENTS.ALERT_ESCALATED, SEVERITY.CRITICAL, 2250],
+    [ENGINE_EVENTS.ALERT_CLEARED, undefined, 2750]
+  ]);
+  assert.equal(results[3].state.lookingAway, true);
+  assert.equal(results[3].state.awayDurationMs, 500);
+  assert.ok(results[3].state.gaze.yaw > 25);
+  assert.equal(results[11].state.lookingAway, false);
+});
+
+test('blinks while looking away do not restart the distraction timer', () => {
+  const engine = createDrowsinessEngine({ distractionDelayMs: 1000 });
+  const closedAside = lookingAt(CLOSED, 1);
+  const { state } = run(engine, [FORWARD, ASIDE, ASIDE, closedAside, ASIDE, ASIDE].map(landmarks => ({ landmarks })), 250);
+  assert.deepEqual(state.alertReasons, [ALERT_REASONS.DISTRACTED]);
+});
+
+test('short glances away do not raise a distraction alert', () => {
+  const engine = createDrowsinessEngine({ distractionDelayMs: 1000 });
+  const { events, state } = run(engine, [FORWARD, ASIDE, ASIDE, FORWARD, ASIDE, ASIDE, FORWARD].map(landmarks => ({ landmarks })), 300);
+  assert.equal(events.includes(ENGINE_EVENTS.ALERT_RAISED), false);
+  assert.equal(state.lookingAway, false);
+});
+
+test('a driver out of view raises a driver-not-visible alert that escalates', () => {
+  const engine = createDrowsinessEngine({ faceLostAlertMs: 1000, faceLostCriticalMs: 2000 });
+  const frames = [{ landmarks: OPEN }, ...repeat({ landmarks: null }, 10), { landmarks: OPEN }];
+  const results = frames.map((frame, i) => engine.processFrame({ timestamp: i * 250, ...frame }));
+  const notVisible = results.flatMap(r => r.events).filter(e => e.reason === ALERT_REASONS.DRIVER_NOT_VISIBLE);
+
+  assert.deepEqual(notVisible.map(e => [e.type, e.severity, e.timestamp]), [
+    [ENGINE_EVENTS.ALERT_RAISED, SEVERITY.WARNING, 1250],
+    [ENGINE_EVENTS.ALERT_ESCALATED, SEVERITY.CRITICAL, 2250],
+    [ENGINE_EVENTS.ALERT_CLEARED, undefined, 2750]
+  ]);
+  assert.equal(results[4].state.faceMissingMs, 750);
+  assert.equal(results[11].state.faceMissingMs, 0);
+});
+
+test('acknowledging driver-not-visible times the absence again', () => {
+  const engine = createDrowsinessEngine({ faceLostAlertMs: 1000, reescalateWindowMs: 0 });
+  run(engine, repeat({ landmarks: null }, 6), 250);
+  engine.acknowledge();
+  const { state } = engine.processFrame({ timestamp: 1500, landmarks: null });
+  assert.equal(state.alertActive, false);
+  assert.equal(state.faceMissingMs, 250);
+});
+
+// A frame sample of a uniformly grey image, or of random noise
+const solidFrame = (value) => measureFrame(new Uint8ClampedArray(16 * 16 * 4).fill(value), 16, 16);
+const noiseFrame = () => measureFrame(Uint8ClampedArray.from({ length: 16 * 16 * 4 }, () => Math.random() * 256), 16, 16);
+
+test('a black or covered camera raises a camera-fault alert', () => {
+  const engine = createDrowsinessEngine({ cameraFaultMs: 500 });
+  const frames = [noiseFrame(), solidFrame(0), solidFrame(0), solidFrame(0), solidFrame(120), noiseFrame()]
+    .map(camera => ({ landmarks: null, camera }));
+  const results = frames.map((frame, i) => engine.processFrame({ timestamp: i * 250, ...frame }));
+  const fault = results.flatMap(r => r.events).filter(e => e.reason === ALERT_REASONS.CAMERA_FAULT);
+
+  assert.deepEqual(fault.map(e => [e.type, e.timestamp, e.problem]), [
+    [ENGINE_EVENTS.ALERT_RAISED, 750, 'dark'],
+    [ENGINE_EVENTS.ALERT_CLEARED, 1250, undefined]
+  ]);
+  assert.equal(results[2].state.camera.status, 'dark');
+  assert.equal(results[2].state.camera.faultDurationMs, 250);
+  assert.equal(results[4].state.camera.status, 'uniform');
+  assert.equal(results[5].state.camera.status, 'ok');
+});
+
+test('a frozen camera raises a camera-fault alert', () => {
+  const engine = createDrowsinessEngine({ cameraFaultMs: 500 });
+  const still = noiseFrame();
+  const { state } = run(engine, repeat({ landmarks: OPEN, camera: still }, 4), 250);
+  assert.equal(state.camera.status, 'frozen');
+  assert.deepEqual(state.alertReasons, [ALERT_REASONS.CAMERA_FAULT]);
+});
+
+test('frames without a camera sample leave the camera state unknown', () => {
+  const engine = createDrowsinessEngine();
+  const { state } = run(engine, repeat({ landmarks: OPEN }, 3));
+  assert.equal(state.camera, null);
+});
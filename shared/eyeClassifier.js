@@ -0,0 +1,55 @@
+// Eye crops and the eye classifier (CNN), shared by the inference worker and
+// the Node API so both feed the model the same input. `tf` is the
+// TensorFlow.js module and `model` a loaded layers model that takes 24x24
+// grayscale eyes and gives the probability that the eye is closed first.
+
+import { measureEyes } from './drowsinessEngine.js';
+
+export const EYE_INPUT_SIZE = 24;
+const CROP_PADDING = 0.1;
+
+// Pixel box { x, y, width, height } around an eye's landmarks, 10% larger on
+// each side and kept inside the image
+const eyeBox = (eyeLandmarks, width, height) => {
+  const xs = eyeLandmarks.map(p => p.x * width);
+  const ys = eyeLandmarks.map(p => p.y * height);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const paddingX = (maxX - minX) * CROP_PADDING;
+  const paddingY = (maxY - minY) * CROP_PADDING;
+  const x = Math.max(0, minX - paddingX);
+  const y = Math.max(0, minY - paddingY);
+  return {
+    x,
+    y,
+    width: Math.min(width, maxX + paddingX) - x,
+    height: Math.min(height, maxY + paddingY) - y
+  };
+};
+
+// Boxes of the left and right eye in an image of the given size
+export const eyeBoxes = (landmarks, width, height) => {
+  const { leftEye, rightEye } = measureEyes(landmarks);
+  return [eyeBox(leftEye, width, height), eyeBox(rightEye, width, height)];
+};
+
+// Model input for an eye crop (ImageData or { data, width, height } in RGBA):
+// 24x24 grayscale from 0 to 1, as a batch of one
+export const eyeInput = (tf, { data, width, height }) => tf.tidy(() => {
+  const rgb = tf.tensor3d(Int32Array.from(data), [height, width, 4], 'int32').slice([0, 0, 0], [height, width, 3]);
+  const resized = tf.image.resizeBilinear(rgb, [EYE_INPUT_SIZE, EYE_INPUT_SIZE]);
+  return tf.expandDims(tf.div(tf.mean(resized, -1, true), 255.0), 0);
+});
+
+// Probability that each eye is closed: { left, right }
+export const classifyEyes = async (tf, model, [left, right]) => {
+  const input = tf.tidy(() => tf.concat([eyeInput(tf, left), eyeInput(tf, right)]));
+  const prediction = model.predict(input);
+  const values = await prediction.data();
+  input.dispose();
+  prediction.dispose();
+  const perEye = values.length / 2;
+  return { left: values[0], right: values[perEye] };
+};
@@ -0,0 +1,57 @@
+// How closed the eyes are, from the EAR, the eye classifier (CNN) or a
+// weighted fusion of both. Each eye and the frame as a whole get a closure
+// confidence from 0 (open) to 1 (closed); the eyes count as closed above 0.5.
+
+export const DETECTION_MODES = {
+  EAR: 'ear',
+  CNN: 'cnn',
+  FUSION: 'fusion'
+};
+
+export const DEFAULT_CNN_WEIGHT = 0.6;
+
+const CLOSED_CONFIDENCE = 0.5;
+// How far from the threshold the EAR has to be for the EAR confidence to
+// reach 0.73 (below) or 0.27 (above)
+const EAR_SOFTNESS = 0.02;
+
+// Closure confidence of an EAR; exactly 0.5 at the threshold, so the EAR mode
+// decides as `ear < threshold` did
+export const earConfidence = (ear, threshold) => 1 / (1 + Math.exp((ear - threshold) / EAR_SOFTNESS));
+
+// classifier: { left, right } closed-eye probabilities of the CNN, or null
+// when it did not run. Without them the CNN and fusion modes use the EAR, and
+// `mode` says so.
+// Returns { mode, left, right, confidence, closed }.
+export const measureClosure = ({
+  leftEAR,
+  rightEAR,
+  earThreshold,
+  classifier = null,
+  mode = DETECTION_MODES.FUSION,
+  cnnWeight = DEFAULT_CNN_WEIGHT
+}) => {
+  const ear = {
+    left: earConfidence(leftEAR, earThreshold),
+    right: earConfidence(rightEAR, earThreshold),
+    frame: earConfidence((leftEAR + rightEAR) / 2, earThreshold)
+  };
+  const activeMode = classifier ? mode : DETECTION_MODES.EAR;
+
+  let closure;
+  if (activeMode === DETECTION_MODES.CNN) {
+    // Both eyes must be classified closed
+    closure = { left: classifier.left, right: classifier.right, confidence: Math.min(classifier.left, classifier.right) };
+  } else if (activeMode === DETECTION_MODES.FUSION) {
+    const fuse = (earValue, cnnValue) => cnnWeight * cnnValue + (1 - cnnWeight) * earValue;
+    closure = {
+      left: fuse(ear.left, classifier.left),
+      right: fuse(ear.right, classifier.right),
+      confidence: fuse(ear.frame, Math.min(classifier.left, classifier.right))
+    };
+  } else {
+    closure = { left: ear.left, right: ear.right, confidence: ear.frame };
+  }
+
+  return { mode: activeMode, ...closure, closed: closure.confidence > CLOSED_CONFIDENCE };
+};
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DETECTION_MODES, earConfidence, measureClosure } from './eyeClosure.js';
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('the EAR mode decides as the threshold does', () => {
+  approx(earConfidence(0.25, 0.25), 0.5);
+  const open = measureClosure({ leftEAR: 0.26, rightEAR: 0.3, earThreshold: 0.25, mode: DETECTION_MODES.EAR });
+  assert.equal(open.closed, false);
+  const closed = measureClosure({ leftEAR: 0.24, rightEAR: 0.2, earThreshold: 0.25, mode: DETECTION_MODES.EAR });
+  assert.equal(closed.closed, true);
+  assert.ok(closed.right > closed.left);
+});
+
+test('the CNN and fusion modes weigh the classifier, and fall back to the EAR without it', () => {
+  const eyes = { leftEAR: 0.3, rightEAR: 0.3, earThreshold: 0.25 };
+  const classifier = { left: 0.9, right: 0.7 };
+
+  const cnn = measureClosure({ ...eyes, classifier, mode: DETECTION_MODES.CNN });
+  assert.deepEqual(cnn, { mode: 'cnn', left: 0.9, right: 0.7, confidence: 0.7, closed: true });
+
+  const fusion = measureClosure({ ...eyes, classifier, mode: DETECTION_MODES.FUSION, cnnWeight: 0.5 });
+  const ear = earConfidence(0.3, 0.25);
+  assert.equal(fusion.mode, 'fusion');
+  approx(fusion.left, 0.5 * 0.9 + 0.5 * ear);
+  approx(fusion.confidence, 0.5 * 0.7 + 0.5 * ear);
+  assert.equal(fusion.closed, false);
+  // Trusting the classifier more closes the eyes
+  assert.equal(measureClosure({ ...eyes, classifier, cnnWeight: 0.9 }).closed, true);
+
+  const fallback = measureClosure({ ...eyes, classifier: null, mode: DETECTION_MODES.CNN });
+  assert.equal(fallback.mode, 'ear');
+  approx(fallback.confidence, ear);
+});
@@ -0,0 +1,106 @@
+// Reports a detector's state and alert events to a fleet hub, a Node API run
+// with FLEET_HUB=1. The web app and the Node API on a vehicle both use it.
+//   PUT  /fleet/vehicles/:id           registers the vehicle: { name, metadata }
+//   POST /fleet/vehicles/:id/reports   { state, events }
+// Alert events are sent right away, the state at most every `intervalMs`.
+// Events that could not be sent are kept, up to MAX_PENDING_EVENTS with the
+// oldest dropped first, and go out with the next report.
+
+const MAX_PENDING_EVENTS = 500;
+const DEFAULT_INTERVAL_MS = 2000;
+
+// The part of the engine state the hub keeps for its dashboard
+export const summarizeState = (state) => ({
+  timestamp: state.timestamp,
+  faceDetected: state.faceDetected,
+  ear: state.faceDetected ? state.ear : null,
+  eyesClosed: state.faceDetected ? state.eyesClosed : null,
+  closedDurationMs: state.closedDurationMs,
+  perclos: state.perclos,
+  yawnCount: state.yawnCount,
+  lookingAway: state.lookingAway,
+  cameraStatus: state.camera ? state.camera.status : null,
+  severity: state.severity,
+  alertReasons: state.alertReasons
+});
+
+const isAlertEvent = (event) => event.type.startsWith('alert-');
+
+export const createFleetReporter = ({
+  hubUrl,
+  vehicleId,
+  apiKey = '',
+  name = vehicleId,
+  metadata = {},
+  intervalMs = DEFAULT_INTERVAL_MS,
+  fetch = globalThis.fetch,
+  onError = (err) => console.error(`Fleet report to ${hubUrl} failed:`, err.message)
+}) => {
+  const vehiclePath = `/fleet/vehicles/${encodeURIComponent(vehicleId)}`;
+  let registered = false;
+  let latestState = null;
+  let pendingEvents = [];
+  let sending = false;
+  let lastSentAt = 0;
+  let stopped = false;
+  // Errors are reported once per outage, not on every attempt
+  let failing = false;
+
+  const request = async (path, method, body) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const response = await fetch(new URL(path, hubUrl), { method, headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+      // 404: the hub restarted and forgot the vehicle, so register again
+      if (response.status === 404) registered = false;
+      throw new Error(`Hub answered ${response.status}`);
+    }
+  };
+
+  const flush = async () => {
+    if (sending || (!latestState && pendingEvents.length === 0)) return;
+    sending = true;
+    const events = pendingEvents;
+    pendingEvents = [];
+    const state = latestState;
+    latestState = null;
+    try {
+      if (!registered) {
+        await request(vehiclePath, 'PUT', { name, metadata });
+        registered = true;
+      }
+      await request(`${vehiclePath}/reports`, 'POST', { state, events });
+      lastSentAt = Date.now();
+      failing = false;
+    } catch (err) {
+      // Unsent events go back in front of newer ones; a newer state replaces the old one
+      pendingEvents = [...events, ...pendingEvents].slice(-MAX_PENDING_EVENTS);
+      if (!latestState) latestState = state;
+      if (!failing) onError(err);
+      failing = true;
+    } finally {
+      sending = false;
+    }
+  };
+
+  // One engine result; `events` may be empty
+  const record = (state, events = []) => {
+    if (stopped) return;
+    latestState = summarizeState(state);
+    const alertEvents = events.filter(isAlertEvent);
+    pendingEvents = [...pendingEvents, ...alertEvents].slice(-MAX_PENDING_EVENTS);
+    if (alertEvents.length > 0 || Date.now() - lastSentAt >= intervalMs) flush();
+  };
+
+  // Keeps reporting while no frames come in, so unsent events are retried
+  const timer = setInterval(flush, intervalMs);
+
+  // Sends what is left and stops
+  const stop = async () => {
+    stopped = true;
+    clearInterval(timer);
+    await flush();
+  };
+
+  return { record, flush, stop, pendingEventCount: () => pendingEvents.length };
+};
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFleetReporter, summarizeState } from './fleetReporter.js';
+
+const state = (timestamp, severity = 0) => ({
+  timestamp,
+  faceDetected: true,
+  ear: 0.28,
+  eyesClosed: false,
+  closedDurationMs: 0,
+  perclos: 0.04,
+  yawnCount: 0,
+  lookingAway: false,
+  camera: { status: 'ok' },
+  severity,
+  alertReasons: severity > 0 ? ['eyes-closed'] : []
+});
+
+// A hub that answers with the given status codes in turn (200 once they run out)
+const fakeHub = (statuses = []) => {
+  const requests = [];
+  const fetch = async (url, { method, headers, body }) => {
+    requests.push({ path: url.pathname, method, headers, body: JSON.parse(body) });
+    const status = statuses.shift() || 200;
+    return { ok: status < 300, status };
+  };
+  return { fetch, requests };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('registers once, then sends alert events at once and the state at most every interval', async (t) => {
+  const hub = fakeHub();
+  const reporter = createFleetReporter({
+    hubUrl: 'http://hub.local:3000',
+    vehicleId: 'VEH001',
+    apiKey: 'dsk_test',
+    intervalMs: 60000,
+    fetch: hub.fetch
+  });
+  t.after(reporter.stop);
+
+  reporter.record(state(1000));
+  await settle();
+  reporter.record(state(1100));
+  await settle();
+  assert.deepEqual(hub.requests.map(request => `${request.method} ${request.path}`),
+    ['PUT /fleet/vehicles/VEH001', 'POST /fleet/vehicles/VEH001/reports']);
+  assert.equal(hub.requests[0].headers.Authorization, 'Bearer dsk_test');
+  assert.deepEqual(hub.requests[1].body.state, summarizeState(state(1000)));
+
+  reporter.record(state(1200, 1), [
+    { type: 'alert-raised', reason: 'eyes-closed', severity: 1, timestamp: 1200 },
+    { type: 'yawn', timestamp: 1200 }
+  ]);
+  await settle();
+  const report = hub.requests[2].body;
+  assert.equal(report.state.severity, 1);
+  assert.deepEqual(report.events.map(event => event.type), ['alert-raised']);
+});
+
+test('keeps events the hub did not take and registers again after a 404', async (t) => {
+  const hub = fakeHub([200, 503, 404, 201]);
+  const errors = [];
+  const reporter = createFleetReporter({
+    hubUrl: 'http://hub.local:3000',
+    vehicleId: 'VEH001',
+    intervalMs: 60000,
+    fetch: hub.fetch,
+    onError: err => errors.push(err.message)
+  });
+  t.after(reporter.stop);
+
+  const raised = { type: 'alert-raised', reason: 'eyes-closed', severity: 1, timestamp: 1000 };
+  reporter.record(state(1000, 1), [raised]);
+  await settle();
+  assert.equal(reporter.pendingEventCount(), 1);
+  assert.deepEqual(errors, ['Hub answered 503']);
+
+  // The hub restarted and lost the vehicle
+  await reporter.flush();
+  assert.equal(reporter.pendingEventCount(), 1);
+  await reporter.flush();
+  assert.equal(reporter.pendingEventCount(), 0);
+  assert.deepEqual(hub.requests.map(request => request.method), ['PUT', 'POST', 'POST', 'PUT', 'POST']);
+  assert.deepEqual(hub.requests[hub.requests.length - 1].body.events, [raised]);
+});
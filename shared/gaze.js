@@ -0,0 +1,129 @@
+// Gaze direction from the iris landmarks of the face mesh combined with head pose,
+// and "eyes off road" detection on top of it.
+
+// Iris centre and eye corners of each eye in the 478-point face mesh (the last
+// ten points are the irises)
+const EYES = [
+  { iris: 468, corners: [33, 133] },
+  { iris: 473, corners: [362, 263] }
+];
+
+// Eye rotation when the iris sits at the corner of the eye (offset 1). Rough
+// anatomical values; the forward-zone baseline absorbs any constant error.
+const EYE_YAW_RANGE_DEG = 35;
+const EYE_PITCH_RANGE_DEG = 25;
+// Larger offsets are tracking errors rather than eye movement
+const MAX_IRIS_OFFSET = 1.5;
+
+// Iris position within each eye, averaged over both eyes: offsets from the
+// middle of the eye corners in half eye widths, along and across the line
+// through the corners (so head roll does not read as gaze).
+// horizontal > 0 is toward image right, vertical > 0 is down.
+// Returns null when the mesh has no iris points or they look wrong.
+export const measureIrisOffset = (landmarks) => {
+  if (!landmarks || landmarks.length < 478) return null;
+
+  let horizontal = 0;
+  let vertical = 0;
+  for (const eye of EYES) {
+    const [a, b] = eye.corners.map(idx => landmarks[idx]);
+    const [left, right] = a.x <= b.x ? [a, b] : [b, a];
+    const width = Math.hypot(right.x - left.x, right.y - left.y);
+    if (width === 0) return null;
+
+    const ux = (right.x - left.x) / width;
+    const uy = (right.y - left.y) / width;
+    const dx = landmarks[eye.iris].x - (left.x + right.x) / 2;
+    const dy = landmarks[eye.iris].y - (left.y + right.y) / 2;
+    horizontal += (dx * ux + dy * uy) / (width / 2);
+    vertical += (dy * ux - dx * uy) / (width / 2);
+  }
+  horizontal /= EYES.length;
+  vertical /= EYES.length;
+
+  if (Math.abs(horizontal) > MAX_IRIS_OFFSET || Math.abs(vertical) > MAX_IRIS_OFFSET) return null;
+  return { horizontal, vertical };
+};
+
+// Where the driver is looking, in degrees, with the same axes as head pose:
+// positive yaw is toward the camera's right, positive pitch is down.
+// Head pose alone is used when the irises are not tracked, the eyes alone
+// without a head pose. Returns { yaw, pitch, irisTracked } or null.
+export const estimateGaze = (landmarks, headPose) => {
+  const iris = measureIrisOffset(landmarks);
+  if (!iris && !headPose) return null;
+
+  return {
+    yaw: (headPose ? headPose.yaw : 0) + (iris ? iris.horizontal * EYE_YAW_RANGE_DEG : 0),
+    pitch: (headPose ? headPose.pitch : 0) + (iris ? iris.vertical * EYE_PITCH_RANGE_DEG : 0),
+    irisTracked: iris !== null
+  };
+};
+
+// Times how long the gaze stays outside a forward zone around the driver's
+// usual gaze. The zone centre is a slowly adapting baseline, updated only while
+// the driver looks forward, so camera placement does not count as looking away.
+//
+// options: zoneYawDeg (either side), zoneUpDeg, zoneDownDeg, baselineTimeConstantMs
+export const createGazeTracker = (options) => {
+  let config = { ...options };
+  let baseline = null;
+  let lastTimestamp = null;
+  let awaySince = null;
+
+  const configure = (changes) => {
+    config = { ...config, ...changes };
+  };
+
+  const updateBaseline = (gaze, timestamp) => {
+    if (baseline === null) {
+      baseline = { yaw: gaze.yaw, pitch: gaze.pitch };
+      return;
+    }
+    const dt = Math.max(0, timestamp - lastTimestamp);
+    const alpha = 1 - Math.exp(-dt / config.baselineTimeConstantMs);
+    baseline.yaw += (gaze.yaw - baseline.yaw) * alpha;
+    baseline.pitch += (gaze.pitch - baseline.pitch) * alpha;
+  };
+
+  const awayState = (timestamp) => ({
+    lookingAway: awaySince !== null,
+    awayDurationMs: awaySince === null ? 0 : timestamp - awaySince
+  });
+
+  // gaze is null when it could not be measured (eyes closed, no face). The
+  // away timer keeps running through such frames: blinks should not restart
+  // it, and a face turned far enough to be lost is still looking away.
+  // Returns { relativeYaw, relativePitch, lookingAway, awayDurationMs }.
+  const update = (timestamp, gaze) => {
+    if (!gaze) {
+      lastTimestamp = timestamp;
+      return { relativeYaw: null, relativePitch: null, ...awayState(timestamp) };
+    }
+
+    if (baseline === null) updateBaseline(gaze, timestamp);
+    const relativeYaw = gaze.yaw - baseline.yaw;
+    const relativePitch = gaze.pitch - baseline.pitch;
+    const inZone = Math.abs(relativeYaw) <= config.zoneYawDeg
+      && relativePitch <= config.zoneDownDeg
+      && -relativePitch <= config.zoneUpDeg;
+
+    if (inZone) {
+      awaySince = null;
+      updateBaseline(gaze, timestamp);
+    } else if (awaySince === null) {
+      awaySince = timestamp;
+    }
+    lastTimestamp = timestamp;
+
+    return { relativeYaw, relativePitch, ...awayState(timestamp) };
+  };
+
+  const reset = () => {
+    baseline = null;
+    lastTimestamp = null;
+    awaySince = null;
+  };
+
+  return { update, configure, reset };
+};
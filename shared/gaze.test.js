@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureIrisOffset, estimateGaze, createGazeTracker } from './gaze.js';
+
+// A 478-point mesh whose irises sit `horizontal` / `vertical` half eye widths
+// from the centre of each eye
+const faceLookingAt = (horizontal, vertical = 0) => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  landmarks[33] = { x: 0.30, y: 0.4, z: 0 };
+  landmarks[133] = { x: 0.40, y: 0.4, z: 0 };
+  landmarks[362] = { x: 0.60, y: 0.4, z: 0 };
+  landmarks[263] = { x: 0.70, y: 0.4, z: 0 };
+  landmarks[468] = { x: 0.35 + horizontal * 0.05, y: 0.4 + vertical * 0.05, z: 0 };
+  landmarks[473] = { x: 0.65 + horizontal * 0.05, y: 0.4 + vertical * 0.05, z: 0 };
+  return landmarks;
+};
+
+const options = { zoneYawDeg: 25, zoneUpDeg: 15, zoneDownDeg: 20, baselineTimeConstantMs: 30000 };
+
+const feed = (tracker, samples) => samples.map(([t, yaw, pitch = 0]) =>
+  tracker.update(t, yaw === null ? null : { yaw, pitch }));
+
+test('measureIrisOffset reads the iris position in half eye widths', () => {
+  const offset = measureIrisOffset(faceLookingAt(0.5, 0.2));
+  assert.ok(Math.abs(offset.horizontal - 0.5) < 1e-9);
+  assert.ok(Math.abs(offset.vertical - 0.2) < 1e-9);
+});
+
+test('measureIrisOffset needs the iris points', () => {
+  assert.equal(measureIrisOffset(faceLookingAt(0).slice(0, 468)), null);
+  assert.equal(measureIrisOffset(null), null);
+  // An iris far outside the eye is a tracking error
+  assert.equal(measureIrisOffset(faceLookingAt(3)), null);
+});
+
+test('estimateGaze adds eye rotation to the head pose', () => {
+  const gaze = estimateGaze(faceLookingAt(0.5, 0), { yaw: 10, pitch: 5, roll: 0 });
+  assert.ok(Math.abs(gaze.yaw - 27.5) < 1e-9);
+  assert.ok(Math.abs(gaze.pitch - 5) < 1e-9);
+  assert.equal(gaze.irisTracked, true);
+
+  assert.deepEqual(estimateGaze(faceLookingAt(0).slice(0, 468), { yaw: 10, pitch: 5, roll: 0 }),
+    { yaw: 10, pitch: 5, irisTracked: false });
+  assert.equal(estimateGaze(null, null), null);
+});
+
+test('looking outside the forward zone starts the away timer', () => {
+  const tracker = createGazeTracker(options);
+  const results = feed(tracker, [[0, 0], [1000, 40], [2500, 40], [3000, 5]]);
+  assert.equal(results[1].lookingAway, true);
+  assert.equal(results[2].awayDurationMs, 1500);
+  assert.equal(results[3].lookingAway, false);
+  assert.equal(results[3].awayDurationMs, 0);
+});
+
+test('the zone is asymmetric up and down', () => {
+  const tracker = createGazeTracker(options);
+  const [, up, down, farDown] = feed(tracker, [[0, 0, 0], [100, 0, -18], [200, 0, 18], [300, 0, 25]]);
+  assert.equal(up.lookingAway, true);
+  assert.equal(down.lookingAway, false);
+  assert.equal(farDown.lookingAway, true);
+});
+
+test('frames without a gaze keep the away timer running', () => {
+  const tracker = createGazeTracker(options);
+  const results = feed(tracker, [[0, 0], [100, 40], [600, null], [1100, 40]]);
+  assert.equal(results[2].awayDurationMs, 500);
+  assert.equal(results[3].awayDurationMs, 1000);
+});
+
+test('the forward direction is measured from the first frame', () => {
+  // Camera mounted off to the side: the driver's normal gaze reads as 30 degrees
+  const tracker = createGazeTracker(options);
+  const results = feed(tracker, [[0, 30], [1000, 32], [2000, 28], [3000, 0]]);
+  assert.deepEqual(results.map(r => r.lookingAway), [false, false, false, true]);
+});
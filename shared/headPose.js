@@ -0,0 +1,112 @@
+// Head pose from the FaceLandmarker facial transformation matrix, plus
+// nodding-off and head-down posture detection on the pitch angle.
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// matrix is the 4x4 column-major transform MediaPipe returns (16 numbers).
+// Angles are in degrees: positive pitch is the head tipping forward (chin down),
+// positive yaw is turning to the camera's right, positive roll is tilting clockwise.
+export const getHeadPose = (matrix) => {
+  const m = matrix && matrix.data ? matrix.data : matrix;
+  if (!m || m.length < 16) return null;
+
+  const r00 = m[0], r10 = m[1], r20 = m[2];
+  const r21 = m[6], r22 = m[10];
+
+  return {
+    pitch: toDegrees(Math.atan2(r21, r22)),
+    yaw: toDegrees(Math.atan2(-r20, Math.hypot(r21, r22))),
+    roll: toDegrees(Math.atan2(r10, r00))
+  };
+};
+
+// Tracks pitch against a slowly adapting neutral baseline, so camera mounting
+// angle and the driver's normal posture do not count as a lowered head.
+//
+// - nod: the head drops by nodAngleDeg within nodDropMs, then comes back up
+//   within nodRecoveryMs of the drop
+// - head down: the head stays dropped by headDownAngleDeg for headDownMs
+export const createHeadPoseTracker = (options) => {
+  let config = { ...options };
+  let baseline = null;
+  let lastTimestamp = null;
+  let neutralAt = null;
+  let droppedAt = null;
+  let downSince = null;
+
+  const configure = (changes) => {
+    config = { ...config, ...changes };
+  };
+
+  const updateBaseline = (pitch, timestamp) => {
+    if (baseline === null) {
+      baseline = pitch;
+      return;
+    }
+    const dt = Math.max(0, timestamp - lastTimestamp);
+    const alpha = 1 - Math.exp(-dt / config.baselineTimeConstantMs);
+    baseline += (pitch - baseline) * alpha;
+  };
+
+  // pose is null when no face (or no matrix) was available for this frame.
+  // Returns { relativePitch, nod, headDown, downDurationMs }.
+  const downState = (timestamp) => {
+    const downDurationMs = downSince === null ? 0 : timestamp - downSince;
+    return { headDown: downSince !== null && downDurationMs >= config.headDownMs, downDurationMs };
+  };
+
+  const update = (timestamp, pose) => {
+    let nod = false;
+
+    if (!pose) {
+      // A face that vanishes while the head is lowered most likely went below
+      // the frame, so the head-down timer keeps running until it is seen again
+      if (droppedAt !== null && downSince === null) {
+        downSince = droppedAt;
+      }
+      lastTimestamp = timestamp;
+      return { relativePitch: null, nod, ...downState(timestamp) };
+    }
+
+    if (baseline === null) updateBaseline(pose.pitch, timestamp);
+    const relativePitch = pose.pitch - baseline;
+    const nodRecovered = relativePitch < config.nodAngleDeg / 3;
+
+    if (droppedAt === null) {
+      if (relativePitch >= config.nodAngleDeg && neutralAt !== null
+        && timestamp - neutralAt <= config.nodDropMs) {
+        droppedAt = timestamp;
+      }
+    } else if (nodRecovered) {
+      nod = timestamp - droppedAt <= config.nodRecoveryMs;
+      droppedAt = null;
+    } else if (timestamp - droppedAt > config.nodRecoveryMs) {
+      // Too slow to be a nod; the head-down check below takes over
+      droppedAt = null;
+    }
+
+    if (relativePitch >= config.headDownAngleDeg) {
+      if (downSince === null) downSince = timestamp;
+    } else {
+      downSince = null;
+    }
+
+    if (nodRecovered) {
+      neutralAt = timestamp;
+      updateBaseline(pose.pitch, timestamp);
+    }
+    lastTimestamp = timestamp;
+
+    return { relativePitch, nod, ...downState(timestamp) };
+  };
+
+  const reset = () => {
+    baseline = null;
+    lastTimestamp = null;
+    neutralAt = null;
+    droppedAt = null;
+    downSince = null;
+  };
+
+  return { update, configure, reset };
+};
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHeadPose, createHeadPoseTracker } from './headPose.js';
+
+// Column-major 4x4 rotation about the x axis
+const pitchMatrix = (degrees) => {
+  const r = (degrees * Math.PI) / 180;
+  const m = new Array(16).fill(0);
+  m[0] = 1;
+  m[5] = Math.cos(r);
+  m[6] = Math.sin(r);
+  m[9] = -Math.sin(r);
+  m[10] = Math.cos(r);
+  m[15] = 1;
+  return m;
+};
+
+const options = {
+  nodAngleDeg: 15,
+  nodDropMs: 700,
+  nodRecoveryMs: 1500,
+  headDownAngleDeg: 20,
+  headDownMs: 2000,
+  baselineTimeConstantMs: 10000
+};
+
+const feed = (tracker, samples) => samples.map(([t, pitch]) =>
+  tracker.update(t, pitch === null ? null : { pitch, yaw: 0, roll: 0 }));
+
+test('getHeadPose reads pitch from the transformation matrix', () => {
+  const pose = getHeadPose(pitchMatrix(25));
+  assert.ok(Math.abs(pose.pitch - 25) < 1e-9);
+  assert.ok(Math.abs(pose.yaw) < 1e-9);
+  assert.ok(Math.abs(pose.roll) < 1e-9);
+});
+
+test('getHeadPose accepts MediaPipe matrix objects and rejects missing ones', () => {
+  assert.ok(Math.abs(getHeadPose({ rows: 4, columns: 4, data: pitchMatrix(-10) }).pitch + 10) < 1e-9);
+  assert.equal(getHeadPose(undefined), null);
+});
+
+test('a quick drop and jerk back up is a nod', () => {
+  const tracker = createHeadPoseTracker(options);
+  const results = feed(tracker, [[0, 5], [200, 5], [500, 25], [900, 24], [1200, 6]]);
+  assert.deepEqual(results.map(r => r.nod), [false, false, false, false, true]);
+});
+
+test('a slow lean forward is not a nod', () => {
+  const tracker = createHeadPoseTracker(options);
+  const samples = Array.from({ length: 20 }, (_, i) => [i * 100, 5 + i]);
+  const results = feed(tracker, [...samples, [2100, 5]]);
+  assert.ok(results.every(r => !r.nod));
+});
+
+test('a head held down is reported after headDownMs', () => {
+  const tracker = createHeadPoseTracker(options);
+  const results = feed(tracker, [[0, 0], [100, 30], [1500, 30], [2100, 30]]);
+  assert.deepEqual(results.map(r => r.headDown), [false, false, false, true]);
+});
+
+test('losing the face after the head dropped keeps the head-down timer running', () => {
+  const tracker = createHeadPoseTracker(options);
+  const results = feed(tracker, [[0, 0], [300, 25], [600, null], [2400, null]]);
+  assert.equal(results[3].headDown, true);
+});
+
+test('losing the face with the head up is not head-down', () => {
+  const tracker = createHeadPoseTracker(options);
+  const results = feed(tracker, [[0, 0], [300, 0], [600, null], [5000, null]]);
+  assert.ok(results.every(r => !r.headDown));
+});
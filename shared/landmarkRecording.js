@@ -0,0 +1,159 @@
+// Landmark recordings: the face landmark stream of a detection run, with the
+// frame timestamps, saved so the run can be fed back through the engine later
+// without a camera or model. The engine times everything from frame
+// timestamps, so a replay gives exactly the same events as the recorded run.
+//
+// Recording:
+//   { format, version, recordedAt, metadata, engineOptions, frames }
+// Frame (t is milliseconds since the first frame):
+//   { t, landmarks: [[x, y, z], ...] | null, matrix: [16 numbers] | null,
+//     classifier?: [left, right], eyesClosed?, camera?, eyeCrops? }
+// classifier holds the eye classifier's closed-eye probabilities when it ran;
+// older recordings have its decision as eyesClosed instead. camera is the
+// camera health sample, and eyeCrops the classifier inputs as base64 24x24
+// grayscale.
+
+import { createDrowsinessEngine, ENGINE_EVENTS } from './drowsinessEngine.js';
+
+export const RECORDING_FORMAT = 'drowsiness-landmarks';
+export const RECORDING_VERSION = 1;
+
+// Landmark coordinates are normalised to the image; five decimals is far below
+// a pixel and keeps files small
+const round = (value) => Math.round(value * 1e5) / 1e5;
+
+const ALERT_EVENT_TYPES = [
+  ENGINE_EVENTS.ALERT_RAISED,
+  ENGINE_EVENTS.ALERT_ESCALATED,
+  ENGINE_EVENTS.ALERT_CLEARED
+];
+
+// Collects engine frames while detection runs.
+// metadata is free-form (image size, camera, app version, ...); engineOptions
+// are the settings the run used, so a replay can use the same ones.
+export const createLandmarkRecorder = ({ metadata = {}, engineOptions = {} } = {}) => {
+  const frames = [];
+  let firstTimestamp = null;
+
+  // frame is what the engine was given: { timestamp, landmarks,
+  // transformationMatrix, classifier?, eyesClosed?, camera? }
+  const addFrame = (frame, eyeCrops = null) => {
+    if (firstTimestamp === null) firstTimestamp = frame.timestamp;
+    const matrix = frame.transformationMatrix;
+    const matrixData = matrix && matrix.data ? matrix.data : matrix;
+
+    const recorded = {
+      t: round(frame.timestamp - firstTimestamp),
+      landmarks: frame.landmarks && frame.landmarks.length > 0
+        ? frame.landmarks.map(point => [round(point.x), round(point.y), round(point.z)])
+        : null,
+      matrix: matrixData ? Array.from(matrixData) : null
+    };
+    if (frame.classifier) recorded.classifier = [round(frame.classifier.left), round(frame.classifier.right)];
+    if (typeof frame.eyesClosed === 'boolean') recorded.eyesClosed = frame.eyesClosed;
+    if (frame.camera) recorded.camera = frame.camera;
+    if (eyeCrops) recorded.eyeCrops = eyeCrops;
+    frames.push(recorded);
+  };
+
+  const finish = () => ({
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    recordedAt: new Date().toISOString(),
+    metadata,
+    engineOptions,
+    frames
+  });
+
+  return { addFrame, finish, frameCount: () => frames.length };
+};
+
+// Checks a parsed recording and returns it; throws an Error saying what is wrong
+export const validateRecording = (recording) => {
+  if (!recording || recording.format !== RECORDING_FORMAT) {
+    throw new Error(`Not a landmark recording (expected format "${RECORDING_FORMAT}")`);
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version}`);
+  }
+  if (!Array.isArray(recording.frames)) {
+    throw new Error('Recording has no frames');
+  }
+  recording.frames.forEach((frame, i) => {
+    if (typeof frame.t !== 'number' || (i > 0 && frame.t < recording.frames[i - 1].t)) {
+      throw new Error(`Frame ${i} has a missing or out-of-order timestamp`);
+    }
+    if (frame.landmarks !== null && !Array.isArray(frame.landmarks)) {
+      throw new Error(`Frame ${i} has invalid landmarks`);
+    }
+  });
+  return recording;
+};
+
+export const parseRecording = (text) => validateRecording(JSON.parse(text));
+
+// The engine frame of a recorded frame, at `startTime` + its offset
+export const toEngineFrame = (recorded, startTime = 0) => {
+  const frame = {
+    timestamp: startTime + recorded.t,
+    landmarks: recorded.landmarks ? recorded.landmarks.map(([x, y, z]) => ({ x, y, z })) : null,
+    transformationMatrix: recorded.matrix
+  };
+  if (Array.isArray(recorded.classifier)) {
+    frame.classifier = { left: recorded.classifier[0], right: recorded.classifier[1] };
+  }
+  if (typeof recorded.eyesClosed === 'boolean') frame.eyesClosed = recorded.eyesClosed;
+  if (recorded.camera) frame.camera = recorded.camera;
+  return frame;
+};
+
+// Runs a recording through a fresh engine as fast as possible. Options default
+// to those saved in the recording. Returns every event and the final state.
+export const replayRecording = (recording, { engineOptions = recording.engineOptions } = {}) => {
+  const engine = createDrowsinessEngine(engineOptions);
+  const events = [];
+  let state = engine.getState();
+  recording.frames.forEach(recorded => {
+    const result = engine.processFrame(toEngineFrame(recorded));
+    events.push(...result.events);
+    state = result.state;
+  });
+  return { events, state };
+};
+
+// Compares the alert events of a replay with the expected ones:
+//   [{ type?: 'alert-raised', reason, severity?, at }]
+// `at` is milliseconds from the start of the recording. Only event types that
+// appear in the expectations are compared (alert-raised when there are none),
+// in order. Returns mismatch descriptions; an empty list means they match.
+export const compareAlertTimings = (events, expected, { toleranceMs = 100 } = {}) => {
+  const types = expected.length > 0
+    ? new Set(expected.map(alert => alert.type || ENGINE_EVENTS.ALERT_RAISED))
+    : new Set([ENGINE_EVENTS.ALERT_RAISED]);
+  const actual = events.filter(event => ALERT_EVENT_TYPES.includes(event.type) && types.has(event.type));
+  const describe = (event) => `${event.type} ${event.reason} at ${event.timestamp === undefined ? event.at : event.timestamp} ms`;
+
+  const mismatches = [];
+  const count = Math.max(actual.length, expected.length);
+  for (let i = 0; i < count; i++) {
+    const want = expected[i];
+    const got = actual[i];
+    if (!want) {
+      mismatches.push(`Unexpected ${describe(got)}`);
+      continue;
+    }
+    const wantType = want.type || ENGINE_EVENTS.ALERT_RAISED;
+    if (!got) {
+      mismatches.push(`Missing ${describe({ ...want, type: wantType })}`);
+      continue;
+    }
+    if (got.type !== wantType || got.reason !== want.reason) {
+      mismatches.push(`Expected ${describe({ ...want, type: wantType })}, got ${describe(got)}`);
+    } else if (Math.abs(got.timestamp - want.at) > toleranceMs) {
+      mismatches.push(`${describe(got)}, expected at ${want.at} ± ${toleranceMs} ms`);
+    } else if (want.severity !== undefined && got.severity !== want.severity) {
+      mismatches.push(`${describe(got)} has severity ${got.severity}, expected ${want.severity}`);
+    }
+  }
+  return mismatches;
+};
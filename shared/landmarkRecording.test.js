@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEFT_EYE, RIGHT_EYE, ENGINE_EVENTS, createDrowsinessEngine } from './drowsinessEngine.js';
+import {
+  createLandmarkRecorder,
+  parseRecording,
+  toEngineFrame,
+  replayRecording,
+  compareAlertTimings
+} from './landmarkRecording.js';
+
+// A 478-point face mesh whose eyes both have the requested EAR
+const face = (ear) => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  [[LEFT_EYE, 0], [RIGHT_EYE, 2]].forEach(([indices, offsetX]) => {
+    const points = [[0, 0], [0.33, -ear / 2], [0.66, -ear / 2], [1, 0], [0.66, ear / 2], [0.33, ear / 2]];
+    indices.forEach((idx, i) => {
+      landmarks[idx] = { x: offsetX + points[i][0], y: 0.5 + points[i][1], z: 0 };
+    });
+  });
+  return landmarks;
+};
+
+// 1 s open, 2 s closed, 1 s open at 10 fps, starting at a camera clock time
+const liveFrames = () => Array.from({ length: 40 }, (_, i) => ({
+  timestamp: 81234.5 + i * 100,
+  landmarks: i >= 10 && i < 30 ? face(0.1) : face(0.3),
+  transformationMatrix: { rows: 4, columns: 4, data: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1] }
+}));
+
+const record = (frames, options = {}) => {
+  const recorder = createLandmarkRecorder({ metadata: { width: 640, height: 480 }, engineOptions: options });
+  frames.forEach(frame => recorder.addFrame(frame));
+  return recorder.finish();
+};
+
+test('a recording survives a JSON round trip', () => {
+  const recording = parseRecording(JSON.stringify(record(liveFrames())));
+  assert.equal(recording.frames.length, 40);
+  assert.equal(recording.frames[0].t, 0);
+  assert.equal(recording.frames[39].t, 3900);
+  assert.deepEqual(recording.metadata, { width: 640, height: 480 });
+
+  const frame = toEngineFrame(recording.frames[12], 1000);
+  assert.equal(frame.timestamp, 2200);
+  assert.equal(frame.landmarks.length, 478);
+  assert.deepEqual(frame.landmarks[0], { x: 0.5, y: 0.5, z: 0 });
+  assert.equal(frame.transformationMatrix.length, 16);
+});
+
+test('replaying a recording gives the events of the live run', () => {
+  const live = createDrowsinessEngine({ alertDelayMs: 1000 });
+  const liveEvents = liveFrames().flatMap(frame => live.processFrame(frame).events);
+
+  const { events } = replayRecording(parseRecording(JSON.stringify(record(liveFrames(), { alertDelayMs: 1000 }))));
+  const relative = (list) => list.map(event => [event.type, event.reason, Math.round(event.timestamp - list[0].timestamp)]);
+  assert.deepEqual(relative(events), relative(liveEvents));
+  assert.ok(events.some(event => event.type === ENGINE_EVENTS.ALERT_RAISED && event.timestamp === 2000));
+});
+
+test('parseRecording rejects other files', () => {
+  assert.throws(() => parseRecording('{"trips": []}'), /Not a landmark recording/);
+  const recording = record(liveFrames());
+  recording.frames[3].t = -1;
+  assert.throws(() => parseRecording(JSON.stringify(recording)), /Frame 3/);
+});
+
+test('compareAlertTimings reports missing, unexpected and late alerts', () => {
+  const events = [
+    { type: ENGINE_EVENTS.ALERT_RAISED, reason: 'eyes-closed', severity: 1, timestamp: 2520 },
+    { type: ENGINE_EVENTS.ALERT_CLEARED, reason: 'eyes-closed', timestamp: 4000 },
+    { type: ENGINE_EVENTS.ALERT_RAISED, reason: 'perclos', severity: 1, timestamp: 9000 }
+  ];
+
+  assert.deepEqual(compareAlertTimings(events, [
+    { reason: 'eyes-closed', severity: 1, at: 2500 },
+    { reason: 'perclos', at: 9050 }
+  ]), []);
+  assert.deepEqual(compareAlertTimings(events, [{ reason: 'eyes-closed', at: 2500 }]), [
+    'Unexpected alert-raised perclos at 9000 ms'
+  ]);
+  assert.deepEqual(compareAlertTimings(events, [
+    { reason: 'eyes-closed', at: 2300 },
+    { reason: 'perclos', severity: 2, at: 9000 },
+    { reason: 'head-down', at: 12000 }
+  ]), [
+    'alert-raised eyes-closed at 2520 ms, expected at 2300 ± 100 ms',
+    'alert-raised perclos at 9000 ms has severity 1, expected 2',
+    'Missing alert-raised head-down at 12000 ms'
+  ]);
+  // Expecting a cleared event compares those too
+  assert.deepEqual(compareAlertTimings(events, [
+    { reason: 'eyes-closed', at: 2500 },
+    { type: 'alert-cleared', reason: 'eyes-closed', at: 4000 },
+    { reason: 'perclos', at: 9000 }
+  ]), []);
+  assert.deepEqual(compareAlertTimings([], []), []);
+});
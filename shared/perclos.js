@@ -0,0 +1,66 @@
+// Rolling PERCLOS (PERcentage of eyelid CLOSure) over a time window.
+// Each frame closes the interval since the previous frame, attributed to the
+// previous frame's eye state. Frames without a face (closed === null) are not
+// counted, so looking away does not dilute the ratio.
+
+// Below this share of the window the ratio is too noisy to alert on
+const MIN_WINDOW_COVERAGE = 0.5;
+
+export const createPerclosTracker = ({ windowMs }) => {
+  let segments = [];
+  let observedMs = 0;
+  let closedMs = 0;
+  let lastTimestamp = null;
+  let lastClosed = null;
+
+  const countSegment = (segment, sign) => {
+    if (segment.closed === null) return;
+    const duration = segment.end - segment.start;
+    observedMs += sign * duration;
+    if (segment.closed) closedMs += sign * duration;
+  };
+
+  const trim = (now) => {
+    const windowStart = now - windowMs;
+    while (segments.length > 0 && segments[0].end <= windowStart) {
+      countSegment(segments.shift(), -1);
+    }
+    const oldest = segments[0];
+    if (oldest && oldest.start < windowStart) {
+      countSegment(oldest, -1);
+      oldest.start = windowStart;
+      countSegment(oldest, 1);
+    }
+  };
+
+  const add = (timestamp, closed) => {
+    if (lastTimestamp !== null && timestamp > lastTimestamp) {
+      const segment = { start: lastTimestamp, end: timestamp, closed: lastClosed };
+      segments.push(segment);
+      countSegment(segment, 1);
+      trim(timestamp);
+    }
+    lastTimestamp = timestamp;
+    lastClosed = closed;
+  };
+
+  // Fraction of observed time with closed eyes, or null before any time was observed
+  const value = () => (observedMs > 0 ? closedMs / observedMs : null);
+
+  const isReliable = () => observedMs >= windowMs * MIN_WINDOW_COVERAGE;
+
+  const setWindow = (nextWindowMs) => {
+    windowMs = nextWindowMs;
+    if (lastTimestamp !== null) trim(lastTimestamp);
+  };
+
+  const reset = () => {
+    segments = [];
+    observedMs = 0;
+    closedMs = 0;
+    lastTimestamp = null;
+    lastClosed = null;
+  };
+
+  return { add, value, isReliable, setWindow, reset };
+};
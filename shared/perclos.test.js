@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPerclosTracker } from './perclos.js';
+
+test('value is null until time has been observed', () => {
+  const tracker = createPerclosTracker({ windowMs: 1000 });
+  assert.equal(tracker.value(), null);
+  tracker.add(0, true);
+  assert.equal(tracker.value(), null);
+});
+
+test('value is the closed share of observed time', () => {
+  const tracker = createPerclosTracker({ windowMs: 1000 });
+  tracker.add(0, true);
+  tracker.add(250, false);
+  tracker.add(1000, false);
+  assert.equal(tracker.value(), 0.25);
+  assert.equal(tracker.isReliable(), true);
+});
+
+test('samples older than the window drop out', () => {
+  const tracker = createPerclosTracker({ windowMs: 1000 });
+  tracker.add(0, true);
+  tracker.add(500, false);
+  tracker.add(1500, false);
+  assert.equal(tracker.value(), 0);
+  tracker.add(1750, true);
+  tracker.add(2000, true);
+  assert.equal(tracker.value(), 0.25);
+});
+
+test('the oldest interval is clipped to the window start', () => {
+  const tracker = createPerclosTracker({ windowMs: 1000 });
+  tracker.add(0, true);
+  tracker.add(1000, false);
+  tracker.add(1500, false);
+  assert.equal(tracker.value(), 0.5);
+});
+
+test('time without a face is not counted', () => {
+  const tracker = createPerclosTracker({ windowMs: 1000 });
+  tracker.add(0, true);
+  tracker.add(100, null);
+  tracker.add(900, false);
+  tracker.add(1000, false);
+  assert.equal(tracker.value(), 0.5);
+  assert.equal(tracker.isReliable(), false);
+});
@@ -0,0 +1,78 @@
+// Yawn detection from the mouth aspect ratio (MAR) of the face mesh.
+
+// Mouth corners followed by three upper/lower inner lip pairs
+export const MOUTH = {
+  corners: [61, 291],
+  vertical: [[81, 178], [13, 14], [311, 402]]
+};
+
+const distance = (p1, p2) => Math.hypot(p2.x - p1.x, p2.y - p1.y);
+
+// Mean inner lip opening divided by mouth width
+export const calculateMAR = (landmarks) => {
+  if (!landmarks) return 0;
+
+  const [left, right] = MOUTH.corners.map(idx => landmarks[idx]);
+  if (!left || !right) return 0;
+
+  const width = distance(left, right);
+  if (width === 0) return 0;
+
+  const opening = MOUTH.vertical.reduce(
+    (sum, [upper, lower]) => sum + distance(landmarks[upper], landmarks[lower]),
+    0
+  ) / MOUTH.vertical.length;
+
+  return opening / width;
+};
+
+// Counts yawns: the mouth stays open past marThreshold for at least minDurationMs.
+// A yawn is counted once, as soon as it has lasted long enough.
+export const createYawnTracker = ({ marThreshold, minDurationMs, rateWindowMs }) => {
+  let openSince = null;
+  let counted = false;
+  let total = 0;
+  let recent = [];
+
+  const configure = (changes) => {
+    if (changes.marThreshold !== undefined) marThreshold = changes.marThreshold;
+    if (changes.minDurationMs !== undefined) minDurationMs = changes.minDurationMs;
+    if (changes.rateWindowMs !== undefined) rateWindowMs = changes.rateWindowMs;
+  };
+
+  // mar is null when no face was found. Returns the yawn when one completes.
+  const update = (timestamp, mar) => {
+    recent = recent.filter(t => t > timestamp - rateWindowMs);
+
+    if (mar === null || mar < marThreshold) {
+      openSince = null;
+      counted = false;
+      return null;
+    }
+
+    if (openSince === null) openSince = timestamp;
+
+    if (!counted && timestamp - openSince >= minDurationMs) {
+      counted = true;
+      total++;
+      recent.push(timestamp);
+      return { startedAt: openSince, detectedAt: timestamp };
+    }
+    return null;
+  };
+
+  const getState = () => ({
+    mouthOpen: openSince !== null,
+    count: total,
+    recentCount: recent.length
+  });
+
+  const reset = () => {
+    openSince = null;
+    counted = false;
+    total = 0;
+    recent = [];
+  };
+
+  return { update, configure, getState, reset };
+};
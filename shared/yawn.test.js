@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOUTH, calculateMAR, createYawnTracker } from './yawn.js';
+
+const makeMouth = (mar) => {
+  const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  landmarks[MOUTH.corners[0]] = { x: 0.4, y: 0.7, z: 0 };
+  landmarks[MOUTH.corners[1]] = { x: 0.6, y: 0.7, z: 0 };
+  MOUTH.vertical.forEach(([upper, lower], i) => {
+    const x = 0.45 + i * 0.05;
+    landmarks[upper] = { x, y: 0.7 - mar * 0.1, z: 0 };
+    landmarks[lower] = { x, y: 0.7 + mar * 0.1, z: 0 };
+  });
+  return landmarks;
+};
+
+test('calculateMAR divides the lip opening by the mouth width', () => {
+  assert.ok(Math.abs(calculateMAR(makeMouth(0.7)) - 0.7) < 1e-9);
+  assert.ok(Math.abs(calculateMAR(makeMouth(0.1)) - 0.1) < 1e-9);
+});
+
+test('calculateMAR returns 0 without usable landmarks', () => {
+  assert.equal(calculateMAR(null), 0);
+  assert.equal(calculateMAR(Array.from({ length: 478 }, () => ({ x: 0, y: 0 }))), 0);
+});
+
+const options = { marThreshold: 0.6, minDurationMs: 1000, rateWindowMs: 10000 };
+
+test('a long mouth opening counts as one yawn', () => {
+  const tracker = createYawnTracker(options);
+  const yawns = [0, 500, 1000, 1500, 2000].map(t => tracker.update(t, 0.8)).filter(Boolean);
+  assert.deepEqual(yawns, [{ startedAt: 0, detectedAt: 1000 }]);
+  assert.equal(tracker.getState().count, 1);
+});
+
+test('talking-length openings are not yawns', () => {
+  const tracker = createYawnTracker(options);
+  [[0, 0.8], [400, 0.8], [500, 0.2], [600, 0.8], [1200, 0.8], [1300, 0.2]]
+    .forEach(([t, mar]) => tracker.update(t, mar));
+  assert.equal(tracker.getState().count, 0);
+});
+
+test('the recent count only covers the rate window', () => {
+  const tracker = createYawnTracker(options);
+  [0, 1000, 1100, 6000, 7000, 7100].forEach((t, i) => tracker.update(t, i % 3 === 2 ? 0.1 : 0.8));
+  assert.equal(tracker.getState().recentCount, 2);
+  tracker.update(11500, 0.1);
+  assert.equal(tracker.getState().recentCount, 1);
+  assert.equal(tracker.getState().count, 2);
+});
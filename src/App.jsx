@@ -1,9 +1,21 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import DrowsinessDetector from './components/drowsiness.jsx';
+import FleetDashboard from './components/fleet.jsx';
 import './App.css';
 
+// #/fleet opens the fleet dashboard; anything else is the detector
+const currentRoute = () => (window.location.hash === '#/fleet' ? 'fleet' : 'detector');
+
 function App() {
-  return <DrowsinessDetector />;
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(currentRoute());
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return route === 'fleet' ? <FleetDashboard /> : <DrowsinessDetector />;
 }
 
-export default App;
\ No newline at end of file
+export default App;
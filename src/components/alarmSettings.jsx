@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, Play } from 'lucide-react';
+import { ALERT_REASONS, SEVERITY } from '../../shared/drowsinessEngine.js';
+import { REASON_LABELS } from '../lib/alertLabels.js';
+import {
+  BUILT_IN_SOUNDS,
+  NO_SOUND,
+  MAX_CUSTOM_SOUND_SECONDS,
+  customSoundId,
+  dropSound,
+  speechSupported,
+  vibrationSupported
+} from '../lib/alarm.js';
+import { addSound, listSounds, deleteSound } from '../lib/soundStore.js';
+
+const MAX_SOUND_BYTES = 2 * 1024 * 1024;
+
+// Sound, voice and vibration of each alert type, the alarm volume and custom
+// sounds. `alarm` is the detector's alarm player, used for previews.
+const AlarmSettings = ({
+  alarm,
+  channels,
+  onChannelsChange,
+  volume,
+  onVolumeChange,
+  escalation,
+  onEscalationChange,
+  isActive
+}) => {
+  const [reason, setReason] = useState(ALERT_REASONS.EYES_CLOSED);
+  const [sounds, setSounds] = useState([]);
+  const [soundStatus, setSoundStatus] = useState('');
+  const channel = channels[reason];
+
+  useEffect(() => {
+    listSounds()
+      .then(setSounds)
+      .catch(err => {
+        console.error('Failed to load alarm sounds:', err);
+        setSoundStatus('Custom sounds are not available in this browser.');
+      });
+  }, []);
+
+  const updateChannel = (changes) => onChannelsChange({ ...channels, [reason]: { ...channel, ...changes } });
+
+  const addCustomSound = async (file) => {
+    if (!file) return;
+    if (file.size > MAX_SOUND_BYTES) {
+      setSoundStatus(`${file.name} is larger than ${MAX_SOUND_BYTES / 1024 / 1024} MB`);
+      return;
+    }
+    try {
+      const duration = await alarm.checkSound(await file.arrayBuffer());
+      if (duration > MAX_CUSTOM_SOUND_SECONDS) {
+        setSoundStatus(`${file.name} is longer than ${MAX_CUSTOM_SOUND_SECONDS} seconds`);
+        return;
+      }
+      await addSound({ name: file.name, durationMs: Math.round(duration * 1000), data: file });
+      setSounds(await listSounds());
+      setSoundStatus(`Added ${file.name}`);
+    } catch (err) {
+      console.error('Failed to add alarm sound:', err);
+      setSoundStatus(`${file.name} is not an audio file this browser can play`);
+    }
+  };
+
+  const removeCustomSound = async (id) => {
+    try {
+      await deleteSound(id);
+      alarm.forgetSound(id);
+      onChannelsChange(dropSound(channels, customSoundId(id)));
+      setSounds(await listSounds());
+    } catch (err) {
+      console.error('Failed to delete alarm sound:', err);
+    }
+  };
+
+  const soundSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="ip-input">
+      {Object.entries(BUILT_IN_SOUNDS).map(([id, sound]) => (
+        <option key={id} value={id}>{sound.label}</option>
+      ))}
+      {sounds.map(sound => (
+        <option key={sound.id} value={customSoundId(sound.id)}>{sound.name}</option>
+      ))}
+      <option value={NO_SOUND}>No sound</option>
+    </select>
+  );
+
+  return (
+    <>
+      <div className="setting-item">
+        <label className="setting-label">
+          Alarm Volume: {(volume * 100).toFixed(0)}%
+        </label>
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={volume}
+          onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
+          className="slider"
+        />
+      </div>
+
+      <div className="setting-item">
+        <label className="setting-label">
+          Rising Volume: full volume after {escalation}s without acknowledgement
+        </label>
+        <input
+          type="range"
+          min="10"
+          max="120"
+          step="5"
+          value={escalation}
+          onChange={(e) => onEscalationChange(parseInt(e.target.value, 10))}
+          className="slider"
+        />
+        <div className="slider-labels">
+          <span>Faster</span>
+          <span>Slower</span>
+        </div>
+      </div>
+
+      <div className="setting-item">
+        <label className="setting-label">Alarm Channels</label>
+        <select value={reason} onChange={(e) => setReason(e.target.value)} className="ip-input">
+          {Object.values(ALERT_REASONS).map(value => (
+            <option key={value} value={value}>{REASON_LABELS[value] || value}</option>
+          ))}
+        </select>
+        <div className="alarm-sounds">
+          <label>
+            Warning sound
+            {soundSelect(channel.warningSound, (warningSound) => updateChannel({ warningSound }))}
+          </label>
+          <label>
+            Critical sound
+            {soundSelect(channel.criticalSound, (criticalSound) => updateChannel({ criticalSound }))}
+          </label>
+        </div>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={channel.voice}
+            onChange={(e) => updateChannel({ voice: e.target.checked })}
+          />
+          Speak a prompt{!speechSupported() && ' (not supported in this browser)'}
+        </label>
+        <input
+          type="text"
+          value={channel.message}
+          onChange={(e) => updateChannel({ message: e.target.value })}
+          placeholder="Please take a break."
+          className="ip-input"
+          disabled={!channel.voice}
+        />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={channel.vibrate}
+            onChange={(e) => updateChannel({ vibrate: e.target.checked })}
+          />
+          Vibrate{!vibrationSupported() && ' (not supported on this device)'}
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={channel.escalate}
+            onChange={(e) => updateChannel({ escalate: e.target.checked })}
+          />
+          Raise the volume until the alert is acknowledged
+        </label>
+        <div className="sync-row">
+          <button onClick={() => alarm.preview(reason, SEVERITY.WARNING)} className="btn btn-secondary" disabled={isActive}>
+            <Play className="icon-small" />
+            Warning
+          </button>
+          <button onClick={() => alarm.preview(reason, SEVERITY.CRITICAL)} className="btn btn-secondary" disabled={isActive}>
+            <Play className="icon-small" />
+            Critical
+          </button>
+        </div>
+        <div className="ip-examples">
+          {isActive
+            ? 'Stop detection to preview alarms.'
+            : 'A preview plays for a few seconds, with the volume rising as it would over a whole alert.'}
+          {' '}Muting the sound also silences the voice; vibration keeps going.
+        </div>
+      </div>
+
+      <div className="setting-item">
+        <label className="setting-label">Custom Sounds</label>
+        {sounds.length > 0 && (
+          <ul className="profile-list">
+            {sounds.map(sound => (
+              <li key={sound.id} className="profile-item">
+                <span className="profile-name">{sound.name}</span>
+                <span className="profile-threshold">{(sound.durationMs / 1000).toFixed(1)}s</span>
+                <button onClick={() => removeCustomSound(sound.id)} className="profile-delete">
+                  <Trash2 className="icon-small" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <input
+          type="file"
+          accept="audio/*"
+          onChange={(e) => {
+            addCustomSound(e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="ip-input"
+        />
+        <div className="ip-examples">
+          {soundStatus || `Audio files of up to ${MAX_CUSTOM_SOUND_SECONDS} seconds, kept in this browser. Pick them as the sound of any alert type.`}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AlarmSettings;
@@ -0,0 +1,159 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Eye, EyeOff, CheckCircle, AlertTriangle } from 'lucide-react';
+import { computeCalibratedThreshold } from '../../shared/calibration.js';
+
+const PHASE_MS = 5000;
+// Ignore the first moments of each phase while the driver opens or closes their eyes
+const SETTLE_MS = 1000;
+
+const PHASES = {
+  open: {
+    icon: Eye,
+    title: 'Step 1 of 2: Eyes open',
+    text: 'Look at the camera with your eyes open as you normally would while driving. At the chime, close your eyes.'
+  },
+  closed: {
+    icon: EyeOff,
+    title: 'Step 2 of 2: Eyes closed',
+    text: 'Keep your eyes fully closed until the next chime.'
+  }
+};
+
+const CalibrationWizard = ({ isActive, subscribeSamples, playCue, onStart, onFinish, onSave }) => {
+  const [phase, setPhase] = useState('idle');
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [result, setResult] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const samplesRef = useRef({ open: [], closed: [] });
+
+  useEffect(() => {
+    if (phase !== 'open' && phase !== 'closed') return undefined;
+
+    const startedAt = performance.now();
+    samplesRef.current[phase] = [];
+
+    const unsubscribe = subscribeSamples((sample) => {
+      if (sample.faceDetected && performance.now() - startedAt >= SETTLE_MS) {
+        samplesRef.current[phase].push(sample.ear);
+      }
+    });
+
+    const ticker = setInterval(() => {
+      const remaining = Math.max(0, PHASE_MS - (performance.now() - startedAt));
+      setSecondsLeft(Math.ceil(remaining / 1000));
+    }, 200);
+
+    const timer = setTimeout(() => {
+      playCue();
+      if (phase === 'open') {
+        setPhase('closed');
+        return;
+      }
+      const { open, closed } = samplesRef.current;
+      setResult(computeCalibratedThreshold(open, closed));
+      setPhase('result');
+      onFinish();
+    }, PHASE_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(ticker);
+      clearTimeout(timer);
+    };
+  }, [phase, subscribeSamples, playCue, onFinish]);
+
+  const start = () => {
+    setResult(null);
+    setSecondsLeft(Math.ceil(PHASE_MS / 1000));
+    onStart();
+    setPhase('open');
+  };
+
+  const cancel = () => {
+    setPhase('idle');
+    onFinish();
+  };
+
+  const save = () => {
+    onSave({
+      name: profileName.trim(),
+      threshold: result.threshold,
+      calibration: { open: result.open, closed: result.closed }
+    });
+    setProfileName('');
+    setPhase('idle');
+  };
+
+  if (phase === 'idle') {
+    return (
+      <div className="calibration">
+        <button onClick={start} disabled={!isActive} className="btn btn-secondary calibration-btn">
+          <Eye className="icon-small" />
+          Calibrate for a Driver
+        </button>
+        {!isActive && <p className="calibration-hint">Start detection to calibrate.</p>}
+      </div>
+    );
+  }
+
+  if (phase === 'result') {
+    return (
+      <div className="calibration calibration-active">
+        {result.error ? (
+          <>
+            <p className="calibration-title">
+              <AlertTriangle className="icon-small" />
+              Calibration failed
+            </p>
+            <p className="calibration-text">{result.error}</p>
+            <div className="calibration-actions">
+              <button onClick={start} className="btn btn-secondary">Try Again</button>
+              <button onClick={() => setPhase('idle')} className="btn btn-secondary">Close</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="calibration-title">
+              <CheckCircle className="icon-small" />
+              Personal threshold: {result.threshold.toFixed(3)}
+            </p>
+            <p className="calibration-text">
+              Open eyes averaged {result.open.mean.toFixed(3)}, closed eyes {result.closed.mean.toFixed(3)}.
+            </p>
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Driver name"
+              className="ip-input"
+            />
+            <div className="calibration-actions">
+              <button onClick={save} disabled={!profileName.trim()} className="btn btn-secondary">
+                Save Profile
+              </button>
+              <button onClick={() => setPhase('idle')} className="btn btn-secondary">Discard</button>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const { icon: PhaseIcon, title, text } = PHASES[phase];
+
+  return (
+    <div className="calibration calibration-active">
+      <p className="calibration-title">
+        <PhaseIcon className="icon-small" />
+        {title}
+      </p>
+      <p className="calibration-text">{text}</p>
+      <div className="calibration-countdown">{secondsLeft}s</div>
+      <div className="calibration-actions">
+        <button onClick={cancel} className="btn btn-secondary">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationWizard;
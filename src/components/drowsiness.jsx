@@ -1,61 +1,260 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Camera, AlertTriangle, Settings, Power, Volume2, VolumeX, Info } from 'lucide-react';
-import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
-import * as tf from '@tensorflow/tfjs';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Camera, AlertTriangle, Settings, Power, Volume2, VolumeX, Info, Trash2, History, LayoutDashboard } from 'lucide-react';
+import {
+  createDrowsinessEngine,
+  measureEyes,
+  ENGINE_EVENTS,
+  ALERT_REASONS,
+  SEVERITY
+} from '../../shared/drowsinessEngine.js';
+import { DETECTION_MODES } from '../../shared/eyeClosure.js';
+import CalibrationWizard from './calibration.jsx';
+import TripHistory from './history.jsx';
+import {
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfileId
+} from '../lib/driverProfiles.js';
+import { createTripRecorder } from '../lib/tripRecorder.js';
+import { startTrip, updateTrip, addAlert, addSample } from '../lib/tripStore.js';
+import { createFrameGate } from '../lib/frameGate.js';
+import { loadSettings, saveSettings, fetchServerSettings } from '../lib/settings.js';
+import { createLandmarkRecorder, toEngineFrame } from '../../shared/landmarkRecording.js';
+import { downloadRecording, readRecordingFile } from '../lib/landmarkFiles.js';
+import { createFleetReporter } from '../../shared/fleetReporter.js';
+import { createAlarm, normalizeAlarmChannels } from '../lib/alarm.js';
+import { getSound } from '../lib/soundStore.js';
+import AlarmSettings from './alarmSettings.jsx';
 import '../App.css';
 
-// Eye Aspect Ratio Calculator
-const calculateEAR = (eye) => {
-  if (!eye || eye.length !== 6) return 0;
-  
-  const euclidean = (p1, p2) => {
-    return Math.sqrt(
-      Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)
-    );
-  };
-  
-  const A = euclidean(eye[1], eye[5]);
-  const B = euclidean(eye[2], eye[4]);
-  const C = euclidean(eye[0], eye[3]);
-  
-  const ear = (A + B) / (2.0 * C);
-  return ear;
+// MediaPipe WASM runtime and face model. The build ships both under `mediapipe/`;
+// set VITE_MEDIAPIPE_ASSET_PATH to load them from somewhere else, such as the Node API.
+const MEDIAPIPE_ASSET_PATH = import.meta.env.VITE_MEDIAPIPE_ASSET_PATH || `${import.meta.env.BASE_URL}mediapipe`;
+const EYE_CLASSIFIER_URL = '/model/model.json';
+// Node API to take settings from when none is saved, such as http://192.168.1.10:3000
+const CONFIG_SERVER_URL = import.meta.env.VITE_CONFIG_SERVER_URL || '';
+
+const ALERT_MESSAGES = {
+  [ALERT_REASONS.EYES_CLOSED]: '⚠️ DROWSINESS ALERT!',
+  [ALERT_REASONS.PERCLOS]: '⚠️ FATIGUE ALERT!',
+  [ALERT_REASONS.HEAD_NOD]: '⚠️ NODDING OFF!',
+  [ALERT_REASONS.HEAD_DOWN]: '⚠️ HEAD DOWN!',
+  [ALERT_REASONS.DISTRACTED]: '👀 EYES ON THE ROAD!',
+  [ALERT_REASONS.DRIVER_NOT_VISIBLE]: '⚠️ DRIVER NOT VISIBLE!',
+  [ALERT_REASONS.CAMERA_FAULT]: '📷 CAMERA BLOCKED!'
 };
 
-const getEyeLandmarks = (landmarks, eyeIndices) => {
-  return eyeIndices.map(idx => landmarks[idx]);
+const ALERT_EVENT_TYPES = [
+  ENGINE_EVENTS.ALERT_RAISED,
+  ENGINE_EVENTS.ALERT_ESCALATED,
+  ENGINE_EVENTS.ALERT_CLEARED
+];
+
+// Amber for early signs, red for sustained drowsiness
+const OVERLAY_STYLES = {
+  [SEVERITY.WARNING]: { fill: 'rgba(245, 158, 11, 0.25)', color: '#f59e0b' },
+  [SEVERITY.CRITICAL]: { fill: 'rgba(255, 0, 0, 0.3)', color: '#ff0000' }
 };
 
+const CAMERA_CARD_LABELS = {
+  ok: 'Camera OK',
+  dark: 'Camera image is black',
+  uniform: 'Camera covered',
+  frozen: 'Camera frozen'
+};
+
+const DETECTION_MODE_LABELS = {
+  [DETECTION_MODES.EAR]: 'EAR',
+  [DETECTION_MODES.CNN]: 'CNN',
+  [DETECTION_MODES.FUSION]: 'EAR + CNN'
+};
+
+const replayDurationMs = ({ frames }) => (frames.length > 0 ? frames[frames.length - 1].t : 0);
+
+// Engine options for the detector settings
+const toEngineOptions = ({
+  threshold, detectionMode, cnnWeight, alertDelay, perclosWindow, perclosLevel, distractionDelay, gazeZone
+}) => ({
+  earThreshold: threshold,
+  detectionMode,
+  cnnWeight,
+  alertDelayMs: alertDelay,
+  perclosWindowMs: perclosWindow * 1000,
+  perclosThreshold: perclosLevel,
+  distractionDelayMs: distractionDelay,
+  distractionCriticalMs: distractionDelay * 2,
+  gazeZoneYawDeg: gazeZone
+});
+
 const DrowsinessDetector = () => {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const [isActive, setIsActive] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [alertActive, setAlertActive] = useState(false);
+  const [alertLevel, setAlertLevel] = useState(SEVERITY.NORMAL);
+  const alertActive = alertLevel > SEVERITY.NORMAL;
   const [earValue, setEarValue] = useState(0);
-  const [closedFrames, setClosedFrames] = useState(0);
-  const [threshold, setThreshold] = useState(0.25);
-  const [soundEnabled, setSoundEnabled] = useState(true);
+  const [closedDuration, setClosedDuration] = useState(0);
+  // Settings saved by the last run; the detector starts with them
+  const [savedSettings] = useState(loadSettings);
+  const [alertDelay, setAlertDelay] = useState(savedSettings.alertDelay);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfile] = useState(getActiveProfileId);
+  const [threshold, setThreshold] = useState(() => {
+    const profile = loadProfiles().find(p => p.id === getActiveProfileId());
+    return profile ? profile.threshold : savedSettings.threshold;
+  });
+  const [detectionMode, setDetectionMode] = useState(savedSettings.detectionMode);
+  const [cnnWeight, setCnnWeight] = useState(savedSettings.cnnWeight);
+  // Eye classifier model: loads with the face model when detection starts
+  const [classifierStatus, setClassifierStatus] = useState({ loaded: false, error: null });
+  // measureClosure() result of the latest frame with a face
+  const [closure, setClosure] = useState(null);
+  const [perclosValue, setPerclosValue] = useState(null);
+  const [perclosWindow, setPerclosWindow] = useState(savedSettings.perclosWindow);
+  const [perclosLevel, setPerclosLevel] = useState(savedSettings.perclosLevel);
+  const [yawnStats, setYawnStats] = useState({ count: 0, rate: 0, mouthOpen: false });
+  const [headPose, setHeadPose] = useState(null);
+  const [gazeStatus, setGazeStatus] = useState({ lookingAway: false, awayDurationMs: 0 });
+  const [visibility, setVisibility] = useState({ faceMissingMs: 0, camera: null });
+  const [distractionDelay, setDistractionDelay] = useState(savedSettings.distractionDelay);
+  const [gazeZone, setGazeZone] = useState(savedSettings.gazeZone);
+  const [soundEnabled, setSoundEnabled] = useState(savedSettings.soundEnabled);
+  const [alarmChannels, setAlarmChannels] = useState(() => normalizeAlarmChannels(savedSettings.alarmChannels));
+  const [alarmVolume, setAlarmVolume] = useState(savedSettings.alarmVolume);
+  const [alarmEscalation, setAlarmEscalation] = useState(savedSettings.alarmEscalation);
   const [showSettings, setShowSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [fps, setFps] = useState(0);
   const [error, setError] = useState('');
-  const [cameraSource, setCameraSource] = useState('webcam'); // 'webcam' or 'ip'
-  const [ipCameraUrl, setIpCameraUrl] = useState('');
+  const [cameraSource, setCameraSource] = useState(savedSettings.cameraSource); // 'webcam' or 'ip'
+  const [ipCameraUrl, setIpCameraUrl] = useState(savedSettings.ipCameraUrl);
+  const [configServerUrl, setConfigServerUrl] = useState(savedSettings.configServerUrl || CONFIG_SERVER_URL);
+  const [configServerKey, setConfigServerKey] = useState(savedSettings.configServerKey);
+  const [syncStatus, setSyncStatus] = useState('');
+  const [fleetHubUrl, setFleetHubUrl] = useState(savedSettings.fleetHubUrl);
+  const [fleetHubKey, setFleetHubKey] = useState(savedSettings.fleetHubKey);
+  const [vehicleId, setVehicleId] = useState(savedSettings.vehicleId);
+  const [recordLandmarks, setRecordLandmarks] = useState(false);
+  const [recordEyeCrops, setRecordEyeCrops] = useState(false);
+  // { name, recording } of the landmark recording picked for replay
+  const [replay, setReplay] = useState(null);
   
-  const faceLandmarkerRef = useRef(null);
+  // Inference worker running the face landmarker and eye classifier
+  const workerRef = useRef(null);
+  // Whether the worker runs the eye classifier; not in EAR mode
+  const classifyRef = useRef(true);
   const audioContextRef = useRef(null);
   const animationFrameRef = useRef(null);
   const lastFrameTimeRef = useRef(0);
   const frameCountRef = useRef(0);
-  const closedFrameCountRef = useRef(0);
-  const oscillatorRef = useRef(null);
-  const gainNodeRef = useRef(null);
-  const modelRef = useRef(null);
-  
-  const CONSEC_FRAMES = 45;
-  
-  const LEFT_EYE = [362, 385, 387, 263, 373, 380];
-  const RIGHT_EYE = [33, 160, 158, 133, 153, 144];
+  const calibratingRef = useRef(false);
+  const sampleListenersRef = useRef(new Set());
+  // { trip, id (promise of the stored trip id), recorder } while detection runs
+  const tripRef = useRef(null);
+  // Reports to the fleet hub while detection runs, when one is set up
+  const fleetReporterRef = useRef(null);
+  // { recorder, eyeCrops } while landmarks are being recorded
+  const landmarkRecorderRef = useRef(null);
+  const replayTimerRef = useRef(null);
+  const [engine] = useState(() => createDrowsinessEngine());
+  const [alarm] = useState(() => createAlarm({
+    getAudioContext: () => audioContextRef.current,
+    loadCustomSound: (id) => getSound(id).then(sound => (sound ? sound.data.arrayBuffer() : null))
+  }));
+
+  useEffect(() => {
+    engine.configure(toEngineOptions({
+      threshold, detectionMode, cnnWeight, alertDelay, perclosWindow, perclosLevel, distractionDelay, gazeZone
+    }));
+    classifyRef.current = detectionMode !== DETECTION_MODES.EAR;
+  }, [engine, threshold, detectionMode, cnnWeight, alertDelay, perclosWindow, perclosLevel, distractionDelay, gazeZone]);
+
+  useEffect(() => {
+    alarm.configure({
+      channels: alarmChannels,
+      volume: alarmVolume,
+      escalationMs: alarmEscalation * 1000,
+      soundEnabled
+    });
+  }, [alarm, alarmChannels, alarmVolume, alarmEscalation, soundEnabled]);
+
+  // A driver profile's threshold stays with the profile; the saved threshold is
+  // the one used without a profile
+  useEffect(() => {
+    const settings = {
+      alertDelay,
+      perclosWindow,
+      perclosLevel,
+      distractionDelay,
+      gazeZone,
+      detectionMode,
+      cnnWeight,
+      soundEnabled,
+      alarmChannels,
+      alarmVolume,
+      alarmEscalation,
+      // A replay needs its file picked again, so it is not kept as the source
+      cameraSource: cameraSource === 'replay' ? loadSettings().cameraSource : cameraSource,
+      ipCameraUrl,
+      configServerUrl,
+      configServerKey,
+      fleetHubUrl,
+      fleetHubKey,
+      vehicleId
+    };
+    if (!activeProfileId) settings.threshold = threshold;
+    saveSettings({ ...loadSettings(), ...settings });
+  }, [activeProfileId, threshold, alertDelay, perclosWindow, perclosLevel, distractionDelay, gazeZone, detectionMode, cnnWeight,
+    soundEnabled, alarmChannels, alarmVolume, alarmEscalation, cameraSource, ipCameraUrl, configServerUrl,
+    configServerKey, fleetHubUrl, fleetHubKey, vehicleId]);
+
+  // Settings from the server replace the local ones, except that an active
+  // driver profile keeps its calibrated threshold
+  const applySettings = useCallback((settings) => {
+    const { threshold: serverThreshold, ...rest } = settings;
+    if (serverThreshold !== undefined) {
+      if (getActiveProfileId()) {
+        saveSettings({ ...loadSettings(), threshold: serverThreshold });
+      } else {
+        setThreshold(serverThreshold);
+      }
+    }
+    const setters = {
+      alertDelay: setAlertDelay,
+      perclosWindow: setPerclosWindow,
+      perclosLevel: setPerclosLevel,
+      distractionDelay: setDistractionDelay,
+      gazeZone: setGazeZone,
+      detectionMode: setDetectionMode,
+      cnnWeight: setCnnWeight,
+      soundEnabled: setSoundEnabled,
+      cameraSource: setCameraSource,
+      ipCameraUrl: setIpCameraUrl
+    };
+    Object.entries(rest).forEach(([key, value]) => {
+      if (setters[key]) setters[key](value);
+    });
+  }, []);
+
+  const syncSettings = useCallback((serverUrl, apiKey) => fetchServerSettings(serverUrl, apiKey)
+    .then(settings => {
+      applySettings(settings);
+      setSyncStatus(`Synced from server at ${new Date().toLocaleTimeString()}`);
+    })
+    .catch(err => {
+      console.error("Settings sync failed:", err);
+      setSyncStatus(`Sync failed: ${err.message}`);
+    }), [applySettings]);
+
+  // A device set up with a config server takes its settings from it on startup
+  const [startupServer] = useState({ url: configServerUrl, key: configServerKey });
+  useEffect(() => {
+    if (startupServer.url) syncSettings(startupServer.url, startupServer.key);
+  }, [startupServer, syncSettings]);
 
   useEffect(() => {
     audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
@@ -66,92 +265,237 @@ const DrowsinessDetector = () => {
     };
   }, []);
 
-  const initializeFaceLandmarker = async () => {
-    try {
-      setIsLoading(true);
-      const vision = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-      );
-      
-      faceLandmarkerRef.current = await FaceLandmarker.createFromOptions(vision, {
-        baseOptions: {
-          modelAssetPath: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-          delegate: "GPU"
-        },
-        numFaces: 1,
-        runningMode: "VIDEO",
-        minFaceDetectionConfidence: 0.5,
-        minFacePresenceConfidence: 0.5,
-        minTrackingConfidence: 0.5
+  const subscribeSamples = useCallback((listener) => {
+    const listeners = sampleListenersRef.current;
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+
+  // Short chime that marks calibration steps; plays even when alarms are muted
+  const playCue = useCallback(() => {
+    const audioContext = audioContextRef.current;
+    if (!audioContext) return;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.frequency.setValueAtTime(660, audioContext.currentTime);
+    gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.4);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + 0.4);
+  }, []);
+
+  const startCalibration = () => {
+    calibratingRef.current = true;
+    const { state, events } = engine.acknowledge();
+    recordTrip(events, state);
+    setAlertLevel(SEVERITY.NORMAL);
+    alarm.stop();
+    setClosedDuration(0);
+  };
+
+  const finishCalibration = useCallback(() => {
+    calibratingRef.current = false;
+  }, []);
+
+  const selectProfile = (id) => {
+    const profile = profiles.find(p => p.id === id);
+    setActiveProfileId(profile ? profile.id : null);
+    setActiveProfile(profile ? profile.id : null);
+    setThreshold(profile ? profile.threshold : loadSettings().threshold);
+  };
+
+  const handleSaveProfile = (data) => {
+    const profile = saveProfile(data);
+    setProfiles(loadProfiles());
+    setActiveProfileId(profile.id);
+    setActiveProfile(profile.id);
+    setThreshold(profile.threshold);
+  };
+
+  const handleDeleteProfile = (id) => {
+    setProfiles(deleteProfile(id));
+    if (id === activeProfileId) {
+      setActiveProfile(null);
+      setThreshold(loadSettings().threshold);
+    }
+  };
+
+  const beginTrip = () => {
+    const profile = profiles.find(p => p.id === activeProfileId);
+    const trip = {
+      startedAt: Date.now(),
+      stoppedAt: null,
+      driverId: profile ? profile.id : null,
+      driverName: profile ? profile.name : null,
+      threshold,
+      alertDelayMs: alertDelay,
+      alertCount: 0,
+      maxSeverity: SEVERITY.NORMAL,
+      yawnCount: 0
+    };
+    const id = startTrip(trip);
+    id.catch(err => console.error('Failed to start trip history:', err));
+    tripRef.current = { trip, id, recorder: createTripRecorder() };
+
+    // A replay is not a drive, so it is not reported
+    if (fleetHubUrl && vehicleId && cameraSource !== 'replay') {
+      fleetReporterRef.current = createFleetReporter({
+        hubUrl: fleetHubUrl,
+        vehicleId,
+        apiKey: fleetHubKey,
+        metadata: { client: 'web', driverName: trip.driverName, userAgent: navigator.userAgent }
       });
-      
-      await loadCNNModel();
-      
-      setIsLoading(false);
-      return true;
-    } catch (err) {
-      console.error("Error initializing Face Landmarker:", err);
-      setError("Failed to load face detection model. Please refresh and try again.");
-      setIsLoading(false);
-      return false;
     }
   };
 
-  const loadCNNModel = async () => {
-    try {
-      modelRef.current = await tf.loadLayersModel('/model/model.json');
-      console.log("CNN model loaded successfully");
-    } catch (err) {
-      console.error("Failed to load CNN model:", err);
-      setError("Failed to load eye classification model. Using EAR fallback.");
+  // Stores finished alerts and samples; the trip summary is rewritten whenever it changes
+  const saveTripRecords = (current, alerts, sample = null) => {
+    alerts.forEach(alert => {
+      current.trip.alertCount += 1;
+      current.trip.maxSeverity = Math.max(current.trip.maxSeverity, alert.severity);
+    });
+    const tripChanged = alerts.length > 0 || current.trip.stoppedAt !== null;
+    if (!tripChanged && !sample) return Promise.resolve();
+
+    const trip = { ...current.trip };
+    return current.id
+      .then(tripId => Promise.all([
+        ...alerts.map(alert => addAlert({ ...alert, tripId })),
+        ...(sample ? [addSample({ ...sample, tripId })] : []),
+        ...(tripChanged ? [updateTrip({ ...trip, id: tripId })] : [])
+      ]))
+      .catch(err => console.error('Failed to save trip history:', err));
+  };
+
+  const recordTrip = (events, state, acknowledged = false) => {
+    if (fleetReporterRef.current) fleetReporterRef.current.record(state, events);
+    const current = tripRef.current;
+    if (!current) return;
+    const now = Date.now();
+    if (acknowledged) {
+      saveTripRecords(current, current.recorder.acknowledge(events, state, now));
+    } else {
+      const { alerts, sample } = current.recorder.record(events, state, now);
+      saveTripRecords(current, alerts, sample);
     }
   };
 
-  const cropEye = (ctx, eyeLandmarks, canvasWidth, canvasHeight) => {
-    const xs = eyeLandmarks.map(p => p.x * canvasWidth);
-    const ys = eyeLandmarks.map(p => p.y * canvasHeight);
-    const minX = Math.min(...xs);
-    const maxX = Math.max(...xs);
-    const minY = Math.min(...ys);
-    const maxY = Math.max(...ys);
-    const width = maxX - minX;
-    const height = maxY - minY;
-    const padding = 0.1;
-    const paddedMinX = Math.max(0, minX - width * padding);
-    const paddedMaxX = Math.min(canvasWidth, maxX + width * padding);
-    const paddedMinY = Math.max(0, minY - height * padding);
-    const paddedMaxY = Math.min(canvasHeight, maxY + height * padding);
-    const eyeImageData = ctx.getImageData(paddedMinX, paddedMinY, paddedMaxX - paddedMinX, paddedMaxY - paddedMinY);
-    return eyeImageData;
+  const beginRecording = (width, height) => {
+    if (!recordLandmarks) return;
+    landmarkRecorderRef.current = {
+      recorder: createLandmarkRecorder({
+        metadata: { width, height, cameraSource, userAgent: navigator.userAgent },
+        engineOptions: toEngineOptions({
+          threshold, detectionMode, cnnWeight, alertDelay, perclosWindow, perclosLevel, distractionDelay, gazeZone
+        })
+      }),
+      eyeCrops: recordEyeCrops
+    };
   };
 
-  const preprocessEye = (imageData) => {
-    return tf.tidy(() => {
-      let tensor = tf.browser.fromPixels(imageData);
-      tensor = tf.image.resizeBilinear(tensor, [24, 24]);
-      tensor = tf.mean(tensor, -1, true);
-      tensor = tf.div(tensor, 255.0);
-      tensor = tf.expandDims(tensor, 0);
-      return tensor;
+  // Saves the landmark recording of the run that just ended as a download
+  const endRecording = () => {
+    const current = landmarkRecorderRef.current;
+    if (!current) return;
+    landmarkRecorderRef.current = null;
+    if (current.recorder.frameCount() === 0) return;
+    downloadRecording(current.recorder.finish()).catch(err => {
+      console.error("Failed to save landmark recording:", err);
+      setError(`Failed to save landmark recording: ${err.message}`);
     });
   };
 
-  const classifyEye = async (preprocessed) => {
-    if (!modelRef.current) return null;
-    const prediction = modelRef.current.predict(preprocessed);
-    const result = await prediction.data();
-    prediction.dispose();
-    return result[0] > 0.5; // assuming result[0] is prob closed
+  const chooseReplayFile = async (file) => {
+    if (!file) return;
+    try {
+      setReplay({ name: file.name, recording: await readRecordingFile(file) });
+      setError('');
+    } catch (err) {
+      setReplay(null);
+      setError(`Cannot replay recording: ${err.message}`);
+    }
+  };
+
+  const endTrip = () => {
+    if (fleetReporterRef.current) {
+      fleetReporterRef.current.stop();
+      fleetReporterRef.current = null;
+    }
+    const current = tripRef.current;
+    if (!current) return;
+    tripRef.current = null;
+    current.trip.stoppedAt = Date.now();
+    current.trip.yawnCount = engine.getState().yawnCount;
+    saveTripRecords(current, current.recorder.finish(current.trip.stoppedAt))
+      .then(() => setHistoryVersion(version => version + 1));
   };
 
+  // Loads the models in the inference worker; resolves to false when detection cannot run
+  const initializeWorker = () => new Promise((resolve) => {
+    setIsLoading(true);
+    const worker = new Worker(new URL('../lib/inference.worker.js', import.meta.url), { type: 'module' });
+    
+    const fail = (err) => {
+      console.error("Error initializing Face Landmarker:", err);
+      worker.terminate();
+      setError("Failed to load face detection model. Please refresh and try again.");
+      setIsLoading(false);
+      resolve(false);
+    };
+    
+    worker.onerror = fail;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'init-error') {
+        fail(data.message);
+        return;
+      }
+      if (data.type !== 'ready') return;
+      
+      setClassifierStatus({ loaded: !data.classifierError, error: data.classifierError });
+      if (!data.classifierError) {
+        console.log("CNN model loaded successfully");
+      } else if (detectionMode !== DETECTION_MODES.EAR) {
+        setError(`Eye classifier model failed to load, so ${DETECTION_MODE_LABELS[detectionMode]} mode uses EAR only: ${data.classifierError}`);
+      }
+      worker.onerror = (err) => {
+        console.error("Inference worker error:", err);
+        setError("Face detection stopped unexpectedly. Please restart detection.");
+      };
+      workerRef.current = worker;
+      setIsLoading(false);
+      resolve(true);
+    };
+    
+    // The worker resolves URLs against its own script location
+    worker.postMessage({
+      type: 'init',
+      assetPath: new URL(MEDIAPIPE_ASSET_PATH, window.location.href).href,
+      classifierUrl: new URL(EYE_CLASSIFIER_URL, window.location.href).href
+    });
+  });
+
   const startCamera = async () => {
     try {
       setError('');
+      
+      if (cameraSource === 'replay') {
+        if (!replay) {
+          setError("Choose a landmark recording to replay.");
+          return;
+        }
+        setIsActive(true);
+        beginTrip();
+        startReplay(replay.recording);
+        return;
+      }
+      
       console.log("Starting camera...");
       
-      if (!faceLandmarkerRef.current) {
+      if (!workerRef.current) {
         console.log("Initializing face landmarker...");
-        const initialized = await initializeFaceLandmarker();
+        const initialized = await initializeWorker();
         if (!initialized) return;
         console.log("Face landmarker initialized successfully!");
       }
@@ -165,6 +509,8 @@ const DrowsinessDetector = () => {
             console.log("IP camera loaded, starting playback...");
             videoRef.current.play();
             setIsActive(true);
+            beginTrip();
+            beginRecording(videoRef.current.videoWidth, videoRef.current.videoHeight);
             console.log("Starting detection...");
             detectDrowsiness();
           };
@@ -192,6 +538,8 @@ const DrowsinessDetector = () => {
             console.log("Video loaded, starting playback...");
             videoRef.current.play();
             setIsActive(true);
+            beginTrip();
+            beginRecording(videoRef.current.videoWidth, videoRef.current.videoHeight);
             console.log("Starting detection...");
             detectDrowsiness();
           };
@@ -213,76 +561,57 @@ const DrowsinessDetector = () => {
     if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current);
     }
+    if (replayTimerRef.current) {
+      clearTimeout(replayTimerRef.current);
+      replayTimerRef.current = null;
+    }
+    if (workerRef.current) {
+      workerRef.current.onmessage = null;
+    }
     
-    stopAlarm();
+    alarm.stop();
+    endTrip();
+    endRecording();
     setIsActive(false);
-    setAlertActive(false);
-    setClosedFrames(0);
-    closedFrameCountRef.current = 0;
+    setAlertLevel(SEVERITY.NORMAL);
+    setClosedDuration(0);
+    setPerclosValue(null);
+    setClosure(null);
+    setYawnStats({ count: 0, rate: 0, mouthOpen: false });
+    setHeadPose(null);
+    setGazeStatus({ lookingAway: false, awayDurationMs: 0 });
+    setVisibility({ faceMissingMs: 0, camera: null });
+    engine.reset();
   };
 
-  const playAlarm = () => {
-    if (!soundEnabled || !audioContextRef.current) return;
+  const handleEngineEvents = (events, state) => {
+    if (!events.some(event => ALERT_EVENT_TYPES.includes(event.type))) return;
     
-    try {
-      // Don't restart if already playing
-      if (oscillatorRef.current) return;
-      
-      oscillatorRef.current = audioContextRef.current.createOscillator();
-      gainNodeRef.current = audioContextRef.current.createGain();
-      
-      oscillatorRef.current.connect(gainNodeRef.current);
-      gainNodeRef.current.connect(audioContextRef.current.destination);
-      
-      oscillatorRef.current.type = 'sine';
-      gainNodeRef.current.gain.setValueAtTime(0.3, audioContextRef.current.currentTime);
-      
-      oscillatorRef.current.start();
-      
-      // Create continuous alternating alarm pattern
-      const alternateFrequency = () => {
-        if (!oscillatorRef.current) return;
-        
-        const now = audioContextRef.current.currentTime;
-        oscillatorRef.current.frequency.setValueAtTime(800, now);
-        oscillatorRef.current.frequency.setValueAtTime(1200, now + 0.3);
-        oscillatorRef.current.frequency.setValueAtTime(800, now + 0.6);
-        
-        setTimeout(() => alternateFrequency(), 600);
-      };
-      
-      alternateFrequency();
-      
-      console.log("Alarm started");
-    } catch (err) {
-      console.error("Audio error:", err);
-    }
-  };
-
-  const stopAlarm = () => {
-    if (oscillatorRef.current) {
-      try {
-        oscillatorRef.current.stop();
-        oscillatorRef.current.disconnect();
-        console.log("Alarm stopped");
-      } catch {
-        // Already stopped
-      }
-      oscillatorRef.current = null;
-    }
-    if (gainNodeRef.current) {
-      try {
-        gainNodeRef.current.disconnect();
-      } catch {
-        // Already disconnected
-      }
-      gainNodeRef.current = null;
-    }
+    setAlertLevel(state.severity);
+    alarm.update(state);
   };
 
+  // The render loop only draws: it hands camera frames to the inference worker and
+  // paints the latest result over each video frame
   const detectDrowsiness = () => {
-    const detect = async () => {
-      if (!videoRef.current || !faceLandmarkerRef.current) {
+    const worker = workerRef.current;
+    const gate = createFrameGate();
+    let firstTimestamp = null;
+    let latest = null;
+    
+    worker.onmessage = ({ data }) => {
+      // Ignore results still in flight from an earlier run
+      if (data.type !== 'result' || firstTimestamp === null || data.timestamp < firstTimestamp) return;
+      gate.release();
+      if (data.error) {
+        console.error("Detection error:", data.error);
+        return;
+      }
+      latest = handleDetection(data);
+    };
+    
+    const render = () => {
+      if (!videoRef.current || !workerRef.current) {
         console.log("Detection stopped - missing refs");
         return;
       }
@@ -291,14 +620,6 @@ const DrowsinessDetector = () => {
       const canvas = canvasRef.current;
       
       if (video.readyState === video.HAVE_ENOUGH_DATA) {
-        const now = performance.now();
-        frameCountRef.current++;
-        if (now - lastFrameTimeRef.current >= 1000) {
-          setFps(frameCountRef.current);
-          frameCountRef.current = 0;
-          lastFrameTimeRef.current = now;
-        }
-        
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
         
@@ -306,90 +627,148 @@ const DrowsinessDetector = () => {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         
-        try {
-          const results = faceLandmarkerRef.current.detectForVideo(video, now);
-          
-          if (results.faceLandmarks && results.faceLandmarks.length > 0) {
-            const landmarks = results.faceLandmarks[0];
-            
-            const leftEye = getEyeLandmarks(landmarks, LEFT_EYE);
-            const rightEye = getEyeLandmarks(landmarks, RIGHT_EYE);
-            
-            const leftEAR = calculateEAR(leftEye);
-            const rightEAR = calculateEAR(rightEye);
-            const ear = (leftEAR + rightEAR) / 2.0;
-            
-            setEarValue(ear);
-            
-            drawEyeContour(ctx, leftEye, canvas.width, canvas.height);
-            drawEyeContour(ctx, rightEye, canvas.width, canvas.height);
-            
-            let bothEyesClosed = false;
-            if (modelRef.current) {
-              const leftEyeImage = cropEye(ctx, leftEye, canvas.width, canvas.height);
-              const rightEyeImage = cropEye(ctx, rightEye, canvas.width, canvas.height);
-              const leftPreprocessed = preprocessEye(leftEyeImage);
-              const rightPreprocessed = preprocessEye(rightEyeImage);
-              const leftClosed = await classifyEye(leftPreprocessed);
-              const rightClosed = await classifyEye(rightPreprocessed);
-              leftPreprocessed.dispose();
-              rightPreprocessed.dispose();
-              bothEyesClosed = leftClosed && rightClosed;
-            } else {
-              bothEyesClosed = ear < threshold;
-            }
-            
-            if (bothEyesClosed) {
-              closedFrameCountRef.current++;
-              setClosedFrames(closedFrameCountRef.current);
-              
-              if (closedFrameCountRef.current >= CONSEC_FRAMES) {
-                if (!alertActive) {
-                  setAlertActive(true);
-                  playAlarm();
-                }
-              }
-            } else {
-              closedFrameCountRef.current = 0;
-              setClosedFrames(0);
-              if (alertActive) {
-                setAlertActive(false);
-                stopAlarm();
-              }
-            }
-            
-            if (alertActive) {
-              ctx.fillStyle = 'rgba(255, 0, 0, 0.3)';
-              ctx.fillRect(0, 0, canvas.width, canvas.height);
-              
-              ctx.strokeStyle = '#ff0000';
-              ctx.lineWidth = 10;
-              ctx.strokeRect(5, 5, canvas.width - 10, canvas.height - 10);
-              
-              ctx.fillStyle = '#ff0000';
-              ctx.font = 'bold 40px Arial';
-              ctx.textAlign = 'center';
-              ctx.fillText('⚠️ DROWSINESS ALERT!', canvas.width / 2, 60);
-            }
-            
-          } else {
-            closedFrameCountRef.current = 0;
-            setClosedFrames(0);
-            setEarValue(0);
-            if (alertActive) {
-              setAlertActive(false);
-              stopAlarm();
-            }
-          }
-        } catch (err) {
-          console.error("Detection error:", err);
+        // Frames that arrive while the worker is busy are dropped, never queued
+        if (gate.tryAcquire()) {
+          const timestamp = performance.now();
+          if (firstTimestamp === null) firstTimestamp = timestamp;
+          createImageBitmap(video)
+            .then(frame => worker.postMessage({
+              type: 'frame',
+              frame,
+              timestamp,
+              classify: classifyRef.current,
+              captureEyeCrops: Boolean(landmarkRecorderRef.current && landmarkRecorderRef.current.eyeCrops)
+            }, [frame]))
+            .catch(err => {
+              gate.release();
+              console.error("Frame capture error:", err);
+            });
+        }
+        
+        if (latest) {
+          drawDetection(ctx, latest, canvas.width, canvas.height);
         }
       }
       
-      animationFrameRef.current = requestAnimationFrame(detect);
+      animationFrameRef.current = requestAnimationFrame(render);
     };
     
-    detect();
+    render();
+  };
+
+  // Feeds a landmark recording through the same detection and alert path as the
+  // camera, at the recording's own timing, and stops at its end
+  const startReplay = (recording) => {
+    const { frames } = recording;
+    const width = recording.metadata.width || 640;
+    const height = recording.metadata.height || 480;
+    const startTime = performance.now();
+    let index = 0;
+    let latest = null;
+    
+    const render = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#111827';
+      ctx.fillRect(0, 0, width, height);
+      if (latest) {
+        drawDetection(ctx, latest, width, height);
+      }
+      animationFrameRef.current = requestAnimationFrame(render);
+    };
+    
+    const next = () => {
+      if (index >= frames.length) {
+        replayTimerRef.current = null;
+        stopCamera();
+        return;
+      }
+      latest = handleDetection(toEngineFrame(frames[index], startTime));
+      index++;
+      const due = index < frames.length ? startTime + frames[index].t : performance.now();
+      replayTimerRef.current = setTimeout(next, Math.max(0, due - performance.now()));
+    };
+    
+    next();
+    render();
+  };
+
+  // Feeds a worker result to the engine and returns what to draw for it
+  const handleDetection = (result) => {
+    const now = performance.now();
+    frameCountRef.current++;
+    if (now - lastFrameTimeRef.current >= 1000) {
+      setFps(frameCountRef.current);
+      frameCountRef.current = 0;
+      lastFrameTimeRef.current = now;
+    }
+    
+    const frame = {
+      timestamp: result.timestamp,
+      landmarks: result.landmarks,
+      transformationMatrix: result.transformationMatrix,
+      camera: result.camera
+    };
+    if (result.classifier) {
+      frame.classifier = result.classifier;
+    }
+    // Recordings made before the classifier gave probabilities
+    if (result.eyesClosed !== undefined) {
+      frame.eyesClosed = result.eyesClosed;
+    }
+    const eyes = frame.landmarks ? measureEyes(frame.landmarks) : null;
+    
+    if (calibratingRef.current) {
+      // Calibration only needs raw EAR samples; keep the engine and its alarms out of it
+      const ear = eyes ? eyes.ear : 0;
+      const sample = { faceDetected: eyes !== null, ear };
+      sampleListenersRef.current.forEach(listener => listener(sample));
+      setEarValue(ear);
+      return { eyes, state: null };
+    }
+    
+    if (landmarkRecorderRef.current) {
+      landmarkRecorderRef.current.recorder.addFrame(frame, result.eyeCrops || null);
+    }
+    
+    const { state, events } = engine.processFrame(frame);
+    handleEngineEvents(events, state);
+    recordTrip(events, state);
+    setEarValue(state.ear);
+    setClosure(state.closure);
+    setClosedDuration(state.closedDurationMs);
+    setPerclosValue(state.perclos);
+    setYawnStats({ count: state.yawnCount, rate: state.yawnRate, mouthOpen: state.mouthOpen });
+    setHeadPose(state.headPose);
+    setGazeStatus({ lookingAway: state.lookingAway, awayDurationMs: state.awayDurationMs });
+    setVisibility({ faceMissingMs: state.faceMissingMs, camera: state.camera });
+    return { eyes, state };
+  };
+
+  const drawDetection = (ctx, { eyes, state }, width, height) => {
+    if (eyes) {
+      drawEyeContour(ctx, eyes.leftEye, width, height);
+      drawEyeContour(ctx, eyes.rightEye, width, height);
+    }
+    
+    if (state && state.alertActive) {
+      const overlay = OVERLAY_STYLES[state.severity];
+      const topAlert = state.alerts.reduce((top, alert) => (alert.severity > top.severity ? alert : top));
+      ctx.fillStyle = overlay.fill;
+      ctx.fillRect(0, 0, width, height);
+    
+      ctx.strokeStyle = overlay.color;
+      ctx.lineWidth = 10;
+      ctx.strokeRect(5, 5, width - 10, height - 10);
+    
+      ctx.fillStyle = overlay.color;
+      ctx.font = 'bold 40px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(ALERT_MESSAGES[topAlert.reason], width / 2, 60);
+    }
   };
 
   const drawEyeContour = (ctx, eye, width, height) => {
@@ -412,8 +791,6 @@ const DrowsinessDetector = () => {
   useEffect(() => {
     const video = videoRef.current;
     const animationFrame = animationFrameRef.current;
-    const oscillator = oscillatorRef.current;
-    const gainNode = gainNodeRef.current;
     
     return () => {
       if (video && video.srcObject) {
@@ -423,24 +800,18 @@ const DrowsinessDetector = () => {
       if (animationFrame) {
         cancelAnimationFrame(animationFrame);
       }
-      if (oscillator) {
-        try {
-          oscillator.stop();
-          oscillator.disconnect();
-        } catch {
-          // Already stopped
-        }
-      }
-      if (gainNode) {
-        gainNode.disconnect();
+      alarm.stop();
+      if (workerRef.current) {
+        workerRef.current.terminate();
       }
-      if (modelRef.current) {
-        modelRef.current.dispose();
+      // Leaving for the fleet dashboard while detection runs
+      if (fleetReporterRef.current) {
+        fleetReporterRef.current.stop();
       }
     };
-  }, []);
+  }, [alarm]);
 
-  const progress = Math.min(100, (closedFrames / CONSEC_FRAMES) * 100);
+  const progress = Math.min(100, (closedDuration / alertDelay) * 100);
 
   return (
     <div className="app-container">
@@ -507,19 +878,96 @@ const DrowsinessDetector = () => {
                   <div className="stat-sublabel">Threshold: {threshold.toFixed(2)}</div>
                 </div>
                 
+                <div className="stat-card">
+                  <div className="stat-label">Eye Closure</div>
+                  <div className="stat-value">{closure ? `${(closure.confidence * 100).toFixed(0)}%` : '--'}</div>
+                  <div className="stat-sublabel">
+                    {closure
+                      ? `L ${(closure.left * 100).toFixed(0)}% · R ${(closure.right * 100).toFixed(0)}% · ${DETECTION_MODE_LABELS[closure.mode]}`
+                      : 'No face'}
+                    {closure && closure.mode !== detectionMode && ' (no CNN)'}
+                  </div>
+                </div>
+                
+                <div className="stat-card">
+                  <div className="stat-label">PERCLOS</div>
+                  <div className="stat-value">
+                    {perclosValue === null ? '--' : `${(perclosValue * 100).toFixed(1)}%`}
+                  </div>
+                  <div className="stat-sublabel">
+                    Last {perclosWindow}s · Alert at {(perclosLevel * 100).toFixed(0)}%
+                  </div>
+                </div>
+                
+                <div className="stat-card">
+                  <div className="stat-label">Yawns</div>
+                  <div className="stat-value">{yawnStats.count}</div>
+                  <div className="stat-sublabel">
+                    {yawnStats.rate} in last 10 min{yawnStats.mouthOpen ? ' · Mouth open' : ''}
+                  </div>
+                </div>
+                
+                <div className="stat-card">
+                  <div className="stat-label">Head Pitch</div>
+                  <div className="stat-value">{headPose ? `${headPose.pitch.toFixed(0)}°` : '--'}</div>
+                  <div className="stat-sublabel">
+                    {headPose
+                      ? `Yaw ${headPose.yaw.toFixed(0)}° · Roll ${headPose.roll.toFixed(0)}°`
+                      : 'No head pose'}
+                  </div>
+                </div>
+                
+                <div className="stat-card">
+                  <div className="stat-label">Eyes on Road</div>
+                  <div className="stat-value">
+                    {gazeStatus.lookingAway ? `Away ${(gazeStatus.awayDurationMs / 1000).toFixed(1)}s` : 'Yes'}
+                  </div>
+                  <div className="stat-sublabel">Alert after {(distractionDelay / 1000).toFixed(1)}s away</div>
+                </div>
+                
+                <div className="stat-card">
+                  <div className="stat-label">Driver in View</div>
+                  <div className="stat-value">
+                    {visibility.faceMissingMs > 0 ? `Missing ${(visibility.faceMissingMs / 1000).toFixed(1)}s` : 'Yes'}
+                  </div>
+                  <div className="stat-sublabel">
+                    {visibility.camera ? CAMERA_CARD_LABELS[visibility.camera.status] : 'Camera not checked yet'}
+                  </div>
+                </div>
+                
                 <div className="stat-card">
                   <div className="stat-label">Eyes Closed</div>
-                  <div className="stat-value">{progress.toFixed(0)}%</div>
+                  <div className="stat-value">{(closedDuration / 1000).toFixed(1)}s</div>
                   <div className="progress-bar">
                     <div 
                       className={`progress-fill ${progress >= 100 ? 'progress-danger' : 'progress-warning'}`}
                       style={{ width: `${progress}%` }}
                     />
                   </div>
+                  <div className="stat-sublabel">Alert at {(alertDelay / 1000).toFixed(1)}s</div>
                 </div>
               </div>
             )}
 
+            {/* Driver Profile */}
+            {!isActive && profiles.length > 0 && (
+              <div className="driver-select">
+                <label className="setting-label">Driver</label>
+                <select
+                  value={activeProfileId || ''}
+                  onChange={(e) => selectProfile(e.target.value)}
+                  className="ip-input"
+                >
+                  <option value="">No profile</option>
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>
+                      {profile.name} (threshold {profile.threshold.toFixed(2)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="button-group">
               <button
@@ -534,12 +982,13 @@ const DrowsinessDetector = () => {
               {alertActive && (
                 <button
                   onClick={() => {
-                    setAlertActive(false);
-                    stopAlarm();
-                    closedFrameCountRef.current = 0;
-                    setClosedFrames(0);
+                    setAlertLevel(SEVERITY.NORMAL);
+                    alarm.stop();
+                    const { state, events } = engine.acknowledge();
+                    recordTrip(events, state, true);
+                    setClosedDuration(0);
                   }}
-                  className="btn btn-awake"
+                  className={`btn btn-awake ${alertLevel === SEVERITY.CRITICAL ? 'btn-awake-critical' : ''}`}
                 >
                   <AlertTriangle className="icon-small" />
                   I'm Awake!
@@ -553,6 +1002,17 @@ const DrowsinessDetector = () => {
                 <Settings className="icon-small" />
               </button>
               
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="btn btn-secondary"
+              >
+                <History className="icon-small" />
+              </button>
+              
+              <a href="#/fleet" className="btn btn-secondary" title="Fleet dashboard">
+                <LayoutDashboard className="icon-small" />
+              </a>
+              
               <button
                 onClick={() => setSoundEnabled(!soundEnabled)}
                 className="btn btn-secondary"
@@ -561,6 +1021,14 @@ const DrowsinessDetector = () => {
               </button>
             </div>
 
+            {/* Trip History */}
+            {showHistory && (
+              <div className="settings-panel">
+                <h3 className="settings-title">Trip History</h3>
+                <TripHistory version={historyVersion} />
+              </div>
+            )}
+
             {/* Settings Panel */}
             {showSettings && (
               <div className="settings-panel">
@@ -581,9 +1049,57 @@ const DrowsinessDetector = () => {
                     >
                       IP Camera
                     </button>
+                    <button
+                      onClick={() => setCameraSource('replay')}
+                      className={`camera-btn ${cameraSource === 'replay' ? 'active' : ''}`}
+                    >
+                      Replay
+                    </button>
                   </div>
                 </div>
 
+                {cameraSource === 'replay' && (
+                  <div className="setting-item">
+                    <label className="setting-label">Landmark Recording</label>
+                    <input
+                      type="file"
+                      accept=".json,.gz"
+                      onChange={(e) => chooseReplayFile(e.target.files[0])}
+                      className="ip-input"
+                      disabled={isActive}
+                    />
+                    <div className="ip-examples">
+                      {replay
+                        ? `${replay.name}: ${replay.recording.frames.length} frames, ${(replayDurationMs(replay.recording) / 1000).toFixed(1)}s`
+                        : 'Replays a recorded landmark stream through detection and alerts, without a camera or model'}
+                    </div>
+                  </div>
+                )}
+
+                {cameraSource !== 'replay' && (
+                  <div className="setting-item">
+                    <label className="setting-label">Record Landmarks</label>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={recordLandmarks}
+                        onChange={(e) => setRecordLandmarks(e.target.checked)}
+                        disabled={isActive}
+                      />
+                      Save the landmark stream to a file when detection stops
+                    </label>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={recordEyeCrops}
+                        onChange={(e) => setRecordEyeCrops(e.target.checked)}
+                        disabled={isActive || !recordLandmarks}
+                      />
+                      Include eye crops
+                    </label>
+                  </div>
+                )}
+
                 {cameraSource === 'ip' && (
                   <div className="setting-item">
                     <label className="setting-label">IP Camera URL</label>
@@ -605,15 +1121,122 @@ const DrowsinessDetector = () => {
                     </div>
                   </div>
                 )}
+
+                <div className="setting-item">
+                  <label className="setting-label">Config Server</label>
+                  <div className="sync-row">
+                    <input
+                      type="text"
+                      value={configServerUrl}
+                      onChange={(e) => setConfigServerUrl(e.target.value.trim())}
+                      placeholder="http://192.168.1.10:3000"
+                      className="ip-input"
+                    />
+                    <button
+                      onClick={() => syncSettings(configServerUrl, configServerKey)}
+                      className="btn btn-secondary"
+                      disabled={!configServerUrl}
+                    >
+                      Sync
+                    </button>
+                  </div>
+                  <input
+                    type="password"
+                    value={configServerKey}
+                    onChange={(e) => setConfigServerKey(e.target.value.trim())}
+                    placeholder="API key (if the server needs one)"
+                    className="ip-input"
+                    autoComplete="off"
+                  />
+                  <div className="ip-examples">
+                    {syncStatus || 'Settings are saved on this device. Set a server to take them from its /config.'}
+                  </div>
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">Fleet Hub</label>
+                  <div className="sync-row">
+                    <input
+                      type="text"
+                      value={fleetHubUrl}
+                      onChange={(e) => setFleetHubUrl(e.target.value.trim())}
+                      placeholder="http://fleet.example.com:3000"
+                      className="ip-input"
+                    />
+                    <input
+                      type="text"
+                      value={vehicleId}
+                      onChange={(e) => setVehicleId(e.target.value.trim())}
+                      placeholder="Vehicle ID"
+                      className="ip-input"
+                    />
+                  </div>
+                  <input
+                    type="password"
+                    value={fleetHubKey}
+                    onChange={(e) => setFleetHubKey(e.target.value.trim())}
+                    placeholder="API key (if the hub needs one)"
+                    className="ip-input"
+                    autoComplete="off"
+                  />
+                  <div className="ip-examples">
+                    With a hub and a vehicle ID, this device reports its status and alerts to the fleet dashboard.
+                    Changes apply the next time detection starts.
+                  </div>
+                </div>
                 
+                <div className="setting-item">
+                  <label className="setting-label">Detection Mode</label>
+                  <div className="camera-source-buttons">
+                    {Object.values(DETECTION_MODES).map(mode => (
+                      <button
+                        key={mode}
+                        onClick={() => setDetectionMode(mode)}
+                        className={`camera-btn ${detectionMode === mode ? 'active' : ''}`}
+                      >
+                        {DETECTION_MODE_LABELS[mode]}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="ip-examples">
+                    Eye classifier (CNN): {classifierStatus.loaded
+                      ? 'loaded'
+                      : classifierStatus.error
+                        ? `failed to load (${classifierStatus.error}); EAR is used instead`
+                        : 'loads when detection starts'}
+                  </div>
+                </div>
+
+                {detectionMode === DETECTION_MODES.FUSION && (
+                  <div className="setting-item">
+                    <label className="setting-label">
+                      CNN Weight: {(cnnWeight * 100).toFixed(0)}% CNN, {((1 - cnnWeight) * 100).toFixed(0)}% EAR
+                    </label>
+                    <input
+                      type="range"
+                      min="0.1"
+                      max="0.9"
+                      step="0.05"
+                      value={cnnWeight}
+                      onChange={(e) => setCnnWeight(parseFloat(e.target.value))}
+                      className="slider"
+                    />
+                    <div className="slider-labels">
+                      <span>Trust EAR</span>
+                      <span>Trust CNN</span>
+                    </div>
+                  </div>
+                )}
+
                 <div className="setting-item">
                   <label className="setting-label">
                     Sensitivity Threshold: {threshold.toFixed(2)}
+                    {detectionMode === DETECTION_MODES.CNN && classifierStatus.loaded && ' (not used in CNN mode)'}
                   </label>
                   <input
                     type="range"
-                    min="0.15"
-                    max="0.35"
+                    min="0.10"
+                    max="0.40"
                     step="0.01"
                     value={threshold}
                     onChange={(e) => setThreshold(parseFloat(e.target.value))}
@@ -625,14 +1248,151 @@ const DrowsinessDetector = () => {
                   </div>
                 </div>
 
+                <div className="setting-item">
+                  <label className="setting-label">
+                    Alert Delay: {(alertDelay / 1000).toFixed(2)}s
+                  </label>
+                  <input
+                    type="range"
+                    min="500"
+                    max="5000"
+                    step="250"
+                    value={alertDelay}
+                    onChange={(e) => setAlertDelay(parseInt(e.target.value, 10))}
+                    className="slider"
+                  />
+                  <div className="slider-labels">
+                    <span>Faster Alert</span>
+                    <span>Fewer False Alerts</span>
+                  </div>
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">Driver Profiles</label>
+                  {profiles.length > 0 && (
+                    <ul className="profile-list">
+                      {profiles.map(profile => (
+                        <li
+                          key={profile.id}
+                          className={`profile-item ${profile.id === activeProfileId ? 'active' : ''}`}
+                        >
+                          <button onClick={() => selectProfile(profile.id)} className="profile-name" disabled={isActive}>
+                            {profile.name}
+                          </button>
+                          <span className="profile-threshold">{profile.threshold.toFixed(3)}</span>
+                          <button onClick={() => handleDeleteProfile(profile.id)} className="profile-delete">
+                            <Trash2 className="icon-small" />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <CalibrationWizard
+                    isActive={isActive}
+                    subscribeSamples={subscribeSamples}
+                    playCue={playCue}
+                    onStart={startCalibration}
+                    onFinish={finishCalibration}
+                    onSave={handleSaveProfile}
+                  />
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">
+                    PERCLOS Window: {perclosWindow}s
+                  </label>
+                  <input
+                    type="range"
+                    min="30"
+                    max="180"
+                    step="15"
+                    value={perclosWindow}
+                    onChange={(e) => setPerclosWindow(parseInt(e.target.value, 10))}
+                    className="slider"
+                  />
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">
+                    PERCLOS Alert Level: {(perclosLevel * 100).toFixed(0)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0.05"
+                    max="0.4"
+                    step="0.01"
+                    value={perclosLevel}
+                    onChange={(e) => setPerclosLevel(parseFloat(e.target.value))}
+                    className="slider"
+                  />
+                  <div className="slider-labels">
+                    <span>More Sensitive</span>
+                    <span>Less Sensitive</span>
+                  </div>
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">
+                    Distraction Alert: {(distractionDelay / 1000).toFixed(1)}s looking away
+                  </label>
+                  <input
+                    type="range"
+                    min="1000"
+                    max="5000"
+                    step="250"
+                    value={distractionDelay}
+                    onChange={(e) => setDistractionDelay(parseInt(e.target.value, 10))}
+                    className="slider"
+                  />
+                  <div className="slider-labels">
+                    <span>Faster Alert</span>
+                    <span>Allow Longer Glances</span>
+                  </div>
+                </div>
+
+                <div className="setting-item">
+                  <label className="setting-label">
+                    Forward Zone: ±{gazeZone}° left/right
+                  </label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="45"
+                    step="5"
+                    value={gazeZone}
+                    onChange={(e) => setGazeZone(parseInt(e.target.value, 10))}
+                    className="slider"
+                  />
+                  <div className="slider-labels">
+                    <span>Stricter</span>
+                    <span>Wider</span>
+                  </div>
+                </div>
+
+                <AlarmSettings
+                  alarm={alarm}
+                  channels={alarmChannels}
+                  onChannelsChange={setAlarmChannels}
+                  volume={alarmVolume}
+                  onVolumeChange={setAlarmVolume}
+                  escalation={alarmEscalation}
+                  onEscalationChange={setAlarmEscalation}
+                  isActive={isActive}
+                />
+
                 <div className="info-box">
                   <Info className="icon-small" />
                   <div className="info-content">
                     <p className="info-title">How it works:</p>
                     <ul className="info-list">
                       <li>Keep your face visible to the camera</li>
-                      <li>Alert triggers after ~1.5 seconds of closed eyes</li>
-                      <li>Adjust sensitivity if getting false alerts</li>
+                      <li>Alert triggers after {(alertDelay / 1000).toFixed(1)} seconds of closed eyes</li>
+                      <li>A fatigue alert triggers when your eyes are closed too often (PERCLOS)</li>
+                      <li>Frequent yawning is counted as an early fatigue sign</li>
+                      <li>Nodding off or keeping your head down also triggers an alert</li>
+                      <li>Looking away from the road for {(distractionDelay / 1000).toFixed(1)} seconds triggers a separate distraction alert with its own beeps</li>
+                      <li>Leaving the camera's view for 3 seconds, or covering the camera, also raises an alert</li>
+                      <li>Adjust sensitivity or calibrate a driver profile if getting false alerts</li>
                       <li>Works best in good lighting conditions</li>
                     </ul>
                   </div>
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { LayoutDashboard, ArrowLeft, Camera, Radio } from 'lucide-react';
+import { ALERT_REASONS } from '../../shared/drowsinessEngine.js';
+import { REASON_LABELS, SEVERITY_LABELS } from '../lib/alertLabels.js';
+import { loadSettings, saveSettings } from '../lib/settings.js';
+import { EMPTY_FLEET, applyFleetEvent, fleetEventsUrl, fetchVehicleAlerts } from '../lib/fleetClient.js';
+
+const STATUS_LABELS = {
+  alerting: 'Alerting',
+  active: 'Active',
+  offline: 'Offline'
+};
+
+// Alerting vehicles first, offline ones last
+const STATUS_ORDER = ['alerting', 'active', 'offline'];
+
+const HISTORY_RANGES = [
+  { label: 'Last hour', ms: 60 * 60 * 1000 },
+  { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: 'All time', ms: null }
+];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '--');
+
+const formatValue = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : '--');
+
+const AlertRow = ({ alert, vehicleName }) => (
+  <tr className={`history-severity-${alert.severity}`}>
+    <td>{formatTime(alert.raisedAt)}</td>
+    {vehicleName !== undefined && <td>{vehicleName}</td>}
+    <td>{REASON_LABELS[alert.reason] || alert.reason}</td>
+    <td>{SEVERITY_LABELS[alert.severity]}</td>
+    <td>{alert.clearedAt ? `${(alert.durationMs / 1000).toFixed(1)}s` : 'Ongoing'}</td>
+  </tr>
+);
+
+// Alert history of one vehicle from the hub, with filters
+const VehicleHistory = ({ hubUrl, apiKey, vehicle, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [minSeverity, setMinSeverity] = useState('');
+  const [range, setRange] = useState(HISTORY_RANGES[1].ms);
+  const [alerts, setAlerts] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const from = range === null ? undefined : new Date(Date.now() - range).toISOString();
+    fetchVehicleAlerts(hubUrl, apiKey, vehicle.id, { reason, minSeverity, from, limit: 500 })
+      .then(list => {
+        if (cancelled) return;
+        setAlerts(list);
+        setError('');
+      })
+      .catch(err => {
+        console.error('Failed to load vehicle alerts:', err);
+        if (!cancelled) setError(`Failed to load alerts: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [hubUrl, apiKey, vehicle.id, reason, minSeverity, range]);
+
+  return (
+    <div className="settings-panel">
+      <div className="history-toolbar">
+        <button onClick={onClose} className="btn btn-secondary">
+          <ArrowLeft className="icon-small" />
+          All Vehicles
+        </button>
+      </div>
+      <h3 className="settings-title">{vehicle.name} alert history</h3>
+      <div className="fleet-filters">
+        <select value={reason} onChange={(e) => setReason(e.target.value)} className="ip-input">
+          <option value="">All alerts</option>
+          {Object.values(ALERT_REASONS).map(value => (
+            <option key={value} value={value}>{REASON_LABELS[value] || value}</option>
+          ))}
+        </select>
+        <select value={minSeverity} onChange={(e) => setMinSeverity(e.target.value)} className="ip-input">
+          <option value="">Any level</option>
+          <option value="2">Critical only</option>
+        </select>
+        <select value={range === null ? '' : range} onChange={(e) => setRange(e.target.value ? Number(e.target.value) : null)} className="ip-input">
+          {HISTORY_RANGES.map(option => (
+            <option key={option.label} value={option.ms === null ? '' : option.ms}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="history-empty">{error}</p>}
+      {!error && alerts === null && <p className="history-empty">Loading...</p>}
+      {!error && alerts !== null && alerts.length === 0 && <p className="history-empty">No alerts match.</p>}
+      {!error && alerts !== null && alerts.length > 0 && (
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Raised</th>
+              <th>Alert</th>
+              <th>Level</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.map(alert => <AlertRow key={alert.id} alert={alert} />)}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const VehicleCard = ({ vehicle, onSelect }) => {
+  const state = vehicle.state || {};
+  return (
+    <button onClick={() => onSelect(vehicle.id)} className={`stat-card fleet-card fleet-${vehicle.status}`}>
+      <div className="fleet-card-header">
+        <span className="fleet-name">{vehicle.name}</span>
+        <span className={`fleet-status fleet-status-${vehicle.status}`}>{STATUS_LABELS[vehicle.status]}</span>
+      </div>
+      {vehicle.name !== vehicle.id && <div className="stat-sublabel">{vehicle.id}</div>}
+      <div className="fleet-metrics">
+        <span>EAR {formatValue(state.ear, 3)}</span>
+        <span>PERCLOS {typeof state.perclos === 'number' ? `${(state.perclos * 100).toFixed(0)}%` : '--'}</span>
+      </div>
+      {vehicle.openAlerts.length > 0 && (
+        <div className="fleet-open-alerts">
+          {vehicle.openAlerts.map(alert => REASON_LABELS[alert.reason] || alert.reason).join(', ')}
+        </div>
+      )}
+      <div className="stat-sublabel">Last report {formatTime(vehicle.lastSeenAt)}</div>
+    </button>
+  );
+};
+
+// Live view of every vehicle reporting to a fleet hub
+const FleetDashboard = () => {
+  const [saved] = useState(loadSettings);
+  const [hubUrl, setHubUrl] = useState(saved.fleetHubUrl || saved.configServerUrl);
+  const [apiKey, setApiKey] = useState(saved.fleetHubKey);
+  // The hub the dashboard is connected to; changes only when Connect is pressed
+  const [connection, setConnection] = useState({ url: hubUrl, key: apiKey });
+  const [fleet, setFleet] = useState(EMPTY_FLEET);
+  const [status, setStatus] = useState(hubUrl ? 'Connecting...' : 'Enter the address of the fleet hub.');
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!connection.url) return;
+    const source = new EventSource(fleetEventsUrl(connection.url, connection.key));
+    const update = (type) => (message) => setFleet(current => applyFleetEvent(current, { type, data: JSON.parse(message.data) }));
+
+    source.addEventListener('snapshot', (message) => {
+      update('snapshot')(message);
+      setStatus('Live');
+    });
+    source.addEventListener('vehicle', update('vehicle'));
+    source.addEventListener('alert', update('alert'));
+    // The browser reconnects by itself, unless the hub refused the connection
+    source.onerror = () => setStatus(source.readyState === EventSource.CLOSED
+      ? 'The hub refused the connection. Check the address, the API key and that it runs with FLEET_HUB=1.'
+      : 'Connection lost, reconnecting...');
+    return () => source.close();
+  }, [connection]);
+
+  const connect = () => {
+    try {
+      if (hubUrl) new URL(hubUrl);
+    } catch {
+      setStatus('The hub address must be a URL such as http://192.168.1.10:3000');
+      return;
+    }
+    saveSettings({ ...loadSettings(), fleetHubUrl: hubUrl, fleetHubKey: apiKey });
+    setFleet(EMPTY_FLEET);
+    setSelectedId(null);
+    setStatus(hubUrl ? 'Connecting...' : 'Enter the address of the fleet hub.');
+    setConnection({ url: hubUrl, key: apiKey });
+  };
+
+  const vehicles = Object.values(fleet.vehicles).sort((a, b) =>
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.name.localeCompare(b.name));
+  const counts = STATUS_ORDER.map(value => [value, vehicles.filter(vehicle => vehicle.status === value).length]);
+  const selected = selectedId ? fleet.vehicles[selectedId] : null;
+  const nameOf = (id) => (fleet.vehicles[id] ? fleet.vehicles[id].name : id);
+
+  return (
+    <div className="app-container">
+      <div className="content-wrapper">
+        <div className="header">
+          <h1 className="title">
+            <LayoutDashboard className="icon-large" />
+            Fleet Dashboard
+          </h1>
+          <p className="subtitle">Live status of every vehicle reporting to the hub</p>
+        </div>
+
+        <div className="main-card">
+          <div className="controls-section">
+            <div className="sync-row">
+              <a href="#/" className="btn btn-secondary" title="Back to the detector">
+                <Camera className="icon-small" />
+              </a>
+              <input
+                type="text"
+                value={hubUrl}
+                onChange={(e) => setHubUrl(e.target.value.trim())}
+                placeholder="http://fleet.example.com:3000"
+                className="ip-input"
+              />
+              <input
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value.trim())}
+                placeholder="API key"
+                className="ip-input"
+                autoComplete="off"
+              />
+              <button onClick={connect} className="btn btn-secondary">
+                <Radio className="icon-small" />
+                Connect
+              </button>
+            </div>
+            <p className="history-summary">
+              {status}
+              {vehicles.length > 0 && ` · ${counts.map(([value, count]) => `${count} ${STATUS_LABELS[value].toLowerCase()}`).join(' · ')}`}
+            </p>
+
+            {selected ? (
+              <VehicleHistory
+                key={selected.id}
+                hubUrl={connection.url}
+                apiKey={connection.key}
+                vehicle={selected}
+                onClose={() => setSelectedId(null)}
+              />
+            ) : (
+              <>
+                {vehicles.length === 0 ? (
+                  <p className="history-empty">No vehicles have registered with this hub yet.</p>
+                ) : (
+                  <div className="stats-grid">
+                    {vehicles.map(vehicle => (
+                      <VehicleCard key={vehicle.id} vehicle={vehicle} onSelect={setSelectedId} />
+                    ))}
+                  </div>
+                )}
+
+                <div className="settings-panel">
+                  <h3 className="settings-title">Recent Alerts</h3>
+                  {fleet.alerts.length === 0 ? (
+                    <p className="history-empty">No alerts yet.</p>
+                  ) : (
+                    <table className="history-table">
+                      <thead>
+                        <tr>
+                          <th>Raised</th>
+                          <th>Vehicle</th>
+                          <th>Alert</th>
+                          <th>Level</th>
+                          <th>Duration</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {fleet.alerts.map(alert => (
+                          <AlertRow key={alert.id} alert={alert} vehicleName={nameOf(alert.vehicleId)} />
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FleetDashboard;
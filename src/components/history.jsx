@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Trash2, ArrowLeft } from 'lucide-react';
+import { ALERT_ENDINGS } from '../lib/tripRecorder.js';
+import { REASON_LABELS, SEVERITY_LABELS } from '../lib/alertLabels.js';
+import { listTrips, loadTripDetails, deleteTrip } from '../lib/tripStore.js';
+import { tripsToJSON, tripsToCSV } from '../lib/tripExport.js';
+
+const ENDING_LABELS = {
+  [ALERT_ENDINGS.CLEARED]: 'Recovered',
+  [ALERT_ENDINGS.ACKNOWLEDGED]: 'Acknowledged',
+  [ALERT_ENDINGS.TRIP_ENDED]: 'Trip ended'
+};
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${(ms / 1000).toFixed(1)}s`;
+};
+
+const download = (filename, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const exportTrips = (trips, format, name) => {
+  if (format === 'csv') {
+    download(`${name}.csv`, 'text/csv', tripsToCSV(trips));
+  } else {
+    download(`${name}.json`, 'application/json', tripsToJSON(trips));
+  }
+};
+
+// `version` changes whenever a trip is saved so the list reloads
+const TripHistory = ({ version }) => {
+  const [trips, setTrips] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listTrips()
+      .then(list => {
+        if (!cancelled) setTrips(list);
+      })
+      .catch(err => {
+        console.error('Failed to load trip history:', err);
+        if (!cancelled) setError('Trip history is not available in this browser.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const openTrip = async (id) => {
+    try {
+      setSelected(await loadTripDetails(id));
+    } catch (err) {
+      console.error('Failed to load trip:', err);
+      setError('Failed to load the trip.');
+    }
+  };
+
+  const removeTrip = async (id) => {
+    try {
+      await deleteTrip(id);
+      setTrips(current => current.filter(trip => trip.id !== id));
+      if (selected && selected.id === id) setSelected(null);
+    } catch (err) {
+      console.error('Failed to delete trip:', err);
+      setError('Failed to delete the trip.');
+    }
+  };
+
+  const exportAll = async (format) => {
+    try {
+      const details = await Promise.all(trips.map(trip => loadTripDetails(trip.id)));
+      exportTrips(details.filter(Boolean), format, 'drowsiness-trips');
+    } catch (err) {
+      console.error('Failed to export trips:', err);
+      setError('Failed to export the trips.');
+    }
+  };
+
+  if (error) {
+    return <p className="history-empty">{error}</p>;
+  }
+
+  if (trips === null) {
+    return <p className="history-empty">Loading...</p>;
+  }
+
+  if (selected) {
+    return (
+      <div className="history-detail">
+        <div className="history-toolbar">
+          <button onClick={() => setSelected(null)} className="btn btn-secondary">
+            <ArrowLeft className="icon-small" />
+            All Trips
+          </button>
+          <button onClick={() => exportTrips([selected], 'json', `trip-${selected.id}`)} className="btn btn-secondary">
+            <Download className="icon-small" />
+            JSON
+          </button>
+          <button onClick={() => exportTrips([selected], 'csv', `trip-${selected.id}`)} className="btn btn-secondary">
+            <Download className="icon-small" />
+            CSV
+          </button>
+        </div>
+        <p className="history-summary">
+          {new Date(selected.startedAt).toLocaleString()}
+          {selected.driverName ? ` · ${selected.driverName}` : ''}
+          {selected.stoppedAt ? ` · ${formatDuration(selected.stoppedAt - selected.startedAt)}` : ' · Not stopped'}
+          {` · ${selected.samples.length} samples`}
+        </p>
+        {selected.alerts.length === 0 ? (
+          <p className="history-empty">No alerts during this trip.</p>
+        ) : (
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Alert</th>
+                <th>Level</th>
+                <th>Duration</th>
+                <th>Lowest EAR</th>
+                <th>Ended</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.alerts.map(alert => (
+                <tr key={alert.id} className={`history-severity-${alert.severity}`}>
+                  <td>{new Date(alert.raisedAt).toLocaleTimeString()}</td>
+                  <td>{REASON_LABELS[alert.reason] || alert.reason}</td>
+                  <td>{SEVERITY_LABELS[alert.severity]}</td>
+                  <td>{formatDuration(alert.durationMs)}</td>
+                  <td>{alert.lowestEar === null ? '--' : alert.lowestEar.toFixed(3)}</td>
+                  <td>{ENDING_LABELS[alert.endedBy]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  }
+
+  if (trips.length === 0) {
+    return <p className="history-empty">No trips recorded yet. Each detection run is recorded as a trip.</p>;
+  }
+
+  return (
+    <div className="history">
+      <div className="history-toolbar">
+        <button onClick={() => exportAll('json')} className="btn btn-secondary">
+          <Download className="icon-small" />
+          Export JSON
+        </button>
+        <button onClick={() => exportAll('csv')} className="btn btn-secondary">
+          <Download className="icon-small" />
+          Export CSV
+        </button>
+      </div>
+      <ul className="profile-list">
+        {trips.map(trip => (
+          <li key={trip.id} className="profile-item">
+            <button onClick={() => openTrip(trip.id)} className="profile-name">
+              {new Date(trip.startedAt).toLocaleString()}
+              {trip.driverName ? ` · ${trip.driverName}` : ''}
+            </button>
+            <span className="profile-threshold">
+              {trip.stoppedAt ? formatDuration(trip.stoppedAt - trip.startedAt) : 'Not stopped'}
+              {` · ${trip.alertCount} alert${trip.alertCount === 1 ? '' : 's'}`}
+            </span>
+            <span className={`history-badge history-severity-${trip.maxSeverity}`}>
+              {SEVERITY_LABELS[trip.maxSeverity]}
+            </span>
+            <button onClick={() => removeTrip(trip.id)} className="profile-delete">
+              <Trash2 className="icon-small" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TripHistory;
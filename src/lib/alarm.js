@@ -0,0 +1,389 @@
+// Alarm channels of the web app: a sound, a spoken prompt and vibration for
+// each alert reason, at a volume that rises until the driver acknowledges the
+// alert. The browser APIs are passed in, so the player also runs under Node.
+
+import { ALERT_REASONS, SEVERITY } from '../../shared/drowsinessEngine.js';
+
+// Master gain at full volume. The loudest built-in sound peaks at 0.4, so
+// full volume stays just below clipping.
+const MAX_ALARM_GAIN = 2.5;
+// A spoken prompt is repeated this often while its alert lasts
+const VOICE_REPEAT_MS = 15000;
+// How often vibration and the voice are checked when an alert has no sound
+const SILENT_PERIOD_MS = 1000;
+// Pause before a custom sound plays again
+const CUSTOM_SOUND_GAP_MS = 500;
+
+export const PREVIEW_MS = 4000;
+export const MAX_CUSTOM_SOUND_SECONDS = 10;
+export const NO_SOUND = 'none';
+
+const tripleBeep = (oscillator, gainNode, now) => {
+  oscillator.frequency.setValueAtTime(1000, now);
+  [0, 0.18, 0.36].forEach(offset => {
+    gainNode.gain.setValueAtTime(0.25, now + offset);
+    gainNode.gain.setValueAtTime(0, now + offset + 0.1);
+  });
+};
+
+// Each sound schedules one repetition starting at `now` (AudioContext time)
+// and repeats every `periodMs`
+export const BUILT_IN_SOUNDS = {
+  // Soft two-note chime every two seconds
+  chime: {
+    label: 'Soft chime',
+    type: 'sine',
+    periodMs: 2000,
+    schedule: (oscillator, gainNode, now) => {
+      oscillator.frequency.setValueAtTime(880, now);
+      oscillator.frequency.setValueAtTime(660, now + 0.3);
+      gainNode.gain.setValueAtTime(0.15, now);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.9);
+    }
+  },
+  // Loud alternating 800/1200 Hz alarm
+  alarm: {
+    label: 'Alarm',
+    type: 'square',
+    periodMs: 600,
+    schedule: (oscillator, gainNode, now) => {
+      gainNode.gain.setValueAtTime(0.4, now);
+      oscillator.frequency.setValueAtTime(800, now);
+      oscillator.frequency.setValueAtTime(1200, now + 0.3);
+    }
+  },
+  beeps: { label: 'Triple beeps', type: 'triangle', periodMs: 1500, schedule: tripleBeep },
+  'fast-beeps': { label: 'Fast triple beeps', type: 'triangle', periodMs: 700, schedule: tripleBeep },
+  // Rising and falling sweep
+  siren: {
+    label: 'Siren',
+    type: 'sawtooth',
+    periodMs: 1200,
+    schedule: (oscillator, gainNode, now) => {
+      gainNode.gain.setValueAtTime(0.25, now);
+      oscillator.frequency.setValueAtTime(600, now);
+      oscillator.frequency.linearRampToValueAtTime(1400, now + 0.6);
+      oscillator.frequency.linearRampToValueAtTime(600, now + 1.2);
+    }
+  },
+  // Low beep every three seconds
+  'low-beep': {
+    label: 'Low beep',
+    type: 'sine',
+    periodMs: 3000,
+    schedule: (oscillator, gainNode, now) => {
+      oscillator.frequency.setValueAtTime(440, now);
+      gainNode.gain.setValueAtTime(0.2, now);
+      gainNode.gain.setValueAtTime(0, now + 0.4);
+    }
+  }
+};
+
+// Sounds uploaded in the settings panel are named after their sound store id
+export const customSoundId = (id) => `custom:${id}`;
+
+const parseCustomSoundId = (soundId) => (soundId.startsWith('custom:') ? Number(soundId.slice('custom:'.length)) : null);
+
+export const VIBRATION_PATTERNS = {
+  [SEVERITY.WARNING]: [200],
+  [SEVERITY.CRITICAL]: [400, 100, 400]
+};
+
+const drowsyChannel = (message) => ({
+  warningSound: 'chime',
+  criticalSound: 'alarm',
+  voice: true,
+  message,
+  vibrate: true,
+  escalate: true
+});
+
+// Distraction has its own beeps, so the driver can tell "look at the road" from
+// "you are falling asleep". A covered or frozen camera is a fault to fix, not a
+// driver in danger, so its beep stays quiet.
+export const DEFAULT_ALARM_CHANNELS = {
+  [ALERT_REASONS.EYES_CLOSED]: drowsyChannel('Wake up! Please take a break.'),
+  [ALERT_REASONS.PERCLOS]: drowsyChannel('You seem tired. Please take a break.'),
+  [ALERT_REASONS.HEAD_NOD]: drowsyChannel('You are nodding off. Please take a break.'),
+  [ALERT_REASONS.HEAD_DOWN]: drowsyChannel('Head up! Please take a break.'),
+  [ALERT_REASONS.DISTRACTED]: {
+    warningSound: 'beeps',
+    criticalSound: 'fast-beeps',
+    voice: true,
+    message: 'Eyes on the road.',
+    vibrate: true,
+    escalate: true
+  },
+  [ALERT_REASONS.DRIVER_NOT_VISIBLE]: drowsyChannel('Driver not visible. Please sit in view of the camera.'),
+  [ALERT_REASONS.CAMERA_FAULT]: {
+    warningSound: 'low-beep',
+    criticalSound: 'low-beep',
+    voice: true,
+    message: 'The camera is blocked. Please check the camera.',
+    vibrate: false,
+    escalate: false
+  }
+};
+
+// The channels of every reason from stored settings; missing fields and values
+// of the wrong type fall back to the defaults
+export const normalizeAlarmChannels = (stored) => Object.fromEntries(
+  Object.entries(DEFAULT_ALARM_CHANNELS).map(([reason, defaults]) => {
+    const channel = stored && typeof stored === 'object' ? stored[reason] : null;
+    const valid = channel && typeof channel === 'object'
+      ? Object.entries(channel).filter(([key, value]) => key in defaults && typeof value === typeof defaults[key])
+      : [];
+    return [reason, { ...defaults, ...Object.fromEntries(valid) }];
+  }));
+
+// The channels with a deleted sound replaced by the default sound
+export const dropSound = (channels, soundId) => Object.fromEntries(
+  Object.entries(channels).map(([reason, channel]) => [reason, {
+    ...channel,
+    warningSound: channel.warningSound === soundId ? DEFAULT_ALARM_CHANNELS[reason].warningSound : channel.warningSound,
+    criticalSound: channel.criticalSound === soundId ? DEFAULT_ALARM_CHANNELS[reason].criticalSound : channel.criticalSound
+  }]));
+
+// Drowsiness alarms take priority over distraction, and distraction over a
+// camera fault. Within the same rank the most severe alert sounds.
+const REASON_RANK = {
+  [ALERT_REASONS.DISTRACTED]: 1,
+  [ALERT_REASONS.CAMERA_FAULT]: 2
+};
+
+export const primaryAlert = (alerts) => alerts.reduce((best, alert) => {
+  if (!best) return alert;
+  const rank = REASON_RANK[alert.reason] || 0;
+  const bestRank = REASON_RANK[best.reason] || 0;
+  if (rank !== bestRank) return rank < bestRank ? alert : best;
+  return alert.severity > best.severity ? alert : best;
+}, null);
+
+// Volume (0-1) `elapsedMs` into an alarm: the set volume, rising to full
+// volume over `escalationMs` when the channel escalates
+export const alarmLevel = ({ volume, escalate, elapsedMs, escalationMs }) => {
+  if (!escalate || escalationMs <= 0) return volume;
+  return volume + (1 - volume) * Math.min(1, elapsedMs / escalationMs);
+};
+
+const browserSpeech = () => {
+  if (typeof window === 'undefined' || !window.speechSynthesis) return null;
+  return {
+    speak: (text, volume) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.volume = volume;
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+    },
+    cancel: () => window.speechSynthesis.cancel()
+  };
+};
+
+const browserVibrate = () => (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'
+  ? (pattern) => navigator.vibrate(pattern)
+  : null);
+
+export const speechSupported = () => browserSpeech() !== null;
+
+export const vibrationSupported = () => browserVibrate() !== null;
+
+// Plays the alarm for the engine state. `getAudioContext` returns the page's
+// AudioContext, `loadCustomSound(id)` resolves to the ArrayBuffer of an
+// uploaded sound. `speech` ({ speak(text, volume), cancel() }) and `vibrate`
+// default to the browser's, or null where it has none.
+export const createAlarm = ({
+  getAudioContext,
+  loadCustomSound = async () => null,
+  speech = browserSpeech(),
+  vibrate = browserVibrate(),
+  now = () => Date.now()
+}) => {
+  let options = {
+    channels: normalizeAlarmChannels(),
+    volume: 0.4,
+    escalationMs: 30000,
+    soundEnabled: true
+  };
+  // { reason, severity, startedAt, escalationMs, lastSpokenAt } while sounding
+  let current = null;
+  let timer = null;
+  let previewTimer = null;
+  // Every sound goes through this node, which sets the volume
+  let master = null;
+  // Oscillator or buffer source of the latest repetition
+  let source = null;
+  // Custom sound id -> decoded AudioBuffer, null if it failed, or a promise while decoding
+  const buffers = new Map();
+
+  const customBuffer = (id) => {
+    if (!buffers.has(id)) {
+      buffers.set(id, loadCustomSound(id)
+        .then(data => (data ? getAudioContext().decodeAudioData(data) : null))
+        .then(buffer => buffers.set(id, buffer))
+        .catch(err => {
+          console.error(`Failed to load alarm sound ${id}:`, err);
+          buffers.set(id, null);
+        }));
+    }
+    const buffer = buffers.get(id);
+    return buffer && !(buffer instanceof Promise) ? buffer : null;
+  };
+
+  const stopSource = () => {
+    if (!source) return;
+    try {
+      source.stop();
+    } catch {
+      // Already stopped
+    }
+    source = null;
+  };
+
+  // Plays one repetition; returns how long until the next one
+  const playSound = (audioContext, soundId, reason, severity, level) => {
+    if (soundId === NO_SOUND) return SILENT_PERIOD_MS;
+    if (!master) {
+      master = audioContext.createGain();
+      master.connect(audioContext.destination);
+    }
+    const start = audioContext.currentTime;
+    master.gain.setValueAtTime(level * MAX_ALARM_GAIN, start);
+
+    const customId = parseCustomSoundId(soundId);
+    const buffer = customId === null ? null : customBuffer(customId);
+    if (buffer) {
+      source = audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.connect(master);
+      source.start(start);
+      return buffer.duration * 1000 + CUSTOM_SOUND_GAP_MS;
+    }
+
+    // A custom sound plays the default sound until it is decoded, and instead
+    // of it if it cannot be
+    const defaults = DEFAULT_ALARM_CHANNELS[reason];
+    const sound = BUILT_IN_SOUNDS[soundId]
+      || BUILT_IN_SOUNDS[severity >= SEVERITY.CRITICAL ? defaults.criticalSound : defaults.warningSound];
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    oscillator.type = sound.type;
+    oscillator.connect(gainNode);
+    gainNode.connect(master);
+    sound.schedule(oscillator, gainNode, start);
+    oscillator.onended = () => gainNode.disconnect();
+    oscillator.start(start);
+    oscillator.stop(start + sound.periodMs / 1000);
+    source = oscillator;
+    return sound.periodMs;
+  };
+
+  const repeat = () => {
+    const { reason, severity } = current;
+    const channel = options.channels[reason];
+    const time = now();
+    const level = alarmLevel({
+      volume: options.volume,
+      escalate: channel.escalate,
+      elapsedMs: time - current.startedAt,
+      escalationMs: current.escalationMs
+    });
+
+    let periodMs = SILENT_PERIOD_MS;
+    const audioContext = getAudioContext();
+    if (options.soundEnabled && audioContext) {
+      try {
+        const soundId = severity >= SEVERITY.CRITICAL ? channel.criticalSound : channel.warningSound;
+        periodMs = playSound(audioContext, soundId, reason, severity, level);
+      } catch (err) {
+        console.error('Audio error:', err);
+      }
+    }
+    if (channel.vibrate && vibrate) {
+      vibrate(VIBRATION_PATTERNS[severity]);
+    }
+    if (channel.voice && channel.message && speech && options.soundEnabled
+      && (current.lastSpokenAt === null || time - current.lastSpokenAt >= VOICE_REPEAT_MS)) {
+      speech.speak(channel.message, level);
+      current.lastSpokenAt = time;
+    }
+    timer = setTimeout(repeat, periodMs);
+  };
+
+  // An alarm that changes reason or severity keeps its start time, so the
+  // volume keeps rising until the driver acknowledges it
+  const sound = (reason, severity, escalationMs) => {
+    if (current && current.reason === reason && current.severity === severity) return;
+    clearTimeout(timer);
+    stopSource();
+    current = {
+      reason,
+      severity,
+      startedAt: current ? current.startedAt : now(),
+      escalationMs,
+      lastSpokenAt: null
+    };
+    repeat();
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    clearTimeout(previewTimer);
+    timer = null;
+    previewTimer = null;
+    if (!current) return;
+    current = null;
+    stopSource();
+    if (master) {
+      master.disconnect();
+      master = null;
+    }
+    if (speech) speech.cancel();
+    if (vibrate) vibrate(0);
+  };
+
+  return {
+    // { channels, volume, escalationMs, soundEnabled }; muting silences the
+    // sound and voice at once, vibration keeps going
+    configure: (changes) => {
+      options = { ...options, ...changes };
+      if (!options.soundEnabled && current) {
+        stopSource();
+        if (speech) speech.cancel();
+      }
+    },
+
+    // Sounds the channel of the most important active alert, or stops
+    update: (state) => {
+      if (previewTimer) stop();
+      const alert = state.severity > SEVERITY.NORMAL ? primaryAlert(state.alerts) : null;
+      if (alert) {
+        sound(alert.reason, alert.severity, options.escalationMs);
+      } else {
+        stop();
+      }
+    },
+
+    stop,
+
+    // Plays a channel for PREVIEW_MS, with the volume rising over that time.
+    // Returns false while a real alarm is sounding.
+    preview: (reason, severity) => {
+      if (current && !previewTimer) return false;
+      stop();
+      const audioContext = getAudioContext();
+      if (audioContext && audioContext.state === 'suspended') audioContext.resume();
+      sound(reason, severity, PREVIEW_MS);
+      previewTimer = setTimeout(stop, PREVIEW_MS);
+      return true;
+    },
+
+    // Resolves to the duration in seconds of an audio file, or rejects if the
+    // browser cannot play it
+    checkSound: async (data) => (await getAudioContext().decodeAudioData(data)).duration,
+
+    // Drops a deleted custom sound from the cache
+    forgetSound: (id) => {
+      buffers.delete(id);
+    }
+  };
+};
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAlarm,
+  normalizeAlarmChannels,
+  dropSound,
+  primaryAlert,
+  alarmLevel,
+  customSoundId,
+  DEFAULT_ALARM_CHANNELS,
+  VIBRATION_PATTERNS
+} from './alarm.js';
+
+// Records the nodes the alarm creates; parameters keep the values set on them
+const fakeAudioContext = () => {
+  const nodes = [];
+  const param = () => ({
+    values: [],
+    setValueAtTime(value) {
+      this.values.push(value);
+    },
+    exponentialRampToValueAtTime() {},
+    linearRampToValueAtTime() {}
+  });
+  const node = (kind) => {
+    const created = { kind, gain: param(), frequency: param(), connect() {}, disconnect() {}, start() {}, stop() {} };
+    nodes.push(created);
+    return created;
+  };
+  return {
+    nodes,
+    currentTime: 0,
+    destination: {},
+    createGain: () => node('gain'),
+    createOscillator: () => node('oscillator'),
+    createBufferSource: () => node('buffer'),
+    decodeAudioData: async () => ({ duration: 1.5 })
+  };
+};
+
+const state = (alerts) => ({
+  severity: alerts.reduce((max, alert) => Math.max(max, alert.severity), 0),
+  alerts
+});
+
+test('fills in channels, picks the alert to sound and raises the volume over time', () => {
+  const channels = normalizeAlarmChannels({
+    'eyes-closed': { warningSound: 'siren', voice: 'yes', unknown: 1 },
+    distracted: null
+  });
+  assert.equal(channels['eyes-closed'].warningSound, 'siren');
+  assert.equal(channels['eyes-closed'].voice, true);
+  assert.equal('unknown' in channels['eyes-closed'], false);
+  assert.deepEqual(channels.distracted, DEFAULT_ALARM_CHANNELS.distracted);
+  assert.deepEqual(normalizeAlarmChannels(null), DEFAULT_ALARM_CHANNELS);
+
+  const custom = customSoundId(3);
+  const dropped = dropSound({ ...channels, perclos: { ...channels.perclos, criticalSound: custom } }, custom);
+  assert.equal(dropped.perclos.criticalSound, DEFAULT_ALARM_CHANNELS.perclos.criticalSound);
+
+  const camera = { reason: 'camera-fault', severity: 2 };
+  const distracted = { reason: 'distracted', severity: 2 };
+  const drowsy = { reason: 'perclos', severity: 1 };
+  assert.equal(primaryAlert([camera, distracted]), distracted);
+  assert.equal(primaryAlert([camera, distracted, drowsy]), drowsy);
+  assert.equal(primaryAlert([]), null);
+
+  assert.equal(alarmLevel({ volume: 0.4, escalate: true, elapsedMs: 15000, escalationMs: 30000 }), 0.7);
+  assert.equal(alarmLevel({ volume: 0.4, escalate: true, elapsedMs: 60000, escalationMs: 30000 }), 1);
+  assert.equal(alarmLevel({ volume: 0.4, escalate: false, elapsedMs: 60000, escalationMs: 30000 }), 0.4);
+});
+
+test('sounds, speaks and vibrates for the most important alert until stopped', (t) => {
+  const audioContext = fakeAudioContext();
+  const spoken = [];
+  const vibrations = [];
+  let cancelled = 0;
+  let time = 0;
+  const alarm = createAlarm({
+    getAudioContext: () => audioContext,
+    speech: { speak: (text, volume) => spoken.push({ text, volume }), cancel: () => { cancelled += 1; } },
+    vibrate: (pattern) => vibrations.push(pattern),
+    now: () => time
+  });
+  t.after(alarm.stop);
+  alarm.configure({ volume: 0.5, escalationMs: 10000 });
+
+  const warning = { reason: 'eyes-closed', severity: 1 };
+  alarm.update(state([warning]));
+  alarm.update(state([warning]));
+  assert.deepEqual(spoken, [{ text: DEFAULT_ALARM_CHANNELS['eyes-closed'].message, volume: 0.5 }]);
+  assert.deepEqual(vibrations, [VIBRATION_PATTERNS[1]]);
+  assert.equal(audioContext.nodes.filter(node => node.kind === 'oscillator').length, 1);
+  // The master gain sits at the set volume when the alarm starts
+  assert.equal(audioContext.nodes[0].gain.values[0], 0.5 * 2.5);
+
+  // Escalating speaks again, louder, without restarting the volume rise
+  time = 5000;
+  alarm.update(state([{ reason: 'eyes-closed', severity: 2 }, { reason: 'distracted', severity: 2 }]));
+  assert.deepEqual(spoken[1], { text: DEFAULT_ALARM_CHANNELS['eyes-closed'].message, volume: 0.75 });
+  assert.deepEqual(vibrations[1], VIBRATION_PATTERNS[2]);
+
+  // Previews wait until the real alarm is over
+  assert.equal(alarm.preview('distracted', 1), false);
+
+  alarm.update(state([]));
+  assert.equal(cancelled, 1);
+  assert.equal(vibrations[vibrations.length - 1], 0);
+  assert.equal(alarm.preview('distracted', 1), true);
+  assert.equal(spoken[2].text, DEFAULT_ALARM_CHANNELS.distracted.message);
+});
@@ -0,0 +1,20 @@
+// Display names of alert reasons and severities, shared by the trip history
+// and the fleet dashboard
+
+import { ALERT_REASONS, SEVERITY } from '../../shared/drowsinessEngine.js';
+
+export const REASON_LABELS = {
+  [ALERT_REASONS.EYES_CLOSED]: 'Eyes closed',
+  [ALERT_REASONS.PERCLOS]: 'Fatigue (PERCLOS)',
+  [ALERT_REASONS.HEAD_NOD]: 'Nodding off',
+  [ALERT_REASONS.HEAD_DOWN]: 'Head down',
+  [ALERT_REASONS.DISTRACTED]: 'Eyes off road',
+  [ALERT_REASONS.DRIVER_NOT_VISIBLE]: 'Driver not visible',
+  [ALERT_REASONS.CAMERA_FAULT]: 'Camera blocked or frozen'
+};
+
+export const SEVERITY_LABELS = {
+  [SEVERITY.NORMAL]: 'No alerts',
+  [SEVERITY.WARNING]: 'Warning',
+  [SEVERITY.CRITICAL]: 'Critical'
+};
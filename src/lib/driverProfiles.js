@@ -0,0 +1,58 @@
+// Named driver profiles with a personal EAR threshold, kept in localStorage
+
+const PROFILES_KEY = 'drowsiness.driverProfiles';
+const ACTIVE_PROFILE_KEY = 'drowsiness.activeProfile';
+
+const readJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.error(`Failed to read ${key}:`, err);
+    return fallback;
+  }
+};
+
+export const loadProfiles = () => {
+  const profiles = readJSON(PROFILES_KEY, []);
+  return Array.isArray(profiles) ? profiles : [];
+};
+
+const saveProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+// Saving under an existing name replaces that driver's calibration
+export const saveProfile = ({ name, threshold, calibration }) => {
+  const profiles = loadProfiles();
+  const existing = profiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+  const profile = {
+    id: existing ? existing.id : `driver-${Date.now()}`,
+    name,
+    threshold,
+    calibration,
+    updatedAt: new Date().toISOString()
+  };
+
+  const next = existing
+    ? profiles.map(p => (p.id === existing.id ? profile : p))
+    : [...profiles, profile];
+  saveProfiles(next);
+  return profile;
+};
+
+export const deleteProfile = (id) => {
+  if (getActiveProfileId() === id) setActiveProfileId(null);
+  return saveProfiles(loadProfiles().filter(p => p.id !== id));
+};
+
+export const getActiveProfileId = () => localStorage.getItem(ACTIVE_PROFILE_KEY);
+
+export const setActiveProfileId = (id) => {
+  if (id) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_PROFILE_KEY);
+  }
+};
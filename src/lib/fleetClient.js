@@ -0,0 +1,51 @@
+// Talking to a fleet hub (a Node API run with FLEET_HUB=1) from the dashboard.
+// Live updates come as server-sent events from /fleet/events.
+
+export const FEED_SIZE = 50;
+
+export const EMPTY_FLEET = { vehicles: {}, alerts: [] };
+
+// EventSource cannot send headers, so the key goes in the URL
+export const fleetEventsUrl = (hubUrl, apiKey = '') => {
+  const url = new URL('/fleet/events', hubUrl);
+  if (apiKey) url.searchParams.set('api_key', apiKey);
+  return url.href;
+};
+
+// The dashboard state after a hub event: { type: 'snapshot' | 'vehicle' |
+// 'alert', data }. Alerts are newest first; an escalated or cleared alert
+// replaces its earlier version in place.
+export const applyFleetEvent = (fleet, { type, data }) => {
+  switch (type) {
+    case 'snapshot':
+      return {
+        vehicles: Object.fromEntries(data.vehicles.map(vehicle => [vehicle.id, vehicle])),
+        alerts: data.alerts.slice(0, FEED_SIZE)
+      };
+    case 'vehicle':
+      return { ...fleet, vehicles: { ...fleet.vehicles, [data.id]: data } };
+    case 'alert': {
+      const known = fleet.alerts.some(alert => alert.id === data.id);
+      const alerts = known
+        ? fleet.alerts.map(alert => (alert.id === data.id ? data : alert))
+        : [data, ...fleet.alerts].slice(0, FEED_SIZE);
+      return { ...fleet, alerts };
+    }
+    default:
+      return fleet;
+  }
+};
+
+// Alert history of one vehicle; filters are { reason, minSeverity, from, limit }
+export const fetchVehicleAlerts = async (hubUrl, apiKey, vehicleId, filters = {}) => {
+  const url = new URL(`/fleet/vehicles/${encodeURIComponent(vehicleId)}/alerts`, hubUrl);
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value !== undefined && value !== '') url.searchParams.set(name, value);
+  });
+  const response = await fetch(url, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Hub answered ${response.status}`);
+  }
+  return response.json();
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFleetEvent, fleetEventsUrl, EMPTY_FLEET, FEED_SIZE } from './fleetClient.js';
+
+const vehicle = (id, status) => ({ id, name: id, status, state: null, openAlerts: [] });
+const alert = (id, severity = 1) => ({ id, vehicleId: 'VEH001', reason: 'eyes-closed', severity, clearedAt: null });
+
+test('builds the dashboard from a snapshot and live updates', () => {
+  let fleet = applyFleetEvent(EMPTY_FLEET, {
+    type: 'snapshot',
+    data: { vehicles: [vehicle('VEH001', 'active'), vehicle('VEH002', 'offline')], alerts: [alert('VEH001-1')] }
+  });
+  assert.deepEqual(Object.keys(fleet.vehicles), ['VEH001', 'VEH002']);
+
+  fleet = applyFleetEvent(fleet, { type: 'vehicle', data: vehicle('VEH001', 'alerting') });
+  assert.equal(fleet.vehicles.VEH001.status, 'alerting');
+
+  fleet = applyFleetEvent(fleet, { type: 'alert', data: alert('VEH001-2') });
+  fleet = applyFleetEvent(fleet, { type: 'alert', data: alert('VEH001-2', 2) });
+  assert.deepEqual(fleet.alerts.map(({ id, severity }) => `${id}:${severity}`), ['VEH001-2:2', 'VEH001-1:1']);
+
+  for (let i = 0; i < FEED_SIZE + 5; i++) {
+    fleet = applyFleetEvent(fleet, { type: 'alert', data: alert(`VEH002-${i}`) });
+  }
+  assert.equal(fleet.alerts.length, FEED_SIZE);
+  assert.equal(fleet.alerts[0].id, `VEH002-${FEED_SIZE + 4}`);
+});
+
+test('puts the API key in the event stream URL', () => {
+  assert.equal(fleetEventsUrl('http://hub.local:3000'), 'http://hub.local:3000/fleet/events');
+  assert.equal(fleetEventsUrl('http://hub.local:3000/', 'dsk_a b'), 'http://hub.local:3000/fleet/events?api_key=dsk_a+b');
+});
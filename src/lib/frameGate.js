@@ -0,0 +1,29 @@
+// Decides which camera frames go to the inference worker. At most `maxInFlight`
+// frames are processed at once; a frame that arrives while the worker is busy is
+// dropped instead of queued, so slow inference lowers the frame rate rather than
+// letting results fall further and further behind the camera.
+
+export const createFrameGate = ({ maxInFlight = 1 } = {}) => {
+  let inFlight = 0;
+  let sent = 0;
+  let dropped = 0;
+
+  // True when the frame should be sent; every accepted frame must be released
+  const tryAcquire = () => {
+    if (inFlight >= maxInFlight) {
+      dropped += 1;
+      return false;
+    }
+    inFlight += 1;
+    sent += 1;
+    return true;
+  };
+
+  const release = () => {
+    inFlight = Math.max(0, inFlight - 1);
+  };
+
+  const getStats = () => ({ sent, dropped, inFlight });
+
+  return { tryAcquire, release, getStats };
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameGate } from './frameGate.js';
+
+test('frames are dropped while the worker is busy', () => {
+  const gate = createFrameGate();
+  assert.equal(gate.tryAcquire(), true);
+  assert.equal(gate.tryAcquire(), false);
+  assert.equal(gate.tryAcquire(), false);
+  assert.deepEqual(gate.getStats(), { sent: 1, dropped: 2, inFlight: 1 });
+});
+
+test('a released slot accepts the next frame', () => {
+  const gate = createFrameGate();
+  gate.tryAcquire();
+  gate.release();
+  assert.equal(gate.tryAcquire(), true);
+  assert.equal(gate.getStats().sent, 2);
+});
+
+test('maxInFlight allows pipelining several frames', () => {
+  const gate = createFrameGate({ maxInFlight: 2 });
+  assert.equal(gate.tryAcquire(), true);
+  assert.equal(gate.tryAcquire(), true);
+  assert.equal(gate.tryAcquire(), false);
+});
+
+test('extra releases do not open more slots', () => {
+  const gate = createFrameGate();
+  gate.release();
+  gate.release();
+  assert.equal(gate.tryAcquire(), true);
+  assert.equal(gate.tryAcquire(), false);
+});
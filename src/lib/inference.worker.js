@@ -0,0 +1,159 @@
+// Web Worker that runs face landmark detection and the eye classifier off the
+// UI thread.
+//
+// Messages in:
+//   { type: 'init', assetPath, classifierUrl }
+//   { type: 'frame', frame: ImageBitmap, timestamp, classify?, captureEyeCrops? }
+//                                                      the bitmap is transferred and closed here;
+//                                                      classify runs the CNN when it loaded
+// Messages out:
+//   { type: 'ready', classifierError }                 classifierError is null when the CNN loaded
+//   { type: 'init-error', message }
+//   { type: 'result', timestamp, landmarks, transformationMatrix, classifier, camera, eyeCrops?, error? }
+//                                                      classifier: { left, right } closed-eye
+//                                                      probabilities, or null when the CNN did not run
+//                                                      eyeCrops: { left, right } base64 24x24 grayscale,
+//                                                      when captureEyeCrops was set and a face was found
+
+import { FaceLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import * as tf from '@tensorflow/tfjs';
+import { eyeBoxes, eyeInput, classifyEyes } from '../../shared/eyeClassifier.js';
+import { measureFrame } from '../../shared/cameraHealth.js';
+
+const LANDMARKER_OPTIONS = {
+  numFaces: 1,
+  runningMode: 'VIDEO',
+  outputFacialTransformationMatrixes: true,
+  minFaceDetectionConfidence: 0.5,
+  minFacePresenceConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+let faceLandmarker = null;
+let classifier = null;
+let canvas = null;
+let ctx = null;
+// Camera health is measured on a thumbnail; it only needs coarse brightness
+const THUMBNAIL_WIDTH = 64;
+const THUMBNAIL_HEIGHT = 48;
+let thumbnailCtx = null;
+
+// MediaPipe's WASM loader comes bundled with the worker (see vite/offlineAssets.js)
+// rather than through importScripts, which module workers lack. The WASM binary
+// is still loaded from assetPath, so it must come from the same MediaPipe version.
+const loadVisionFileset = async (assetPath) => {
+  const simd = await FilesetResolver.isSimdSupported();
+  const loader = simd
+    ? await import('virtual:mediapipe-loader/vision_wasm_internal')
+    : await import('virtual:mediapipe-loader/vision_wasm_nosimd_internal');
+  return {
+    moduleFactory: loader.default,
+    // No loader path: MediaPipe then uses the ModuleFactory already set
+    fileset: { wasmLoaderPath: '', wasmBinaryPath: `${assetPath}/wasm/vision_wasm${simd ? '' : '_nosimd'}_internal.wasm` }
+  };
+};
+
+const createLandmarker = async (assetPath) => {
+  const { moduleFactory, fileset } = await loadVisionFileset(assetPath);
+  const modelAssetPath = `${assetPath}/face_landmarker.task`;
+  // MediaPipe clears ModuleFactory once it has used it
+  const create = (delegate) => {
+    self.ModuleFactory = moduleFactory;
+    return FaceLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath, delegate },
+      ...LANDMARKER_OPTIONS
+    });
+  };
+  try {
+    return await create('GPU');
+  } catch (err) {
+    // Not every device can run WebGL from a worker
+    console.warn('GPU delegate unavailable in worker, using CPU:', err);
+    return create('CPU');
+  }
+};
+
+const initialize = async ({ assetPath, classifierUrl }) => {
+  try {
+    faceLandmarker = await createLandmarker(assetPath);
+  } catch (err) {
+    console.error('Error initializing Face Landmarker:', err);
+    self.postMessage({ type: 'init-error', message: err.message });
+    return;
+  }
+
+  let classifierError = null;
+  try {
+    classifier = await tf.loadLayersModel(classifierUrl);
+  } catch (err) {
+    console.error('Failed to load CNN model:', err);
+    classifierError = err.message;
+  }
+  self.postMessage({ type: 'ready', classifierError });
+};
+
+// Image data of the left and right eye of a frame
+const cropEyes = (frame, landmarks) => {
+  if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+    canvas = new OffscreenCanvas(frame.width, frame.height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  ctx.drawImage(frame, 0, 0);
+  return eyeBoxes(landmarks, frame.width, frame.height)
+    .map(box => ctx.getImageData(box.x, box.y, box.width, box.height));
+};
+
+// An eye as the classifier sees it, base64 encoded for landmark recordings
+const encodeEyeCrop = async (imageData) => {
+  const input = eyeInput(tf, imageData);
+  const values = await input.data();
+  input.dispose();
+  const bytes = Uint8Array.from(values, value => Math.round(value * 255));
+  return btoa(String.fromCharCode(...bytes));
+};
+
+const measureCamera = (frame) => {
+  if (!thumbnailCtx) {
+    thumbnailCtx = new OffscreenCanvas(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT).getContext('2d', { willReadFrequently: true });
+  }
+  thumbnailCtx.drawImage(frame, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  const { data } = thumbnailCtx.getImageData(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  return measureFrame(data, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+};
+
+const processFrame = async ({ frame, timestamp, classify = true, captureEyeCrops = false }) => {
+  const result = { type: 'result', timestamp, landmarks: null, transformationMatrix: null, classifier: null, camera: null };
+  try {
+    result.camera = measureCamera(frame);
+    const detection = faceLandmarker.detectForVideo(frame, timestamp);
+    if (detection.faceLandmarks && detection.faceLandmarks.length > 0) {
+      result.landmarks = detection.faceLandmarks[0];
+      if (detection.facialTransformationMatrixes) {
+        result.transformationMatrix = detection.facialTransformationMatrixes[0];
+      }
+      const runClassifier = classify && classifier !== null;
+      if (runClassifier || captureEyeCrops) {
+        const crops = cropEyes(frame, result.landmarks);
+        if (runClassifier) {
+          result.classifier = await classifyEyes(tf, classifier, crops);
+        }
+        if (captureEyeCrops) {
+          result.eyeCrops = { left: await encodeEyeCrop(crops[0]), right: await encodeEyeCrop(crops[1]) };
+        }
+      }
+    }
+  } catch (err) {
+    result.error = err.message;
+  } finally {
+    frame.close();
+  }
+  self.postMessage(result);
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    initialize(data);
+  } else if (data.type === 'frame') {
+    processFrame(data);
+  }
+};
@@ -0,0 +1,38 @@
+// Saving and opening landmark recordings in the browser. Recordings are
+// gzipped: a minute of landmarks is tens of megabytes of JSON.
+
+import { parseRecording } from '../../shared/landmarkRecording.js';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+const gzip = (text) => new Response(
+  new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))
+).blob();
+
+export const downloadRecording = async (recording) => {
+  const name = `landmarks-${recording.recordedAt.replace(/[:.]/g, '-')}`;
+  const json = JSON.stringify(recording);
+  const compressed = typeof CompressionStream === 'function';
+  const blob = compressed ? await gzip(json) : new Blob([json], { type: 'application/json' });
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.landmarks.json${compressed ? '.gz' : ''}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Reads a recording file, gzipped or not; rejects with a readable message
+export const readRecordingFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const gzipped = bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+  const text = gzipped
+    ? await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text()
+    : new TextDecoder().decode(bytes);
+  try {
+    return parseRecording(text);
+  } catch (err) {
+    throw new Error(`${file.name}: ${err.message}`);
+  }
+};
@@ -0,0 +1,97 @@
+// Detector settings kept in localStorage, optionally synced from the Node API's
+// GET /config so a fleet device is set up once on the server
+
+const SETTINGS_KEY = 'drowsiness.settings';
+
+export const DEFAULT_SETTINGS = {
+  threshold: 0.25,
+  alertDelay: 1500,
+  perclosWindow: 60,
+  perclosLevel: 0.15,
+  distractionDelay: 2000,
+  gazeZone: 25,
+  // 'ear', 'cnn' or 'fusion', and the CNN's share of the fusion
+  detectionMode: 'fusion',
+  cnnWeight: 0.6,
+  soundEnabled: true,
+  // Alarm volume (0-1) and how many seconds an unacknowledged alarm takes to
+  // rise to full volume
+  alarmVolume: 0.4,
+  alarmEscalation: 30,
+  // Sound, voice and vibration per alert reason, filled in by
+  // normalizeAlarmChannels in lib/alarm.js
+  alarmChannels: {},
+  cameraSource: 'webcam',
+  ipCameraUrl: '',
+  // Server to sync from on startup, such as http://192.168.1.10:3000, and the
+  // API key it asks for, if any
+  configServerUrl: '',
+  configServerKey: '',
+  // Fleet hub this detector reports to, and the dashboard follows, with its
+  // API key. Reporting is on when both the hub and the vehicle ID are set.
+  fleetHubUrl: '',
+  fleetHubKey: '',
+  vehicleId: ''
+};
+
+// Setting -> server config name, and how to convert the server value
+const SERVER_SETTINGS = {
+  threshold: { name: 'earThreshold' },
+  alertDelay: { name: 'alertDelayMs' },
+  perclosWindow: { name: 'perclosWindowMs', convert: (ms) => ms / 1000 },
+  perclosLevel: { name: 'perclosThreshold' },
+  distractionDelay: { name: 'distractionDelayMs' },
+  gazeZone: { name: 'gazeZoneYawDeg' },
+  detectionMode: { name: 'detectionMode' },
+  cnnWeight: { name: 'cnnWeight' },
+  soundEnabled: { name: 'soundEnabled' },
+  cameraSource: { name: 'cameraSource' },
+  ipCameraUrl: { name: 'ipCameraUrl' }
+};
+
+// Values of the wrong type are dropped, so a bad stored or synced value falls
+// back to the default instead of breaking the detector
+const sanitize = (settings) => Object.fromEntries(Object.entries(settings)
+  .filter(([key, value]) => key in DEFAULT_SETTINGS && typeof value === typeof DEFAULT_SETTINGS[key]));
+
+export const loadSettings = () => {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    const stored = raw ? JSON.parse(raw) : {};
+    return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? sanitize(stored) : {}) };
+  } catch (err) {
+    console.error(`Failed to read ${SETTINGS_KEY}:`, err);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(sanitize(settings)));
+};
+
+// The settings a server's config values map to
+export const fromServerConfig = (values) => {
+  const settings = {};
+  Object.entries(SERVER_SETTINGS).forEach(([key, { name, convert }]) => {
+    if (values[name] !== undefined) {
+      settings[key] = convert ? convert(values[name]) : values[name];
+    }
+  });
+  return sanitize(settings);
+};
+
+// Fetches the server's settings; rejects when it cannot be reached or refuses
+// the key
+export const fetchServerSettings = async (serverUrl, apiKey = '') => {
+  const response = await fetch(new URL('/config', serverUrl), {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  });
+  if (response.status === 401) {
+    throw new Error(apiKey ? 'Server refused the API key' : 'Server needs an API key');
+  }
+  if (!response.ok) {
+    throw new Error(`Server answered ${response.status}`);
+  }
+  const { values } = await response.json();
+  return fromServerConfig(values);
+};
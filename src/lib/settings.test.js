@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromServerConfig } from './settings.js';
+
+test('fromServerConfig maps server settings to detector settings', () => {
+  const settings = fromServerConfig({
+    port: 3000,
+    earThreshold: 0.22,
+    alertDelayMs: 2000,
+    perclosWindowMs: 90000,
+    soundEnabled: false,
+    cameraSource: 'ip',
+    ipCameraUrl: 'http://10.0.0.5:8080/video'
+  });
+  assert.deepEqual(settings, {
+    threshold: 0.22,
+    alertDelay: 2000,
+    perclosWindow: 90,
+    soundEnabled: false,
+    cameraSource: 'ip',
+    ipCameraUrl: 'http://10.0.0.5:8080/video'
+  });
+});
+
+test('fromServerConfig drops values of the wrong type', () => {
+  assert.deepEqual(fromServerConfig({ earThreshold: '0.2', soundEnabled: 1, alertDelayMs: 1800 }), { alertDelay: 1800 });
+});
@@ -0,0 +1,47 @@
+// IndexedDB store for alarm sounds uploaded in the settings panel. It has its
+// own database, so it never needs an upgrade of the trip database.
+
+const DB_NAME = 'drowsiness-sounds';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('sounds', { keyPath: 'id', autoIncrement: true });
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return promisify(action(db.transaction('sounds', mode).objectStore('sounds')));
+};
+
+// Resolves to the new sound's id; `sound` is { name, durationMs, data (Blob) }
+export const addSound = (sound) =>
+  withStore('readwrite', store => store.add({ ...sound, addedAt: Date.now() }));
+
+export const getSound = (id) =>
+  withStore('readonly', store => store.get(id));
+
+// Oldest first
+export const listSounds = async () => {
+  const sounds = await withStore('readonly', store => store.getAll());
+  return sounds.sort((a, b) => a.addedAt - b.addedAt);
+};
+
+export const deleteSound = (id) =>
+  withStore('readwrite', store => store.delete(id));
@@ -0,0 +1,65 @@
+// JSON and CSV exports of trip history. Trips are the objects returned by
+// loadTripDetails: the trip record with its alerts and samples.
+
+const SEVERITY_NAMES = ['normal', 'warning', 'critical'];
+
+const CSV_COLUMNS = [
+  'trip_id', 'driver', 'record', 'time', 'reason', 'severity', 'duration_s', 'ended_by',
+  'ear', 'closed_s', 'perclos', 'pitch_deg', 'yawn_count', 'yawn_rate', 'face_detected'
+];
+
+const isoTime = (ms) => (ms === null || ms === undefined ? '' : new Date(ms).toISOString());
+
+const seconds = (ms) => (ms === null || ms === undefined ? '' : (ms / 1000).toFixed(1));
+
+const fixed = (value, digits) => (value === null || value === undefined ? '' : value.toFixed(digits));
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const tripsToJSON = (trips, exportedAt = Date.now()) =>
+  JSON.stringify({ exportedAt: isoTime(exportedAt), trips }, null, 2);
+
+// One row per trip start and stop, alert and sample, in that order per trip.
+// Alert rows carry the alert's peak values.
+export const tripsToCSV = (trips) => {
+  const rows = trips.flatMap(trip => {
+    const base = { trip_id: trip.id, driver: trip.driverName || '' };
+    return [
+      { ...base, record: 'trip-start', time: isoTime(trip.startedAt) },
+      ...trip.alerts.map(alert => ({
+        ...base,
+        record: 'alert',
+        time: isoTime(alert.raisedAt),
+        reason: alert.reason,
+        severity: SEVERITY_NAMES[alert.severity],
+        duration_s: seconds(alert.durationMs),
+        ended_by: alert.endedBy,
+        ear: fixed(alert.lowestEar, 3),
+        closed_s: seconds(alert.longestClosureMs),
+        perclos: fixed(alert.peakPerclos, 3),
+        pitch_deg: fixed(alert.peakPitch, 1)
+      })),
+      ...trip.samples.map(sample => ({
+        ...base,
+        record: 'sample',
+        time: isoTime(sample.timestamp),
+        severity: SEVERITY_NAMES[sample.severity],
+        ear: fixed(sample.ear, 3),
+        closed_s: seconds(sample.closedDurationMs),
+        perclos: fixed(sample.perclos, 3),
+        pitch_deg: fixed(sample.pitch, 1),
+        yawn_count: sample.yawnCount,
+        yawn_rate: sample.yawnRate,
+        face_detected: sample.faceDetected
+      })),
+      ...(trip.stoppedAt ? [{ ...base, record: 'trip-stop', time: isoTime(trip.stoppedAt) }] : [])
+    ];
+  });
+
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(columns => columns.map(escapeCSV).join(','))
+    .join('\n');
+};
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tripsToJSON, tripsToCSV } from './tripExport.js';
+
+const trip = {
+  id: 7,
+  driverName: 'Sam, night shift',
+  startedAt: Date.UTC(2024, 0, 1, 22, 0, 0),
+  stoppedAt: Date.UTC(2024, 0, 1, 23, 0, 0),
+  alerts: [{
+    reason: 'eyes-closed',
+    severity: 2,
+    raisedAt: Date.UTC(2024, 0, 1, 22, 30, 0),
+    durationMs: 4200,
+    endedBy: 'acknowledged',
+    lowestEar: 0.081,
+    longestClosureMs: 3900,
+    peakPerclos: 0.21,
+    peakPitch: null
+  }],
+  samples: [{
+    timestamp: Date.UTC(2024, 0, 1, 22, 0, 10),
+    faceDetected: true,
+    ear: 0.3,
+    perclos: null,
+    closedDurationMs: 0,
+    yawnCount: 1,
+    yawnRate: 1,
+    pitch: 2.25,
+    severity: 0
+  }]
+};
+
+test('CSV has a row per trip event with peak values on alert rows', () => {
+  const lines = tripsToCSV([trip]).split('\n');
+  assert.equal(lines.length, 5);
+  assert.match(lines[0], /^trip_id,driver,record,time,reason,severity,duration_s/);
+  assert.equal(lines[1], '7,"Sam, night shift",trip-start,2024-01-01T22:00:00.000Z,,,,,,,,,,,');
+  assert.equal(
+    lines[2],
+    '7,"Sam, night shift",alert,2024-01-01T22:30:00.000Z,eyes-closed,critical,4.2,acknowledged,0.081,3.9,0.210,,,,'
+  );
+  assert.equal(
+    lines[3],
+    '7,"Sam, night shift",sample,2024-01-01T22:00:10.000Z,,normal,,,0.300,0.0,,2.3,1,1,true'
+  );
+  assert.match(lines[4], /,trip-stop,2024-01-01T23:00:00.000Z/);
+});
+
+test('a trip that is still running has no stop row', () => {
+  const lines = tripsToCSV([{ ...trip, stoppedAt: null, alerts: [], samples: [] }]).split('\n');
+  assert.equal(lines.length, 2);
+});
+
+test('quotes inside values are escaped', () => {
+  const csv = tripsToCSV([{ ...trip, driverName: 'Sam "Red"', alerts: [], samples: [] }]);
+  assert.match(csv, /"Sam ""Red"""/);
+});
+
+test('JSON export wraps the trips with the export time', () => {
+  const exported = JSON.parse(tripsToJSON([trip], Date.UTC(2024, 0, 2)));
+  assert.equal(exported.exportedAt, '2024-01-02T00:00:00.000Z');
+  assert.deepEqual(exported.trips, [trip]);
+});
@@ -0,0 +1,98 @@
+// Turns engine events and state into trip history records: one record per alert,
+// kept open while the alert is active so it can collect peak values, and a
+// metric sample at a fixed interval. Times are wall-clock milliseconds.
+
+import { ENGINE_EVENTS } from '../../shared/drowsinessEngine.js';
+
+export const DEFAULT_SAMPLE_INTERVAL_MS = 10000;
+
+// How an alert record ended
+export const ALERT_ENDINGS = {
+  CLEARED: 'cleared',
+  ACKNOWLEDGED: 'acknowledged',
+  TRIP_ENDED: 'trip-ended'
+};
+
+// Keeps the more extreme of two readings, ignoring missing ones
+const pick = (current, value, compare) => {
+  if (value === null || value === undefined) return current;
+  if (current === null) return value;
+  return compare(value, current) ? value : current;
+};
+
+export const createTripRecorder = ({ sampleIntervalMs = DEFAULT_SAMPLE_INTERVAL_MS } = {}) => {
+  // reason -> open alert record
+  const openAlerts = new Map();
+  let lastSampleAt = null;
+
+  const trackPeaks = (alert, state) => {
+    if (state.faceDetected) {
+      alert.lowestEar = pick(alert.lowestEar, state.ear, (a, b) => a < b);
+    }
+    alert.longestClosureMs = pick(alert.longestClosureMs, state.closedDurationMs, (a, b) => a > b);
+    alert.peakPerclos = pick(alert.peakPerclos, state.perclos, (a, b) => a > b);
+    alert.peakPitch = pick(alert.peakPitch, state.relativePitch, (a, b) => a > b);
+  };
+
+  const close = (reason, time, endedBy) => {
+    const alert = openAlerts.get(reason);
+    openAlerts.delete(reason);
+    return { ...alert, clearedAt: time, durationMs: time - alert.raisedAt, endedBy };
+  };
+
+  // Returns { alerts, sample }: the alert records that ended on this frame and
+  // a metric sample when one is due
+  const record = (events, state, time, endedBy = ALERT_ENDINGS.CLEARED) => {
+    const alerts = [];
+
+    events.forEach(event => {
+      if (event.type === ENGINE_EVENTS.ALERT_RAISED) {
+        openAlerts.set(event.reason, {
+          reason: event.reason,
+          severity: event.severity,
+          repeated: Boolean(event.repeated),
+          raisedAt: time,
+          lowestEar: null,
+          longestClosureMs: null,
+          peakPerclos: null,
+          peakPitch: null
+        });
+      } else if (event.type === ENGINE_EVENTS.ALERT_ESCALATED && openAlerts.has(event.reason)) {
+        const alert = openAlerts.get(event.reason);
+        alert.severity = Math.max(alert.severity, event.severity);
+      } else if (event.type === ENGINE_EVENTS.ALERT_CLEARED && openAlerts.has(event.reason)) {
+        alerts.push(close(event.reason, time, endedBy));
+      }
+    });
+
+    openAlerts.forEach(alert => trackPeaks(alert, state));
+
+    let sample = null;
+    if (lastSampleAt === null || time - lastSampleAt >= sampleIntervalMs) {
+      lastSampleAt = time;
+      sample = {
+        timestamp: time,
+        faceDetected: state.faceDetected,
+        ear: state.faceDetected ? state.ear : null,
+        perclos: state.perclos,
+        closedDurationMs: state.closedDurationMs,
+        yawnCount: state.yawnCount,
+        yawnRate: state.yawnRate,
+        pitch: state.relativePitch,
+        severity: state.severity
+      };
+    }
+
+    return { alerts, sample };
+  };
+
+  // Alerts the driver dismissed with the acknowledge button
+  const acknowledge = (events, state, time) =>
+    record(events, state, time, ALERT_ENDINGS.ACKNOWLEDGED).alerts;
+
+  // Closes whatever is still open when detection stops
+  const finish = (time) =>
+    [...openAlerts.keys()].map(reason => close(reason, time, ALERT_ENDINGS.TRIP_ENDED));
+
+  return { record, acknowledge, finish };
+};
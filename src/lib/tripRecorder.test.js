@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTripRecorder, ALERT_ENDINGS } from './tripRecorder.js';
+import { ENGINE_EVENTS, ALERT_REASONS, SEVERITY } from '../../shared/drowsinessEngine.js';
+
+const frameState = (overrides = {}) => ({
+  faceDetected: true,
+  ear: 0.3,
+  perclos: 0.05,
+  closedDurationMs: 0,
+  yawnCount: 0,
+  yawnRate: 0,
+  relativePitch: 0,
+  severity: SEVERITY.NORMAL,
+  ...overrides
+});
+
+const raised = (reason, severity = SEVERITY.WARNING) =>
+  ({ type: ENGINE_EVENTS.ALERT_RAISED, reason, severity });
+
+const cleared = (reason) => ({ type: ENGINE_EVENTS.ALERT_CLEARED, reason });
+
+test('an alert is recorded once it clears, with its duration', () => {
+  const recorder = createTripRecorder();
+  assert.deepEqual(recorder.record([raised(ALERT_REASONS.EYES_CLOSED)], frameState(), 1000).alerts, []);
+
+  const { alerts } = recorder.record([cleared(ALERT_REASONS.EYES_CLOSED)], frameState(), 4000);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].reason, ALERT_REASONS.EYES_CLOSED);
+  assert.equal(alerts[0].raisedAt, 1000);
+  assert.equal(alerts[0].clearedAt, 4000);
+  assert.equal(alerts[0].durationMs, 3000);
+  assert.equal(alerts[0].endedBy, ALERT_ENDINGS.CLEARED);
+});
+
+test('peak values are collected while the alert is active', () => {
+  const recorder = createTripRecorder();
+  recorder.record([raised(ALERT_REASONS.EYES_CLOSED)], frameState({ ear: 0.12, closedDurationMs: 1500 }), 0);
+  recorder.record([], frameState({ ear: 0.08, closedDurationMs: 2500, perclos: 0.2 }), 1000);
+  recorder.record([], frameState({ faceDetected: false, ear: 0, closedDurationMs: 0 }), 1500);
+
+  const [alert] = recorder.record([cleared(ALERT_REASONS.EYES_CLOSED)], frameState({ ear: 0.3 }), 2000).alerts;
+  assert.equal(alert.lowestEar, 0.08);
+  assert.equal(alert.longestClosureMs, 2500);
+  assert.equal(alert.peakPerclos, 0.2);
+});
+
+test('escalation keeps the highest severity', () => {
+  const recorder = createTripRecorder();
+  recorder.record([raised(ALERT_REASONS.PERCLOS)], frameState(), 0);
+  recorder.record([{ type: ENGINE_EVENTS.ALERT_ESCALATED, reason: ALERT_REASONS.PERCLOS, severity: SEVERITY.CRITICAL }], frameState(), 500);
+
+  const [alert] = recorder.record([cleared(ALERT_REASONS.PERCLOS)], frameState(), 1000).alerts;
+  assert.equal(alert.severity, SEVERITY.CRITICAL);
+});
+
+test('acknowledged and unfinished alerts record how they ended', () => {
+  const recorder = createTripRecorder();
+  recorder.record([raised(ALERT_REASONS.HEAD_DOWN), raised(ALERT_REASONS.PERCLOS)], frameState(), 0);
+
+  const [acknowledged] = recorder.acknowledge([cleared(ALERT_REASONS.HEAD_DOWN)], frameState(), 1000);
+  assert.equal(acknowledged.endedBy, ALERT_ENDINGS.ACKNOWLEDGED);
+
+  const [unfinished] = recorder.finish(3000);
+  assert.equal(unfinished.reason, ALERT_REASONS.PERCLOS);
+  assert.equal(unfinished.endedBy, ALERT_ENDINGS.TRIP_ENDED);
+  assert.equal(unfinished.durationMs, 3000);
+  assert.deepEqual(recorder.finish(4000), []);
+});
+
+test('metric samples are taken at the sample interval', () => {
+  const recorder = createTripRecorder({ sampleIntervalMs: 5000 });
+  const times = [0, 1000, 4999, 5000, 9000, 10000];
+  const sampled = times.filter(time => recorder.record([], frameState(), time).sample !== null);
+  assert.deepEqual(sampled, [0, 5000, 10000]);
+});
+
+test('samples without a face have no EAR', () => {
+  const recorder = createTripRecorder();
+  const { sample } = recorder.record([], frameState({ faceDetected: false, ear: 0 }), 0);
+  assert.equal(sample.ear, null);
+  assert.equal(sample.faceDetected, false);
+});
@@ -0,0 +1,92 @@
+// IndexedDB store for trips: one record per detection run, plus the alerts
+// and periodic metric samples recorded during it
+
+const DB_NAME = 'drowsiness-detector';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('trips', { keyPath: 'id', autoIncrement: true });
+      db.createObjectStore('alerts', { keyPath: 'id', autoIncrement: true })
+        .createIndex('tripId', 'tripId');
+      db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true })
+        .createIndex('tripId', 'tripId');
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, action) => {
+  const db = await openDatabase();
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return promisify(action(store));
+};
+
+const getByTrip = (storeName, tripId) =>
+  withStore(storeName, 'readonly', store => store.index('tripId').getAll(tripId));
+
+// Resolves to the new trip's id
+export const startTrip = (trip) =>
+  withStore('trips', 'readwrite', store => store.add(trip));
+
+export const updateTrip = (trip) =>
+  withStore('trips', 'readwrite', store => store.put(trip));
+
+export const getTrip = (id) =>
+  withStore('trips', 'readonly', store => store.get(id));
+
+export const addAlert = (alert) =>
+  withStore('alerts', 'readwrite', store => store.add(alert));
+
+export const addSample = (sample) =>
+  withStore('samples', 'readwrite', store => store.add(sample));
+
+export const listTrips = async () => {
+  const trips = await withStore('trips', 'readonly', store => store.getAll());
+  return trips.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// The trip with its alerts and samples, in time order
+export const loadTripDetails = async (id) => {
+  const [trip, alerts, samples] = await Promise.all([
+    getTrip(id),
+    getByTrip('alerts', id),
+    getByTrip('samples', id)
+  ]);
+  if (!trip) return null;
+
+  return {
+    ...trip,
+    alerts: alerts.sort((a, b) => a.raisedAt - b.raisedAt),
+    samples: samples.sort((a, b) => a.timestamp - b.timestamp)
+  };
+};
+
+export const deleteTrip = async (id) => {
+  const db = await openDatabase();
+  const tx = db.transaction(['trips', 'alerts', 'samples'], 'readwrite');
+  tx.objectStore('trips').delete(id);
+  ['alerts', 'samples'].forEach(storeName => {
+    const store = tx.objectStore(storeName);
+    const request = store.index('tripId').getAllKeys(id);
+    request.onsuccess = () => request.result.forEach(key => store.delete(key));
+  });
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
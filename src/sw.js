@@ -0,0 +1,72 @@
+// Service worker that keeps the app and its detection models available offline.
+// The build fills in the precache list and cache version (see vite/offlineAssets.js).
+
+const PRECACHE_URLS = self.__PRECACHE_URLS__;
+const CACHE_PREFIX = 'drowsiness-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__CACHE_VERSION__}`;
+// Static files under the app's scope that are cached the first time they load.
+// Anything else, such as the Node API when it shares the origin, always goes to
+// the network.
+const RUNTIME_CACHE_PATHS = ['assets/', 'model/', 'mediapipe/'];
+
+const precached = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).href));
+
+const isStaticAsset = (url) => {
+  const href = `${url.origin}${url.pathname}`;
+  return precached.has(href) ||
+    RUNTIME_CACHE_PATHS.some(prefix => href.startsWith(new URL(prefix, self.registration.scope).href));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first so a new build is picked up, falling back to the cached shell
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match(request)) || cache.match(self.registration.scope);
+  }
+};
+
+// Static files: cache first; files that were not precached (such as the eye
+// classification model) are cached the first time they load
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isStaticAsset(url)) {
+    event.respondWith(handleAsset(request));
+  }
+});
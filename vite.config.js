@@ -1,7 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+import offlineAssets, { mediapipeLoader } from './vite/offlineAssets.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    offlineAssets({
+      // Same model file the API servers load
+      modelPath: fileURLToPath(new URL('./server/face_landmarker.task', import.meta.url)),
+      serviceWorker: fileURLToPath(new URL('./src/sw.js', import.meta.url)),
+    }),
+    mediapipeLoader(),
+  ],
+  // The inference worker is a module worker, in development and in builds
+  worker: {
+    format: 'es',
+    plugins: () => [mediapipeLoader()],
+  },
 })
@@ -0,0 +1,113 @@
+// Vite plugin that makes the app work without a network connection:
+// - serves (dev) and emits (build) the MediaPipe WASM runtime and face model
+//   under `mediapipe/`, so nothing is fetched from a CDN
+// - builds the service worker with the list of files to precache
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.task': 'application/octet-stream'
+};
+
+// The WASM files must come from the installed package so they match its JS API
+const wasmDir = () => path.join(path.dirname(require.resolve('@mediapipe/tasks-vision')), 'wasm');
+
+// MediaPipe loads the WASM loader with importScripts, which module workers do
+// not have. `import loadVision from 'virtual:mediapipe-loader/vision_wasm_internal'`
+// gives the inference worker the loader's ModuleFactory instead.
+const LOADER_PREFIX = 'virtual:mediapipe-loader/';
+const LOADER_MODULES = ['vision_wasm_internal', 'vision_wasm_nosimd_internal'];
+
+const mediapipeFiles = (modelPath) => {
+  const files = { 'mediapipe/face_landmarker.task': modelPath };
+  fs.readdirSync(wasmDir()).forEach(name => {
+    files[`mediapipe/wasm/${name}`] = path.join(wasmDir(), name);
+  });
+  return files;
+};
+
+const listFiles = (dir, prefix = '') => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]));
+};
+
+export default function offlineAssets({ modelPath, serviceWorker }) {
+  let config;
+  let files;
+
+  return {
+    name: 'offline-assets',
+
+    configResolved(resolved) {
+      config = resolved;
+      files = mediapipeFiles(modelPath);
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url.split('?')[0];
+        const source = url.startsWith(config.base) && files[url.slice(config.base.length)];
+        if (!source) return next();
+
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(source)] || 'application/octet-stream');
+        fs.createReadStream(source).pipe(res);
+      });
+    },
+
+    generateBundle(options, bundle) {
+      Object.entries(files).forEach(([fileName, source]) => {
+        this.emitFile({ type: 'asset', fileName, source: fs.readFileSync(source) });
+      });
+
+      const precache = [
+        ...Object.keys(bundle),
+        ...listFiles(config.publicDir)
+      ].filter(fileName => !fileName.endsWith('.map'));
+      const urls = ['', ...precache].map(fileName => `${config.base}${fileName}`);
+
+      // Bundle file names carry content hashes, so they change whenever the app does;
+      // the model and WASM names don't, so hash their contents as well
+      const hash = createHash('sha256').update(urls.join('\n'));
+      Object.values(files).forEach(source => hash.update(fs.readFileSync(source)));
+      const version = hash.digest('hex').slice(0, 12);
+
+      const source = fs.readFileSync(serviceWorker, 'utf8')
+        .replace('self.__PRECACHE_URLS__', JSON.stringify(urls))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(version));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+// Vite plugin that offers MediaPipe's WASM loader scripts as modules. The
+// loader is a classic script that declares ModuleFactory; as a module it only
+// needs to export it. Workers are built with their own plugins, so it goes in
+// `worker.plugins` as well.
+export function mediapipeLoader() {
+  return {
+    name: 'mediapipe-loader',
+
+    resolveId(id) {
+      if (id.startsWith(LOADER_PREFIX) && LOADER_MODULES.includes(id.slice(LOADER_PREFIX.length))) {
+        return `\0${id}`;
+      }
+      return null;
+    },
+
+    load(id) {
+      if (!id.startsWith(`\0${LOADER_PREFIX}`)) return null;
+      const name = id.slice(LOADER_PREFIX.length + 1);
+      const source = fs.readFileSync(path.join(wasmDir(), `${name}.js`), 'utf8');
+      return `${source}\nexport default ModuleFactory;\n`;
+    }
+  };
+}